@@ -3,19 +3,28 @@ import { Routes, Route, Navigate } from 'react-router-dom';
 import { QueryClientProvider, useQueryClient } from '@tanstack/react-query';
 import { ReactQueryDevtools } from '@tanstack/react-query-devtools';
 import { useMemberstack } from './hooks/useMemberstack';
-import { useDashboardData, useLicenses, useInvoices, queryKeys } from './hooks/useDashboardQueries';
+import { useDashboardData, useLicenses, useInvoices, useRefreshDashboard, queryKeys } from './hooks/useDashboardQueries';
 import { useNotification } from './hooks/useNotification';
+import { usePersistedCache } from './hooks/usePersistedCache';
+import { useQueueEvents } from './hooks/useQueueEvents';
+import { useTabSync, refreshAfterPurchase } from './hooks/useTabSync';
+import { usePurchaseTracker, usePurchaseProgress } from './hooks/usePurchaseTracker';
 import { queryClient } from './lib/queryClient';
+import { publish, SYNC_EVENTS } from './lib/tabSync';
+import { findCheckoutPurchase, transitionPurchase, PURCHASE_STATUS } from './lib/purchaseTracker';
+import { completeCheckout, paymentSuccessMessage } from './lib/checkout';
 import Sidebar from './components/Sidebar';
 import Dashboard from './components/Dashboard';
 import Sites from './components/Sites';
 import Licenses from './components/Licenses';
 import Profile from './components/Profile';
+import Orders from './components/Orders';
 import PurchaseLicenseModal from './components/PurchaseLicenseModal';
 import AddDomainModal from './components/AddDomainModal';
 import ProtectedRoute from './components/ProtectedRoute';
 import LoginPrompt from './components/LoginPrompt';
 import Notification from './components/Notification';
+import SyncStatus from './components/SyncStatus';
 import consentLogo from './assets/consent-logo.svg';
 import exportIcon from './assets/export-icon.svg';
 import DashboardSkeleton from './components/DashboardSkeleton';
@@ -38,6 +47,9 @@ function LoginRoute() {
   );
 }
 
+// Sections whose table can be exported (ExportModal)
+const EXPORTABLE_SECTIONS = ['dashboard', 'licenses', 'profile'];
+
 function DashboardPage() {
   const { member, userEmail, isAuthenticated, loading: authLoading, error: authError } = useMemberstack();
   const { notification, showSuccess, showError, clear: clearNotification } = useNotification();
@@ -48,232 +60,49 @@ const initialRender = useRef(true);
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [purchaseModalOpen, setPurchaseModalOpen] = useState(false);
   const [addDomainModalOpen, setAddDomainModalOpen] = useState(false);
-  const [isPollingLicenses, setIsPollingLicenses] = useState(false);
-  const [isPollingDomains, setIsPollingDomains] = useState(false);
+  // The export modal is rendered by the active section - it owns the filtered rows
+  const [exportOpen, setExportOpen] = useState(false);
   
-  const queriesEnabled = isAuthenticated && !!userEmail;
+  // Last-known data from IndexedDB is restored before the queries run
+  const { isRestoring: isRestoringCache } = usePersistedCache(isAuthenticated ? userEmail : null);
+  const queriesEnabled = isAuthenticated && !!userEmail && !isRestoringCache;
+
+  // Keep the other open dashboard tabs in sync (mutations, purchases, logout)
+  useTabSync(isAuthenticated ? userEmail : null);
+
+  // Follow paid purchases until their licenses/sites exist - progress is shared by every component
+  usePurchaseTracker(queriesEnabled ? userEmail : null, {
+    onFinished: ({ kind, status, progress, message }) => {
+      const label = kind === 'sites' ? 'site subscription' : 'license';
+      if (status === PURCHASE_STATUS.FAILED) {
+        showError(message || `${kind === 'sites' ? 'Site' : 'License'} creation failed. Please contact support or try again.`);
+        return;
+      }
+      const completedCount = progress?.completed || 0;
+      if (completedCount > 0) {
+        showSuccess(`Successfully created ${completedCount} ${label}${completedCount > 1 ? 's' : ''}!`);
+      } else {
+        showSuccess(`${kind === 'sites' ? 'Site subscription' : 'License'} creation completed!`);
+      }
+    },
+  });
+  const { isProcessing: isPollingLicenses } = usePurchaseProgress(userEmail, 'licenses');
+  const { isProcessing: isPollingDomains } = usePurchaseProgress(userEmail, 'sites');
+
+  // Single subscription to queue events for the whole dashboard - only open while a paid purchase
+  // is being provisioned, so idle tabs do not keep a stream (and its D1 polling) on the worker
+  useQueueEvents(queriesEnabled && (isPollingLicenses || isPollingDomains) ? userEmail : null);
   
-  // Invoice state - using TanStack Query for caching
-  const [invoiceOffset, setInvoiceOffset] = useState(0);
-  const INVOICES_PER_PAGE = 10;
-  const invoicesQuery = useInvoices(userEmail, INVOICES_PER_PAGE, 0, {
+  // Invoices - infinite query, pages are merged and de-duplicated by useInvoices
+  const invoicesQuery = useInvoices(userEmail, {
     enabled: queriesEnabled,
   });
-  
-  // Aggregate invoices from cache (for pagination)
   const invoices = invoicesQuery.data?.invoices || [];
   const invoicesLoading = invoicesQuery.isLoading;
   const invoicesError = invoicesQuery.error;
-  const hasMoreInvoices = invoicesQuery.data?.hasMore || false;
+  const hasMoreInvoices = invoicesQuery.hasNextPage;
   const totalInvoices = invoicesQuery.data?.total || 0;
   
-  // Listen for purchase completion and refetch invoices
-  useEffect(() => {
-    if (!userEmail) return;
-
-    let lastPendingPurchase = sessionStorage.getItem('pendingLicensePurchase');
-    let lastPendingSitesPurchase = sessionStorage.getItem('pendingSitesPurchase');
-    let intervalId = null;
-
-    const checkForPurchaseCompletion = () => {
-      const currentPendingPurchase = sessionStorage.getItem('pendingLicensePurchase');
-      const currentPendingSitesPurchase = sessionStorage.getItem('pendingSitesPurchase');
-      
-      // If pending purchase was removed, purchase completed
-      if ((lastPendingPurchase && !currentPendingPurchase) || 
-          (lastPendingSitesPurchase && !currentPendingSitesPurchase)) {
-        // Wait a bit for Stripe webhook to create invoice, then refetch
-        setTimeout(async () => {
-          // Force refetch the first page of invoices to get new invoices
-          // Using refetchQueries to bypass staleTime: Infinity
-          await queryClient.refetchQueries({ 
-            queryKey: ['invoices', userEmail, 10, 0],
-            type: 'active'
-          });
-          
-          // Also invalidate all invoice queries for this user to clear cache
-          queryClient.invalidateQueries({ 
-            queryKey: ['invoices', userEmail]
-          });
-        }, 5000); // Wait 5 seconds for Stripe webhook to process
-        
-        // Stop polling once purchase completed
-        if (intervalId) {
-          clearInterval(intervalId);
-          intervalId = null;
-        }
-      }
-      
-      lastPendingPurchase = currentPendingPurchase;
-      lastPendingSitesPurchase = currentPendingSitesPurchase;
-    };
-
-    // Only poll if there's a pending purchase
-    if (lastPendingPurchase || lastPendingSitesPurchase) {
-      intervalId = setInterval(checkForPurchaseCompletion, 2000); // Check every 2 seconds
-    }
-
-    // Also check when component becomes visible (user returns from Stripe checkout)
-    const handleVisibilityChange = () => {
-      if (document.visibilityState === 'visible') {
-        checkForPurchaseCompletion();
-      }
-    };
-
-    document.addEventListener('visibilitychange', handleVisibilityChange);
-
-    return () => {
-      if (intervalId) {
-        clearInterval(intervalId);
-      }
-      document.removeEventListener('visibilitychange', handleVisibilityChange);
-    };
-  }, [userEmail, queryClient]);
-
-  // Poll for new licenses after purchase (only updates licenses table)
-  const startLicensePolling = (email, expectedQuantity) => {
-    let pollCount = 0;
-    const maxPolls = 30;
-    const pollInterval = 10000;
-
-    const pollForLicenses = async () => {
-      pollCount++;
-
-      try {
-        await queryClient.invalidateQueries({
-          queryKey: queryKeys.licenses(email),
-          refetchType: 'active',
-        });
-
-        await new Promise((resolve) => setTimeout(resolve, 500));
-
-        const licensesData = queryClient.getQueryData(queryKeys.licenses(email));
-        const currentLicenseCount = licensesData?.licenses?.length || 0;
-
-        const previousCount = parseInt(
-          sessionStorage.getItem('licenseCountBeforePurchase') || '0',
-          10
-        );
-
-        if (currentLicenseCount >= previousCount + expectedQuantity) {
-          showSuccess(`Successfully added ${expectedQuantity} license key(s)!`);
-          sessionStorage.removeItem('licenseCountBeforePurchase');
-          setIsPollingLicenses(false);
-          return;
-        }
-
-        if (pollCount < maxPolls) {
-          setTimeout(pollForLicenses, pollInterval);
-        } else {
-          showSuccess(
-            'Your purchase is being processed. License keys will appear shortly.'
-          );
-          sessionStorage.removeItem('licenseCountBeforePurchase');
-          setIsPollingLicenses(false);
-        }
-      } catch (error) {
-        if (pollCount < maxPolls) {
-          setTimeout(pollForLicenses, pollInterval);
-        } else {
-          setIsPollingLicenses(false);
-        }
-      }
-    };
-
-    const licensesData = queryClient.getQueryData(queryKeys.licenses(email));
-    const currentCount = licensesData?.licenses?.length || 0;
-    sessionStorage.setItem('licenseCountBeforePurchase', currentCount.toString());
-
-    // Optimistic placeholders so UI updates immediately
-    if (licensesData) {
-      queryClient.setQueryData(queryKeys.licenses(email), (old) => {
-        const existing = old?.licenses || [];
-        const placeholders = Array.from({ length: expectedQuantity }).map((_, idx) => ({
-          id: `temp-${Date.now()}-${idx}`,
-          license_key: 'Processing...',
-          status: 'processing',
-        }));
-        return {
-          ...old,
-          licenses: [...existing, ...placeholders],
-        };
-      });
-    }
-
-    setTimeout(pollForLicenses, 5000);
-  };
-
-  // Poll for new domains after purchase (updates dashboard data smoothly)
-  const startDomainPolling = (email, expectedDomains, expectedCount) => {
-    let pollCount = 0;
-    const maxPolls = 30;
-    const pollInterval = 10000;
-
-    const pollForDomains = async () => {
-      pollCount++;
-
-      try {
-        await queryClient.invalidateQueries({
-          queryKey: queryKeys.dashboard(email),
-          refetchType: 'active',
-        });
-
-        await new Promise((resolve) => setTimeout(resolve, 500));
-
-        const dashboardData = queryClient.getQueryData(queryKeys.dashboard(email));
-        const currentSites = dashboardData?.sites || {};
-        const currentSitesCount = Object.keys(currentSites).length;
-
-        const previousCount = parseInt(
-          sessionStorage.getItem('sitesCountBeforePurchase') || '0',
-          10
-        );
-
-        const foundDomains = expectedDomains.filter((domain) => {
-          const domainKey = domain.trim().toLowerCase();
-          return Object.keys(currentSites).some((siteKey) => {
-            const key = siteKey.toLowerCase();
-            return (
-              key === domainKey ||
-              key.includes(domainKey) ||
-              domainKey.includes(key)
-            );
-          });
-        });
-
-        if (foundDomains.length >= expectedCount || currentSitesCount > previousCount) {
-          showSuccess(`Successfully added ${expectedCount} domain(s)!`);
-          sessionStorage.removeItem('sitesCountBeforePurchase');
-          setIsPollingDomains(false);
-          return;
-        }
-
-        if (pollCount < maxPolls) {
-          setTimeout(pollForDomains, pollInterval);
-        } else {
-          showSuccess(
-            'Your purchase is being processed. Domains will appear shortly.'
-          );
-          sessionStorage.removeItem('sitesCountBeforePurchase');
-          setIsPollingDomains(false);
-        }
-      } catch (error) {
-        if (pollCount < maxPolls) {
-          setTimeout(pollForDomains, pollInterval);
-        } else {
-          setIsPollingDomains(false);
-        }
-      }
-    };
-
-    const dashboardData = queryClient.getQueryData(queryKeys.dashboard(email));
-    const currentSites = dashboardData?.sites || {};
-    const currentCount = Object.keys(currentSites).length;
-    sessionStorage.setItem('sitesCountBeforePurchase', currentCount.toString());
-
-    setTimeout(pollForDomains, 5000);
-  };
-
 
   // Handle return from Stripe
   useEffect(() => {
@@ -283,166 +112,55 @@ const initialRender = useRef(true);
     const sessionId = urlParams.get('session_id');
     const canceled = urlParams.get('canceled');
 
-    // Check if we're in a popup window (opened from parent)
-    // If so, notify parent and close popup
-    if (window.opener && !window.opener.closed) {
-      if (sessionId) {
-        // Payment successful - notify parent window
-        window.opener.postMessage({
-          type: 'PAYMENT_SUCCESS',
-          sessionId: sessionId
-        }, window.location.origin);
-        
-        // Close popup after a short delay to ensure message is sent
-        setTimeout(() => {
-          window.close();
-        }, 500);
-        
-        // Clear URL params
-        window.history.replaceState({}, document.title, window.location.pathname);
-        return; // Don't process further in popup
-      } else if (canceled) {
-        // Payment cancelled - notify parent
-        window.opener.postMessage({
-          type: 'PAYMENT_CANCELLED'
-        }, window.location.origin);
-        
-        setTimeout(() => {
-          window.close();
-        }, 500);
-        
-        window.history.replaceState({}, document.title, window.location.pathname);
-        return;
+    if (!sessionId && !canceled) return;
+
+    let paidPurchase = null;
+    if (sessionId) {
+      // Every open dashboard tab refreshes
+      paidPurchase = completeCheckout(userEmail, sessionId);
+    } else {
+      // The tracked checkout this return belongs to
+      const purchase = findCheckoutPurchase(userEmail);
+      if (purchase) {
+        transitionPurchase(purchase.id, PURCHASE_STATUS.CANCELLED, { message: 'Payment was canceled' });
       }
+      publish(SYNC_EVENTS.PURCHASE_CANCELLED);
     }
 
-    const pendingLicensePurchase = sessionStorage.getItem('pendingLicensePurchase');
-    const pendingDomainPurchase = sessionStorage.getItem('pendingDomainPurchase');
-    const pendingSitesPurchase = sessionStorage.getItem('pendingSitesPurchase');
-
-    if (sessionId && pendingLicensePurchase) {
-      const purchaseInfo = JSON.parse(pendingLicensePurchase);
-      // DON'T remove pendingLicensePurchase here - let Dashboard component handle it
-      // sessionStorage.removeItem('pendingLicensePurchase'); // REMOVED
-    
-      showSuccess(
-        `Payment successful! Processing ${purchaseInfo.quantity} license key(s)...`
-      );
-    
-      setIsPollingLicenses(true);
-      startLicensePolling(userEmail, purchaseInfo.quantity);
-    
-      window.history.replaceState({}, document.title, window.location.pathname);
-    } else if (sessionId && pendingDomainPurchase) {
-      const purchaseInfo = JSON.parse(pendingDomainPurchase);
-      sessionStorage.removeItem('pendingDomainPurchase');
-
-      showSuccess(
-        `Payment successful! Processing ${purchaseInfo.count} domain(s)...`
-      );
-
-      setIsPollingDomains(true);
-      startDomainPolling(userEmail, purchaseInfo.domains, purchaseInfo.count);
-
-      window.history.replaceState({}, document.title, window.location.pathname);
-    } else if (sessionId && pendingSitesPurchase) {
-      const purchaseInfo = JSON.parse(pendingSitesPurchase);
-      sessionStorage.removeItem('pendingSitesPurchase');
-
-      showSuccess(
-        `Payment successful! Processing ${purchaseInfo.sites?.length || 0} site(s)...`
-      );
-
-      setIsPollingDomains(true);
-      startDomainPolling(userEmail, purchaseInfo.sites || [], purchaseInfo.sites?.length || 0);
-
-      window.history.replaceState({}, document.title, window.location.pathname);
-    } else if (sessionId) {
-      // Direct payment link purchase (no pendingLicensePurchase in sessionStorage)
-      // Still need to refetch licenses to show newly purchased ones
-      showSuccess('Payment successful! Processing your purchase...');
-
-      // Force refetch licenses to get newly purchased ones (bypass staleTime: Infinity)
-      queryClient.refetchQueries({
-        queryKey: queryKeys.licenses(userEmail),
-        type: 'active',
-      });
-
-      // Also refetch dashboard to refresh all data
-      queryClient.refetchQueries({
-        queryKey: queryKeys.dashboard(userEmail),
-        type: 'active',
-      });
-
-      // Start polling for licenses (without knowing exact quantity)
-      // Check for new licenses by comparing counts
-      const licensesData = queryClient.getQueryData(queryKeys.licenses(userEmail));
-      const currentCount = licensesData?.licenses?.length || 0;
-      sessionStorage.setItem('licenseCountBeforePurchase', currentCount.toString());
-
-      // Poll for new licenses
-      setIsPollingLicenses(true);
-      let pollCount = 0;
-      const maxPolls = 30;
-      const pollInterval = 10000;
-
-      const pollForLicenses = async () => {
-        pollCount++;
-
-        try {
-          // Force refetch licenses (bypass staleTime: Infinity)
-          await queryClient.refetchQueries({
-            queryKey: queryKeys.licenses(userEmail),
-            type: 'active',
-          });
-
-          await new Promise((resolve) => setTimeout(resolve, 500));
-
-          const licensesData = queryClient.getQueryData(queryKeys.licenses(userEmail));
-          const currentLicenseCount = licensesData?.licenses?.length || 0;
-
-          const previousCount = parseInt(
-            sessionStorage.getItem('licenseCountBeforePurchase') || '0',
-            10
-          );
-
-          if (currentLicenseCount > previousCount) {
-            const newLicensesCount = currentLicenseCount - previousCount;
-            showSuccess(`Successfully added ${newLicensesCount} license key(s)!`);
-            sessionStorage.removeItem('licenseCountBeforePurchase');
-            setIsPollingLicenses(false);
-            return;
-          }
-
-          if (pollCount < maxPolls) {
-            setTimeout(pollForLicenses, pollInterval);
-          } else {
-            showSuccess(
-              'Your purchase is being processed. License keys will appear shortly.'
-            );
-            sessionStorage.removeItem('licenseCountBeforePurchase');
-            setIsPollingLicenses(false);
-          }
-        } catch (error) {
-          if (pollCount < maxPolls) {
-            setTimeout(pollForLicenses, pollInterval);
-          } else {
-            setIsPollingLicenses(false);
-          }
-        }
-      };
+    // Clear URL params
+    window.history.replaceState({}, document.title, window.location.pathname);
 
-      setTimeout(pollForLicenses, 5000);
+    // Check if we're in a popup window (opened from parent)
+    // If so, the dashboard tab shows the progress - close popup after a short delay to ensure message is sent
+    if (window.opener && !window.opener.closed) {
+      setTimeout(() => {
+        window.close();
+      }, 500);
+      return;
+    }
 
-      window.history.replaceState({}, document.title, window.location.pathname);
-    } else if (canceled === 'true') {
-      sessionStorage.removeItem('pendingLicensePurchase');
-      sessionStorage.removeItem('pendingDomainPurchase');
+    if (!sessionId) {
       showError('Payment was canceled');
-      window.history.replaceState({}, document.title, window.location.pathname);
+      return;
     }
+
+    // Returned to this tab (popup blocked) - pick up the invoice once Stripe's webhook created it
+    refreshAfterPurchase(queryClient, userEmail);
+    showSuccess(paymentSuccessMessage(paidPurchase));
   }, [userEmail, isAuthenticated, showSuccess, showError, queryClient]);
 
+  // Back from the Stripe Billing Portal - show the updated cards in the profile
+  useEffect(() => {
+    if (!userEmail || !isAuthenticated) return;
+
+    const urlParams = new URLSearchParams(window.location.search);
+    if (urlParams.get('billing') !== 'updated') return;
+
+    window.history.replaceState({}, document.title, window.location.pathname);
+    queryClient.invalidateQueries({ queryKey: queryKeys.billing(userEmail) });
+    setActiveSection('profile');
+  }, [userEmail, isAuthenticated, queryClient]);
+
   // Max timeout for auth
   useEffect(() => {
     if (!authLoading) {
@@ -460,6 +178,8 @@ const initialRender = useRef(true);
     data: dashboardData,
     isLoading: loadingDashboard,
     error: dashboardError,
+    dataUpdatedAt: dashboardUpdatedAt,
+    isFetching: fetchingDashboard,
   } = useDashboardData(userEmail, {
     enabled: queriesEnabled,
   });
@@ -468,21 +188,30 @@ const initialRender = useRef(true);
     data: licensesData,
     isLoading: loadingLicenses,
     error: licensesError,
+    dataUpdatedAt: licensesUpdatedAt,
+    isFetching: fetchingLicenses,
   } = useLicenses(userEmail, {
     enabled: queriesEnabled,
   });
 
+  // "Last synced" is the older of the two main queries - restored cache keeps its original time
+  const refreshDashboard = useRefreshDashboard(userEmail);
+  const lastSyncedAt =
+    dashboardUpdatedAt && licensesUpdatedAt
+      ? Math.min(dashboardUpdatedAt, licensesUpdatedAt)
+      : 0;
+  const isSyncing = fetchingDashboard || fetchingLicenses;
+
   const sites = useMemo(() => dashboardData?.sites ?? {}, [dashboardData?.sites]);
  console.log(sites)
   const licenses = useMemo(
     () => licensesData?.licenses ?? [],
     [licensesData?.licenses]
   );
-  const subscriptions = useMemo(() => {
-    const subs = dashboardData?.subscriptions;
-    if (!subs) return Array.isArray(subs) ? [] : {};
-    return subs;
-  }, [dashboardData?.subscriptions]);
+  const subscriptions = useMemo(
+    () => dashboardData?.subscriptions ?? [],
+    [dashboardData?.subscriptions]
+  );
 useEffect(() => {
   if (
     (dashboardData || dashboardError) &&
@@ -495,7 +224,7 @@ useEffect(() => {
   const isFirstLoad = loadingDashboard || loadingLicenses;
   const shouldShowLoading =
   initialRender.current &&
-  (loadingDashboard || loadingLicenses || authLoading);
+  (loadingDashboard || loadingLicenses || authLoading || isRestoringCache);
 
 
   const error = dashboardError || licensesError || authError;
@@ -518,9 +247,17 @@ useEffect(() => {
             <img src={consentLogo} alt="ConsentBit" className="header-logo-image" />
           </div>
           <div className="header-actions">
-            {/* <button className="header-btn header-btn-icon" title="Export">
-              <img src={exportIcon} alt="Export" className="header-icon-image" />
-            </button> */}
+            <SyncStatus
+              lastSyncedAt={lastSyncedAt}
+              isSyncing={isSyncing}
+              onRefresh={refreshDashboard}
+            />
+
+            {EXPORTABLE_SECTIONS.includes(activeSection) && (
+              <button className="header-btn header-btn-icon" title="Export" onClick={() => setExportOpen(true)}>
+                <img src={exportIcon} alt="Export" className="header-icon-image" />
+              </button>
+            )}
 
            {activeSection === 'licenses' && <button
               className="header-btn header-btn-text"
@@ -590,6 +327,7 @@ useEffect(() => {
           onSectionChange={(section) => {
             setActiveSection(section);
             setSidebarOpen(false);
+            setExportOpen(false);
           }}
           userEmail={userEmail || ''}
           isOpen={sidebarOpen}
@@ -642,6 +380,8 @@ useEffect(() => {
                     subscriptions={subscriptions}
                     licenses={licenses}
                     isPolling={isPollingDomains}
+                    exportOpen={exportOpen}
+                    onExportClose={() => setExportOpen(false)}
                   />
                 )}
 
@@ -657,9 +397,16 @@ useEffect(() => {
                 )} */}
 
                 {activeSection === 'licenses' && (
-                  <Licenses licenses={licenses} isPolling={isPollingLicenses} />
+                  <Licenses
+                    licenses={licenses}
+                    isPolling={isPollingLicenses}
+                    exportOpen={exportOpen}
+                    onExportClose={() => setExportOpen(false)}
+                  />
                 )}
 
+                {activeSection === 'orders' && <Orders userEmail={userEmail} />}
+
                 {activeSection === 'profile' && (
                   <Profile 
                     userEmail={userEmail}
@@ -668,6 +415,10 @@ useEffect(() => {
                     invoicesError={invoicesError}
                     hasMoreInvoices={hasMoreInvoices}
                     totalInvoices={totalInvoices}
+                    loadingMoreInvoices={invoicesQuery.isFetchingNextPage}
+                    onLoadMoreInvoices={invoicesQuery.fetchNextPage}
+                    exportOpen={exportOpen}
+                    onExportClose={() => setExportOpen(false)}
                   />
                 )}
               </>
@@ -686,6 +437,8 @@ useEffect(() => {
         isOpen={addDomainModalOpen}
         onClose={() => setAddDomainModalOpen(false)}
         userEmail={userEmail || ''}
+        sites={sites}
+        licenses={licenses}
       />
         <footer className="app-footer">
       <span>© {new Date().getFullYear()} All rights reserved ConsentBit</span>
@@ -1,35 +1,90 @@
-import { useState, useEffect, useRef } from 'react';
+import { useMemo, useState } from 'react';
 import { useQueryClient } from '@tanstack/react-query';
 import { useNotification } from '../hooks/useNotification';
-import { addSitesBatch, getSitesStatus } from '../services/api';
-import { queryKeys } from '../hooks/useDashboardQueries';
+import { addSitesBatch } from '../services/api';
+import { usePurchaseProgress } from '../hooks/usePurchaseTracker';
+import { refreshAfterPurchase } from '../hooks/useTabSync';
+import { usePricing, usePromoCode } from '../hooks/useDashboardQueries';
+import { createPurchase, transitionPurchase, PURCHASE_STATUS } from '../lib/purchaseTracker';
+import { formatMoney, formatDiscount, applyDiscount, getPriceQuote, DEFAULT_PRICING_LIMITS } from '../lib/normalize';
+import { parseDomainList, validateDomainRows } from '../lib/domainImport';
+import {
+  getCheckoutMode,
+  loadStripe,
+  openHostedCheckout,
+  completeCheckout,
+  paymentSuccessMessage,
+  CHECKOUT_MODES,
+} from '../lib/checkout';
+import PromoCodeField from './PromoCodeField';
+import PriceBreakdown from './PriceBreakdown';
+import EmbeddedCheckout from './EmbeddedCheckout';
 import './AddDomainModal.css';
 
-export default function AddDomainModal({ isOpen, onClose, userEmail }) {
+// Sites and licenses that are not cancelled or expired - a bulk import skips their domains
+function getTakenDomains(sites, licenses) {
+  const live = (status) => status !== 'Cancelled' && status !== 'Expired';
+  const taken = new Set();
+  Object.values(sites).forEach((site) => {
+    if (live(site.status)) taken.add(site.domain.toLowerCase());
+  });
+  licenses.forEach((lic) => {
+    if (lic.siteDomain && live(lic.status)) taken.add(lic.siteDomain.toLowerCase());
+  });
+  return taken;
+}
+
+export default function AddDomainModal({ isOpen, onClose, userEmail, sites = {}, licenses = [] }) {
+  const [isBulk, setIsBulk] = useState(false);
+  const [bulkText, setBulkText] = useState('');
+  // Domains the worker rejected as already subscribed (409 site_exists)
+  const [rejectedDomains, setRejectedDomains] = useState([]);
   const [domains, setDomains] = useState(['']);
   const [domainErrors, setDomainErrors] = useState({});
   const [billingCycle, setBillingCycle] = useState('Monthly');
   const [isProcessing, setIsProcessing] = useState(false);
-  const [isPolling, setIsPolling] = useState(false);
-  const [pollProgress, setPollProgress] = useState(null);
+  const [promoCodeInput, setPromoCodeInput] = useState('');
+  // Embedded checkout shown in place of the form: { clientSecret, sessionId, purchaseId, sites }
+  const [embeddedCheckout, setEmbeddedCheckout] = useState(null);
   const { showSuccess, showError } = useNotification();
   const queryClient = useQueryClient();
-  const intervalIdRef = useRef(null);
-  const stoppedRef = useRef(false);
-  const MAX_SITES = 5;
 
-  // Pricing
-  const monthlyPrice = 8; // per domain
-  const yearlyPrice = 72; // per domain
+  // Per-site price, volume tiers and the per-checkout site limit from /api/pricing
+  const { data: pricing, isLoading: pricingLoading } = usePricing();
+  const plan = pricing?.plans[billingCycle];
+  const limits = pricing?.limits ?? DEFAULT_PRICING_LIMITS;
+  const maxSites = isBulk ? limits.bulkSites.max : limits.sites.max;
+  const yearlyDiscount = formatDiscount(pricing?.plans.Yearly);
+
+  // Bulk import - every pasted/CSV line is validated on its own
+  const bulkRows = useMemo(() => {
+    const taken = getTakenDomains(sites, licenses);
+    rejectedDomains.forEach((domain) => taken.add(domain));
+    return validateDomainRows(parseDomainList(bulkText), taken);
+  }, [bulkText, sites, licenses, rejectedDomains]);
+  const bulkErrorCount = bulkRows.filter((row) => row.error).length;
   
   // Calculate price based on valid domains
-  const validDomains = domains.filter((d, idx) => {
-    const trimmed = d.trim();
-    return trimmed && !domainErrors[idx];
-  });
-  const totalPrice = billingCycle === 'Monthly' 
-    ? (validDomains.length * monthlyPrice).toFixed(2)
-    : (validDomains.length * yearlyPrice).toFixed(2);
+  const validDomains = isBulk
+    ? bulkRows.filter((row) => !row.error).map((row) => row.domain)
+    : domains.filter((d, idx) => {
+        const trimmed = d.trim();
+        return trimmed && !domainErrors[idx];
+      });
+  const overLimit = validDomains.length > maxSites;
+
+  // Promo code - a fixed amount is taken off the whole order, like in Stripe
+  const promo = usePromoCode(promoCodeInput);
+  const appliedPromo = promo.promoCode?.valid ? promo.promoCode : null;
+  const promoPending = !!promoCodeInput.trim() && !appliedPromo;
+
+  const quote = plan ? getPriceQuote(plan, validDomains.length, pricing.tiers) : null;
+  const total = quote ? applyDiscount(quote.total, appliedPromo?.discount) : 0;
+  const totalPrice = plan
+    ? formatMoney(total, plan.currency)
+    : pricingLoading
+      ? '...'
+      : 'Unavailable';
 
   // Domain validation pattern
   const domainPattern = /^([a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?\.)+[a-zA-Z]{2,}$/;
@@ -86,122 +141,55 @@ export default function AddDomainModal({ isOpen, onClose, userEmail }) {
   };
 
   const handleAddDomain = () => {
-    if (domains.length >= MAX_SITES) {
-      showError(`Maximum ${MAX_SITES} sites allowed`);
+    if (domains.length >= maxSites) {
+      showError(`Maximum ${maxSites} sites allowed`);
       return;
     }
     setDomains([...domains, '']);
   };
 
-  // Polling for site creation status
-  const checkSitesStatus = async (paymentIntentId) => {
-    if (stoppedRef.current) return;
+  // Site creation progress of paid purchases - the same view as everywhere else
+  const { isProcessing: isPolling, progress: pollProgress } = usePurchaseProgress(userEmail, 'sites');
 
+  const handleBulkFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = ''; // Same file can be chosen again after editing it
+    if (!file) return;
     try {
-      const data = await getSitesStatus(userEmail, paymentIntentId);
-      const status = (data.status || '').toLowerCase().trim();
-      const progress = data.progress || {};
-
-      if (status === 'pending' || status === 'processing') {
-        setIsPolling(true);
-        setPollProgress(progress);
-        
-        // Refresh dashboard data
-        await queryClient.invalidateQueries({
-          queryKey: queryKeys.dashboard(userEmail),
-        });
-      } else if (status === 'completed') {
-        setIsPolling(false);
-        setPollProgress(null);
-        stoppedRef.current = true;
-        
-        if (intervalIdRef.current) {
-          clearInterval(intervalIdRef.current);
-          intervalIdRef.current = null;
-        }
-
-        sessionStorage.removeItem('pendingSitesPurchase');
-        
-        // Final refresh
-        await queryClient.invalidateQueries({
-          queryKey: queryKeys.dashboard(userEmail),
-        });
-
-        const completedCount = progress.completed || 0;
-        if (completedCount > 0) {
-          showSuccess(`Successfully created ${completedCount} site subscription${completedCount > 1 ? 's' : ''}!`);
-        } else {
-          showSuccess('Site subscriptions created successfully!');
-        }
-      } else if (status === 'failed') {
-        setIsPolling(false);
-        setPollProgress(null);
-        stoppedRef.current = true;
-        
-        if (intervalIdRef.current) {
-          clearInterval(intervalIdRef.current);
-          intervalIdRef.current = null;
-        }
-
-        sessionStorage.removeItem('pendingSitesPurchase');
-        showError('Failed to create site subscriptions. Please contact support.');
-      }
+      setBulkText(await file.text());
     } catch (error) {
-      console.error('[AddDomainModal] Error checking sites status:', error);
+      showError('The file could not be read');
     }
   };
 
-  // Start polling when component mounts if there's a pending purchase
-  useEffect(() => {
-    if (!isOpen || !userEmail) return;
+  const handlePayNow = async () => {
+    // Validate user is logged in
+    if (!userEmail) {
+      showError('Please log in to add sites');
+      return;
+    }
+
+    if (!plan) {
+      showError('Prices could not be loaded. Please try again later.');
+      return;
+    }
 
-    const pendingPurchase = sessionStorage.getItem('pendingSitesPurchase');
-    if (pendingPurchase) {
-      try {
-        const purchaseData = JSON.parse(pendingPurchase);
-        const paymentIntentId = purchaseData.payment_intent_id;
-        
-        if (paymentIntentId) {
-          stoppedRef.current = false;
-          setIsPolling(true);
-          
-          // Check immediately
-          checkSitesStatus(paymentIntentId);
-          
-          // Then poll every 3 seconds
-          intervalIdRef.current = setInterval(() => {
-            if (!stoppedRef.current) {
-              checkSitesStatus(paymentIntentId);
-            }
-          }, 3000);
-        }
-      } catch (err) {
-        console.error('[AddDomainModal] Error parsing pending purchase:', err);
-      }
+    if (promoPending) {
+      showError('Enter a valid promo code or clear the field');
+      return;
     }
 
-    return () => {
-      if (intervalIdRef.current) {
-        clearInterval(intervalIdRef.current);
-        intervalIdRef.current = null;
+    if (isBulk) {
+      // Rows with errors are left out - they are listed under the import
+      if (validDomains.length === 0) {
+        showError('No valid domains to import');
+        return;
       }
-      stoppedRef.current = true;
-    };
-  }, [isOpen, userEmail]);
-
-  // Cleanup on unmount
-  useEffect(() => {
-    return () => {
-      if (intervalIdRef.current) {
-        clearInterval(intervalIdRef.current);
+      if (overLimit) {
+        showError(`Maximum ${maxSites} sites allowed per import`);
+        return;
       }
-      stoppedRef.current = true;
-    };
-  }, []);
-  const handlePayNow = async () => {
-    // Validate user is logged in
-    if (!userEmail) {
-      showError('Please log in to add sites');
+      await startCheckout(validDomains);
       return;
     }
 
@@ -243,45 +231,77 @@ export default function AddDomainModal({ isOpen, onClose, userEmail }) {
       return;
     }
 
-    if (validatedSites.length > MAX_SITES) {
-      showError(`Maximum ${MAX_SITES} sites allowed per purchase`);
+    if (validatedSites.length > maxSites) {
+      showError(`Maximum ${maxSites} sites allowed per purchase`);
       return;
     }
 
+    await startCheckout(validatedSites);
+  };
+
+  // One checkout for all sites - the worker creates them one by one from its sites queue
+  const startCheckout = async (validatedSites, preferredMode = getCheckoutMode()) => {
     setIsProcessing(true);
 
+    let checkoutMode = preferredMode;
+    if (checkoutMode === CHECKOUT_MODES.EMBEDDED) {
+      try {
+        await loadStripe();
+      } catch (error) {
+        console.warn('[Checkout] Embedded checkout unavailable, using the hosted checkout:', error);
+        checkoutMode = CHECKOUT_MODES.POPUP;
+      }
+    }
+
     try {
       const billingPeriod = billingCycle.toLowerCase(); // 'monthly' or 'yearly'
 
       // Call the add-sites-batch endpoint
-      const response = await addSitesBatch(userEmail, validatedSites, billingPeriod);
-
-      // Check if checkout_url is returned
-      if (response && response.checkout_url) {
-        // Store info for polling when user returns
-        sessionStorage.setItem('pendingSitesPurchase', JSON.stringify({
-          sites: validatedSites,
-          billingPeriod,
-          payment_intent_id: response.payment_intent_id,
-          timestamp: Date.now(),
-        }));
-
-        // Open checkout in new tab
-        const checkoutWindow = window.open(response.checkout_url, '_blank');
-        
-        if (!checkoutWindow || checkoutWindow.closed) {
-          // Fallback to redirect if popup blocked
-          setTimeout(() => {
-            window.location.href = response.checkout_url;
-          }, 500);
-        } else {
-          onClose(); // Close modal if popup opened successfully
-        }
-      } else {
-        showError('Failed to create checkout session. Please try again.');
-        setIsProcessing(false);
+      const response = await addSitesBatch(userEmail, validatedSites, billingPeriod, {
+        promoCode: appliedPromo?.code,
+        bulkImport: isBulk,
+        uiMode: checkoutMode === CHECKOUT_MODES.EMBEDDED ? 'embedded' : undefined,
+      });
+
+      // Track the checkout - the payment intent identifies the batch in the sites queue
+      const purchase = createPurchase({
+        kind: 'sites',
+        email: userEmail,
+        sites: validatedSites,
+        billingPeriod,
+        paymentIntentId: response.payment_intent_id || null,
+        sessionId: response.session_id || null,
+      });
+      transitionPurchase(purchase.id, PURCHASE_STATUS.REDIRECTED);
+
+      if (response.client_secret) {
+        setEmbeddedCheckout({
+          clientSecret: response.client_secret,
+          sessionId: response.session_id || null,
+          purchaseId: purchase.id,
+          sites: validatedSites, // For the hosted fallback
+        });
+        return;
       }
+
+      const popupOpened = openHostedCheckout(response.checkout_url, checkoutMode, {
+        onClosed: () => setIsProcessing(false),
+      });
+      if (popupOpened) onClose(); // Close modal if popup opened successfully
     } catch (error) {
+      // Subscribed in the meantime (or not yet in the cached list) - mark the rows
+      if (error.code === 'site_exists' && Array.isArray(error.data?.sites)) {
+        setRejectedDomains((previous) => [...previous, ...error.data.sites]);
+        if (!isBulk) {
+          const errors = { ...domainErrors };
+          domains.forEach((domain, index) => {
+            if (error.data.sites.includes(domain.trim().toLowerCase())) {
+              errors[index] = 'Already has a subscription';
+            }
+          });
+          setDomainErrors(errors);
+        }
+      }
       const errorMessage = error.message || error.error || 'Failed to process payment. Please try again.';
       showError(errorMessage);
       setIsProcessing(false);
@@ -289,17 +309,47 @@ export default function AddDomainModal({ isOpen, onClose, userEmail }) {
   };
 
 
+  const handleEmbeddedComplete = () => {
+    const paidPurchase = completeCheckout(userEmail, embeddedCheckout.sessionId);
+    refreshAfterPurchase(queryClient, userEmail);
+    showSuccess(paymentSuccessMessage(paidPurchase));
+    setEmbeddedCheckout(null);
+    setIsProcessing(false);
+    onClose();
+  };
+
+  // Back, close, or Stripe failing to mount - the tracked purchase is cancelled
+  const cancelEmbeddedCheckout = (message) => {
+    if (!embeddedCheckout) return;
+    transitionPurchase(embeddedCheckout.purchaseId, PURCHASE_STATUS.CANCELLED, { message });
+    setEmbeddedCheckout(null);
+    setIsProcessing(false);
+  };
+
+  // The embedded session cannot be shown - the same sites get a hosted checkout instead
+  const handleEmbeddedError = (error) => {
+    console.warn('[Checkout] Embedded checkout failed to mount, using the hosted checkout:', error);
+    const { sites } = embeddedCheckout;
+    cancelEmbeddedCheckout('Checkout could not be loaded');
+    startCheckout(sites, CHECKOUT_MODES.POPUP);
+  };
+
+  const handleClose = () => {
+    cancelEmbeddedCheckout('Checkout closed');
+    onClose();
+  };
+
   if (!isOpen) return null;
 
   return (
     <>
-      <div className="add-domain-modal-overlay" onClick={onClose} />
+      <div className="add-domain-modal-overlay" onClick={handleClose} />
       <div className="add-domain-modal">
         <div className="add-domain-modal-header">
           <h2 className="add-domain-modal-title">Add new domain</h2>
           <button
             className="add-domain-modal-close"
-            onClick={onClose}
+            onClick={handleClose}
             title="Close"
           >
             <svg width="20" height="20" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -309,8 +359,37 @@ export default function AddDomainModal({ isOpen, onClose, userEmail }) {
         </div>
 
         <div className="add-domain-modal-body">
+          {embeddedCheckout ? (
+            <EmbeddedCheckout
+              clientSecret={embeddedCheckout.clientSecret}
+              onComplete={handleEmbeddedComplete}
+              onError={handleEmbeddedError}
+              onBack={() => cancelEmbeddedCheckout('Checkout closed')}
+            />
+          ) : (
+          <>
           <div className="add-domain-modal-left">
-            <label className="add-domain-label">Domain name (Max {MAX_SITES} sites)</label>
+            <div className="add-domain-mode-toggle">
+              <button
+                type="button"
+                className={`add-domain-mode-btn ${!isBulk ? 'active' : ''}`}
+                onClick={() => setIsBulk(false)}
+                disabled={isProcessing || isPolling}
+              >
+                Enter domains
+              </button>
+              <button
+                type="button"
+                className={`add-domain-mode-btn ${isBulk ? 'active' : ''}`}
+                onClick={() => setIsBulk(true)}
+                disabled={isProcessing || isPolling}
+              >
+                Bulk import
+              </button>
+            </div>
+            <label className="add-domain-label">
+              {isBulk ? `Paste domains or upload a CSV (Max ${maxSites} sites)` : `Domain name (Max ${maxSites} sites)`}
+            </label>
             {isPolling && pollProgress && (
               <div className="sites-polling-banner">
                 <div className="sites-polling-text">
@@ -324,6 +403,50 @@ export default function AddDomainModal({ isOpen, onClose, userEmail }) {
                 </div>
               </div>
             )}
+            {isBulk ? (
+              <div className="bulk-import">
+                <textarea
+                  className="bulk-import-textarea"
+                  value={bulkText}
+                  onChange={(e) => setBulkText(e.target.value)}
+                  placeholder={'example.com\nwww.client-site.com\nhttps://another-client.io'}
+                  rows={6}
+                  disabled={isProcessing || isPolling}
+                />
+                <div className="bulk-import-actions">
+                  <label className={`bulk-import-file-btn ${isProcessing || isPolling ? 'disabled' : ''}`}>
+                    Upload CSV
+                    <input
+                      type="file"
+                      accept=".csv,.txt,text/csv,text/plain"
+                      onChange={handleBulkFile}
+                      disabled={isProcessing || isPolling}
+                    />
+                  </label>
+                  {bulkRows.length > 0 && (
+                    <span className="bulk-import-summary">
+                      {validDomains.length} valid{bulkErrorCount > 0 && `, ${bulkErrorCount} skipped`}
+                    </span>
+                  )}
+                </div>
+                {overLimit && (
+                  <div className="domain-error-message">
+                    {validDomains.length} domains - at most {maxSites} can be bought in one import
+                  </div>
+                )}
+                {bulkRows.length > 0 && (
+                  <div className="bulk-import-rows">
+                    {bulkRows.map((row) => (
+                      <div key={row.line} className={`bulk-import-row ${row.error ? 'has-error' : ''}`}>
+                        <span className="bulk-import-row-line">{row.line}</span>
+                        <span className="bulk-import-row-domain">{row.domain || row.input}</span>
+                        <span className="bulk-import-row-status">{row.error || 'Ready'}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ) : (
             <div className="domain-inputs-list">
               {domains.map((domain, index) => (
                 <div key={index} className="domain-input-row">
@@ -341,7 +464,7 @@ export default function AddDomainModal({ isOpen, onClose, userEmail }) {
                       <div className="domain-error-message">{domainErrors[index]}</div>
                     )}
                   </div>
-                  {index === domains.length - 1 && domains.length < MAX_SITES ? (
+                  {index === domains.length - 1 && domains.length < maxSites ? (
                     <button
                       className="domain-add-btn"
                       onClick={handleAddDomain}
@@ -389,11 +512,20 @@ export default function AddDomainModal({ isOpen, onClose, userEmail }) {
                 </div>
               ))}
             </div>
+            )}
+            <PromoCodeField
+              value={promoCodeInput}
+              onChange={setPromoCodeInput}
+              promoCode={promo.promoCode}
+              isChecking={promo.isChecking}
+              error={promo.error}
+              disabled={isProcessing || isPolling}
+            />
             <div className="add-domain-modal-footer">
               <button
                 className="add-domain-pay-btn"
                 onClick={handlePayNow}
-                disabled={isProcessing || isPolling || validDomains.length === 0}
+                disabled={isProcessing || isPolling || !plan || promoPending || overLimit || validDomains.length === 0}
               >
                 {isProcessing ? 'Processing...' : isPolling ? 'Processing...' : `Pay Now (${validDomains.length} site${validDomains.length !== 1 ? 's' : ''})`}
               </button>
@@ -403,7 +535,18 @@ export default function AddDomainModal({ isOpen, onClose, userEmail }) {
           <div className="add-domain-modal-right">
             <div className="add-domain-modal-right-card">
             <label className="add-domain-label">Cost</label>
-            <div className="purchase-price">${totalPrice}</div>
+            <div className="purchase-price">{totalPrice}</div>
+            {quote && validDomains.length > 0 && (
+              <PriceBreakdown
+                quote={quote}
+                total={total}
+                currency={plan.currency}
+                promoCode={appliedPromo}
+                tiers={pricing.tiers}
+                maxQuantity={maxSites}
+                unitLabel="site"
+              />
+            )}
             <div className="add-domain-billing-options">
               <label className="billing-option">
                 <input
@@ -411,11 +554,12 @@ export default function AddDomainModal({ isOpen, onClose, userEmail }) {
                   name="billingCycle"
                   value="Yearly"
                   checked={billingCycle === 'Yearly'}
+                  disabled={!!pricing && !pricing.plans.Yearly}
                   onChange={(e) => setBillingCycle(e.target.value)}
                 />
                 <span className="billing-option-label">
                   Yearly
-                  <span className="billing-discount-tag">20%</span>
+                  {yearlyDiscount && <span className="billing-discount-tag">{yearlyDiscount}</span>}
                 </span>
               </label>
               <label className="billing-option">
@@ -424,6 +568,7 @@ export default function AddDomainModal({ isOpen, onClose, userEmail }) {
                   name="billingCycle"
                   value="Monthly"
                   checked={billingCycle === 'Monthly'}
+                  disabled={!!pricing && !pricing.plans.Monthly}
                   onChange={(e) => setBillingCycle(e.target.value)}
                 />
                 <span className="billing-option-label">Monthly</span>
@@ -431,6 +576,8 @@ export default function AddDomainModal({ isOpen, onClose, userEmail }) {
             </div>
           </div>
         </div>
+          </>
+          )}
 </div>
        
       </div>
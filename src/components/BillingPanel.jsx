@@ -0,0 +1,142 @@
+import { useNotification } from '../hooks/useNotification';
+import { useBilling, useBillingPortal } from '../hooks/useDashboardQueries';
+import './BillingPanel.css';
+
+// 'visa' -> 'Visa', 'american_express' -> 'American Express'
+function formatBrand(brand) {
+  return brand
+    .split('_')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+function formatExpiry(method) {
+  if (!method.expMonth || !method.expYear) return null;
+  return `${String(method.expMonth).padStart(2, '0')}/${method.expYear}`;
+}
+
+function addressLines(address) {
+  if (!address) return [];
+  const cityLine = [address.city, address.state, address.postalCode].filter(Boolean).join(', ');
+  return [address.line1, address.line2, cityLine, address.country].filter(Boolean);
+}
+
+/**
+ * Billing section of the profile - cards and billing details per Stripe customer
+ * Card and address changes happen in the Stripe Billing Portal. An email that bought before it had
+ * a customer can own several; each is listed with its own portal buttons.
+ */
+export default function BillingPanel({ userEmail }) {
+  const { showError } = useNotification();
+  const { data, isLoading, error } = useBilling(userEmail);
+  const billingPortalMutation = useBillingPortal(userEmail);
+  const customers = data?.customers || [];
+
+  const handleOpenPortal = (customerId, flow) => {
+    billingPortalMutation.mutate(
+      { customerId, flow },
+      {
+        onSuccess: (response) => {
+          window.location.href = response.url;
+        },
+        onError: (mutationError) => {
+          showError('Failed to open the billing portal: ' + (mutationError.message || 'Unknown error'));
+        },
+      }
+    );
+  };
+
+  return (
+    <div className="billing-panel">
+      <h3 className="billing-panel-title">Billing</h3>
+
+      {isLoading ? (
+        <div className="billing-panel-message">Loading billing details...</div>
+      ) : error && customers.length === 0 ? (
+        <div className="billing-panel-message billing-panel-error">
+          Failed to load billing details. Please try again later.
+        </div>
+      ) : customers.length === 0 ? (
+        <div className="billing-panel-message">
+          No billing account yet. It is created with your first purchase.
+        </div>
+      ) : (
+        <div className="billing-customers">
+          {customers.map((customer) => {
+            const isOpening = billingPortalMutation.isOpening(customer.id);
+            const lines = addressLines(customer.address);
+
+            return (
+              <div key={customer.id} className="billing-customer">
+                {customers.length > 1 && (
+                  <div className="billing-customer-header">
+                    <span className="billing-customer-id">Billing account {customer.id}</span>
+                    <span className="billing-customer-subscriptions">
+                      {customer.activeSubscriptions} active subscription{customer.activeSubscriptions !== 1 ? 's' : ''}
+                    </span>
+                  </div>
+                )}
+
+                <div className="billing-customer-grid">
+                  <div className="billing-section">
+                    <h4 className="billing-section-title">Payment methods</h4>
+                    {customer.paymentMethods.length === 0 ? (
+                      <div className="billing-section-empty">No card on file</div>
+                    ) : (
+                      <ul className="billing-methods">
+                        {customer.paymentMethods.map((method) => (
+                          <li key={method.id} className="billing-method">
+                            <span className="billing-method-card">
+                              {formatBrand(method.brand)} •••• {method.last4 || '----'}
+                            </span>
+                            {formatExpiry(method) && (
+                              <span className="billing-method-expiry">Expires {formatExpiry(method)}</span>
+                            )}
+                            {method.isDefault && <span className="billing-badge billing-badge-default">Default</span>}
+                            {method.isExpired && <span className="billing-badge billing-badge-expired">Expired</span>}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+
+                  <div className="billing-section">
+                    <h4 className="billing-section-title">Billing details</h4>
+                    {!customer.name && !customer.email && lines.length === 0 ? (
+                      <div className="billing-section-empty">No billing details</div>
+                    ) : (
+                      <div className="billing-details">
+                        {customer.name && <span className="billing-details-name">{customer.name}</span>}
+                        {customer.email && <span>{customer.email}</span>}
+                        {lines.map((line) => (
+                          <span key={line}>{line}</span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </div>
+
+                <div className="billing-customer-actions">
+                  <button
+                    className="billing-portal-btn billing-portal-btn-primary"
+                    onClick={() => handleOpenPortal(customer.id, 'payment_method_update')}
+                    disabled={isOpening}
+                  >
+                    {customer.paymentMethods.length === 0 ? 'Add card' : 'Update card'}
+                  </button>
+                  <button
+                    className="billing-portal-btn"
+                    onClick={() => handleOpenPortal(customer.id)}
+                    disabled={isOpening}
+                  >
+                    {isOpening ? 'Opening...' : 'Manage billing'}
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
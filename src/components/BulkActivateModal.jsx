@@ -0,0 +1,208 @@
+import { useMemo, useState } from 'react';
+import { useNotification } from '../hooks/useNotification';
+import { useMemberstack } from '../hooks/useMemberstack';
+import { useBulkActivateLicenses } from '../hooks/useDashboardQueries';
+import { parseDomainList, validateDomainRows, pairDomainsWithLicenses } from '../lib/domainImport';
+import './BulkActivateModal.css';
+
+// Same limit as the worker's /api/licenses/activate-batch
+const BULK_ACTIVATION_MAX = 50;
+
+/**
+ * Assign many "Not Assigned" keys at once - one domain per line (pasted or CSV)
+ * Domains are paired with unassigned keys (oldest first, optionally one billing period only) and the
+ * pairing is previewed before it is submitted as one batch. Uses the activate modal frame (Licenses.css).
+ */
+export default function BulkActivateModal({ licenses = [], initialBillingPeriod = '', onClose }) {
+  const { userEmail } = useMemberstack();
+  const { showSuccess, showError } = useNotification();
+  const [domainText, setDomainText] = useState('');
+  const [billingPeriod, setBillingPeriod] = useState(initialBillingPeriod);
+  // Per-row answers of the submitted batch - the modal then shows them instead of the preview
+  const [results, setResults] = useState(null);
+  const bulkActivateMutation = useBulkActivateLicenses(userEmail);
+  const isSubmitting = bulkActivateMutation.isPending;
+
+  const availableLicenses = useMemo(
+    () =>
+      licenses.filter(
+        (lic) => !lic.siteDomain && lic.status === 'Active' && (!billingPeriod || lic.billingPeriod === billingPeriod)
+      ),
+    [licenses, billingPeriod]
+  );
+
+  const rows = useMemo(() => {
+    const activeDomains = new Set(
+      licenses
+        .filter((lic) => lic.siteDomain && (lic.status === 'Active' || lic.status === 'Cancelling'))
+        .map((lic) => lic.siteDomain.toLowerCase())
+    );
+    const validated = validateDomainRows(parseDomainList(domainText), activeDomains, {
+      existingMessage: 'Already has an active license',
+    });
+    return pairDomainsWithLicenses(validated, availableLicenses);
+  }, [domainText, licenses, availableLicenses]);
+
+  const pairedRows = rows.filter((row) => row.license);
+  const skippedCount = rows.length - pairedRows.length;
+  const overLimit = pairedRows.length > BULK_ACTIVATION_MAX;
+
+  const handleClose = () => {
+    if (isSubmitting) return; // The batch is being processed
+    onClose();
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = ''; // Same file can be chosen again after editing it
+    if (!file) return;
+    try {
+      setDomainText(await file.text());
+    } catch (error) {
+      showError('The file could not be read');
+    }
+  };
+
+  const handleSubmit = () => {
+    if (isSubmitting || pairedRows.length === 0 || overLimit) return;
+
+    bulkActivateMutation.mutate(
+      {
+        activations: pairedRows.map((row) => ({ licenseKey: row.license.licenseKey, siteDomain: row.domain })),
+      },
+      {
+        onSuccess: (batch) => {
+          setResults(batch.results);
+          if (batch.failed === 0) {
+            showSuccess(`${batch.activated} license${batch.activated !== 1 ? 's' : ''} activated`);
+          } else {
+            showError(`${batch.activated} activated, ${batch.failed} failed - see the list for details`);
+          }
+        },
+        onError: (error) => {
+          showError('Failed to activate licenses: ' + (error.message || 'Unknown error'));
+        },
+      }
+    );
+  };
+
+  return (
+    <>
+      <div
+        className="modal-overlay"
+        onClick={handleClose}
+        style={{ cursor: isSubmitting ? 'not-allowed' : 'pointer' }}
+      />
+      <div className="activate-modal bulk-activate-modal">
+        <div className="activate-modal-header">
+          <h2 className="activate-modal-title">Bulk activate license keys</h2>
+          <button
+            className="activate-modal-close"
+            onClick={handleClose}
+            title="Close"
+            disabled={isSubmitting}
+            style={{ opacity: isSubmitting ? 0.5 : 1, cursor: isSubmitting ? 'not-allowed' : 'pointer' }}
+          >
+            <svg width="20" height="20" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M15 5L5 15M5 5L15 15" stroke="#666" strokeWidth="2" strokeLinecap="round" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="activate-modal-body">
+          {results ? (
+            <>
+              <div className="bulk-activate-summary">
+                {results.filter((row) => row.success).length} of {results.length} activated
+              </div>
+              <div className="bulk-activate-rows">
+                {results.map((row) => (
+                  <div
+                    key={row.licenseKey}
+                    className={`bulk-activate-row ${row.success ? '' : 'has-error'}`}
+                  >
+                    <span className="bulk-activate-row-domain">{row.siteDomain}</span>
+                    <span className="bulk-activate-row-key">{row.licenseKey}</span>
+                    <span className="bulk-activate-row-status">
+                      {row.success ? 'Activated' : row.message || 'Failed'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+              <button className="activate-modal-submit" onClick={onClose}>
+                Done
+              </button>
+            </>
+          ) : (
+            <>
+              <textarea
+                className="bulk-activate-textarea"
+                value={domainText}
+                onChange={(e) => setDomainText(e.target.value)}
+                placeholder={'www.example.com\nwww.client-site.com\nhttps://another-client.io'}
+                rows={6}
+                disabled={isSubmitting}
+              />
+              <div className="bulk-activate-controls">
+                <label className={`bulk-activate-file-btn ${isSubmitting ? 'disabled' : ''}`}>
+                  Upload CSV
+                  <input
+                    type="file"
+                    accept=".csv,.txt,text/csv,text/plain"
+                    onChange={handleFile}
+                    disabled={isSubmitting}
+                  />
+                </label>
+                <select
+                  className="licenses-billing-filter"
+                  value={billingPeriod}
+                  onChange={(e) => setBillingPeriod(e.target.value)}
+                  disabled={isSubmitting}
+                >
+                  <option value="">Any billing period</option>
+                  <option value="Monthly">Monthly keys</option>
+                  <option value="Yearly">Yearly keys</option>
+                </select>
+                <span className="bulk-activate-summary">
+                  {availableLicenses.length} unassigned key{availableLicenses.length !== 1 ? 's' : ''}
+                </span>
+              </div>
+
+              {rows.length > 0 && (
+                <>
+                  <div className="bulk-activate-summary">
+                    {pairedRows.length} ready{skippedCount > 0 && `, ${skippedCount} skipped`}
+                  </div>
+                  <div className="bulk-activate-rows">
+                    {rows.map((row) => (
+                      <div key={row.line} className={`bulk-activate-row ${row.error ? 'has-error' : ''}`}>
+                        <span className="bulk-activate-row-domain">{row.domain || row.input}</span>
+                        <span className="bulk-activate-row-key">{row.license?.licenseKey || '-'}</span>
+                        <span className="bulk-activate-row-status">{row.error || 'Ready'}</span>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+              {overLimit && (
+                <div className="activate-modal-error">
+                  Up to {BULK_ACTIVATION_MAX} keys can be activated at once - remove {pairedRows.length - BULK_ACTIVATION_MAX} domain(s).
+                </div>
+              )}
+
+              <button
+                className={`activate-modal-submit ${isSubmitting ? 'activating' : ''}`}
+                onClick={handleSubmit}
+                disabled={isSubmitting || pairedRows.length === 0 || overLimit}
+              >
+                {isSubmitting
+                  ? `Activating ${pairedRows.length} license${pairedRows.length !== 1 ? 's' : ''}...`
+                  : `Activate ${pairedRows.length} license${pairedRows.length !== 1 ? 's' : ''}`}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
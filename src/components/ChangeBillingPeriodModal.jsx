@@ -0,0 +1,135 @@
+import { useNotification } from '../hooks/useNotification';
+import { useMemberstack } from '../hooks/useMemberstack';
+import { useBillingPeriodPreview, useChangeBillingPeriod } from '../hooks/useDashboardQueries';
+import { formatDate, formatMoney } from '../lib/normalize';
+import './ChangeBillingPeriodModal.css';
+
+/**
+ * Switch one subscription between monthly and yearly billing
+ * Shows Stripe's proration preview first - the license key and the site stay the same.
+ * Uses the cancel modal layout (Dashboard.css / Licenses.css).
+ */
+export default function ChangeBillingPeriodModal({ subscriptionId, siteDomain, currentBillingPeriod, onClose }) {
+  const { userEmail } = useMemberstack();
+  const { showSuccess } = useNotification();
+  const targetPeriod = currentBillingPeriod === 'Yearly' ? 'Monthly' : 'Yearly';
+
+  const { data: preview, isLoading, error } = useBillingPeriodPreview(userEmail, subscriptionId, targetPeriod);
+  const changeBillingPeriodMutation = useChangeBillingPeriod(userEmail);
+  const isChanging = changeBillingPeriodMutation.isChanging(subscriptionId);
+
+  const handleClose = () => {
+    if (isChanging) return; // Prevent closing while Stripe is charging
+    onClose();
+  };
+
+  const handleConfirm = () => {
+    if (!preview || isChanging) return;
+
+    changeBillingPeriodMutation.reset(); // A retry starts without the previous error
+    changeBillingPeriodMutation.mutate(
+      { subscriptionId, billingPeriod: targetPeriod, prorationDate: preview.prorationDate },
+      {
+        onSuccess: (response) => {
+          showSuccess(response.message || `Subscription for "${siteDomain}" is now billed ${targetPeriod.toLowerCase()}.`);
+          onClose();
+        },
+      }
+    );
+  };
+
+  return (
+    <>
+      <div
+        className="modal-overlay"
+        onClick={handleClose}
+        style={{ cursor: isChanging ? 'not-allowed' : 'pointer' }}
+      />
+      <div className="cancel-modal">
+        <div className="cancel-modal-header">
+          <h2 className="cancel-modal-title">Change Billing Period</h2>
+          <button
+            className="cancel-modal-close"
+            onClick={handleClose}
+            title="Close"
+            disabled={isChanging}
+            style={{ opacity: isChanging ? 0.5 : 1, cursor: isChanging ? 'not-allowed' : 'pointer' }}
+          >
+            <svg width="20" height="20" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M15 5L5 15M5 5L15 15" stroke="#666" strokeWidth="2" strokeLinecap="round" />
+            </svg>
+          </button>
+        </div>
+        <div className="cancel-modal-body">
+          <p className="cancel-modal-message">
+            Switch <strong>{siteDomain}</strong> from {currentBillingPeriod} to {targetPeriod} billing.
+            The license key stays the same and installed sites keep working.
+          </p>
+
+          {isLoading ? (
+            <div className="billing-period-preview-message">Calculating proration...</div>
+          ) : error ? (
+            <div className="billing-period-preview-message billing-period-preview-error">
+              {error.message || 'The proration preview could not be loaded.'}
+            </div>
+          ) : preview && (
+            <div className="billing-period-preview">
+              {preview.lines.map((line, index) => (
+                <div key={index} className="billing-period-preview-line">
+                  <span>{line.description}</span>
+                  <span>{formatMoney(line.amount, preview.currency)}</span>
+                </div>
+              ))}
+              <div className="billing-period-preview-line billing-period-preview-total">
+                {preview.credit > 0 ? (
+                  <>
+                    <span>Credit for future invoices</span>
+                    <span>{formatMoney(preview.credit, preview.currency)}</span>
+                  </>
+                ) : (
+                  <>
+                    <span>Charged today</span>
+                    <span>{formatMoney(preview.amountDue, preview.currency)}</span>
+                  </>
+                )}
+              </div>
+              {preview.currentPeriodEnd && (
+                <div className="billing-period-preview-renewal">
+                  Renews {targetPeriod.toLowerCase()} from {formatDate(preview.currentPeriodEnd)} at{' '}
+                  {formatMoney(preview.unitAmount * preview.quantity, preview.currency)}
+                  {preview.quantity > 1 &&
+                    ` (${preview.quantity} × ${formatMoney(preview.unitAmount, preview.currency)})`}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* A declined card (402 payment_failed) leaves the subscription unchanged */}
+          {changeBillingPeriodMutation.error && (
+            <div className="billing-period-preview-message billing-period-preview-error">
+              {changeBillingPeriodMutation.error.message || 'The billing period could not be changed.'}
+            </div>
+          )}
+
+          <div className="cancel-modal-actions">
+            <button
+              className="cancel-modal-cancel-btn"
+              onClick={handleClose}
+              disabled={isChanging}
+              style={{ opacity: isChanging ? 0.6 : 1, pointerEvents: isChanging ? 'none' : 'auto' }}
+            >
+              Cancel
+            </button>
+            <button
+              className="billing-period-confirm-btn"
+              onClick={handleConfirm}
+              disabled={!preview || isChanging}
+            >
+              {isChanging ? 'Switching...' : `Switch to ${targetPeriod}`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -1,14 +1,18 @@
-import { useState, useRef, useEffect, useMemo, useCallback } from "react";
+import { useState, useRef, useEffect, useMemo } from "react";
 import "./Dashboard.css";
 import total from "../assets/wff.png";
 import webflow from "../assets/webflow.png";
 import Framer from "../assets/Framer.png";
 import www from "../assets/WWW.png";
 import { useNotification } from "../hooks/useNotification";
-import { cancelSubscription, getLicensesStatus } from "../services/api";
-import { useQueryClient } from "@tanstack/react-query";
-import { queryKeys } from "../hooks/useDashboardQueries";
+import { useCancelSubscription, useResumeSubscription } from "../hooks/useDashboardQueries";
+import { combineStatuses, formatDate, formatPlatform } from "../lib/normalize";
 import { useMemberstack } from "../hooks/useMemberstack";
+import { usePurchaseProgress } from "../hooks/usePurchaseTracker";
+import ChangeBillingPeriodModal from "./ChangeBillingPeriodModal";
+import TransferLicenseModal from "./TransferLicenseModal";
+import ExportModal from "./ExportModal";
+import { domainExportColumns } from "../lib/export";
 
 // Status color mapping
 const statusColors = {
@@ -26,9 +30,11 @@ const sourceColors = {
 
 export default function Dashboard({
   sites = {},
-  subscriptions = {},
+  subscriptions = [],
   licenses = [],
   isPolling = false,
+  exportOpen = false,
+  onExportClose,
 }) {
   const [searchExpanded, setSearchExpanded] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
@@ -37,212 +43,54 @@ export default function Dashboard({
   const [copiedKey, setCopiedKey] = useState(null);
   const [contextMenu, setContextMenu] = useState(null);
   const contextMenuRef = useRef(null);
-  const [isCancelling, setIsCancelling] = useState(false);
   const [cancelModal, setCancelModal] = useState(null);
-  
-  // Queue polling state for license generation progress
-  const [isQueuePolling, setIsQueuePolling] = useState(false);
-  const [queueProgress, setQueueProgress] = useState(null);
-  const queueIntervalIdRef = useRef(null);
-  const queueStoppedRef = useRef(false);
+  const [billingPeriodModal, setBillingPeriodModal] = useState(null);
+  const [transferModal, setTransferModal] = useState(null);
   
   const { showSuccess, showError } = useNotification();
-  const queryClient = useQueryClient();
   const { userEmail } = useMemberstack();
-console.log(sites.subscriptions)
-
+  const cancelSubscriptionMutation = useCancelSubscription(userEmail);
+  // Only the subscription shown in the cancel modal locks the modal
+  const isCancelling = cancelSubscriptionMutation.isCancelling(cancelModal?.subscriptionId);
+  const resumeSubscriptionMutation = useResumeSubscription(userEmail);
 const licenseMap = new Map(
-  licenses.map(lic => [lic.subscription_id, lic.license_key])
+  licenses.map(lic => [lic.subscriptionId, lic.licenseKey])
 );
 console.log(licenseMap);
-  // Check queue status and update progress (for license generation)
-// ... existing code ...
-
-
-const checkQueueStatus = useCallback(async () => {
-  if (queueStoppedRef.current || !userEmail) return;
-
-  try {
-    const data = await getLicensesStatus(userEmail);
-    console.log('[Dashboard] Queue status response:', data); // Debug log
-
-    const status = (data.status || '').toLowerCase().trim();
-    const progress = data.progress || {};
-
-    if (status === 'pending' || status === 'processing') {
-      setIsQueuePolling(true);
-      setQueueProgress(progress);
-      
-      // Force refetch license data periodically to show new licenses as they're created
-      // Use refetchQueries with force: true to bypass staleTime: Infinity
-      const dashboardResult = await queryClient.refetchQueries({
-        queryKey: queryKeys.dashboard(userEmail),
-        type: 'active',
-      });
-      
-      const licensesResult = await queryClient.refetchQueries({
-        queryKey: queryKeys.licenses(userEmail),
-        type: 'active',
-      });
-      
-      // Update cache directly with new data if refetch succeeded
-      if (licensesResult && licensesResult.length > 0 && licensesResult[0].data) {
-        queryClient.setQueryData(queryKeys.licenses(userEmail), licensesResult[0].data);
-      }
-      
-      if (dashboardResult && dashboardResult.length > 0 && dashboardResult[0].data) {
-        queryClient.setQueryData(queryKeys.dashboard(userEmail), dashboardResult[0].data);
-      }
-    } else if (status === 'completed') {
-      setIsQueuePolling(false);
-      setQueueProgress(null);
-      queueStoppedRef.current = true;
-      
-      if (queueIntervalIdRef.current) {
-        clearInterval(queueIntervalIdRef.current);
-        queueIntervalIdRef.current = null;
-      }
-      
-      sessionStorage.removeItem('pendingLicensePurchase');
-      
-      // Final refresh to get all licenses - force refetch and update cache
-      const dashboardResult = await queryClient.refetchQueries({
-        queryKey: queryKeys.dashboard(userEmail),
-        type: 'active',
-      });
-      
-      const licensesResult = await queryClient.refetchQueries({
-        queryKey: queryKeys.licenses(userEmail),
-        type: 'active',
-      });
-      
-      // Update cache directly with new data
-      if (licensesResult && licensesResult.length > 0 && licensesResult[0].data) {
-        queryClient.setQueryData(queryKeys.licenses(userEmail), licensesResult[0].data);
-      }
-      
-      if (dashboardResult && dashboardResult.length > 0 && dashboardResult[0].data) {
-        queryClient.setQueryData(queryKeys.dashboard(userEmail), dashboardResult[0].data);
-      }
-      
-      // Show success message
-      const completedCount = progress.completed || 0;
-      if (completedCount > 0) {
-        showSuccess(`Successfully created ${completedCount} license${completedCount > 1 ? 's' : ''}!`);
-      } else {
-        showSuccess('License creation completed!');
-      }
-    } else if (status === 'failed') {
-      setIsQueuePolling(false);
-      setQueueProgress(null);
-      queueStoppedRef.current = true;
-      
-      if (queueIntervalIdRef.current) {
-        clearInterval(queueIntervalIdRef.current);
-        queueIntervalIdRef.current = null;
-      }
-      
-      sessionStorage.removeItem('pendingLicensePurchase');
-      
-      showError(
-        data.message ||
-          'License creation failed. Please contact support or try again.'
-      );
-    } else {
-      // Unknown status - log it but don't stop polling
-      console.log('[Dashboard] Unknown queue status:', status, data);
-    }
-  } catch (err) {
-    // Log error but don't stop polling
-    console.error('[Dashboard] Error checking queue status:', err);
-  }
-}, [userEmail, queryClient, showSuccess, showError]);
-
-// Start polling when component mounts if there's a pending purchase
-useEffect(() => {
-  if (!userEmail) return;
-
-  // Check if there's a pending purchase in sessionStorage
-  const pendingPurchase = sessionStorage.getItem('pendingLicensePurchase');
-  if (pendingPurchase) {
-    try {
-      const purchaseData = JSON.parse(pendingPurchase);
-      const purchaseTime = purchaseData.timestamp || 0;
-      const timeSincePurchase = Date.now() - purchaseTime;
-      
-      // Only start polling if purchase was recent (within last 30 minutes)
-      if (timeSincePurchase < 30 * 60 * 1000) {
-        queueStoppedRef.current = false;
-        setIsQueuePolling(true);
-        
-        // Check immediately
-        checkQueueStatus();
-        
-        // Then poll every 3 seconds
-        queueIntervalIdRef.current = setInterval(() => {
-          checkQueueStatus();
-        }, 3000);
-      } else {
-        // Purchase is too old, remove from sessionStorage
-        sessionStorage.removeItem('pendingLicensePurchase');
-      }
-    } catch (err) {
-      console.error('[Dashboard] Error parsing pending purchase:', err);
-      sessionStorage.removeItem('pendingLicensePurchase');
-    }
-  }
-
-  // Cleanup on unmount
-  return () => {
-    if (queueIntervalIdRef.current) {
-      clearInterval(queueIntervalIdRef.current);
-      queueIntervalIdRef.current = null;
-    }
-  };
-}, [userEmail, checkQueueStatus]);
+  // License generation progress of paid purchases - tracked by usePurchaseTracker (App.jsx)
+  const { isProcessing: isQueuePolling, progress: queueProgress } = usePurchaseProgress(userEmail, "licenses");
 
 // ... existing code ...
   // Calculate stats from real data
   const dashboardStats = useMemo(() => {
-    // Count activated sites from licenses
-    const activatedSites = licenses.filter(
-      (lic) =>
-        lic.status === "active" &&
-        (lic.used_site_domain || lic.site_domain),
+    const liveLicenses = licenses.filter(
+      (lic) => lic.status === "Active" || lic.status === "Cancelling",
     );
-    
+
+    // Count activated sites from licenses
+    const activatedSites = liveLicenses.filter((lic) => lic.siteDomain);
+
     const totalDomains = activatedSites.length;
-    
-    const activeSites = Object.values(sites).filter(
-      (site) => site.status === "active" || site.status === "pending",
-    ).length;
 
     // Create a combined map of sites from both sites object and licenses array
     // Priority: sites object first, then licenses (to avoid double-counting)
     const sitePlatformMap = new Map();
-    
+
     // Add sites from sites object
-    Object.entries(sites).forEach(([siteDomain, siteData]) => {
-      if (siteData && (siteData.platform || siteData.source)) {
-        const platform = (siteData.platform || siteData.source || '').toLowerCase().trim();
-        if (platform && (platform === 'webflow' || platform === 'framer')) {
-          sitePlatformMap.set(siteDomain.toLowerCase().trim(), platform);
-        }
+    Object.values(sites).forEach((site) => {
+      const platform = site.platform || (site.source || "").toLowerCase().trim();
+      if (platform === "webflow" || platform === "framer") {
+        sitePlatformMap.set(site.domain, platform);
       }
     });
-    
+
     // Add sites from licenses (only if not already in sites object)
-    licenses.forEach((lic) => {
-      const siteDomain = lic.used_site_domain || lic.site_domain;
-      if (siteDomain && lic.status === 'active') {
-        const normalizedDomain = siteDomain.toLowerCase().trim();
-        // Only add if not already in map (sites object takes priority)
-        if (!sitePlatformMap.has(normalizedDomain) && lic.platform) {
-          const platform = (lic.platform || '').toLowerCase().trim();
-          if (platform === 'webflow' || platform === 'framer') {
-            sitePlatformMap.set(normalizedDomain, platform);
-          }
-        }
+    activatedSites.forEach((lic) => {
+      if (
+        !sitePlatformMap.has(lic.siteDomain) &&
+        (lic.platform === "webflow" || lic.platform === "framer")
+      ) {
+        sitePlatformMap.set(lic.siteDomain, lic.platform);
       }
     });
 
@@ -250,28 +98,14 @@ useEffect(() => {
     const webflowCount = Array.from(sitePlatformMap.values()).filter(
       (platform) => platform === "webflow"
     ).length;
-    
 
     const framerCount = Array.from(sitePlatformMap.values()).filter(
       (platform) => platform === "framer"
     ).length;
 
-    console.log('[Dashboard] Platform counts:', {
-      webflow: webflowCount,
-      framer: framerCount,
-      totalSitesInMap: sitePlatformMap.size,
-      sitesObjectCount: Object.keys(sites).length,
-      licensesCount: licenses.length
-    });
-
     const activatedLicenseKeys = activatedSites.length;
 
-    const notAssignedLicenseKeys = licenses.filter(
-      (lic) =>
-        lic.status === "active" &&
-        !lic.used_site_domain &&
-        !lic.site_domain,
-    ).length;
+    const notAssignedLicenseKeys = liveLicenses.filter((lic) => !lic.siteDomain).length;
 
     return {
       totalDomains,
@@ -283,172 +117,38 @@ useEffect(() => {
   }, [sites, licenses]);
 
   // Process and combine data from subscriptions and activated licenses
+  // Statuses come from lib/normalize.js - a row merges the status of its site, subscription
+  // item and license so the same key shows the same status in every view
   const recentDomains = useMemo(() => {
     const allItems = [];
+    const licensesByKey = new Map(licenses.map((lic) => [lic.licenseKey, lic]));
 
-    const subscriptionsArray = Array.isArray(subscriptions)
-      ? subscriptions
-      : Object.values(subscriptions || {});
-
-    subscriptionsArray.forEach((subscription) => {
-      if (
-        !subscription ||
-        !subscription.items ||
-        !Array.isArray(subscription.items)
-      ) {
-        return;
-      }
-
-      const subscriptionId = subscription.subscriptionId || subscription.id;
-
-      subscription.items.forEach((item, itemIndex) => {
-        const siteDomain = item.site || item.site_domain;
-        if (!siteDomain || siteDomain.trim() === "") {
-          return;
-        }
-
-        // Skip placeholder sites
-        if (
-          siteDomain.startsWith("site_") &&
-          /^site_\d+$/.test(siteDomain)
-        ) {
-          return;
-        }
-        if (
-          (siteDomain.startsWith("license_") ||
-            siteDomain.startsWith("quantity_")) &&
-          !item.isActivated
-        ) {
-          return;
-        }
-
-        // Determine source
-        const source =
-          item.purchase_type === "quantity" && item.isActivated
-            ? "License Key"
-            : "Direct payment";
-
-        // Site name from sites object
-        const siteData = sites[siteDomain];
-        const siteName =
-          siteData?.name || siteData?.site_name || siteDomain;
-
-        // Determine status - check item, subscription, and site data
-        let status = "Active";
-        
-        // First check item status
-        if (item.status === "inactive" || item.status === "cancelled" || item.status === "canceled") {
-          status = "Cancelled";
-        } else if (item.status === "expired") {
-          status = "Expired";
-        } else if (item.status === "cancelling" || item.status === "canceling") {
-          status = "Cancelling";
-        }
-        // Then check subscription status
-        else if (
-          subscription.status === "cancelled" ||
-          subscription.status === "canceled" ||
-          subscription.cancel_at_period_end
-        ) {
-          if (
-            subscription.current_period_end &&
-            subscription.current_period_end <
-              Math.floor(Date.now() / 1000)
-          ) {
-            status = "Cancelled";
-          } else {
-            status = "Cancelling";
-          }
-        }
-        // Finally check site data status
-        if (siteData?.status) {
-          const siteStatus = (siteData.status || "").toLowerCase().trim();
-          if (siteStatus === "expired") {
-            status = "Expired";
-          } else if (siteStatus === "cancelled" || siteStatus === "canceled" || siteStatus === "inactive") {
-            status = "Cancelled";
-          } else if (siteStatus === "cancelling" || siteStatus === "canceling") {
-            status = "Cancelling";
-          }
-        }
-
-        // Billing period
-      let billingPeriod = "N/A";
-
-if (siteData?.current_period_start && siteData?.current_period_end) {
-  const diff =
-    siteData.current_period_end - siteData.current_period_start;
-
-  // ~30 days
-  if (diff <= 32 * 24 * 60 * 60) {
-    billingPeriod = "Monthly";
-  } else {
-    billingPeriod = "Yearly";
-  }
-}
-
-       let expirationDate = "N/A";
-
-const renewalDate = siteData?.renewal_date || siteData?.current_period_end;
-
-if (renewalDate) {
-  const ts =
-    typeof renewalDate === "number"
-      ? renewalDate
-      : parseInt(renewalDate);
-
-  expirationDate = new Date(
-    ts < 1e12 ? ts * 1000 : ts
-  ).toLocaleDateString();
-}
-
-        // Created date
-   let created = "N/A";
-
-// TAKE created_at FROM SITES TABLE OBJECT
-const createdAt = siteData?.created_at;
-
-if (createdAt) {
-  try {
-    const timestamp =
-      typeof createdAt === "number"
-        ? createdAt
-        : parseInt(createdAt);
-
-    const dateInMs = timestamp < 1e12
-      ? timestamp * 1000
-      : timestamp;
-
-    created = new Date(dateInMs).toLocaleDateString();
-  } catch {
-    created = "N/A";
-  }
-}
-
-
-
-        // Get platform from site data
-        const platform = siteData?.platform || siteData?.source || "N/A";
-        const platformDisplay = platform !== "N/A" 
-          ? platform.charAt(0).toUpperCase() + platform.slice(1).toLowerCase()
-          : "N/A";
+    subscriptions.forEach((subscription) => {
+      subscription.items.forEach((item) => {
+        const siteData = sites[item.siteDomain];
+        const license = item.licenseKey ? licensesByKey.get(item.licenseKey) : null;
+        const status = combineStatuses(item.status, siteData?.status, license?.status);
+        const createdAt = siteData?.createdAt || item.createdAt;
 
         allItems.push({
-          id: subscriptionId
-            ? `${subscriptionId}_${itemIndex}`
-            : `sub_${itemIndex}_${siteDomain}`,
-          domain: siteDomain,
-          siteName,
+          id: item.id,
+          domain: item.siteDomain,
+          siteName: siteData?.name || item.siteDomain,
           active: status === "Active" || status === "Cancelling",
-          source,
+          // Determine source
+          source:
+            item.purchaseType === "quantity" && item.isActivated
+              ? "License Key"
+              : "Direct payment",
           status,
-          billingPeriod,
-          expirationDate,
-          licenseKey: item.license_key || "N/A",
-          created,
+          billingPeriod: siteData?.billingPeriod || subscription.billingPeriod || "N/A",
+          expirationDate: formatDate(siteData?.expiresAt || item.expiresAt),
+          expiresAt: siteData?.expiresAt || item.expiresAt || null,
+          licenseKey: item.licenseKey || "N/A",
+          created: formatDate(createdAt),
           createdTimestamp: createdAt || 0,
-          subscriptionId,
-          platform: platformDisplay,
+          subscriptionId: subscription.id,
+          platform: formatPlatform(siteData?.platform),
         });
       });
     });
@@ -456,128 +156,30 @@ if (createdAt) {
     // Process licenses (including cancelled, inactive, etc.)
     licenses.forEach((license) => {
       // Only process licenses that are assigned to a site
-      const activatedSite = license.used_site_domain || license.site_domain;
-      if (!activatedSite) {
-        return; // Skip unassigned licenses
-      }
+      if (!license.siteDomain) return;
 
-      const alreadyAdded = allItems.some(
-        (item) =>
-          item.domain.toLowerCase().trim() ===
-          activatedSite.toLowerCase().trim(),
-      );
+      const alreadyAdded = allItems.some((item) => item.domain === license.siteDomain);
       if (alreadyAdded) return;
 
-      if (
-        activatedSite.startsWith("license_") ||
-        activatedSite.startsWith("quantity_") ||
-        activatedSite === "N/A" ||
-        activatedSite.startsWith("KEY-")
-      ) {
-        return;
-      }
-
-      // Determine status from license
-      const backendStatus = (license.status || "").toLowerCase().trim();
-      let status = "Active";
-      if (
-        backendStatus === "cancelled" ||
-        backendStatus === "canceled" ||
-        backendStatus === "inactive"
-      ) {
-        status = "Cancelled";
-      } else if (backendStatus === "expired") {
-        status = "Expired";
-      } else if (backendStatus === "cancelling") {
-        status = "Cancelling";
-      }
-
-      // Also check site data for status
-      const siteData = sites[activatedSite];
-      if (siteData) {
-        const siteStatus = (siteData.status || "").toLowerCase().trim();
-        if (siteStatus === "cancelled" || siteStatus === "canceled" || siteStatus === "inactive") {
-          status = "Cancelled";
-        } else if (siteStatus === "expired") {
-          status = "Expired";
-        } else if (siteStatus === "cancelling") {
-          status = "Cancelling";
-        }
-      }
-
-      let expirationDate = "N/A";
-      if (license.renewal_date) {
-        try {
-          const timestamp =
-            typeof license.renewal_date === "number"
-              ? license.renewal_date
-              : parseInt(license.renewal_date);
-          const dateInMs = timestamp < 1e12 ? timestamp * 1000 : timestamp;
-          expirationDate = new Date(dateInMs).toLocaleDateString();
-        } catch {
-          expirationDate = "N/A";
-        }
-      }
-
-      let created = "N/A";
-      if (license.created_at) {
-        try {
-          const timestamp =
-            typeof license.created_at === "number"
-              ? license.created_at
-              : parseInt(license.created_at);
-          const dateInMs = timestamp < 1e12 ? timestamp * 1000 : timestamp;
-          created = new Date(dateInMs).toLocaleDateString();
-        } catch {
-          created = "N/A";
-        }
-      }
-
-      let billingPeriod = "N/A";
-      if (license.billing_period) {
-        const period = license.billing_period.toLowerCase().trim();
-        if (period.endsWith("ly")) {
-          billingPeriod =
-            period.charAt(0).toUpperCase() + period.slice(1);
-        } else {
-          billingPeriod =
-            period.charAt(0).toUpperCase() + period.slice(1) + "ly";
-        }
-      }
-
-      const siteName =
-        siteData?.name || siteData?.site_name || activatedSite;
-
-      // Get subscriptionId from license first, then from site data
-      const subscriptionId = 
-        license.subscription_id || 
-        license.subscriptionId || 
-        siteData?.subscription_id || 
-        siteData?.subscriptionId || 
-        null;
-
-      // Get platform from site data
-      // const platform = siteData?.platform || siteData?.source || "N/A";
-      const platform = license.platform || "pending";
-      console.log("platform",platform)
-      const platformDisplay = platform !== "N/A" 
-        ? platform.charAt(0).toUpperCase() + platform.slice(1).toLowerCase()
-        : "N/A";
+      const siteData = sites[license.siteDomain];
+      const status = combineStatuses(license.status, siteData?.status);
 
       allItems.push({
-        id: `license_${license.license_key || activatedSite}`,
-        domain: activatedSite,
-        siteName,
+        id: `license_${license.licenseKey}`,
+        domain: license.siteDomain,
+        siteName: siteData?.name || license.siteDomain,
         active: status === "Active" || status === "Cancelling",
         source: "License Key",
         status,
-        billingPeriod,
-        expirationDate,
-        licenseKey: license.license_key || "N/A",
-        created,
-        createdTimestamp: license.created_at || 0,
-        subscriptionId,
-        platform: platformDisplay,
+        billingPeriod: license.billingPeriod || "N/A",
+        expirationDate: formatDate(license.expiresAt),
+        expiresAt: license.expiresAt,
+        licenseKey: license.licenseKey,
+        created: formatDate(license.createdAt),
+        createdTimestamp: license.createdAt || 0,
+        // Get subscriptionId from license first, then from site data
+        subscriptionId: license.subscriptionId || siteData?.subscriptionId || null,
+        platform: formatPlatform(license.platform, "Pending"),
       });
     });
 
@@ -685,7 +287,7 @@ const updatedFilteredDomains = filteredDomains.map(domain => ({
     }
     const rect = e.currentTarget.getBoundingClientRect();
     const MENU_WIDTH = 180;
-    const MENU_HEIGHT = 50;
+    const MENU_HEIGHT = 140;
     const viewportWidth = window.innerWidth;
     const viewportHeight = window.innerHeight;
 
@@ -709,6 +311,8 @@ const updatedFilteredDomains = filteredDomains.map(domain => ({
       subscriptionId: domain.subscriptionId,
       domainName: domain.domain,
       siteDomain: domain.domain,
+      billingPeriod: domain.billingPeriod,
+      licenseKey: domain.licenseKey !== "N/A" ? domain.licenseKey : null,
     });
   };
   // Close context menu when clicking outside (currently unused in active JSX)
@@ -738,6 +342,32 @@ const updatedFilteredDomains = filteredDomains.map(domain => ({
     setCancelModal(null);
   };
 
+  const handleOpenBillingPeriodModal = (subscriptionId, siteDomain, billingPeriod) => {
+    setBillingPeriodModal({ subscriptionId, siteDomain, billingPeriod });
+    setContextMenu(null);
+  };
+
+  const handleOpenTransferModal = (licenseKey, siteDomain) => {
+    setTransferModal({ licenseKey, currentDomain: siteDomain });
+    setContextMenu(null);
+  };
+
+  // No confirmation - resuming only undoes a pending cancellation
+  const handleResumeSubscription = (subscriptionId, siteDomain) => {
+    setContextMenu(null);
+    resumeSubscriptionMutation.mutate(
+      { subscriptionId },
+      {
+        onSuccess: (response) => {
+          showSuccess(response.message || `Subscription for "${siteDomain}" has been resumed.`);
+        },
+        onError: (error) => {
+          showError('Failed to resume subscription: ' + (error.message || 'Unknown error'));
+        },
+      }
+    );
+  };
+
   // const handleCancelSubscription = async () => {
   //   if (isCancelling) return;
   //   if (!cancelModal) return;
@@ -835,9 +465,8 @@ const updatedFilteredDomains = filteredDomains.map(domain => ({
   //     setIsCancelling(false);
   //   }
   // };
-  const handleCancelSubscription = async () => {
-    if (isCancelling) return;
-    if (!cancelModal) return;
+  const handleCancelSubscription = () => {
+    if (!cancelModal || isCancelling) return;
     
     const { subscriptionId, siteDomain } = cancelModal;
     
@@ -854,142 +483,22 @@ const updatedFilteredDomains = filteredDomains.map(domain => ({
       return;
     }
 
-    setIsCancelling(true);
-
-    try {
-      const response = await cancelSubscription(userEmail, siteDomain, subscriptionId);
-      if (response.success) {
-        const successMessage = response.message || `Subscription for "${siteDomain}" has been cancelled successfully.`;
-        showSuccess(successMessage);
-
-        // Update licenses cache
-        queryClient.setQueryData(
-          queryKeys.licenses(userEmail),
-          (oldData) => {
-            if (!oldData) return oldData;
-
-            const updatedLicenses = oldData.licenses?.map((lic) => {
-              // Match by subscription ID or site domain
-              const matchesSubscription = 
-                lic.subscription_id === subscriptionId ||
-                lic.subscriptionId === subscriptionId;
-              
-              const matchesDomain = 
-                (lic.used_site_domain || lic.site_domain || '').toLowerCase().trim() ===
-                siteDomain.toLowerCase().trim();
-
-              if (matchesSubscription || matchesDomain) {
-                return {
-                  ...lic,
-                  status: 'cancelled', // backend status
-                  subscription_id: lic.subscription_id || subscriptionId,
-                  subscriptionId: lic.subscriptionId || subscriptionId,
-                };
-              }
-
-              return lic;
-            });
-
-            return {
-              ...oldData,
-              licenses: updatedLicenses,
-            };
-          }
-        );
-
-        // Update dashboard cache - licenses
-        queryClient.setQueryData(
-          queryKeys.dashboard(userEmail),
-          (oldData) => {
-            if (!oldData) return oldData;
-
-            // Update licenses in dashboard
-            const updatedLicenses = oldData.licenses?.map((lic) => {
-              const matchesSubscription = 
-                lic.subscription_id === subscriptionId ||
-                lic.subscriptionId === subscriptionId;
-              
-              const matchesDomain = 
-                (lic.used_site_domain || lic.site_domain || '').toLowerCase().trim() ===
-                siteDomain.toLowerCase().trim();
-
-              if (matchesSubscription || matchesDomain) {
-                return {
-                  ...lic,
-                  status: 'cancelled',
-                  subscription_id: lic.subscription_id || subscriptionId,
-                  subscriptionId: lic.subscriptionId || subscriptionId,
-                };
-              }
-
-              return lic;
-            });
-
-            // Update sites
-            const updatedSites = { ...oldData.sites };
-            if (updatedSites[siteDomain]) {
-              updatedSites[siteDomain] = {
-                ...updatedSites[siteDomain],
-                status: 'cancelled',
-              };
-            }
-
-            // Update subscriptions
-            const subscriptionsArray = Array.isArray(oldData.subscriptions)
-              ? oldData.subscriptions
-              : Object.values(oldData.subscriptions || {});
-            
-            const updatedSubscriptions = subscriptionsArray.map((sub) => {
-              const subId = sub.subscription_id || sub.subscriptionId || sub.id;
-              if (subId === subscriptionId) {
-                return {
-                  ...sub,
-                  status: 'cancelled',
-                };
-              }
-              return sub;
-            });
-
-            // Convert back to original format if it was an object
-            const subscriptionsFormatted = Array.isArray(oldData.subscriptions)
-              ? updatedSubscriptions
-              : updatedSubscriptions.reduce((acc, sub) => {
-                  const subId = sub.subscription_id || sub.subscriptionId || sub.id;
-                  if (subId) {
-                    acc[subId] = sub;
-                  }
-                  return acc;
-                }, {});
-
-            return {
-              ...oldData,
-              licenses: updatedLicenses,
-              sites: updatedSites,
-              subscriptions: subscriptionsFormatted,
-            };
-          }
-        );
-
-        // Invalidate queries to trigger UI updates
-        queryClient.invalidateQueries({
-          queryKey: queryKeys.licenses(userEmail),
-          refetchType: 'none',
-        });
-        queryClient.invalidateQueries({
-          queryKey: queryKeys.dashboard(userEmail),
-          refetchType: 'none',
-        });
-
-        handleCloseCancelModal();
+    // Rows are marked "Cancelling" right away and rolled back if the request fails
+    cancelSubscriptionMutation.mutate(
+      { subscriptionId, siteDomain },
+      {
+        onSuccess: (response) => {
+          showSuccess(response.message || `Subscription for "${siteDomain}" has been cancelled successfully.`);
+          setCancelModal(null);
+        },
+        onError: (error) => {
+          showError(
+            'Failed to cancel subscription: ' +
+              (error.message || error.error || 'Unknown error'),
+          );
+        },
       }
-    } catch (error) {
-      showError(
-        'Failed to cancel subscription: ' +
-          (error.message || error.error || 'Unknown error'),
-      );
-    } finally {
-      setIsCancelling(false);
-    }
+    );
   };
 
   return (
@@ -1299,18 +808,65 @@ const updatedFilteredDomains = filteredDomains.map(domain => ({
                               }}
                             >
                               <button
-                                className="context-menu-item context-menu-item-danger"
+                                className="context-menu-item"
                                 onClick={() =>
-                                  handleOpenCancelModal(
+                                  handleOpenBillingPeriodModal(
                                     contextMenu.subscriptionId,
-                                    contextMenu.domainName,
                                     contextMenu.siteDomain,
+                                    contextMenu.billingPeriod,
                                   )
                                 }
-                                disabled={isCancelling || domain.status === "Cancelled" || domain.status === "Expired"}
+                                disabled={
+                                  domain.status !== "Active" ||
+                                  (domain.billingPeriod !== "Monthly" && domain.billingPeriod !== "Yearly")
+                                }
                               >
-                                <span>Cancel Subscription</span>
+                                <span>Change billing period</span>
                               </button>
+                              <button
+                                className="context-menu-item"
+                                onClick={() =>
+                                  handleOpenTransferModal(
+                                    contextMenu.licenseKey,
+                                    contextMenu.siteDomain,
+                                  )
+                                }
+                                disabled={!contextMenu.licenseKey || domain.status !== "Active"}
+                              >
+                                <span>Transfer to another domain</span>
+                              </button>
+                              {domain.status === "Cancelling" ? (
+                                <button
+                                  className="context-menu-item"
+                                  onClick={() =>
+                                    handleResumeSubscription(
+                                      contextMenu.subscriptionId,
+                                      contextMenu.siteDomain,
+                                    )
+                                  }
+                                  disabled={resumeSubscriptionMutation.isResuming(domain.subscriptionId)}
+                                >
+                                  <span>Resume subscription</span>
+                                </button>
+                              ) : (
+                                <button
+                                  className="context-menu-item context-menu-item-danger"
+                                  onClick={() =>
+                                    handleOpenCancelModal(
+                                      contextMenu.subscriptionId,
+                                      contextMenu.domainName,
+                                      contextMenu.siteDomain,
+                                    )
+                                  }
+                                  disabled={
+                                    cancelSubscriptionMutation.isCancelling(domain.subscriptionId) ||
+                                    domain.status === "Cancelled" ||
+                                    domain.status === "Expired"
+                                  }
+                                >
+                                  <span>Cancel Subscription</span>
+                                </button>
+                              )}
                             </div>
                           )}
                         </>
@@ -1324,6 +880,38 @@ const updatedFilteredDomains = filteredDomains.map(domain => ({
         </div>
       </div>
 
+      {/* Change Billing Period Modal */}
+      {billingPeriodModal !== null && (
+        <ChangeBillingPeriodModal
+          subscriptionId={billingPeriodModal.subscriptionId}
+          siteDomain={billingPeriodModal.siteDomain}
+          currentBillingPeriod={billingPeriodModal.billingPeriod}
+          onClose={() => setBillingPeriodModal(null)}
+        />
+      )}
+
+      {/* Export Modal - opened from the header */}
+      {exportOpen && (
+        <ExportModal
+          title="Export domains"
+          rows={filteredDomains}
+          columns={domainExportColumns}
+          filename="consentbit-domains"
+          sheetName="Domains"
+          note="The table lists the 20 most recent domains."
+          onClose={onExportClose}
+        />
+      )}
+
+      {/* Transfer License Modal */}
+      {transferModal !== null && (
+        <TransferLicenseModal
+          licenseKey={transferModal.licenseKey}
+          currentDomain={transferModal.currentDomain}
+          onClose={() => setTransferModal(null)}
+        />
+      )}
+
       {/* Cancel Subscription Modal */}
       {cancelModal !== null && (
         <>
@@ -0,0 +1,57 @@
+import { useEffect, useRef, useState } from 'react';
+import { loadStripe } from '../lib/checkout';
+import './EmbeddedCheckout.css';
+
+/**
+ * Stripe's embedded checkout for an ui_mode: 'embedded' session, mounted in place of a purchase form
+ * - onComplete: payment went through (Stripe does not redirect unless the payment method needs it)
+ * - onError: Stripe.js or the checkout could not be loaded - the modal falls back to the hosted checkout
+ * - onBack: leave the checkout without paying
+ */
+export default function EmbeddedCheckout({ clientSecret, onComplete, onError, onBack }) {
+  const containerRef = useRef(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const callbacksRef = useRef({ onComplete, onError });
+  callbacksRef.current = { onComplete, onError };
+
+  useEffect(() => {
+    let checkout = null;
+    let cancelled = false;
+
+    loadStripe()
+      .then((stripe) =>
+        stripe.initEmbeddedCheckout({
+          fetchClientSecret: () => Promise.resolve(clientSecret),
+          onComplete: () => callbacksRef.current.onComplete?.(),
+        })
+      )
+      .then((instance) => {
+        // Stripe allows one embedded checkout per page - release it if the modal already moved on
+        if (cancelled) {
+          instance.destroy();
+          return;
+        }
+        checkout = instance;
+        instance.mount(containerRef.current);
+        setIsLoading(false);
+      })
+      .catch((error) => {
+        if (!cancelled) callbacksRef.current.onError?.(error);
+      });
+
+    return () => {
+      cancelled = true;
+      checkout?.destroy();
+    };
+  }, [clientSecret]);
+
+  return (
+    <div className="embedded-checkout">
+      <button type="button" className="embedded-checkout-back" onClick={onBack}>
+        ← Back
+      </button>
+      {isLoading && <div className="embedded-checkout-loading">Loading secure checkout...</div>}
+      <div ref={containerRef} className="embedded-checkout-container" />
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import { useState } from 'react';
+import { useNotification } from '../hooks/useNotification';
+import { EXPORT_FORMATS, downloadRows } from '../lib/export';
+import './ExportModal.css';
+
+/**
+ * Download the rows a table currently shows (after its search/tab/billing filters)
+ * as CSV, JSON or XLSX with a choice of columns. Columns come from lib/export.js.
+ * Uses the cancel modal layout (Dashboard.css).
+ */
+export default function ExportModal({ title, rows = [], columns, filename, sheetName, note, onClose }) {
+  const { showSuccess, showError } = useNotification();
+  const [format, setFormat] = useState('csv');
+  const [selectedKeys, setSelectedKeys] = useState(() => columns.map((column) => column.key));
+
+  const selectedColumns = columns.filter((column) => selectedKeys.includes(column.key));
+  const allSelected = selectedColumns.length === columns.length;
+
+  const toggleColumn = (key) => {
+    setSelectedKeys((keys) => (keys.includes(key) ? keys.filter((k) => k !== key) : [...keys, key]));
+  };
+
+  const handleExport = () => {
+    if (rows.length === 0 || selectedColumns.length === 0) return;
+    try {
+      const fileName = downloadRows({ rows, columns: selectedColumns, format, filename, sheetName });
+      showSuccess(`Exported ${rows.length} row${rows.length !== 1 ? 's' : ''} to ${fileName}`);
+      onClose();
+    } catch (error) {
+      console.error('[ExportModal] Export failed:', error);
+      showError('Export failed: ' + (error.message || 'Unknown error'));
+    }
+  };
+
+  return (
+    <>
+      <div className="modal-overlay" onClick={onClose} />
+      <div className="cancel-modal export-modal">
+        <div className="cancel-modal-header">
+          <h2 className="cancel-modal-title">{title}</h2>
+          <button className="cancel-modal-close" onClick={onClose} title="Close">
+            <svg width="20" height="20" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M15 5L5 15M5 5L15 15" stroke="#666" strokeWidth="2" strokeLinecap="round" />
+            </svg>
+          </button>
+        </div>
+        <div className="cancel-modal-body">
+          <p className="export-modal-summary">
+            {rows.length} row{rows.length !== 1 ? 's' : ''} with the current filters
+            {note && <span className="export-modal-note">{note}</span>}
+          </p>
+
+          <div className="export-modal-section">
+            <span className="export-modal-label">Format</span>
+            <div className="export-modal-formats">
+              {EXPORT_FORMATS.map((option) => (
+                <label
+                  key={option.id}
+                  className={`export-modal-format ${format === option.id ? 'selected' : ''}`}
+                >
+                  <input
+                    type="radio"
+                    name="export-format"
+                    value={option.id}
+                    checked={format === option.id}
+                    onChange={() => setFormat(option.id)}
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="export-modal-section">
+            <div className="export-modal-columns-header">
+              <span className="export-modal-label">Columns</span>
+              <button
+                type="button"
+                className="export-modal-toggle-all"
+                onClick={() => setSelectedKeys(allSelected ? [] : columns.map((column) => column.key))}
+              >
+                {allSelected ? 'Clear all' : 'Select all'}
+              </button>
+            </div>
+            <div className="export-modal-columns">
+              {columns.map((column) => (
+                <label key={column.key} className="export-modal-column">
+                  <input
+                    type="checkbox"
+                    checked={selectedKeys.includes(column.key)}
+                    onChange={() => toggleColumn(column.key)}
+                  />
+                  {column.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="cancel-modal-actions">
+            <button className="cancel-modal-cancel-btn" onClick={onClose}>
+              Cancel
+            </button>
+            <button
+              className="export-modal-submit"
+              onClick={handleExport}
+              disabled={rows.length === 0 || selectedColumns.length === 0}
+            >
+              Export
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
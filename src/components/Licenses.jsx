@@ -1,12 +1,18 @@
-import { useState, useRef, useEffect, useCallback } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import { useNotification } from '../hooks/useNotification';
-import { cancelSubscription, activateLicense,getLicensesStatus } from '../services/api';
-import { useQueryClient } from '@tanstack/react-query';
-import { queryKeys } from '../hooks/useDashboardQueries';
+import { useCancelSubscription, useResumeSubscription, useActivateLicense } from '../hooks/useDashboardQueries';
+import { formatDate, formatPlatform } from '../lib/normalize';
 import { useMemberstack } from '../hooks/useMemberstack';
+import { usePurchaseProgress } from '../hooks/usePurchaseTracker';
+import ChangeBillingPeriodModal from './ChangeBillingPeriodModal';
+import BulkActivateModal from './BulkActivateModal';
+import TransferLicenseModal from './TransferLicenseModal';
+import UnassignLicenseModal from './UnassignLicenseModal';
+import ExportModal from './ExportModal';
+import { licenseExportColumns } from '../lib/export';
 import './Licenses.css';
 
-export default function Licenses({ licenses }) {
+export default function Licenses({ licenses, exportOpen = false, onExportClose }) {
   const [activeTab, setActiveTab] = useState('Not Assigned');
   const [searchQuery, setSearchQuery] = useState('');
   const [isSearchExpanded, setIsSearchExpanded] = useState(false);
@@ -14,278 +20,46 @@ export default function Licenses({ licenses }) {
   const [contextMenu, setContextMenu] = useState(null);
   const [activateModal, setActivateModal] = useState(null);
   const [cancelModal, setCancelModal] = useState(null);
+  const [billingPeriodModal, setBillingPeriodModal] = useState(null);
+  const [bulkActivateOpen, setBulkActivateOpen] = useState(false);
+  const [transferModal, setTransferModal] = useState(null);
+  const [unassignModal, setUnassignModal] = useState(null);
   const [domainInput, setDomainInput] = useState('');
   const [domainError, setDomainError] = useState('');
   const [copiedKey, setCopiedKey] = useState(null);
-  const [isCancelling, setIsCancelling] = useState(false);
-  const [isActivatingLicense, setActivatingLicense] = useState(false);
-
-  // Queue polling state
-  const [isQueuePolling, setIsQueuePolling] = useState(false);
-  const [queueProgress, setQueueProgress] = useState(null);
-  const intervalIdRef = useRef(null);
-  const stoppedRef = useRef(false);
 
   const contextMenuRef = useRef(null);
   const searchInputRef = useRef(null);
   const { showSuccess, showError } = useNotification();
-  const queryClient = useQueryClient();
   const { userEmail } = useMemberstack();
+  const cancelSubscriptionMutation = useCancelSubscription(userEmail);
+  // Only the subscription shown in the cancel modal locks the modal
+  const isCancelling = cancelSubscriptionMutation.isCancelling(cancelModal?.subscriptionId);
+  const resumeSubscriptionMutation = useResumeSubscription(userEmail);
+  const activateLicenseMutation = useActivateLicense(userEmail);
+  const isActivatingLicense = activateLicenseMutation.isActivating(activateModal?.id);
 
-  // Check queue status and update progress
-  const checkStatus = useCallback(async () => {
-    if (stoppedRef.current || !userEmail) return;
-
-    try {
-      const data = await getLicensesStatus(userEmail);
-      console.log('[Licenses] Queue status response:', data); // Debug log
-
-      const status = (data.status || '').toLowerCase().trim();
-      const progress = data.progress || {};
-
-      if (status === 'pending' || status === 'processing') {
-        setIsQueuePolling(true);
-        setQueueProgress(progress);
-        
-        // Force refetch license data periodically to show new licenses as they're created
-        // Use refetchQueries to bypass staleTime: Infinity
-        const dashboardResult = await queryClient.refetchQueries({
-          queryKey: queryKeys.dashboard(userEmail),
-          type: 'active',
-        });
-        
-        const licensesResult = await queryClient.refetchQueries({
-          queryKey: queryKeys.licenses(userEmail),
-          type: 'active',
-        });
-        
-        // Update cache directly with new data if refetch succeeded
-        if (licensesResult && licensesResult.length > 0 && licensesResult[0].data) {
-          queryClient.setQueryData(queryKeys.licenses(userEmail), licensesResult[0].data);
-        }
-        
-        if (dashboardResult && dashboardResult.length > 0 && dashboardResult[0].data) {
-          queryClient.setQueryData(queryKeys.dashboard(userEmail), dashboardResult[0].data);
-        }
-      } else if (status === 'completed') {
-        setIsQueuePolling(false);
-        setQueueProgress(null);
-        stoppedRef.current = true;
-        
-        if (intervalIdRef.current) {
-          clearInterval(intervalIdRef.current);
-          intervalIdRef.current = null;
-        }
-        
-        sessionStorage.removeItem('pendingLicensePurchase');
-        
-        // Final refresh to get all licenses - force refetch and update cache
-        const dashboardResult = await queryClient.refetchQueries({
-          queryKey: queryKeys.dashboard(userEmail),
-          type: 'active',
-        });
-        
-        const licensesResult = await queryClient.refetchQueries({
-          queryKey: queryKeys.licenses(userEmail),
-          type: 'active',
-        });
-        
-        // Update cache directly with new data
-        if (licensesResult && licensesResult.length > 0 && licensesResult[0].data) {
-          queryClient.setQueryData(queryKeys.licenses(userEmail), licensesResult[0].data);
-        }
-        
-        if (dashboardResult && dashboardResult.length > 0 && dashboardResult[0].data) {
-          queryClient.setQueryData(queryKeys.dashboard(userEmail), dashboardResult[0].data);
-        }
-        
-        // Show success message - use completed count from queue, not total licenses
-        const completedCount = progress.completed || 0;
-        if (completedCount > 0) {
-          showSuccess(`Successfully created ${completedCount} license${completedCount > 1 ? 's' : ''}!`);
-        } else {
-          showSuccess('License creation completed!');
-        }
-      } else if (status === 'failed') {
-        setIsQueuePolling(false);
-        setQueueProgress(null);
-        stoppedRef.current = true;
-        
-        if (intervalIdRef.current) {
-          clearInterval(intervalIdRef.current);
-          intervalIdRef.current = null;
-        }
-        
-        sessionStorage.removeItem('pendingLicensePurchase');
-        
-        showError(
-          data.message ||
-            'License creation failed. Please contact support or try again.'
-        );
-      } else {
-        // Unknown status - log it but don't stop polling
-        console.log('[Licenses] Unknown queue status:', status, data);
-      }
-    } catch (err) {
-      // Log error but don't stop polling
-      console.error('[Licenses] Error checking queue status:', err);
-    }
-  }, [userEmail, queryClient, showSuccess, showError]);
-
-  // Start polling when component mounts if there's a pending purchase
-  useEffect(() => {
-    if (!userEmail) return;
-
-    // Check if there's a pending purchase in sessionStorage
-    const pendingPurchase = sessionStorage.getItem('pendingLicensePurchase');
-    if (pendingPurchase) {
-      try {
-        const purchaseData = JSON.parse(pendingPurchase);
-        const purchaseTime = purchaseData.timestamp || 0;
-        const timeSincePurchase = Date.now() - purchaseTime;
-        
-        // Only start polling if purchase was recent (within last 30 minutes)
-        // Queue processing should complete within a few minutes
-        if (timeSincePurchase < 30 * 60 * 1000) {
-          stoppedRef.current = false;
-          setIsQueuePolling(true);
-          
-          // Check immediately
-          checkStatus();
-          
-          // Then poll every 3 seconds
-          intervalIdRef.current = setInterval(() => {
-            checkStatus();
-          }, 3000);
-        } else {
-          // Purchase is too old, remove from sessionStorage
-          sessionStorage.removeItem('pendingLicensePurchase');
-        }
-      } catch (err) {
-        console.error('[Licenses] Error parsing pending purchase:', err);
-        sessionStorage.removeItem('pendingLicensePurchase');
-      }
-    }
-
-    // Cleanup on unmount
-    return () => {
-      if (intervalIdRef.current) {
-        clearInterval(intervalIdRef.current);
-        intervalIdRef.current = null;
-      }
-    };
-  }, [userEmail, checkStatus]);
+  // License generation progress of paid purchases - tracked by usePurchaseTracker (App.jsx)
+  const { isProcessing: isQueuePolling, progress: queueProgress } = usePurchaseProgress(userEmail, 'licenses');
 
 // ... existing code ...
   // Prepare licenses
-  const displayLicenses =
-    licenses && licenses.length > 0
-      ? licenses.map((lic) => {
-          const activatedForSite =
-            lic.activated_for_site ||
-            lic.activatedForSite ||
-            lic.used_site_domain ||
-            lic.site_domain ||
-            'Not Assigned';
-
-          const isActivated =
-            activatedForSite !== 'Not Assigned' &&
-            activatedForSite !== null &&
-            activatedForSite !== undefined &&
-            String(activatedForSite).trim() !== '';
-
-          const backendStatus = (lic.status || '').toLowerCase().trim();
-
-          let status;
-          if (
-            backendStatus === 'cancelled' ||
-            backendStatus === 'canceled' ||
-            backendStatus === 'inactive'
-          ) {
-            status = 'Cancelled';
-          } else if (isActivated) {
-            status = 'Active';
-          } else {
-            status = 'Available';
-          }
-
-          let createdDate = 'N/A';
-          const createdAt = lic.created_at || lic.created_date || lic.createdDate;
-          if (createdAt) {
-            try {
-              const timestamp =
-                typeof createdAt === 'number' ? createdAt : parseInt(createdAt);
-              const dateInMs = timestamp < 1e12 ? timestamp * 1000 : timestamp;
-              if (!isNaN(dateInMs)) {
-                const date = new Date(dateInMs);
-                const month = String(date.getMonth() + 1).padStart(2, '0');
-                const day = String(date.getDate()).padStart(2, '0');
-                const year = date.getFullYear();
-                createdDate = `${month}/${day}/${year}`;
-              }
-            } catch {
-              createdDate = 'N/A';
-            }
-          }
-
-          let expiryDate = 'N/A';
-          const expiryTimestamp =
-            lic.renewal_date ||
-            lic.expires_at ||
-            lic.expiry_date ||
-            lic.expiryDate ||
-            lic.expiration_date;
-          if (expiryTimestamp) {
-            try {
-              const timestamp =
-                typeof expiryTimestamp === 'number'
-                  ? expiryTimestamp
-                  : parseInt(expiryTimestamp);
-              const dateInMs = timestamp < 1e12 ? timestamp * 1000 : timestamp;
-              if (!isNaN(dateInMs)) {
-                const date = new Date(dateInMs);
-                const month = String(date.getMonth() + 1).padStart(2, '0');
-                const day = String(date.getDate()).padStart(2, '0');
-                const year = date.getFullYear();
-                expiryDate = `${month}/${day}/${year}`;
-              }
-            } catch {
-              expiryDate = 'N/A';
-            }
-          }
-
-          // Normalize billing period to match filter options
-          let billingPeriod = 'N/A';
-          const rawBillingPeriod = lic.billing_period || lic.billingPeriod;
-          if (rawBillingPeriod) {
-            const period = rawBillingPeriod.toLowerCase().trim();
-            if (period.endsWith('ly')) {
-              billingPeriod = period.charAt(0).toUpperCase() + period.slice(1);
-            } else {
-              billingPeriod = period.charAt(0).toUpperCase() + period.slice(1) + 'ly';
-            }
-          }
-
-          // Get platform from license data (if available) or set to N/A
-          const platform = lic.platform || lic.source || 'N/A';
-          const platformDisplay = platform !== 'N/A' 
-            ? platform.charAt(0).toUpperCase() + platform.slice(1).toLowerCase()
-            : 'N/A';
-
-          return {
-            id: lic.id || lic.license_key,
-            licenseKey: lic.license_key || lic.licenseKey || 'N/A',
-            status,
-            billingPeriod,
-            activatedForSite,
-            createdDate,
-            expiryDate,
-            subscriptionId: lic.subscription_id || lic.subscriptionId || null,
-            siteDomain: lic.used_site_domain || lic.site_domain || null,
-            platform: platformDisplay,
-          };
-        })
-      : [];
+  // Licenses are already normalized (lib/normalize.js) - only display formatting happens here
+  const displayLicenses = (licenses || []).map((lic) => ({
+    id: lic.id,
+    licenseKey: lic.licenseKey,
+    status: lic.status,
+    billingPeriod: lic.billingPeriod || 'N/A',
+    activatedForSite: lic.siteDomain || 'Not Assigned',
+    createdDate: formatDate(lic.createdAt),
+    expiryDate: formatDate(lic.expiresAt),
+    subscriptionId: lic.subscriptionId,
+    purchaseType: lic.purchaseType,
+    siteDomain: lic.siteDomain,
+    platform: formatPlatform(lic.platform),
+    createdAt: lic.createdAt,
+    expiresAt: lic.expiresAt,
+  }));
 
   // Close context menu when clicking outside
   useEffect(() => {
@@ -341,9 +115,48 @@ export default function Licenses({ licenses }) {
     setCancelModal(null);
   };
 
-  const handleCancelSubscription = async () => {
-    if (isCancelling) return;
-    if (!cancelModal) return;
+  // Only active subscriptions with a known period can switch between monthly and yearly
+  const canChangeBillingPeriod = (license) =>
+    !!license.subscriptionId &&
+    license.status === 'Active' &&
+    (license.billingPeriod === 'Monthly' || license.billingPeriod === 'Yearly');
+
+  const handleOpenBillingPeriodModal = (license) => {
+    setBillingPeriodModal({
+      subscriptionId: license.subscriptionId,
+      siteDomain: license.siteDomain || license.licenseKey,
+      billingPeriod: license.billingPeriod,
+    });
+    setContextMenu(null);
+  };
+
+  const handleOpenTransferModal = (license) => {
+    setTransferModal({ licenseKey: license.licenseKey, currentDomain: license.siteDomain });
+    setContextMenu(null);
+  };
+
+  const handleOpenUnassignModal = (license) => {
+    setUnassignModal({ licenseKey: license.licenseKey, siteDomain: license.siteDomain });
+    setContextMenu(null);
+  };
+
+  const handleResumeSubscription = (license) => {
+    setContextMenu(null);
+    resumeSubscriptionMutation.mutate(
+      { subscriptionId: license.subscriptionId },
+      {
+        onSuccess: (response) => {
+          showSuccess(response.message || 'Subscription has been resumed.');
+        },
+        onError: (error) => {
+          showError('Failed to resume subscription: ' + (error.message || 'Unknown error'));
+        },
+      }
+    );
+  };
+
+  const handleCancelSubscription = () => {
+    if (!cancelModal || isCancelling) return;
     
     const { subscriptionId, siteDomain } = cancelModal;
     
@@ -360,142 +173,22 @@ export default function Licenses({ licenses }) {
       return;
     }
 
-    setIsCancelling(true);
-
-    try {
-      const response = await cancelSubscription(userEmail, siteDomain, subscriptionId);
-      if (response.success) {
-        const successMessage = response.message || `Subscription for "${siteDomain}" has been cancelled successfully.`;
-        showSuccess(successMessage);
-
-        // Update licenses cache
-        queryClient.setQueryData(
-          queryKeys.licenses(userEmail),
-          (oldData) => {
-            if (!oldData) return oldData;
-
-            const updatedLicenses = oldData.licenses?.map((lic) => {
-              // Match by subscription ID or site domain
-              const matchesSubscription = 
-                lic.subscription_id === subscriptionId ||
-                lic.subscriptionId === subscriptionId;
-              
-              const matchesDomain = 
-                (lic.used_site_domain || lic.site_domain || '').toLowerCase().trim() ===
-                siteDomain.toLowerCase().trim();
-
-              if (matchesSubscription || matchesDomain) {
-                return {
-                  ...lic,
-                  status: 'cancelled', // backend status
-                  subscription_id: lic.subscription_id || subscriptionId,
-                  subscriptionId: lic.subscriptionId || subscriptionId,
-                };
-              }
-
-              return lic;
-            });
-
-            return {
-              ...oldData,
-              licenses: updatedLicenses,
-            };
-          }
-        );
-
-        // Update dashboard cache - licenses
-        queryClient.setQueryData(
-          queryKeys.dashboard(userEmail),
-          (oldData) => {
-            if (!oldData) return oldData;
-
-            // Update licenses in dashboard
-            const updatedLicenses = oldData.licenses?.map((lic) => {
-              const matchesSubscription = 
-                lic.subscription_id === subscriptionId ||
-                lic.subscriptionId === subscriptionId;
-              
-              const matchesDomain = 
-                (lic.used_site_domain || lic.site_domain || '').toLowerCase().trim() ===
-                siteDomain.toLowerCase().trim();
-
-              if (matchesSubscription || matchesDomain) {
-                return {
-                  ...lic,
-                  status: 'cancelled',
-                  subscription_id: lic.subscription_id || subscriptionId,
-                  subscriptionId: lic.subscriptionId || subscriptionId,
-                };
-              }
-
-              return lic;
-            });
-
-            // Update sites
-            const updatedSites = { ...oldData.sites };
-            if (updatedSites[siteDomain]) {
-              updatedSites[siteDomain] = {
-                ...updatedSites[siteDomain],
-                status: 'cancelled',
-              };
-            }
-
-            // Update subscriptions
-            const subscriptionsArray = Array.isArray(oldData.subscriptions)
-              ? oldData.subscriptions
-              : Object.values(oldData.subscriptions || {});
-            
-            const updatedSubscriptions = subscriptionsArray.map((sub) => {
-              const subId = sub.subscription_id || sub.subscriptionId || sub.id;
-              if (subId === subscriptionId) {
-                return {
-                  ...sub,
-                  status: 'cancelled',
-                };
-              }
-              return sub;
-            });
-
-            // Convert back to original format if it was an object
-            const subscriptionsFormatted = Array.isArray(oldData.subscriptions)
-              ? updatedSubscriptions
-              : updatedSubscriptions.reduce((acc, sub) => {
-                  const subId = sub.subscription_id || sub.subscriptionId || sub.id;
-                  if (subId) {
-                    acc[subId] = sub;
-                  }
-                  return acc;
-                }, {});
-
-            return {
-              ...oldData,
-              licenses: updatedLicenses,
-              sites: updatedSites,
-              subscriptions: subscriptionsFormatted,
-            };
-          }
-        );
-
-        // Invalidate queries to trigger UI updates
-        queryClient.invalidateQueries({
-          queryKey: queryKeys.licenses(userEmail),
-          refetchType: 'none',
-        });
-        queryClient.invalidateQueries({
-          queryKey: queryKeys.dashboard(userEmail),
-          refetchType: 'none',
-        });
-
-        handleCloseCancelModal();
+    // Rows are marked "Cancelling" right away and rolled back if the request fails
+    cancelSubscriptionMutation.mutate(
+      { subscriptionId, siteDomain },
+      {
+        onSuccess: (response) => {
+          showSuccess(response.message || `Subscription for "${siteDomain}" has been cancelled successfully.`);
+          setCancelModal(null);
+        },
+        onError: (error) => {
+          showError(
+            'Failed to cancel subscription: ' +
+              (error.message || error.error || 'Unknown error'),
+          );
+        },
       }
-    } catch (error) {
-      showError(
-        'Failed to cancel subscription: ' +
-          (error.message || error.error || 'Unknown error'),
-      );
-    } finally {
-      setIsCancelling(false);
-    }
+    );
   };
 
   const MENU_WIDTH = 180;
@@ -540,48 +233,6 @@ const handleContextMenu = (e, licenseId) => {
     return domainPattern.test(domain.trim());
   };
 
-  // Check if domain is already activated (checks both props and query cache)
-  const checkDomainAlreadyActivated = (domain) => {
-    const normalizedDomain = domain.trim().toLowerCase();
-    
-    // Check licenses prop
-    if (licenses && Array.isArray(licenses)) {
-      const foundInProps = licenses.some((lic) => {
-        const activatedDomain = (
-          lic.activated_for_site ||
-          lic.activatedForSite ||
-          lic.used_site_domain ||
-          lic.site_domain ||
-          ''
-        ).toLowerCase().trim();
-        
-        return activatedDomain === normalizedDomain && activatedDomain !== '';
-      });
-      
-      if (foundInProps) return true;
-    }
-    
-    // Also check query cache for latest data
-    const cachedData = queryClient.getQueryData(queryKeys.licenses(userEmail));
-    if (cachedData && cachedData.licenses && Array.isArray(cachedData.licenses)) {
-      const foundInCache = cachedData.licenses.some((lic) => {
-        const activatedDomain = (
-          lic.activated_for_site ||
-          lic.activatedForSite ||
-          lic.used_site_domain ||
-          lic.site_domain ||
-          ''
-        ).toLowerCase().trim();
-        
-        return activatedDomain === normalizedDomain && activatedDomain !== '';
-      });
-      
-      if (foundInCache) return true;
-    }
-    
-    return false;
-  };
-
   const handleDomainInputChange = (e) => {
     const value = e.target.value;
     setDomainInput(value);
@@ -607,17 +258,13 @@ const handleContextMenu = (e, licenseId) => {
       return false;
     }
 
-    // Check if already activated
-    if (checkDomainAlreadyActivated(trimmedDomain)) {
-      setDomainError('This domain is already activated. Please use a different domain.');
-      return false;
-    }
+    // Domains that already have an active license are detected by the worker (see useActivateLicense)
 
     setDomainError('');
     return true;
   };
 
-  const handleActivateSubmit = async () => {
+  const handleActivateSubmit = () => {
     if (isActivatingLicense) return; // Prevent multiple submissions
 
     if (!activateModal?.id) {
@@ -632,144 +279,52 @@ const handleContextMenu = (e, licenseId) => {
     // }
 
     const domainToActivate = domainInput.trim();
-    const licenseId = activateModal.id;
-
-    setActivatingLicense(true);
 
-    // Optimistic update - update the UI immediately
-    queryClient.setQueryData(queryKeys.licenses(userEmail), (oldData) => {
-      if (!oldData) return oldData;
-      
-      const updatedLicenses = oldData.licenses?.map((lic) => {
-        const matchId = lic.id === licenseId || 
-                       lic.license_key === licenseId || 
-                       lic.licenseKey === licenseId;
-        
-        if (matchId) {
-          return {
-            ...lic,
-            used_site_domain: domainToActivate,
-            site_domain: domainToActivate,
-            status: 'active', // Optimistically set as active
-          };
-        }
-        return lic;
-      });
-
-      return {
-        ...oldData,
-        licenses: updatedLicenses,
-      };
-    });
-
-    try {
-      const response = await activateLicense(
-        licenseId,
-        domainToActivate,
-        userEmail,
-      );
-
-      if (response.success || !response.error) {
-        showSuccess(`License activated for ${domainToActivate}`);
-        
-        // Update query client state with the response data
-        queryClient.setQueryData(queryKeys.licenses(userEmail), (oldData) => {
-          if (!oldData) return oldData;
-          
-          const updatedLicenses = oldData.licenses?.map((lic) => {
-            const matchId = lic.id === licenseId || 
-                           lic.license_key === licenseId || 
-                           lic.licenseKey === licenseId ||
-                           (response.license && (
-                             lic.id === response.license.id ||
-                             lic.license_key === response.license.license_key ||
-                             lic.licenseKey === response.license.license_key
-                           ));
-            
-            if (matchId) {
-              // Update with response data if available, otherwise use optimistic data
-              return {
-                ...lic,
-                used_site_domain: response.license?.used_site_domain || domainToActivate,
-                site_domain: response.license?.site_domain || domainToActivate,
-                activated_for_site: response.license?.activated_for_site || domainToActivate,
-                status: response.license?.status || 'active',
-                ...(response.license || {}), // Merge any additional fields from response
-              };
-            }
-            return lic;
-          });
-
-          return {
-            ...oldData,
-            licenses: updatedLicenses,
-          };
-        });
-
-        // Also update dashboard data to reflect the activation
-        queryClient.setQueryData(queryKeys.dashboard(userEmail), (oldData) => {
-          if (!oldData) return oldData;
-          
-          // Update sites if the response includes site data
-          if (response.site) {
-            const updatedSites = {
-              ...oldData.sites,
-              [domainToActivate]: {
-                ...oldData.sites?.[domainToActivate],
-                ...response.site,
-                status: 'active',
-              },
-            };
-            
-            return {
-              ...oldData,
-              sites: updatedSites,
-            };
+    // The row updates immediately and is rolled back unless the activation succeeds
+    activateLicenseMutation.mutate(
+      { licenseKey: activateModal.id, siteDomain: domainToActivate },
+      {
+        onSuccess: (result) => {
+          if (result.type === 'success') {
+            showSuccess(`License activated for ${domainToActivate}`);
+            setActivateModal(null);
+            setDomainInput('');
+            setDomainError('');
+            return;
           }
-          
-          return oldData;
-        });
-
-        // Mark queries as stale to trigger re-render with updated cache data
-        // This ensures the parent component receives the updated licenses prop without refetching
-        queryClient.invalidateQueries({
-          queryKey: queryKeys.licenses(userEmail),
-          refetchType: 'none', // Don't refetch, just use updated cache
-        });
-        queryClient.invalidateQueries({
-          queryKey: queryKeys.dashboard(userEmail),
-          refetchType: 'none', // Don't refetch, just use updated cache
-        });
-
-        handleCloseActivateModal();
-      } else {
-        // Revert optimistic update on error
-        await queryClient.invalidateQueries({
-          queryKey: queryKeys.licenses(userEmail),
-        });
-        showError(response.message || response.error || 'Failed to activate license');
+          // Domain problems are shown under the input so the user can correct it
+          if (result.type === 'already-active' || result.type === 'invalid-domain') {
+            setDomainError(result.message);
+            return;
+          }
+          showError(result.message || 'Failed to activate license');
+        },
+        onError: (err) => {
+          showError('Failed to activate license: ' + (err.message || 'Unknown error'));
+        },
       }
-    } catch (err) {
-      // Revert optimistic update on error
-      await queryClient.invalidateQueries({
-        queryKey: queryKeys.licenses(userEmail),
-      });
-      showError('Failed to activate license: ' + (err.message || 'Unknown error'));
-    } finally {
-      setActivatingLicense(false);
-    }
+    );
   };
 
+  // Keys that can go into a bulk activation
+  const unassignedCount = (licenses || []).filter((lic) => !lic.siteDomain && lic.status === 'Active').length;
+
   // Filter licenses
   const filteredLicenses = displayLicenses.filter((license) => {
     if (activeTab === 'Not Assigned' && license.activatedForSite !== 'Not Assigned')
       return false;
     if (
       activeTab === 'Activated' &&
-      (license.activatedForSite === 'Not Assigned' || license.status !== 'Active')
+      (license.activatedForSite === 'Not Assigned' ||
+        (license.status !== 'Active' && license.status !== 'Cancelling'))
+    )
+      return false;
+    if (
+      activeTab === 'Cancelled' &&
+      license.status !== 'Cancelled' &&
+      license.status !== 'Expired'
     )
       return false;
-    if (activeTab === 'Cancelled' && license.status !== 'Cancelled') return false;
     if (
       searchQuery &&
       !license.licenseKey.toLowerCase().includes(searchQuery.toLowerCase())
@@ -835,6 +390,15 @@ const handleContextMenu = (e, licenseId) => {
         </h1>
 
         <div className="licenses-header-controls">
+          <button
+            type="button"
+            className="licenses-bulk-activate-btn"
+            onClick={() => setBulkActivateOpen(true)}
+            disabled={unassignedCount === 0}
+            title={unassignedCount === 0 ? 'No unassigned license keys' : 'Activate several keys from a list of domains'}
+          >
+            Bulk activate
+          </button>
           <div
             className={`licenses-search-wrapper ${
               isSearchExpanded ? 'expanded' : ''
@@ -1165,14 +729,54 @@ const handleContextMenu = (e, licenseId) => {
                               </>
                             )}
 
-                            {/* ACTIVATED TAB: only cancel subscription */}
+                            {canChangeBillingPeriod(license) && (
+                              <button
+                                className="context-menu-item"
+                                onClick={() => handleOpenBillingPeriodModal(license)}
+                              >
+                                <span>Change billing period</span>
+                              </button>
+                            )}
+
+                            {license.subscriptionId && license.status === 'Cancelling' && (
+                              <button
+                                className="context-menu-item"
+                                onClick={() => handleResumeSubscription(license)}
+                                disabled={resumeSubscriptionMutation.isResuming(license.subscriptionId)}
+                              >
+                                <span>Resume subscription</span>
+                              </button>
+                            )}
+
+                            {/* ACTIVATED TAB: transfer, unassign + cancel subscription */}
+                            {activeTab === 'Activated' && license.siteDomain && license.status === 'Active' && (
+                              <button
+                                className="context-menu-item"
+                                onClick={() => handleOpenTransferModal(license)}
+                              >
+                                <span>Transfer to another domain</span>
+                              </button>
+                            )}
+
+                            {/* Keys bought for one site are that site's subscription - transfer or cancel instead */}
+                            {activeTab === 'Activated' &&
+                              license.siteDomain &&
+                              license.purchaseType !== 'site' &&
+                              (license.status === 'Active' || license.status === 'Cancelling') && (
+                                <button
+                                  className="context-menu-item"
+                                  onClick={() => handleOpenUnassignModal(license)}
+                                >
+                                  <span>Unassign from domain</span>
+                                </button>
+                              )}
+
                             {activeTab === 'Activated' &&
                               license.subscriptionId &&
                               license.siteDomain &&
                               license.status !== 'Cancelled' &&
                               license.status !== 'Expired' &&
-                              license.status !== 'Cancelling' &&
-                              license.status !== 'inactive' && (
+                              license.status !== 'Cancelling' && (
                                 <button
                                   className="context-menu-item context-menu-item-danger"
                                   onClick={() =>
@@ -1299,6 +903,55 @@ const handleContextMenu = (e, licenseId) => {
         </>
       )}
 
+      {/* Bulk Activate Modal */}
+      {bulkActivateOpen && (
+        <BulkActivateModal
+          licenses={licenses || []}
+          initialBillingPeriod={billingPeriodFilter}
+          onClose={() => setBulkActivateOpen(false)}
+        />
+      )}
+
+      {/* Transfer License Modal */}
+      {transferModal !== null && (
+        <TransferLicenseModal
+          licenseKey={transferModal.licenseKey}
+          currentDomain={transferModal.currentDomain}
+          onClose={() => setTransferModal(null)}
+        />
+      )}
+
+      {/* Export Modal - opened from the header */}
+      {exportOpen && (
+        <ExportModal
+          title={`Export license keys (${activeTab})`}
+          rows={filteredLicenses}
+          columns={licenseExportColumns}
+          filename={`consentbit-licenses-${activeTab.toLowerCase().replace(/\s+/g, '-')}`}
+          sheetName={`Licenses - ${activeTab}`}
+          onClose={onExportClose}
+        />
+      )}
+
+      {/* Unassign License Modal */}
+      {unassignModal !== null && (
+        <UnassignLicenseModal
+          licenseKey={unassignModal.licenseKey}
+          siteDomain={unassignModal.siteDomain}
+          onClose={() => setUnassignModal(null)}
+        />
+      )}
+
+      {/* Change Billing Period Modal */}
+      {billingPeriodModal !== null && (
+        <ChangeBillingPeriodModal
+          subscriptionId={billingPeriodModal.subscriptionId}
+          siteDomain={billingPeriodModal.siteDomain}
+          currentBillingPeriod={billingPeriodModal.billingPeriod}
+          onClose={() => setBillingPeriodModal(null)}
+        />
+      )}
+
       {/* Cancel Subscription Modal */}
       {cancelModal !== null && (
         <>
@@ -1,8 +1,7 @@
 import { useState } from 'react';
 import { useQueryClient } from '@tanstack/react-query';
 import { openLoginModal, sendLoginCode, verifyLoginCode, refreshSession, getUserEmail, checkMemberstackSession } from '../services/memberstack';
-import { getDashboard, getLicenses } from '../services/api';
-import { queryKeys } from '../hooks/useDashboardQueries';
+import { queryKeys, freshnessPolicies, fetchDashboardData, fetchLicensesData } from '../hooks/useDashboardQueries';
 import './LoginPrompt.css';
 
 // Import consent logo and background lines from assets folder
@@ -142,20 +141,14 @@ export default function LoginPrompt() {
             const [dashboardData, licensesData] = await Promise.all([
               queryClient.prefetchQuery({
                 queryKey: queryKeys.dashboard(userEmail),
-                queryFn: async () => {
-                  const data = await getDashboard(userEmail);
-                  return data;
-                },
-                staleTime: 300000, // 5 minutes
+                queryFn: ({ signal }) => fetchDashboardData(userEmail, { signal }),
+                staleTime: freshnessPolicies.dashboard.staleTime,
                 retry: 2,
               }),
               queryClient.prefetchQuery({
                 queryKey: queryKeys.licenses(userEmail),
-                queryFn: async () => {
-                  const data = await getLicenses(userEmail);
-                  return data;
-                },
-                staleTime: 300000, // 5 minutes
+                queryFn: ({ signal }) => fetchLicensesData(userEmail, { signal }),
+                staleTime: freshnessPolicies.licenses.staleTime,
                 retry: 2,
               })
             ]);
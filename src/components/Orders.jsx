@@ -0,0 +1,128 @@
+import { useState } from 'react';
+import { useOrders } from '../hooks/useDashboardQueries';
+import { formatDate, formatMoney } from '../lib/normalize';
+import './Orders.css';
+
+// Order status -> badge class
+const statusClasses = {
+  Processing: 'orders-status-processing',
+  Completed: 'orders-status-completed',
+  'Partially failed': 'orders-status-failed',
+  Failed: 'orders-status-failed',
+};
+
+// Queue item status labels
+const itemStatusLabels = {
+  pending: 'Queued',
+  processing: 'Processing',
+  completed: 'Created',
+  failed: 'Failed',
+};
+
+function orderTitle(order) {
+  const noun = order.kind === 'sites' ? 'site' : 'license';
+  return `${order.quantity} ${noun}${order.quantity !== 1 ? 's' : ''}`;
+}
+
+export default function Orders({ userEmail }) {
+  const { data, isLoading, error } = useOrders(userEmail);
+  const orders = data?.orders || [];
+  const [expandedOrderId, setExpandedOrderId] = useState(null);
+
+  const toggleOrder = (orderId) => {
+    setExpandedOrderId((current) => (current === orderId ? null : orderId));
+  };
+
+  return (
+    <div className="orders-container">
+      <div className="orders-header">
+        <h2 className="orders-title">
+          Orders
+          {data?.total > 0 && <span className="orders-count"> ({data.total})</span>}
+        </h2>
+      </div>
+
+      {isLoading ? (
+        <div className="orders-message">Loading orders...</div>
+      ) : error && orders.length === 0 ? (
+        <div className="orders-message orders-message-error">Failed to load orders. Please try again later.</div>
+      ) : orders.length === 0 ? (
+        <div className="orders-message">No orders yet.</div>
+      ) : (
+        <div className="orders-list">
+          {orders.map((order) => {
+            const isExpanded = expandedOrderId === order.id;
+            const failedItems = order.items.filter((item) => item.status === 'failed');
+
+            return (
+              <div key={order.id} className="orders-item">
+                <button
+                  className="orders-item-summary"
+                  onClick={() => toggleOrder(order.id)}
+                  aria-expanded={isExpanded}
+                >
+                  <div className="orders-item-info">
+                    <span className="orders-item-title">{orderTitle(order)}</span>
+                    <span className="orders-item-meta">
+                      {formatDate(order.createdAt)}
+                      {order.billingPeriod && ` · ${order.billingPeriod}`}
+                    </span>
+                  </div>
+                  <div className="orders-item-state">
+                    {order.status === 'Processing' && (
+                      <span className="orders-item-progress">
+                        {order.progress.completed} of {order.progress.total} created
+                      </span>
+                    )}
+                    <span className={`orders-status ${statusClasses[order.status] || ''}`}>{order.status}</span>
+                  </div>
+                </button>
+
+                {/* Failed and refunded items are called out without expanding the order */}
+                {failedItems.length > 0 && (
+                  <div className="orders-item-alert">
+                    {failedItems.length} item{failedItems.length !== 1 ? 's' : ''} could not be created.
+                    {order.refundedAmount > 0
+                      ? ` ${formatMoney(order.refundedAmount, order.refunds[0]?.currency)} refunded.`
+                      : ' A refund is issued automatically if the item cannot be created.'}
+                  </div>
+                )}
+
+                {isExpanded && (
+                  <table className="orders-items-table">
+                    <thead>
+                      <tr>
+                        <th>{order.kind === 'sites' ? 'Site' : 'Item'}</th>
+                        <th>License key</th>
+                        <th>Status</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {order.items.map((item, index) => (
+                        <tr key={`${item.id}-${item.siteDomain || index}`}>
+                          <td>{item.siteDomain || `License ${index + 1}`}</td>
+                          <td className="orders-items-key">{item.licenseKey || '—'}</td>
+                          <td>
+                            <span className={`orders-item-status orders-item-status-${item.status}`}>
+                              {itemStatusLabels[item.status]}
+                            </span>
+                            {item.refund && (
+                              <span className="orders-item-refund">
+                                Refunded {formatMoney(item.refund.amount, item.refund.currency)}
+                              </span>
+                            )}
+                            {item.error && <div className="orders-item-error">{item.error}</div>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import { formatMoney } from '../lib/normalize';
+import './PriceBreakdown.css';
+
+/**
+ * How the total of a purchase modal is made up: list price, volume discount and promo code
+ * - quote: PriceQuote from getPriceQuote (lib/normalize.js)
+ * - total: amount charged, after the promo code
+ * - tiers/maxQuantity: for the hint about the next volume tier that can still be reached
+ */
+export default function PriceBreakdown({ quote, total, currency, promoCode, tiers = [], maxQuantity, unitLabel }) {
+  const nextTier = tiers.find((tier) => tier.minQuantity > quote.quantity && tier.minQuantity <= maxQuantity);
+
+  return (
+    <div className="price-breakdown">
+      <div className="price-breakdown-row">
+        <span>{quote.quantity} × {formatMoney(quote.unitAmount, currency)}</span>
+        <span>{formatMoney(quote.subtotal, currency)}</span>
+      </div>
+      {quote.tier && (
+        <div className="price-breakdown-row price-breakdown-discount">
+          <span>Volume discount ({quote.tier.minQuantity}+, {quote.tier.discountPercent}% off)</span>
+          <span>−{formatMoney(quote.subtotal - quote.total, currency)}</span>
+        </div>
+      )}
+      {promoCode && (
+        <div className="price-breakdown-row price-breakdown-discount">
+          <span>Promo code {promoCode.code}</span>
+          <span>−{formatMoney(quote.total - total, currency)}</span>
+        </div>
+      )}
+      {nextTier && (
+        <div className="price-breakdown-hint">
+          Buy {nextTier.minQuantity} or more {unitLabel}s to save {nextTier.discountPercent}%
+        </div>
+      )}
+    </div>
+  );
+}
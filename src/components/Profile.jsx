@@ -1,9 +1,9 @@
-import { useState, useEffect } from 'react';
-import { useQueryClient } from '@tanstack/react-query';
+import { useState, useEffect, useRef } from 'react';
 import { logout } from '../services/memberstack';
 import { useNotification } from '../hooks/useNotification';
-import { getInvoices } from '../services/api';
-import { queryKeys } from '../hooks/useDashboardQueries';
+import BillingPanel from './BillingPanel';
+import ExportModal from './ExportModal';
+import { invoiceExportColumns } from '../lib/export';
 import './Profile.css';
 import profileImg from '../assets/profileImg.png'
 
@@ -13,73 +13,52 @@ export default function Profile({
   invoicesLoading = false,
   invoicesError = null,
   hasMoreInvoices = false,
-  totalInvoices = 0
+  totalInvoices = 0,
+  loadingMoreInvoices = false,
+  onLoadMoreInvoices,
+  exportOpen = false,
+  onExportClose,
 }) {
   const { showSuccess, showError } = useNotification();
-  const queryClient = useQueryClient();
   const [isDeleting, setIsDeleting] = useState(false);
-  const [loadingMore, setLoadingMore] = useState(false);
-  const [loadedInvoices, setLoadedInvoices] = useState(invoices);
-  const [hasMore, setHasMore] = useState(hasMoreInvoices);
-  const INVOICES_PER_PAGE = 10;
+  // After a failed page load, wait for an explicit "Load More" click instead of retrying on scroll
+  const [autoLoadPaused, setAutoLoadPaused] = useState(false);
+  const loadMoreSentinelRef = useRef(null);
 
-  // Update local state when invoices prop changes (from TanStack Query)
-  // This ensures new invoices from refetch are displayed
-  useEffect(() => {
-    if (invoices && invoices.length > 0) {
-      // Merge new invoices with existing ones, avoiding duplicates
-      setLoadedInvoices(prevInvoices => {
-        const existingIds = new Set(prevInvoices.map(inv => inv.id));
-        const newInvoices = invoices.filter(inv => !existingIds.has(inv.id));
-        
-        if (newInvoices.length > 0) {
-          // New invoices found, merge and sort
-          const merged = [...newInvoices, ...prevInvoices];
-          return merged.sort((a, b) => b.created - a.created);
-        }
-        
-        // No new invoices, but update if invoices prop changed (e.g., after refetch)
-        return invoices;
-      });
-    } else if (invoices.length === 0 && loadedInvoices.length === 0) {
-      // Initial load, set invoices
-      setLoadedInvoices(invoices);
-    }
-    
-    setHasMore(hasMoreInvoices);
-  }, [invoices, hasMoreInvoices]);
-
-  // Load more invoices using TanStack Query
+  // Load the next page of invoices (pages are merged and de-duplicated by useInvoices)
   const handleLoadMore = async () => {
-    if (loadingMore || !hasMore) return;
+    if (loadingMoreInvoices || !hasMoreInvoices || !onLoadMoreInvoices) return;
 
-    setLoadingMore(true);
     try {
-      const offset = loadedInvoices.length;
-      // Fetch using TanStack Query's fetchQuery for caching
-      const data = await queryClient.fetchQuery({
-        queryKey: queryKeys.invoices(userEmail, INVOICES_PER_PAGE, offset),
-        queryFn: async () => {
-          return await getInvoices(userEmail, INVOICES_PER_PAGE, offset);
-        },
-      });
-      
-      if (data.invoices && data.invoices.length > 0) {
-        // Merge and sort by created date (most recent first)
-        const merged = [...loadedInvoices, ...data.invoices];
-        setLoadedInvoices(merged.sort((a, b) => b.created - a.created));
-        setHasMore(data.hasMore || false);
-      } else {
-        setHasMore(false);
-      }
+      await onLoadMoreInvoices({ throwOnError: true });
+      setAutoLoadPaused(false);
     } catch (error) {
       console.error('[Profile] Error loading more invoices:', error);
       showError('Failed to load more invoices. Please try again.');
-    } finally {
-      setLoadingMore(false);
+      setAutoLoadPaused(true);
     }
   };
 
+  // Auto-load the next page when the end of the list scrolls into view
+  const handleLoadMoreRef = useRef(handleLoadMore);
+  handleLoadMoreRef.current = handleLoadMore;
+  useEffect(() => {
+    const sentinel = loadMoreSentinelRef.current;
+    if (!sentinel || !hasMoreInvoices || loadingMoreInvoices || autoLoadPaused) return;
+    if (typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          handleLoadMoreRef.current();
+        }
+      },
+      { rootMargin: '200px' }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMoreInvoices, loadingMoreInvoices, autoLoadPaused, invoices.length]);
+
   // Extract user details from email (available after login)
   const userNameRaw = userEmail ? userEmail.split('@')[0] : 'User';
   const userName = userNameRaw ? userNameRaw.charAt(0).toUpperCase() + userNameRaw.slice(1).toLowerCase() : 'User';
@@ -98,7 +77,7 @@ export default function Profile({
   // Format date
   const formatDate = (timestamp) => {
     if (!timestamp) return 'N/A';
-    const date = new Date(timestamp * 1000); // Stripe timestamps are in seconds
+    const date = new Date(timestamp); // Normalized timestamps are in ms
     return date.toLocaleDateString('en-US', {
       year: 'numeric',
       month: 'long',
@@ -203,6 +182,8 @@ export default function Profile({
           </div>
         </div>
 
+        <BillingPanel userEmail={userEmail} />
+
         {/* Invoices Section */}
         <div className="profile-invoices-section">
           <h3 className="profile-invoices-title">
@@ -213,14 +194,14 @@ export default function Profile({
           </h3>
           {invoicesLoading ? (
             <div className="profile-invoices-loading">Loading invoices...</div>
-          ) : invoicesError ? (
+          ) : invoicesError && invoices.length === 0 ? (
             <div className="profile-invoices-error">Failed to load invoices. Please try again later.</div>
-          ) : loadedInvoices.length === 0 ? (
+          ) : invoices.length === 0 ? (
             <div className="profile-invoices-empty">No invoices found.</div>
           ) : (
             <>
               <div className="profile-invoices-list">
-                {loadedInvoices.map((invoice) => (
+                {invoices.map((invoice) => (
                 <div key={invoice.id} className="profile-invoice-item">
                   <div className="profile-invoice-info">
                     <div className="profile-invoice-header">
@@ -228,21 +209,21 @@ export default function Profile({
                         {invoice.number || `Invoice ${invoice.id.slice(-8)}`}
                       </span>
                       <span className="profile-invoice-amount">
-                        {formatAmount(invoice.amount_paid, invoice.currency)}
+                        {formatAmount(invoice.amountPaid, invoice.currency)}
                       </span>
                     </div>
                     <div className="profile-invoice-meta">
-                      <span className="profile-invoice-date">{formatDate(invoice.created)}</span>
+                      <span className="profile-invoice-date">{formatDate(invoice.createdAt)}</span>
                       {invoice.description && (
                         <span className="profile-invoice-description">{invoice.description}</span>
                       )}
                     </div>
                   </div>
                   <div className="profile-invoice-actions">
-                    {invoice.invoice_pdf && (
+                    {invoice.pdfUrl && (
                       <button
                         className="profile-invoice-download-btn"
-                        onClick={() => handleDownloadInvoice(invoice.invoice_pdf)}
+                        onClick={() => handleDownloadInvoice(invoice.pdfUrl)}
                         title="Download PDF"
                       >
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -256,14 +237,14 @@ export default function Profile({
                 </div>
                 ))}
               </div>
-              {hasMore && (
-                <div className="profile-invoices-load-more">
+              {hasMoreInvoices && (
+                <div className="profile-invoices-load-more" ref={loadMoreSentinelRef}>
                   <button
                     className="profile-load-more-btn"
                     onClick={handleLoadMore}
-                    disabled={loadingMore}
+                    disabled={loadingMoreInvoices}
                   >
-                    {loadingMore ? (
+                    {loadingMoreInvoices ? (
                       <>
                         <span className="loading-spinner"></span>
                         <span>Loading...</span>
@@ -283,6 +264,23 @@ export default function Profile({
           )}
         </div>
       </div>
+
+      {/* Export Modal - opened from the header */}
+      {exportOpen && (
+        <ExportModal
+          title="Export invoices"
+          rows={invoices}
+          columns={invoiceExportColumns}
+          filename="consentbit-invoices"
+          sheetName="Invoices"
+          note={
+            hasMoreInvoices
+              ? `${invoices.length} of ${totalInvoices} invoices are loaded - use "Load More" to include older ones.`
+              : null
+          }
+          onClose={onExportClose}
+        />
+      )}
     </div>
   );
 }
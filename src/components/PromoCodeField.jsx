@@ -0,0 +1,38 @@
+import { useId } from 'react';
+import { formatDiscount } from '../lib/normalize';
+import './PromoCodeField.css';
+
+// Status line under the input for the live check (usePromoCode)
+function promoCodeStatus(value, { promoCode, isChecking, error }) {
+  if (!value.trim()) return null;
+  if (isChecking) return { type: 'checking', text: 'Checking code...' };
+  if (error) return { type: 'invalid', text: 'The code could not be checked. Please try again.' };
+  if (promoCode?.valid) return { type: 'valid', text: `${promoCode.code} applied: ${formatDiscount(promoCode)} off` };
+  if (promoCode) return { type: 'invalid', text: promoCode.message };
+  return null;
+}
+
+export default function PromoCodeField({ value, onChange, promoCode, isChecking, error, disabled }) {
+  const inputId = useId();
+  const status = promoCodeStatus(value, { promoCode, isChecking, error });
+
+  return (
+    <div className="promo-code-field">
+      <label className="promo-code-label" htmlFor={inputId}>Promo code</label>
+      <input
+        id={inputId}
+        type="text"
+        className={`promo-code-input ${status?.type === 'invalid' ? 'error' : ''}`}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder="Optional"
+        autoComplete="off"
+        spellCheck={false}
+        disabled={disabled}
+      />
+      {status && (
+        <div className={`promo-code-status promo-code-status-${status.type}`}>{status.text}</div>
+      )}
+    </div>
+  );
+}
@@ -1,59 +1,84 @@
-import { useState, useEffect } from 'react';
+import { useEffect, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
 import { useNotification } from '../hooks/useNotification';
 import { useMemberstack } from '../hooks/useMemberstack';
+import { usePurchaseEvents, refreshAfterPurchase } from '../hooks/useTabSync';
+import { usePricing, usePromoCode } from '../hooks/useDashboardQueries';
 import { purchaseQuantity } from '../services/api';
+import { createPurchase, transitionPurchase, PURCHASE_STATUS } from '../lib/purchaseTracker';
+import {
+  getCheckoutMode,
+  loadStripe,
+  openHostedCheckout,
+  completeCheckout,
+  paymentSuccessMessage,
+  CHECKOUT_MODES,
+} from '../lib/checkout';
+import { formatMoney, formatDiscount, applyDiscount, getPriceQuote, DEFAULT_PRICING_LIMITS } from '../lib/normalize';
+import PromoCodeField from './PromoCodeField';
+import PriceBreakdown from './PriceBreakdown';
+import EmbeddedCheckout from './EmbeddedCheckout';
 import './PurchaseLicenseModal.css';
 
 export default function PurchaseLicenseModal({ isOpen, onClose }) {
   const [quantity, setQuantity] = useState(1);
   const [billingCycle, setBillingCycle] = useState('Monthly');
   const [isProcessing, setIsProcessing] = useState(false);
+  const [promoCodeInput, setPromoCodeInput] = useState('');
+  // Embedded checkout shown in place of the form: { clientSecret, sessionId, purchaseId }
+  const [embeddedCheckout, setEmbeddedCheckout] = useState(null);
   const { showSuccess, showError } = useNotification();
   const { userEmail } = useMemberstack();
+  const queryClient = useQueryClient();
 
-  // Listen for payment completion messages from popup
+  // Payment completion/cancellation reported by the checkout popup (or another tab)
+  usePurchaseEvents({
+    onCompleted: () => {
+      // Payment completed - close modal and let progress bar show
+      setIsProcessing(false);
+      onClose();
+    },
+    onCancelled: () => {
+      // Payment cancelled - reset processing state
+      setIsProcessing(false);
+    },
+  });
+
+  // Pricing - prices, discounts, volume tiers and limits come from the worker (/api/pricing), never from the bundle
+  const { data: pricing, isLoading: pricingLoading } = usePricing();
+  const plan = pricing?.plans[billingCycle];
+  const { min: minQuantity, max: maxQuantity } = (pricing?.limits ?? DEFAULT_PRICING_LIMITS).licenses;
+  const yearlyDiscount = formatDiscount(pricing?.plans.Yearly);
+
+  // The limits can arrive after a quantity was picked - keep it inside them
   useEffect(() => {
-    const handleMessage = (event) => {
-      // Verify origin for security
-      if (event.origin !== window.location.origin) return;
-      
-      if (event.data && event.data.type === 'PAYMENT_SUCCESS') {
-        // Payment completed - close modal and let progress bar show
-        setIsProcessing(false);
-        onClose();
-      } else if (event.data && event.data.type === 'PAYMENT_CANCELLED') {
-        // Payment cancelled - reset processing state
-        setIsProcessing(false);
-      }
-    };
-    
-    window.addEventListener('message', handleMessage);
-    
-    return () => {
-      window.removeEventListener('message', handleMessage);
-    };
-  }, [onClose]);
+    setQuantity((prev) => Math.min(Math.max(prev, minQuantity), maxQuantity));
+  }, [minQuantity, maxQuantity]);
 
-  // Pricing
-  const monthlyPrice = 8;  // per license
-  const yearlyPrice = 72;  // per license
+  // Promo code - checked while typing, only a valid code is sent to the checkout
+  const promo = usePromoCode(promoCodeInput);
+  const appliedPromo = promo.promoCode?.valid ? promo.promoCode : null;
+  const promoPending = !!promoCodeInput.trim() && !appliedPromo;
 
-  const totalPrice =
-    billingCycle === 'Monthly'
-      ? (quantity * monthlyPrice).toFixed(2)
-      : (quantity * yearlyPrice).toFixed(2);
+  const quote = plan ? getPriceQuote(plan, quantity, pricing.tiers) : null;
+  const total = quote ? applyDiscount(quote.total, appliedPromo?.discount) : 0;
+  const totalPrice = plan
+    ? formatMoney(total, plan.currency)
+    : pricingLoading
+      ? '...'
+      : 'Unavailable';
 
   const handleDecrease = () => {
-    setQuantity((prev) => (prev > 1 ? prev - 1 : 1));
+    setQuantity((prev) => (prev > minQuantity ? prev - 1 : minQuantity));
   };
 
   const handleIncrease = () => {
-    setQuantity((prev) => (prev < 25 ? prev + 1 : 25));
+    setQuantity((prev) => (prev < maxQuantity ? prev + 1 : maxQuantity));
   };
 
   const handleQuantityChange = (e) => {
     const value = parseInt(e.target.value, 10);
-    if (!isNaN(value) && value >= 1 && value <= 50) {
+    if (!isNaN(value) && value >= minQuantity && value <= maxQuantity) {
       setQuantity(value);
     }
   };
@@ -63,47 +88,70 @@ export default function PurchaseLicenseModal({ isOpen, onClose }) {
       showError('Please log in to purchase license keys');
       return;
     }
-    
+
+    if (!plan) {
+      showError('Prices could not be loaded. Please try again later.');
+      return;
+    }
+
+    if (promoPending) {
+      showError('Enter a valid promo code or clear the field');
+      return;
+    }
+
+    await startCheckout();
+  };
+
+  const startCheckout = async (preferredMode = getCheckoutMode()) => {
     setIsProcessing(true);
+
+    // Stripe.js is loaded before the session is created, so a blocked script still gets the hosted checkout
+    let checkoutMode = preferredMode;
+    if (checkoutMode === CHECKOUT_MODES.EMBEDDED) {
+      try {
+        await loadStripe();
+      } catch (error) {
+        console.warn('[Checkout] Embedded checkout unavailable, using the hosted checkout:', error);
+        checkoutMode = CHECKOUT_MODES.POPUP;
+      }
+    }
     
     try {
-      const response = await purchaseQuantity(userEmail, quantity, billingCycle.toLowerCase());
-      
-      if (response?.checkout_url) {
-        // Store pending purchase info for polling when user returns
-        sessionStorage.setItem('pendingLicensePurchase', JSON.stringify({
-          quantity,
-          billingPeriod: billingCycle.toLowerCase(),
-          timestamp: Date.now()
-        }));
-        
-        // Open checkout in new window/popup
-        const checkoutWindow = window.open(response.checkout_url, '_blank', 'width=600,height=700');
-        
-        if (!checkoutWindow || checkoutWindow.closed) {
-          // Fallback to redirect if popup blocked
-          setTimeout(() => {
-            window.location.href = response.checkout_url;
-          }, 500);
-        } else {
-          // Check if popup was closed manually (user cancelled)
-          const checkClosed = setInterval(() => {
-            if (checkoutWindow.closed) {
-              clearInterval(checkClosed);
-              setIsProcessing(false);
-            }
-          }, 1000);
-          
-          // Cleanup interval when component unmounts or payment completes
-          // The global message listener in useEffect will handle payment success
-          onClose();
-        }
-      } else {
-        showError('Failed to create checkout session. Please try again.');
-        setIsProcessing(false);
+      const response = await purchaseQuantity(userEmail, quantity, billingCycle.toLowerCase(), {
+        promoCode: appliedPromo?.code,
+        uiMode: checkoutMode === CHECKOUT_MODES.EMBEDDED ? 'embedded' : undefined,
+      });
+
+      // Track the checkout - the progress survives the Stripe redirect and shows in every tab
+      const purchase = createPurchase({
+        kind: 'licenses',
+        email: userEmail,
+        quantity,
+        billingPeriod: billingCycle.toLowerCase(),
+        sessionId: response.session_id || null,
+      });
+      transitionPurchase(purchase.id, PURCHASE_STATUS.REDIRECTED);
+
+      if (response.client_secret) {
+        setEmbeddedCheckout({
+          clientSecret: response.client_secret,
+          sessionId: response.session_id || null,
+          purchaseId: purchase.id,
+        });
+        return;
       }
+
+      // Popup, or a redirect when it is blocked - usePurchaseEvents above handles the payment
+      const popupOpened = openHostedCheckout(response.checkout_url, checkoutMode, {
+        onClosed: () => {
+          setIsProcessing(false);
+          // Ignored when the popup already reported the payment
+          transitionPurchase(purchase.id, PURCHASE_STATUS.CANCELLED, { message: 'Checkout window closed' });
+        },
+      });
+      if (popupOpened) onClose();
     } catch (error) {
-      const errorMessage = error.message?.includes('timeout') 
+      const errorMessage = error.code === 'timeout'
         ? 'Request timeout. Please try again.'
         : error.message || 'Failed to process purchase. Please try again.';
       showError(errorMessage);
@@ -111,17 +159,46 @@ export default function PurchaseLicenseModal({ isOpen, onClose }) {
     }
   };
 
+  const handleEmbeddedComplete = () => {
+    const paidPurchase = completeCheckout(userEmail, embeddedCheckout.sessionId);
+    refreshAfterPurchase(queryClient, userEmail);
+    showSuccess(paymentSuccessMessage(paidPurchase));
+    setEmbeddedCheckout(null);
+    setIsProcessing(false);
+    onClose();
+  };
+
+  // Leaving the embedded checkout (back, close, or Stripe failing to mount) cancels that session
+  const cancelEmbeddedCheckout = (message) => {
+    if (!embeddedCheckout) return;
+    transitionPurchase(embeddedCheckout.purchaseId, PURCHASE_STATUS.CANCELLED, { message });
+    setEmbeddedCheckout(null);
+    setIsProcessing(false);
+  };
+
+  // The embedded session cannot be shown - retry the same purchase with a hosted checkout
+  const handleEmbeddedError = (error) => {
+    console.warn('[Checkout] Embedded checkout failed to mount, using the hosted checkout:', error);
+    cancelEmbeddedCheckout('Checkout could not be loaded');
+    startCheckout(CHECKOUT_MODES.POPUP);
+  };
+
+  const handleClose = () => {
+    cancelEmbeddedCheckout('Checkout closed');
+    onClose();
+  };
+
   if (!isOpen) return null;
 
   return (
     <>
-      <div className="purchase-modal-overlay" onClick={onClose} />
+      <div className="purchase-modal-overlay" onClick={handleClose} />
       <div className="purchase-modal">
         <div className="purchase-modal-header">
           <h2 className="purchase-modal-title">Purchase License Key</h2>
           <button
             className="purchase-modal-close"
-            onClick={onClose}
+            onClick={handleClose}
             title="Close"
           >
             <svg
@@ -142,6 +219,15 @@ export default function PurchaseLicenseModal({ isOpen, onClose }) {
         </div>
 
         <div className="purchase-modal-body">
+          {embeddedCheckout ? (
+            <EmbeddedCheckout
+              clientSecret={embeddedCheckout.clientSecret}
+              onComplete={handleEmbeddedComplete}
+              onError={handleEmbeddedError}
+              onBack={() => cancelEmbeddedCheckout('Checkout closed')}
+            />
+          ) : (
+          <>
           <div className="purchase-modal-left">
             <label className="purchase-label">Quantity of license key</label>
             <div className="quantity-controls">
@@ -179,8 +265,8 @@ export default function PurchaseLicenseModal({ isOpen, onClose }) {
                 className="quantity-input"
                 value={quantity}
                 onChange={handleQuantityChange}
-                min="1"
-                max="25"
+                min={minQuantity}
+                max={maxQuantity}
               />
 
               <button
@@ -220,21 +306,41 @@ export default function PurchaseLicenseModal({ isOpen, onClose }) {
               </button>
             </div>
 
+            <PromoCodeField
+              value={promoCodeInput}
+              onChange={setPromoCodeInput}
+              promoCode={promo.promoCode}
+              isChecking={promo.isChecking}
+              error={promo.error}
+              disabled={isProcessing}
+            />
+
             <button
               className="purchase-pay-btn"
               onClick={handlePayNow}
-              disabled={isProcessing || !userEmail}
+              disabled={isProcessing || !userEmail || !plan || promoPending}
             >
               {isProcessing ? 'Processing...' : 'Pay Now'}
             </button>
             <p className="quantity-max-message">
-              Maximum quantity per purchase is 25 license keys.
+              Maximum quantity per purchase is {maxQuantity} license keys.
             </p>
           </div>
 
           <div className="purchase-modal-right">
             <label className="purchase-label">Cost</label>
-            <div className="purchase-price">${totalPrice}</div>
+            <div className="purchase-price">{totalPrice}</div>
+            {quote && (
+              <PriceBreakdown
+                quote={quote}
+                total={total}
+                currency={plan.currency}
+                promoCode={appliedPromo}
+                tiers={pricing.tiers}
+                maxQuantity={maxQuantity}
+                unitLabel="license key"
+              />
+            )}
             <div className="purchase-billing-options">
               <label className="billing-option">
                 <input
@@ -242,11 +348,12 @@ export default function PurchaseLicenseModal({ isOpen, onClose }) {
                   name="billingCycle"
                   value="Yearly"
                   checked={billingCycle === 'Yearly'}
+                  disabled={!!pricing && !pricing.plans.Yearly}
                   onChange={(e) => setBillingCycle(e.target.value)}
                 />
                 <span className="billing-option-label">
                   Yearly
-                  <span className="billing-discount-tag">20%</span>
+                  {yearlyDiscount && <span className="billing-discount-tag">{yearlyDiscount}</span>}
                 </span>
               </label>
               <label className="billing-option">
@@ -255,12 +362,15 @@ export default function PurchaseLicenseModal({ isOpen, onClose }) {
                   name="billingCycle"
                   value="Monthly"
                   checked={billingCycle === 'Monthly'}
+                  disabled={!!pricing && !pricing.plans.Monthly}
                   onChange={(e) => setBillingCycle(e.target.value)}
                 />
                 <span className="billing-option-label">Monthly</span>
               </label>
             </div>
           </div>
+          </>
+          )}
         </div>
       </div>
     </>
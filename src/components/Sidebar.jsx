@@ -19,6 +19,7 @@ export default function Sidebar({ activeSection, onSectionChange, userEmail, isO
     { id: 'dashboard', label: 'Dashboard' },
     // { id: 'domains', label: 'Domains' }, // Temporarily hidden
     { id: 'licenses', label: 'Bulk Purchase' },
+    { id: 'orders', label: 'Orders' },
     { id: 'profile', label: 'Profile' },
   ];
 
@@ -1,10 +1,8 @@
 import { useState, useRef, useEffect, useMemo } from 'react';
-import { useAddSite, useRemoveSite } from '../hooks/useDashboardQueries';
+import { useAddSite, useRemoveSite, useCancelSubscription } from '../hooks/useDashboardQueries';
 import { useNotification } from '../hooks/useNotification';
-import { cancelSubscription } from '../services/api';
-import { useQueryClient } from '@tanstack/react-query';
-import { queryKeys } from '../hooks/useDashboardQueries';
 import { useMemberstack } from '../hooks/useMemberstack';
+import { combineStatuses, formatDate } from '../lib/normalize';
 import './Sites.css';
 
 // Status dropdown options with colors
@@ -118,7 +116,7 @@ function StatusDropdown({ value, onChange }) {
   );
 }
 
-export default function Sites({ sites, subscriptions = {}, licenses = [], userEmail, isPolling = false }) {
+export default function Sites({ sites = {}, subscriptions = [], licenses = [], userEmail, isPolling = false }) {
   const [searchQuery, setSearchQuery] = useState('');
   const [isSearchExpanded, setIsSearchExpanded] = useState(false);
   const [filters, setFilters] = useState({
@@ -130,330 +128,88 @@ export default function Sites({ sites, subscriptions = {}, licenses = [], userEm
   });
   const [contextMenu, setContextMenu] = useState(null);
   const [visibleLicenseKeys, setVisibleLicenseKeys] = useState({});
-  const [isCancelling, setIsCancelling] = useState(false);
   const contextMenuRef = useRef(null);
   const searchInputRef = useRef(null);
   const { showSuccess, showError } = useNotification();
-  const queryClient = useQueryClient();
   const { userEmail: memberstackEmail } = useMemberstack();
   const effectiveUserEmail = userEmail || memberstackEmail;
+  const cancelSubscriptionMutation = useCancelSubscription(effectiveUserEmail);
 
   // Convert sites object and subscriptions to domains array format
   // Process both sites object and subscriptions (like Dashboard does)
   // Only show Direct payment and Site payment (exclude License Key)
+  // Statuses come from lib/normalize.js - combined with the license status like Dashboard does
   const domains = useMemo(() => {
     const allDomains = [];
-    
+    const licensesByKey = new Map(licenses.map((lic) => [lic.licenseKey, lic]));
+
     // Process subscriptions first (like Dashboard does)
-    const subscriptionsArray = Array.isArray(subscriptions) 
-      ? subscriptions 
-      : Object.values(subscriptions || {});
-    
-    subscriptionsArray.forEach(subscription => {
-      if (!subscription || !subscription.items || !Array.isArray(subscription.items)) {
-        return;
-      }
-      
-      const subscriptionId = subscription.subscriptionId || subscription.id;
-      
-      subscription.items.forEach((item, itemIndex) => {
-        const siteDomain = item.site || item.site_domain;
-        if (!siteDomain || siteDomain.trim() === '') {
-          return;
-        }
-        
-        // Skip placeholder sites
-        if (siteDomain.startsWith('site_') && /^site_\d+$/.test(siteDomain)) {
-          return;
-        }
-        if ((siteDomain.startsWith('license_') || siteDomain.startsWith('quantity_')) && !item.isActivated) {
-          return;
-        }
-        
-        // Determine source
-        const source = item.purchase_type === 'quantity' && item.isActivated 
-          ? 'License Key' 
-          : 'Direct payment';
-        
+    subscriptions.forEach(subscription => {
+      subscription.items.forEach(item => {
         // Skip License Key items in Domain section
-        if (source === 'License Key') {
+        if (item.purchaseType === 'quantity' && item.isActivated) {
           return;
         }
-        
-        // Determine status
-        let status = 'Active';
-        if (item.status === 'inactive' || item.status === 'cancelled') {
-          status = 'Cancelled';
-        } else if (subscription.status === 'cancelled' || subscription.cancel_at_period_end) {
-          if (subscription.current_period_end && subscription.current_period_end < Math.floor(Date.now() / 1000)) {
-            status = 'Cancelled';
-          } else {
-            status = 'Cancelling';
-          }
-        } else if (item.status === 'expired') {
-          status = 'Expired';
-        }
-        
-        // Get billing period
-        let billingPeriod = 'N/A';
-        if (subscription.billingPeriod) {
-          const period = subscription.billingPeriod.toLowerCase().trim();
-          if (period.endsWith('ly')) {
-            billingPeriod = period.charAt(0).toUpperCase() + period.slice(1);
-          } else {
-            billingPeriod = period.charAt(0).toUpperCase() + period.slice(1) + 'ly';
-          }
-        }
-        
-        // Get expiration date
-        let expirationDate = 'N/A';
-        const renewalDate = item.renewal_date || subscription.current_period_end;
-        if (renewalDate) {
-          try {
-            const timestamp = typeof renewalDate === 'number' ? renewalDate : parseInt(renewalDate);
-            const dateInMs = timestamp < 1e12 ? timestamp * 1000 : timestamp;
-            expirationDate = new Date(dateInMs).toLocaleDateString();
-          } catch (e) {
-            expirationDate = 'N/A';
-          }
-        }
-        
-        // Get created date
-        let created = 'N/A';
-        const createdAt = item.created_at || subscription.created_at;
-        if (createdAt) {
-          try {
-            const timestamp = typeof createdAt === 'number' ? createdAt : parseInt(createdAt);
-            const dateInMs = timestamp < 1e12 ? timestamp * 1000 : timestamp;
-            created = new Date(dateInMs).toLocaleDateString();
-          } catch (e) {
-            created = 'N/A';
-          }
-        }
-        
-        // Get site name from sites object if available
-        const siteData = sites[siteDomain];
-        const siteName = siteData?.name || siteData?.site_name || siteDomain;
-        
+
+        const siteData = sites[item.siteDomain];
+        const license = item.licenseKey ? licensesByKey.get(item.licenseKey) : null;
+
         allDomains.push({
-          id: subscriptionId ? `${subscriptionId}_${itemIndex}` : `sub_${itemIndex}_${siteDomain}`,
-          domain: siteDomain,
-          siteName: siteName,
-          source: source,
-          status: status,
-          billingPeriod: billingPeriod,
-          expirationDate: expirationDate,
-          licenseKey: item.license_key || 'N/A',
-          created: created,
-          subscriptionId: subscriptionId,
+          id: item.id,
+          domain: item.siteDomain,
+          siteName: siteData?.name || item.siteDomain,
+          source: 'Direct payment',
+          status: combineStatuses(item.status, siteData?.status, license?.status),
+          billingPeriod: subscription.billingPeriod || siteData?.billingPeriod || 'N/A',
+          expirationDate: formatDate(item.expiresAt),
+          licenseKey: item.licenseKey || 'N/A',
+          created: formatDate(item.createdAt),
+          subscriptionId: subscription.id,
         });
       });
     });
-    
-    // Also process sites object (for any sites not in subscriptions)
-    if (sites && Object.keys(sites).length > 0) {
-      const processedDomains = Object.entries(sites)
-      .map(([domain, siteData]) => {
-      // Get site name from site data
-      const siteName = siteData?.name || siteData?.site_name || domain;
-      
-      // Format dates
-      let expirationDate = 'N/A';
-      if (siteData.expiration_date || siteData.renewal_date) {
-        try {
-          const timestamp = typeof (siteData.expiration_date || siteData.renewal_date) === 'number' 
-            ? (siteData.expiration_date || siteData.renewal_date)
-            : parseInt(siteData.expiration_date || siteData.renewal_date);
-          const dateInMs = timestamp < 1e12 ? timestamp * 1000 : timestamp;
-          expirationDate = new Date(dateInMs).toLocaleDateString();
-        } catch (e) {
-          expirationDate = 'N/A';
-        }
-      }
-
-      let created = 'N/A';
-      if (siteData.created_at) {
-        try {
-          const timestamp = typeof siteData.created_at === 'number' 
-            ? siteData.created_at 
-            : parseInt(siteData.created_at);
-          const dateInMs = timestamp < 1e12 ? timestamp * 1000 : timestamp;
-          created = new Date(dateInMs).toLocaleDateString();
-        } catch (e) {
-          created = 'N/A';
-        }
-      }
-
-      // Format billing period
-      let billingPeriod = 'N/A';
-      if (siteData.billing_period) {
-        const period = siteData.billing_period.toLowerCase().trim();
-        if (period.endsWith('ly')) {
-          billingPeriod = period.charAt(0).toUpperCase() + period.slice(1);
-        } else {
-          billingPeriod = period.charAt(0).toUpperCase() + period.slice(1) + 'ly';
-        }
-      }
 
-      // Determine status - prioritize expired, then cancelled, then check expiration date
-      let status = 'Active';
-      if (siteData.status) {
-        const statusLower = siteData.status.toLowerCase().trim();
-        
-        // Check for expired first
-        if (statusLower === 'expired') {
-          status = 'Expired';
-        } 
-        // Check for cancelled/canceling
-        else if (statusLower === 'cancelled' || statusLower === 'canceled' || statusLower === 'cancelling' || statusLower === 'canceling') {
-          // Check if it's actually expired based on expiration date
-          if (siteData.expiration_date || siteData.renewal_date) {
-            try {
-              const timestamp = typeof (siteData.expiration_date || siteData.renewal_date) === 'number' 
-                ? (siteData.expiration_date || siteData.renewal_date)
-                : parseInt(siteData.expiration_date || siteData.renewal_date);
-              const dateInMs = timestamp < 1e12 ? timestamp * 1000 : timestamp;
-              const expirationDateObj = new Date(dateInMs);
-              const now = new Date();
-              if (expirationDateObj < now) {
-                status = 'Expired';
-              } else if (statusLower === 'cancelling' || statusLower === 'canceling') {
-                status = 'Cancelling';
-              } else {
-                status = 'Cancelled';
-              }
-            } catch (e) {
-              // If date parsing fails, use the status from backend
-              if (statusLower === 'cancelling' || statusLower === 'canceling') {
-                status = 'Cancelling';
-              } else {
-                status = 'Cancelled';
-              }
-            }
-          } else {
-            // No expiration date, use status from backend
-            if (statusLower === 'cancelling' || statusLower === 'canceling') {
-              status = 'Cancelling';
-            } else {
-              status = 'Cancelled';
-            }
-          }
-        }
-        // Check for inactive - might be expired or cancelled
-        else if (statusLower === 'inactive') {
-          // Check if it's actually expired based on expiration date
-          if (siteData.expiration_date || siteData.renewal_date) {
-            try {
-              const timestamp = typeof (siteData.expiration_date || siteData.renewal_date) === 'number' 
-                ? (siteData.expiration_date || siteData.renewal_date)
-                : parseInt(siteData.expiration_date || siteData.renewal_date);
-              const dateInMs = timestamp < 1e12 ? timestamp * 1000 : timestamp;
-              const expirationDateObj = new Date(dateInMs);
-              const now = new Date();
-              if (expirationDateObj < now) {
-                status = 'Expired';
-              } else {
-                // Inactive but not expired - check if it's cancelled
-                // If there's a cancel_at or canceled_at field, it's cancelled
-                if (siteData.cancel_at || siteData.canceled_at || siteData.cancel_at_period_end) {
-                  status = 'Cancelled';
-                } else {
-                  status = 'Inactive';
-                }
-              }
-            } catch (e) {
-              // If date parsing fails, check for cancel indicators
-              if (siteData.cancel_at || siteData.canceled_at || siteData.cancel_at_period_end) {
-                status = 'Cancelled';
-              } else {
-                status = 'Inactive';
-              }
-            }
-          } else {
-            // No expiration date, check for cancel indicators
-            if (siteData.cancel_at || siteData.canceled_at || siteData.cancel_at_period_end) {
-              status = 'Cancelled';
-            } else {
-              status = 'Inactive';
-            }
-          }
-        } 
-        // For other statuses, capitalize first letter
-        else {
-          status = siteData.status.charAt(0).toUpperCase() + siteData.status.slice(1);
-        }
-      } else {
-        // If no status, check expiration date
-        if (siteData.expiration_date || siteData.renewal_date) {
-          try {
-            const timestamp = typeof (siteData.expiration_date || siteData.renewal_date) === 'number' 
-              ? (siteData.expiration_date || siteData.renewal_date)
-              : parseInt(siteData.expiration_date || siteData.renewal_date);
-            const dateInMs = timestamp < 1e12 ? timestamp * 1000 : timestamp;
-            const expirationDateObj = new Date(dateInMs);
-            const now = new Date();
-            if (expirationDateObj < now) {
-              status = 'Expired';
-            }
-          } catch (e) {
-            // Keep as Active if date parsing fails
-          }
-        }
-      }
-
-      return {
-        id: domain,
-        domain: domain,
-        siteName: siteName, // Add site name from response
-        source: siteData.source || 'Direct payment',
-        status: status,
-        billingPeriod: billingPeriod,
-        expirationDate: expirationDate,
-        licenseKey: siteData.license_key || 'N/A',
-        created: created,
-        subscriptionId: siteData.subscription_id || siteData.subscriptionId || null,
-      };
-      })
-      .filter(domain => {
+    // Also process sites object (for any sites not in subscriptions)
+    Object.values(sites || {})
+      .filter(site => {
         // Show Direct payment, Site payment, and Site purchase - exclude License Key
-        const source = domain.source || '';
-        
+        const source = site.source || '';
+
         // Exclude License Key items - check multiple conditions
-        if (source === 'License Key' || 
+        if (source === 'License Key' ||
             source.toLowerCase().includes('license') ||
-            (domain.licenseKey && domain.licenseKey !== 'N/A' && domain.licenseKey.startsWith('KEY-'))) {
+            (site.licenseKey && site.licenseKey.startsWith('KEY-'))) {
           return false;
         }
-        
+
         // Show Direct payment, Site payment, Site purchase, or empty source
         // Include all statuses (Active, Cancelled, Expired, etc.)
-        return source === 'Direct payment' || 
-               source === 'Site payment' || 
+        return source === 'Direct payment' ||
+               source === 'Site payment' ||
                source === 'Site purchase' ||
                source.toLowerCase().includes('site purchase') ||
                source === '';
       })
-      .forEach(domain => {
+      .forEach(site => {
         // Check if domain already exists from subscriptions
-        const exists = allDomains.some(d => d.domain.toLowerCase().trim() === domain.domain.toLowerCase().trim());
-        if (!exists) {
-          allDomains.push(domain);
+        if (allDomains.some(d => d.domain === site.domain)) {
+          return;
         }
+        allDomains.push({
+          id: site.domain,
+          domain: site.domain,
+          siteName: site.name,
+          source: site.source || 'Direct payment',
+          status: site.status,
+          billingPeriod: site.billingPeriod || 'N/A',
+          expirationDate: formatDate(site.expiresAt),
+          licenseKey: site.licenseKey || 'N/A',
+          created: formatDate(site.createdAt),
+          subscriptionId: site.subscriptionId,
+        });
       });
-    }
-    
-    // Remove duplicates based on domain name (case-insensitive)
-    const uniqueDomains = [];
-    const seenDomains = new Set();
-    allDomains.forEach(domain => {
-      const domainKey = domain.domain.toLowerCase().trim();
-      if (!seenDomains.has(domainKey)) {
-        seenDomains.add(domainKey);
-        uniqueDomains.push(domain);
-      }
-    });
-    
-    return uniqueDomains;
+
+    return allDomains;
   }, [sites, subscriptions, licenses]);
 
   // Close context menu when clicking outside
@@ -626,8 +382,8 @@ const handleContextMenu = (e, domainId) => {
     }
   };
 
-  const handleCancelSubscription = async (subscriptionId, domainName, siteDomain) => {
-    if (isCancelling) {
+  const handleCancelSubscription = (subscriptionId, domainName, siteDomain) => {
+    if (cancelSubscriptionMutation.isCancelling(subscriptionId)) {
       return; // Prevent multiple clicks
     }
 
@@ -650,27 +406,24 @@ const handleContextMenu = (e, domainId) => {
       `Are you sure you want to cancel the subscription for "${domainName}"? The subscription will remain active until the end of the current billing period.`
     );
 
+    setContextMenu(null); // Close menu immediately
     if (!confirmed) {
-      setContextMenu(null);
       return;
     }
 
-    setIsCancelling(true);
-    setContextMenu(null); // Close menu immediately
-
-    try {
-      const response = await cancelSubscription(effectiveUserEmail, siteDomain, subscriptionId);
-      const message = response.message || 'Subscription cancelled successfully. The subscription will remain active until the end of the current billing period.';
-      showSuccess(message);
-      
-      // Refresh dashboard data
-      await queryClient.invalidateQueries({ queryKey: queryKeys.dashboard(effectiveUserEmail) });
-    } catch (error) {
-      const errorMessage = error.message || error.error || 'Unknown error';
-      showError('Failed to cancel subscription: ' + errorMessage);
-    } finally {
-      setIsCancelling(false);
-    }
+    cancelSubscriptionMutation.mutate(
+      { subscriptionId, siteDomain },
+      {
+        onSuccess: (response) => {
+          const message = response.message || 'Subscription cancelled successfully. The subscription will remain active until the end of the current billing period.';
+          showSuccess(message);
+        },
+        onError: (error) => {
+          const errorMessage = error.message || error.error || 'Unknown error';
+          showError('Failed to cancel subscription: ' + errorMessage);
+        },
+      }
+    );
   };
 
   // Keep search expanded if there's a query
@@ -1030,12 +783,12 @@ const handleContextMenu = (e, domainId) => {
                           <button
                             className="context-menu-item context-menu-item-danger"
                             onClick={() => handleCancelSubscription(domain.subscriptionId, domain.siteName || domain.domain, domain.domain)}
-                            disabled={isCancelling}
+                            disabled={cancelSubscriptionMutation.isCancelling(domain.subscriptionId)}
                           >
                             <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
                               <path d="M12 4L4 12M4 4L12 12" stroke="#EF4444" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/>
                             </svg>
-                            <span>{isCancelling ? 'Cancelling...' : 'Cancel Subscription'}</span>
+                            <span>{cancelSubscriptionMutation.isCancelling(domain.subscriptionId) ? 'Cancelling...' : 'Cancel Subscription'}</span>
                           </button>
                         )}
                         <button
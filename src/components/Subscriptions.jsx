@@ -4,6 +4,8 @@ import { useNotification } from '../hooks/useNotification';
 import { createSiteCheckout, removePendingSite } from '../services/api';
 import { useQueryClient } from '@tanstack/react-query';
 import { queryKeys, useLicenses } from '../hooks/useDashboardQueries';
+import { usePurchaseEvents } from '../hooks/useTabSync';
+import { createPurchase, transitionPurchase, PURCHASE_STATUS } from '../lib/purchaseTracker';
 
 export default function Subscriptions({ dashboardData, userEmail }) {
   // Handle both array and object formats for subscriptions
@@ -41,40 +43,29 @@ export default function Subscriptions({ dashboardData, userEmail }) {
   // Use ref to track previous backendPendingSites to prevent infinite loops
   const prevBackendPendingSitesRef = useRef();
   
-  // Listen for payment completion messages from popup
-  useEffect(() => {
-    const handleMessage = (event) => {
-      // Verify origin for security
-      if (event.origin !== window.location.origin) return;
+  // Payment completion/cancellation reported by the checkout popup (or another tab)
+  usePurchaseEvents({
+    onCompleted: () => {
+      // Payment completed - refresh data and reset processing state
+      setIsProcessing(false);
       
-      if (event.data && event.data.type === 'PAYMENT_SUCCESS') {
-        // Payment completed - refresh data and reset processing state
-        setIsProcessing(false);
-        sessionStorage.removeItem('pendingSitesPurchase');
-        
-        // Refresh dashboard data
-        queryClient.refetchQueries({
-          queryKey: queryKeys.dashboard(userEmail),
-          type: 'active',
-        });
-        queryClient.refetchQueries({
-          queryKey: queryKeys.licenses(userEmail),
-          type: 'active',
-        });
-        
-        showSuccess('Payment successful! Your sites are being processed...');
-      } else if (event.data && event.data.type === 'PAYMENT_CANCELLED') {
-        // Payment cancelled - reset processing state
-        setIsProcessing(false);
-      }
-    };
-    
-    window.addEventListener('message', handleMessage);
-    
-    return () => {
-      window.removeEventListener('message', handleMessage);
-    };
-  }, [userEmail, queryClient, showSuccess]);
+      // Refresh dashboard data
+      queryClient.refetchQueries({
+        queryKey: queryKeys.dashboard(userEmail),
+        type: 'active',
+      });
+      queryClient.refetchQueries({
+        queryKey: queryKeys.licenses(userEmail),
+        type: 'active',
+      });
+      
+      showSuccess('Payment successful! Your sites are being processed...');
+    },
+    onCancelled: () => {
+      // Payment cancelled - reset processing state
+      setIsProcessing(false);
+    },
+  });
   
   // Sync local pending sites with backend data
   useEffect(() => {
@@ -234,15 +225,17 @@ export default function Subscriptions({ dashboardData, userEmail }) {
       const checkoutData = await createCheckoutFromPending(userEmail, selectedPaymentPlan);
       
       if (checkoutData.url) {
-        // Store pending purchase info for polling when user returns
-        sessionStorage.setItem('pendingSitesPurchase', JSON.stringify({
+        // Track the checkout until the sites are created
+        const purchase = createPurchase({
+          kind: 'sites',
+          email: userEmail,
           sites: sitesToSend.map(s => s.site),
           billingPeriod: selectedPaymentPlan.toLowerCase(),
-          timestamp: Date.now(),
-        }));
+        });
 
         // Open checkout in new window/popup
         const checkoutWindow = window.open(checkoutData.url, '_blank', 'width=600,height=700');
+        transitionPurchase(purchase.id, PURCHASE_STATUS.REDIRECTED);
         
         if (!checkoutWindow || checkoutWindow.closed) {
           // Fallback to redirect if popup blocked
@@ -255,11 +248,13 @@ export default function Subscriptions({ dashboardData, userEmail }) {
             if (checkoutWindow.closed) {
               clearInterval(checkClosed);
               setIsProcessing(false);
+              // Ignored when the popup already reported the payment
+              transitionPurchase(purchase.id, PURCHASE_STATUS.CANCELLED, { message: 'Checkout window closed' });
             }
           }, 1000);
           
           // Cleanup interval when component unmounts or payment completes
-          // The global message listener in useEffect will handle payment success
+          // usePurchaseEvents above will handle payment success
         }
       } else {
         throw new Error('No checkout URL received');
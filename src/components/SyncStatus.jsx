@@ -0,0 +1,78 @@
+import { useState, useEffect } from 'react';
+import { formatDate } from '../lib/normalize';
+
+// Re-render often enough for the relative time to stay correct
+const TICK_INTERVAL = 30 * 1000;
+
+function formatTime(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// 'just now', '3 min ago', '2 h ago', then the date
+function formatLastSynced(ms, now) {
+  const elapsed = Math.max(0, now - ms);
+  const minutes = Math.floor(elapsed / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  return formatDate(ms);
+}
+
+/**
+ * "Last synced" timestamp with a manual refresh button for the dashboard header
+ * - lastSyncedAt: ms of the oldest successful fetch among the shown queries (0 when never synced)
+ * - isSyncing: a fetch is in flight (background revalidation or manual refresh)
+ */
+export default function SyncStatus({ lastSyncedAt, isSyncing, onRefresh }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), TICK_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Show the fresh time right after a sync completes instead of waiting for the next tick
+  useEffect(() => {
+    setNow(Date.now());
+  }, [lastSyncedAt]);
+
+  return (
+    <div className="sync-status">
+      <span
+        className="sync-status-text"
+        title={lastSyncedAt ? `${formatDate(lastSyncedAt)} ${formatTime(lastSyncedAt)}` : undefined}
+      >
+        {isSyncing
+          ? 'Syncing...'
+          : lastSyncedAt
+            ? `Last synced ${formatLastSynced(lastSyncedAt, now)}`
+            : 'Not synced yet'}
+      </span>
+      <button
+        className="header-btn header-btn-icon"
+        onClick={onRefresh}
+        disabled={isSyncing}
+        title="Refresh data"
+        aria-label="Refresh data"
+      >
+        <svg
+          className={isSyncing ? 'sync-status-icon spinning' : 'sync-status-icon'}
+          width="16"
+          height="16"
+          viewBox="0 0 16 16"
+          fill="none"
+          xmlns="http://www.w3.org/2000/svg"
+        >
+          <path
+            d="M13.5 8A5.5 5.5 0 1 1 11.9 4.1M13.5 2.5V5H11"
+            stroke="#262E84"
+            strokeWidth="1.5"
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          />
+        </svg>
+      </button>
+    </div>
+  );
+}
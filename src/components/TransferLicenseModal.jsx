@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import { useNotification } from '../hooks/useNotification';
+import { useMemberstack } from '../hooks/useMemberstack';
+import { useTransferLicense } from '../hooks/useDashboardQueries';
+import { normalizeImportedDomain } from '../lib/domainImport';
+import './TransferLicenseModal.css';
+
+// Worker errors about the new domain or the cooldown - shown as the input's error
+const DOMAIN_ERRORS = ['invalid_domain', 'same_domain', 'domain_already_active', 'transfer_cooldown'];
+
+/**
+ * Move an activated license key to another domain (rebrand, staging -> production)
+ * The old domain stops validating once the worker has moved the KV entries.
+ * Uses the cancel modal layout (Dashboard.css / Licenses.css).
+ */
+export default function TransferLicenseModal({ licenseKey, currentDomain, onClose }) {
+  const { userEmail } = useMemberstack();
+  const { showSuccess } = useNotification();
+  const [domainInput, setDomainInput] = useState('');
+  const [domainError, setDomainError] = useState('');
+  // Anything else (auth, not found, KV or server errors) - shown above the buttons
+  const [submitError, setSubmitError] = useState('');
+
+  const transferLicenseMutation = useTransferLicense(userEmail);
+  const isTransferring = transferLicenseMutation.isTransferring(licenseKey);
+
+  const handleClose = () => {
+    if (isTransferring) return; // KV and D1 are being updated
+    onClose();
+  };
+
+  const handleConfirm = () => {
+    if (isTransferring) return;
+
+    const newDomain = normalizeImportedDomain(domainInput);
+    if (!newDomain) {
+      setDomainError('Please enter a domain');
+      return;
+    }
+
+    setSubmitError('');
+    transferLicenseMutation.mutate(
+      { licenseKey, fromDomain: currentDomain, newDomain },
+      {
+        onSuccess: (response) => {
+          showSuccess(response.message || `License moved to ${newDomain}`);
+          onClose();
+        },
+        onError: (error) => {
+          if (DOMAIN_ERRORS.includes(error.code)) {
+            setDomainError(error.message);
+            return;
+          }
+          setSubmitError('Failed to transfer license: ' + (error.message || 'Unknown error'));
+        },
+      }
+    );
+  };
+
+  return (
+    <>
+      <div
+        className="modal-overlay"
+        onClick={handleClose}
+        style={{ cursor: isTransferring ? 'not-allowed' : 'pointer' }}
+      />
+      <div className="cancel-modal">
+        <div className="cancel-modal-header">
+          <h2 className="cancel-modal-title">Transfer License</h2>
+          <button
+            className="cancel-modal-close"
+            onClick={handleClose}
+            title="Close"
+            disabled={isTransferring}
+            style={{ opacity: isTransferring ? 0.5 : 1, cursor: isTransferring ? 'not-allowed' : 'pointer' }}
+          >
+            <svg width="20" height="20" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M15 5L5 15M5 5L15 15" stroke="#666" strokeWidth="2" strokeLinecap="round" />
+            </svg>
+          </button>
+        </div>
+        <div className="cancel-modal-body">
+          <p className="cancel-modal-message">
+            Move <strong>{licenseKey}</strong> from <strong>{currentDomain}</strong> to another domain.
+            The consent banner stops working on {currentDomain} once the key has moved.
+          </p>
+
+          <input
+            type="text"
+            className={`transfer-license-input ${domainError ? 'error' : ''}`}
+            placeholder="www.new-domain.com"
+            value={domainInput}
+            onChange={(e) => {
+              setDomainInput(e.target.value);
+              if (domainError) setDomainError('');
+            }}
+            onKeyDown={(e) => e.key === 'Enter' && handleConfirm()}
+            disabled={isTransferring}
+            autoFocus
+          />
+          {domainError && <div className="transfer-license-error">{domainError}</div>}
+          {submitError && <div className="transfer-license-error">{submitError}</div>}
+
+          <div className="cancel-modal-actions">
+            <button
+              className="cancel-modal-cancel-btn"
+              onClick={handleClose}
+              disabled={isTransferring}
+              style={{ opacity: isTransferring ? 0.6 : 1, pointerEvents: isTransferring ? 'none' : 'auto' }}
+            >
+              Cancel
+            </button>
+            <button
+              className="transfer-license-confirm-btn"
+              onClick={handleConfirm}
+              disabled={isTransferring || !domainInput.trim()}
+            >
+              {isTransferring ? 'Transferring...' : 'Transfer'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,88 @@
+import { useNotification } from '../hooks/useNotification';
+import { useMemberstack } from '../hooks/useMemberstack';
+import { useUnassignLicense } from '../hooks/useDashboardQueries';
+
+/**
+ * Confirm freeing an activated key from its domain - billing continues and the key
+ * moves back to "Not Assigned". Uses the cancel modal layout (Licenses.css).
+ */
+export default function UnassignLicenseModal({ licenseKey, siteDomain, onClose }) {
+  const { userEmail } = useMemberstack();
+  const { showSuccess } = useNotification();
+  const unassignLicenseMutation = useUnassignLicense(userEmail);
+  const isUnassigning = unassignLicenseMutation.isUnassigning(licenseKey);
+
+  const handleClose = () => {
+    if (isUnassigning) return; // KV entries are being removed
+    onClose();
+  };
+
+  const handleConfirm = () => {
+    if (isUnassigning) return;
+
+    unassignLicenseMutation.reset(); // Drops the error of the previous attempt
+    unassignLicenseMutation.mutate(
+      { licenseKey, siteDomain },
+      {
+        onSuccess: (response) => {
+          showSuccess(response.message || `License key removed from ${siteDomain}`);
+          onClose();
+        },
+      }
+    );
+  };
+
+  return (
+    <>
+      <div
+        className="modal-overlay"
+        onClick={handleClose}
+        style={{ cursor: isUnassigning ? 'not-allowed' : 'pointer' }}
+      />
+      <div className="cancel-modal">
+        <div className="cancel-modal-header">
+          <h2 className="cancel-modal-title">Unassign License</h2>
+          <button
+            className="cancel-modal-close"
+            onClick={handleClose}
+            title="Close"
+            disabled={isUnassigning}
+            style={{ opacity: isUnassigning ? 0.5 : 1, cursor: isUnassigning ? 'not-allowed' : 'pointer' }}
+          >
+            <svg width="20" height="20" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M15 5L5 15M5 5L15 15" stroke="#666" strokeWidth="2" strokeLinecap="round" />
+            </svg>
+          </button>
+        </div>
+        <div className="cancel-modal-body">
+          <p className="cancel-modal-message">
+            Remove <strong>{licenseKey}</strong> from <strong>{siteDomain}</strong>? The consent banner stops
+            working on this domain, but the subscription stays active and the key can be activated again later.
+          </p>
+          {unassignLicenseMutation.error && (
+            <div className="unassign-license-error">
+              Failed to unassign license: {unassignLicenseMutation.error.message || 'Unknown error'}
+            </div>
+          )}
+          <div className="cancel-modal-actions">
+            <button
+              className="cancel-modal-cancel-btn"
+              onClick={handleClose}
+              disabled={isUnassigning}
+              style={{ opacity: isUnassigning ? 0.6 : 1, pointerEvents: isUnassigning ? 'none' : 'auto' }}
+            >
+              Keep assigned
+            </button>
+            <button
+              className={`cancel-modal-confirm-btn ${isUnassigning ? 'cancelling' : ''}`}
+              onClick={handleConfirm}
+              disabled={isUnassigning}
+            >
+              {isUnassigning ? 'Unassigning...' : 'Unassign'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -6,7 +6,7 @@ Bindings required (set in your worker's environment):
 - STRIPE_SECRET_KEY: your Stripe secret key
 - STRIPE_WEBHOOK_SECRET: your Stripe webhook signing secret (optional but recommended)
 - JWT_SECRET: HMAC secret for magic links / session tokens
-- SESSION_KV (KV namespace binding) - Only for session tokens
+- SESSION_KV (KV namespace binding) - Only for session tokens (and the cache of verified Memberstack tokens)
 - RESEND_API_KEY: Resend API key for sending emails (required for email functionality)
 - EMAIL_FROM: (optional) from address for Resend emails (defaults to 'onboarding@resend.dev')
 - BASE_URL: (optional) Base URL for magic links (defaults to request origin, e.g., 'https://consentbit-dashboard-test.web-8fb.workers.dev')
@@ -18,6 +18,7 @@ Bindings required (set in your worker's environment):
 - MEMBERSTACK_PLAN_ID: (optional) Memberstack plan ID to assign to users
 - MEMBERSTACK_REDIRECT_URL: (optional) Redirect URL after Memberstack magic link login (defaults to dashboard: https://memberstack-login-test-713fa5.webflow.io/dashboard)
 - MEMBERSTACK_LOGIN_URL: (optional) Webflow login page URL for triggering passwordless (defaults to: https://memberstack-login-test-713fa5.webflow.io/)
+- LICENSE_TRANSFER_COOLDOWN_HOURS: (optional) hours before a license key can be moved to another domain again (defaults to 24, 0 disables)
 
 Notes:
 - This Worker uses fetch to call Stripe REST API (no stripe-node dependency) so it runs cleanly on Workers.
@@ -30,7 +31,42 @@ POST /webhook                    -> handle Stripe webhooks (payment_intent.succe
 POST /memberstack-webhook        -> Stripe → Memberstack integration (creates/updates Memberstack user, assigns plan, sends magic link)
 POST /magic-link                 -> request a magic login link (creates a session token and returns a link)
 GET  /auth/callback?token=...    -> verifies token and sets session cookie (redirects to dashboard URL)
-GET  /dashboard                  -> returns the user's sites and billing info (requires session cookie)
+GET  /dashboard                  -> returns the user's sites and billing info for ?email= (requires session cookie)
+GET  /licenses, /api/licenses/status, /api/sites/status, /api/invoices
+                                 -> same ?email= lookup as /dashboard; the dashboard also sends Authorization: Bearer <Memberstack token>
+                                    so these can switch to getAuthenticatedEmail without a client change
+GET  /api/queue/events           -> queue progress as Server-Sent Events (item.created, item.completed, item.failed, batch.finished); same bearer auth
+GET  /api/orders                 -> checkouts with their queue items, produced licenses/sites and refunds (?limit=, max 100); same bearer auth
+GET  /api/pricing                -> price catalog from price_config: per-period unit amounts, currency, discounts, quantity limits and volume tiers (public)
+GET  /api/promo-codes/validate?code=
+                                 -> looks up an active Stripe promotion code: { valid, code, promotion_code_id, discount, message } (public)
+POST /create-site-checkout, /add-sites-batch, /purchase-quantity
+                                 -> optional promo_code is applied to the Checkout Session (400 invalid_promo_code when it does not apply)
+POST /create-site-checkout, /add-sites-batch, /purchase-quantity
+                                 -> ui_mode: 'embedded' creates an embedded Checkout Session and returns its client_secret
+                                    (checkout_url is then null; completion is reported to the dashboard in the page)
+POST /add-sites-batch            -> bulk_import: true raises the site limit to limits.bulk_sites; sites that already have a
+                                    subscription are rejected with 409 site_exists and their names in `sites`
+POST /api/subscriptions/billing-period/preview
+                                 -> proration preview for switching a subscription monthly <-> yearly ({ subscription_id, billing_period }); same bearer auth
+POST /api/subscriptions/billing-period
+                                 -> switches the subscription item's price (same subscription, license key and KV entries); same bearer auth
+POST /api/subscriptions/resume   -> clears cancel_at_period_end on a subscription pending cancellation and updates its platform KV entries; same bearer auth
+GET  /api/billing                -> cards, default payment method and billing details of every Stripe customer under the user's email; same bearer auth
+POST /api/licenses/activate-batch
+                                 -> assigns unassigned license keys to domains ({ activations: [{ license_key, site_domain }] }, max 50);
+                                    every row is checked on its own and answered in `results` (kv_update_failed rows are left
+                                    unassigned); a domain with an active license of any customer is rejected; same bearer auth
+POST /api/licenses/transfer      -> moves an activated license key to another domain ({ license_key, new_domain }): rewrites the KV
+                                    entries, updates D1 and records the move in license_transfers; 429 transfer_cooldown
+                                    within LICENSE_TRANSFER_COOLDOWN_HOURS of the last move, 409 domain_already_active when any
+                                    customer has an active key on new_domain; on a KV (502 kv_update_failed) or D1 (500) failure
+                                    the old KV entries are restored; same bearer auth
+POST /api/licenses/unassign      -> frees an activated license key ({ license_key }): removes the domain and key from the KV
+                                    namespaces, then clears the domain from licenses, sites and subscription_items; 502
+                                    kv_cleanup_failed when KV fails (nothing changed); the subscription keeps billing; same bearer auth
+POST /api/billing/portal         -> Stripe Billing Portal session for one of those customers ({ customer_id, flow?: 'payment_method_update' }),
+                                    returns { url }; the portal sends the user back to the dashboard with ?billing=updated
 POST /add-site                   -> add a site (create subscription_item)
 POST /remove-site                -> remove a site (delete subscription_item)
 
@@ -65,6 +101,7 @@ Database usage (schema):
     updated_at: number
   }
 - SESSION_KV: key `session:{token}` => JSON { customerId, email, expires }
+- SESSION_KV: key `memberstack-token:{sha256(token)}` => JSON { email, exp } (verified Memberstack tokens, until exp or 1 hour)
 
 Deployment:
 1. wrangler init
@@ -93,6 +130,32 @@ function generateLicenseKey() {
   }).join('-');
   return `KEY-${key}`;
 }
+// Stripe metadata values are limited to 500 characters - a bulk import's site list does not fit in one.
+// Longer values are split over <name>_0, <name>_1, ... with the number of parts in <name>_parts.
+const STRIPE_METADATA_VALUE_MAX = 500;
+
+function setChunkedMetadata(form, prefix, name, value) {
+  if (value.length <= STRIPE_METADATA_VALUE_MAX) {
+    form[`${prefix}[${name}]`] = value;
+    return;
+  }
+  const parts = Math.ceil(value.length / STRIPE_METADATA_VALUE_MAX);
+  form[`${prefix}[${name}_parts]`] = parts;
+  for (let i = 0; i < parts; i++) {
+    form[`${prefix}[${name}_${i}]`] = value.slice(i * STRIPE_METADATA_VALUE_MAX, (i + 1) * STRIPE_METADATA_VALUE_MAX);
+  }
+}
+
+function getChunkedMetadata(metadata, name) {
+  const parts = parseInt(metadata[`${name}_parts`], 10);
+  if (!parts) return metadata[name];
+  let value = '';
+  for (let i = 0; i < parts; i++) {
+    value += metadata[`${name}_${i}`] || '';
+  }
+  return value;
+}
+
 // Enqueue site purchase job (Use Case 2 -> process later from sitesqueue)
 async function enqueueSiteQueueItem(env, {
   customerId,
@@ -151,20 +214,39 @@ async function enqueueSiteQueueItem(env, {
   return queueId;
 }
 
+// unitAmount is the list price; with a quantity the volume tier is applied, so renewals keep
+// the discount of the original purchase. Prices are reused by lookup_key (product + period + currency
+// + amount) - Stripe prices cannot be deleted, so one is only created the first time an amount is needed
 async function getOrCreateDynamicPrice(env, {
   productId,
   billingPeriod,
   currency,
   unitAmount,
+  quantity = 1,
 }) {
-  const period = (billingPeriod || '').toLowerCase().trim();
+  const period = (billingPeriod || '').toLowerCase().trim() === 'yearly' ? 'yearly' : 'monthly';
+  const priceCurrency = (currency || 'usd').toLowerCase();
+  const amount = getTieredUnitAmount(unitAmount, quantity);
+  const lookupKey = `dynamic_${productId}_${period}_${priceCurrency}_${amount}`;
+
+  const existingRes = await stripeFetch(
+    env,
+    `/prices?active=true&limit=1&lookup_keys[]=${encodeURIComponent(lookupKey)}`
+  );
+  const existingPrice = existingRes.status === 200 ? existingRes.body?.data?.[0] : null;
+  if (existingPrice) {
+    return existingPrice.id;
+  }
 
   // Flatten nested objects for form-encoded Stripe API
   const createBody = {
     product: productId,
-    currency: currency || 'usd',
-    unit_amount: unitAmount,
+    currency: priceCurrency,
+    unit_amount: amount,
     'recurring[interval]': period === 'yearly' ? 'year' : 'month',
+    lookup_key: lookupKey,
+    // Two requests creating the same amount at once - the later price takes the key over
+    transfer_lookup_key: 'true',
   };
 
   console.log('[USE CASE 2] Dynamic price createBody:', createBody);
@@ -183,6 +265,11 @@ async function getOrCreateDynamicPrice(env, {
   return res.body.id;
 }
 
+// Every site creates one Stripe subscription - a run stops taking rows once it has made this many
+// Stripe calls (Workers allow 1000 subrequests per invocation, the rest is left for D1/KV and retries),
+// so a large bulk import is worked off over several runs while normal purchases go through in one
+const SITES_QUEUE_STRIPE_CALLS_PER_RUN = 500;
+
 async function processSitesQueue(env, limit = 100) {
   if (!env.DB) {
     console.warn('[SITES QUEUE] No DB, skipping sitesqueue processing');
@@ -227,8 +314,23 @@ async function processSitesQueue(env, limit = 100) {
 
     let successCount = 0;
     let failCount = 0;
+    let stripeCalls = 0;
+    let processedCount = 0;
 
     for (const job of queueItems.results) {
+      let jobSiteCount = 1;
+      try {
+        jobSiteCount = Math.max(JSON.parse(job.sites_json || '[]').length, 1);
+      } catch (e) {
+        // Invalid sites_json fails below when the row is processed
+      }
+      if (stripeCalls > 0 && stripeCalls + jobSiteCount > SITES_QUEUE_STRIPE_CALLS_PER_RUN) {
+        console.log(`[SITES QUEUE] ⏸️ Stripe call budget reached (${stripeCalls}) - leaving the remaining rows for the next run`);
+        break;
+      }
+      stripeCalls += jobSiteCount;
+      processedCount++;
+
       // Atomic lock mechanism
       const lockResult = await env.DB.prepare(
         `UPDATE sitesqueue 
@@ -382,7 +484,7 @@ async function processSitesQueue(env, limit = 100) {
     }
 
     console.log(`[SITES QUEUE] ✅ Queue processing complete: ${successCount} succeeded, ${failCount} failed`);
-    return { processed: queueItems.results.length, successCount, failCount };
+    return { processed: processedCount, successCount, failCount };
 
   } catch (error) {
     console.error(`[SITES QUEUE] ❌ Error processing queue:`, error);
@@ -608,8 +710,20 @@ async function handleCreateSiteCheckout(request, env) {
     }, true, request);
   }
 
-  const { email: emailParam, sites, billing_period: billingPeriodParam } = body;
-  const sitesArray = Array.isArray(sites) ? sites : [];
+  const {
+    email: emailParam,
+    sites,
+    billing_period: billingPeriodParam,
+    promo_code: promoCode,
+    bulk_import: bulkImport,
+    ui_mode: uiMode,
+  } = body;
+  // Same domain twice in one checkout (e.g. a pasted list) is bought once
+  const sitesArray = [...new Set(
+    (Array.isArray(sites) ? sites : [])
+      .map(site => String(site.site || site.site_domain || site).toLowerCase().trim())
+      .filter(Boolean)
+  )];
 
   if (!sitesArray.length) {
     console.log('[CREATE-SITE-CHECKOUT] ❌ No sites provided');
@@ -674,6 +788,29 @@ async function handleCreateSiteCheckout(request, env) {
     }, true, request);
   }
 
+  // Sites that already have an active subscription or license are rejected by name, so the
+  // dashboard can mark the rows instead of failing the whole import
+  if (env.DB) {
+    const placeholders = sitesArray.map(() => '?').join(', ');
+    const existingRes = await env.DB.prepare(
+      `SELECT LOWER(site_domain) AS site FROM sites
+         WHERE customer_id = ? AND status = 'active' AND LOWER(site_domain) IN (${placeholders})
+       UNION
+       SELECT LOWER(COALESCE(used_site_domain, site_domain)) AS site FROM licenses
+         WHERE customer_id = ? AND status = 'active' AND LOWER(COALESCE(used_site_domain, site_domain)) IN (${placeholders})`
+    ).bind(customerId, ...sitesArray, customerId, ...sitesArray).all();
+    const existingSites = (existingRes.results || []).map(row => row.site);
+    if (existingSites.length > 0) {
+      return jsonResponse(409, {
+        error: 'site_exists',
+        message: existingSites.length === 1
+          ? `${existingSites[0]} already has a subscription`
+          : `${existingSites.length} sites already have a subscription`,
+        sites: existingSites,
+      }, true, request);
+    }
+  }
+
   /* ─────────────────────────────
      PRICE CONFIG (reuse purchase-quantity logic)
   ───────────────────────────── */
@@ -725,20 +862,30 @@ async function handleCreateSiteCheckout(request, env) {
      STEP 1: CALCULATE AMOUNT (like purchase-quantity)
   ───────────────────────────── */
   const totalSites = sitesArray.length;
-  let totalAmount = storedUnitAmount * totalSites;
+  const siteLimit = bulkImport ? PRICING_LIMITS.bulk_sites : PRICING_LIMITS.sites;
+  if (totalSites > siteLimit.max) {
+    return jsonResponse(400, {
+      error: 'too_many_sites',
+      message: `Maximum ${siteLimit.max} sites allowed per purchase`,
+    }, true, request);
+  }
+  const volumeTier = getVolumeTier(totalSites);
+  const tieredUnitAmount = getTieredUnitAmount(storedUnitAmount, totalSites);
+  let totalAmount = tieredUnitAmount * totalSites;
   const invoiceCurrency = 'usd'; // Default to USD
 
-  console.log(`[CREATE-SITE-CHECKOUT] Using unit_amount from env: ${storedUnitAmount}, sites: ${totalSites}, total: ${totalAmount}`);
+  console.log(`[CREATE-SITE-CHECKOUT] Using unit_amount from env: ${storedUnitAmount}, tiered: ${tieredUnitAmount}, sites: ${totalSites}, total: ${totalAmount}`);
 
   /* ─────────────────────────────
      STEP 2: PREPARE METADATA FOR AFTER PAYMENT
   ───────────────────────────── */
   try {
-    await stripeFetch(env, `/customers/${customerId}`, 'POST', {
-      'metadata[sites_pending]': JSON.stringify(sitesArray),
+    const customerForm = {
       'metadata[usecase]': '2',
       'metadata[billing_period]': normalizedPeriod,
-    }, true);
+    };
+    setChunkedMetadata(customerForm, 'metadata', 'sites_pending', JSON.stringify(sitesArray));
+    await stripeFetch(env, `/customers/${customerId}`, 'POST', customerForm, true);
   } catch (metadataErr) {
     console.warn('[CREATE-SITE-CHECKOUT] ⚠️ Failed to store metadata in customer:', metadataErr);
     // Non-critical
@@ -754,31 +901,51 @@ async function handleCreateSiteCheckout(request, env) {
   customer: customerId,
   // Payment method types: Card only
   'payment_method_types[0]': 'card',
-  // Enable promotion codes
-  'allow_promotion_codes': 'true',
   'line_items[0][price_data][currency]': 'usd', // Default to USD
-  'line_items[0][price_data][unit_amount]': storedUnitAmount, // Unit price per site
+  'line_items[0][price_data][unit_amount]': tieredUnitAmount, // Unit price per site, volume tier applied
   'line_items[0][price_data][product_data][name]': 'ConsentBit',
   'line_items[0][price_data][product_data][description]': `Billed ${normalizedPeriod === 'yearly' ? 'yearly' : 'monthly'}`,
   'line_items[0][quantity]': totalSites, // Show actual quantity (number of sites)
 
   'payment_intent_data[metadata][usecase]': '2',
   'payment_intent_data[metadata][customer_id]': customerId,
-  'payment_intent_data[metadata][sites_json]': JSON.stringify(sitesArray),
   'payment_intent_data[metadata][billing_period]': normalizedPeriod,
   'payment_intent_data[metadata][product_id]': productId,   // 🔴 required for getPriceIdFromProduct
   'payment_intent_data[metadata][currency]': invoiceCurrency,
+  // List price - the webhook creates the recurring price from it with the same volume tier
+  'payment_intent_data[metadata][unit_amount]': storedUnitAmount,
+  'payment_intent_data[metadata][volume_discount]': volumeTier ? volumeTier.discount_percent : 0,
 
   'payment_intent_data[setup_future_usage]': 'off_session',
   'success_url': `${dashboardUrl}?session_id={CHECKOUT_SESSION_ID}&payment=success`,
   'cancel_url': dashboardUrl,
 };
+  setChunkedMetadata(form, 'payment_intent_data[metadata]', 'sites_json', JSON.stringify(sitesArray));
+  applyCheckoutUiMode(form, uiMode);
+
+  // Promo code entered in the dashboard, otherwise Stripe's own promotion code field
+  try {
+    const invalidPromotion = await applyPromotionCode(env, form, promoCode);
+    if (invalidPromotion) {
+      return jsonResponse(400, {
+        error: 'invalid_promo_code',
+        message: invalidPromotion.message,
+      }, true, request);
+    }
+  } catch (promoErr) {
+    console.error('[CREATE-SITE-CHECKOUT] ❌ Promo code lookup failed:', promoErr);
+    return jsonResponse(502, {
+      error: 'promo_code_lookup_failed',
+      message: 'Promo code could not be checked. Please try again.',
+    }, true, request);
+  }
 
   console.log('[CREATE-SITE-CHECKOUT] 💳 Creating Stripe checkout session...', {
     amount: totalAmount,
     currency: invoiceCurrency,
     totalSites,
     productId,
+    promo_code: promoCode ? 'provided' : 'none',
   });
 
   const session = await stripeFetch(env, '/checkout/sessions', 'POST', form, true);
@@ -799,10 +966,12 @@ async function handleCreateSiteCheckout(request, env) {
   console.log('[CREATE-SITE-CHECKOUT] ✅ Checkout session created successfully:', {
     session_id: session.body.id,
     checkout_url: session.body.url ? 'present' : 'missing',
+    ui_mode: session.body.ui_mode,
   });
 
   const response = {
     checkout_url: session.body.url,
+    client_secret: session.body.client_secret || null,
     session_id: session.body.id,
     amount: totalAmount,
     currency: invoiceCurrency,
@@ -1679,6 +1848,364 @@ async function verifyToken(env, token) {
   }
 }
 
+// Verified tokens are cached in SESSION_KV until they expire (at most an hour) - every authenticated
+// request would otherwise cost two Admin API calls, and the dashboard polls several endpoints per tab
+const MEMBERSTACK_TOKEN_CACHE_MAX_SECONDS = 60 * 60;
+const KV_MIN_TTL_SECONDS = 60; // KV rejects shorter expirations
+
+// SHA-256 hex of a token - the cache never stores the token itself
+async function hashToken(token) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Verify a Memberstack session token with the Memberstack Admin API and return the member's email
+// Returns null if the token is missing, invalid or expired
+async function verifyMemberstackToken(env, token) {
+  const secretKey = env.MEMBERSTACK_SECRET_KEY;
+  if (!secretKey || !token) return null;
+  try {
+    const cacheKey = env.SESSION_KV ? `memberstack-token:${await hashToken(token)}` : null;
+    if (cacheKey) {
+      const cached = await env.SESSION_KV.get(cacheKey, 'json');
+      if (cached?.email && (!cached.exp || cached.exp * 1000 > Date.now())) return cached.email;
+    }
+
+    const verifyRes = await fetch('https://admin.memberstack.com/members/verify-token', {
+      method: 'POST',
+      headers: { 'X-API-KEY': secretKey, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token })
+    });
+    if (!verifyRes.ok) return null;
+    const verified = await verifyRes.json();
+    const memberId = verified?.data?.id;
+    if (!memberId) return null;
+    if (verified.data.exp && verified.data.exp * 1000 < Date.now()) return null;
+
+    const memberRes = await fetch(`https://admin.memberstack.com/members/${encodeURIComponent(memberId)}`, {
+      headers: { 'X-API-KEY': secretKey }
+    });
+    if (!memberRes.ok) return null;
+    const member = await memberRes.json();
+    const email = member?.data?.auth?.email?.toLowerCase().trim();
+    if (!email) return null;
+
+    const exp = verified.data.exp || null;
+    const ttl = Math.min(MEMBERSTACK_TOKEN_CACHE_MAX_SECONDS, exp ? exp - Math.floor(Date.now() / 1000) : Infinity);
+    if (cacheKey && ttl >= KV_MIN_TTL_SECONDS) {
+      try {
+        await env.SESSION_KV.put(cacheKey, JSON.stringify({ email, exp }), { expirationTtl: ttl });
+      } catch (kvError) {
+        console.warn('[AUTH] ⚠️ Could not cache verified token:', kvError);
+      }
+    }
+    return email;
+  } catch (e) {
+    console.error('[AUTH] Memberstack token verification failed:', e);
+    return null;
+  }
+}
+
+// Resolve the authenticated user's email for dashboard endpoints from the Authorization header
+// The ?email= query parameter is intentionally ignored - anyone could pass any email
+async function getAuthenticatedEmail(request, env) {
+  const authHeader = request.headers.get('Authorization') || '';
+  const match = authHeader.match(/^Bearer\s+(.+)$/i);
+  if (!match) return null;
+  return verifyMemberstackToken(env, match[1].trim());
+}
+
+// Queue progress stream for GET /api/queue/events (Server-Sent Events)
+// Sends item.created / item.completed / item.failed / batch.finished for the user's license and site queues,
+// so the dashboard does not have to poll /api/licenses/status and /api/sites/status every few seconds
+const QUEUE_EVENTS_POLL_MS = 1000;
+const QUEUE_EVENTS_KEEPALIVE_MS = 15000;
+const QUEUE_EVENTS_MAX_DURATION_MS = 5 * 60 * 1000; // The client reconnects when the stream closes
+
+async function handleQueueEvents(request, env) {
+  const email = await getAuthenticatedEmail(request, env);
+  if (!email) {
+    return jsonResponse(401, { error: 'unauthorized', message: 'Valid Memberstack token required' }, true, request);
+  }
+  if (!env.DB) {
+    return jsonResponse(501, { error: 'not_configured', message: 'Database not configured' }, true, request);
+  }
+
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  const startedAt = Date.now();
+  let closed = false;
+
+  const send = async (chunk) => {
+    if (closed) return;
+    try {
+      await writer.write(encoder.encode(chunk));
+    } catch (e) {
+      // Client went away
+      closed = true;
+    }
+  };
+  const sendEvent = (type, data) => send(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Last known status per queue row, so only changes are sent
+  const known = new Map();
+  // Rows per batch (payment intent) for progress and batch.finished
+  const batches = new Map();
+
+  const readQueues = async (since) => {
+    const [licenseRows, siteRows] = await Promise.all([
+      env.DB.prepare(
+        `SELECT queue_id AS itemId, payment_intent_id AS batchId, status, updated_at AS updatedAt
+         FROM subscription_queue WHERE user_email = ? AND updated_at >= ?`
+      ).bind(email, since).all(),
+      env.DB.prepare(
+        `SELECT queueid AS itemId, paymentintentid AS batchId, status, updatedat AS updatedAt
+         FROM sitesqueue WHERE useremail = ? AND updatedat >= ?`
+      ).bind(email, since).all()
+    ]);
+    return [
+      ...(licenseRows.results || []).map(row => ({ ...row, queue: 'licenses' })),
+      ...(siteRows.results || []).map(row => ({ ...row, queue: 'sites' }))
+    ];
+  };
+
+  const batchProgress = (batch) => {
+    const statuses = [...batch.values()];
+    return {
+      total: statuses.length,
+      completed: statuses.filter(s => s === 'completed').length,
+      failed: statuses.filter(s => s === 'failed').length,
+      pending: statuses.filter(s => s === 'pending' || s === 'processing').length
+    };
+  };
+
+  const run = async () => {
+    // Queue timestamps are in seconds - start with the last hour so a purchase in progress is picked up
+    let since = Math.floor(Date.now() / 1000) - 3600;
+    let lastWrite = Date.now();
+
+    await send(`retry: 5000\n\n`);
+
+    while (!closed && Date.now() - startedAt < QUEUE_EVENTS_MAX_DURATION_MS) {
+      try {
+        const checkedAt = Math.floor(Date.now() / 1000);
+        const rows = await readQueues(since);
+        since = checkedAt;
+
+        const changedBatches = new Set();
+        for (const row of rows) {
+          const status = (row.status || '').toLowerCase();
+          const key = `${row.queue}:${row.itemId}`;
+          const previous = known.get(key);
+          if (previous === status) continue;
+          known.set(key, status);
+
+          const batchKey = `${row.queue}:${row.batchId}`;
+          if (!batches.has(batchKey)) batches.set(batchKey, new Map());
+          batches.get(batchKey).set(row.itemId, status);
+          changedBatches.add(batchKey);
+
+          const type = status === 'completed' ? 'item.completed'
+            : status === 'failed' ? 'item.failed'
+            : previous ? null : 'item.created';
+          if (!type) continue;
+
+          const progress = batchProgress(batches.get(batchKey));
+          await sendEvent(type, { queue: row.queue, batchId: row.batchId, itemId: row.itemId, status: progress.pending > 0 ? 'processing' : status, progress });
+          lastWrite = Date.now();
+        }
+
+        for (const batchKey of changedBatches) {
+          const progress = batchProgress(batches.get(batchKey));
+          if (progress.pending > 0) continue;
+          const [queue, batchId] = [batchKey.slice(0, batchKey.indexOf(':')), batchKey.slice(batchKey.indexOf(':') + 1)];
+          const status = progress.failed === progress.total ? 'failed' : 'completed';
+          await sendEvent('batch.finished', { queue, batchId, itemId: null, status, progress });
+          lastWrite = Date.now();
+        }
+      } catch (e) {
+        console.error('[QUEUE EVENTS] Error reading queues:', e);
+      }
+
+      if (Date.now() - lastWrite >= QUEUE_EVENTS_KEEPALIVE_MS) {
+        await send(`: keep-alive\n\n`);
+        lastWrite = Date.now();
+      }
+      await new Promise(resolve => setTimeout(resolve, QUEUE_EVENTS_POLL_MS));
+    }
+
+    closed = true;
+    try {
+      await writer.close();
+    } catch (e) {
+      // Already closed by the client
+    }
+  };
+
+  run();
+
+  return new Response(readable, {
+    status: 200,
+    headers: {
+      ...getCorsHeaders(request),
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    }
+  });
+}
+
+// Order history for GET /api/orders
+// One order per checkout (payment intent): license quantity purchases come from subscription_queue,
+// site purchases from sitesqueue. Refunds recorded by processRefundForFailedQueueItem are attached
+// to the failed queue item they belong to.
+const ORDERS_DEFAULT_LIMIT = 50;
+const ORDERS_MAX_LIMIT = 100;
+
+// subscription_queue only stores the price - map a list price back to the billing period
+function getLicenseBillingPeriod(env, priceId) {
+  if (!priceId) return null;
+  if (priceId === env.YEARLY_LICENSE_PRICE_ID) return 'yearly';
+  if (priceId === env.MONTHLY_LICENSE_PRICE_ID) return 'monthly';
+  return null;
+}
+
+async function handleOrders(request, env) {
+  const email = await getAuthenticatedEmail(request, env);
+  if (!email) {
+    return jsonResponse(401, { error: 'unauthorized', message: 'Valid Memberstack token required' }, true, request);
+  }
+  if (!env.DB) {
+    return jsonResponse(501, { error: 'not_configured', message: 'Database not configured' }, true, request);
+  }
+
+  const url = new URL(request.url);
+  const requestedLimit = parseInt(url.searchParams.get('limit') || '', 10) || ORDERS_DEFAULT_LIMIT;
+  const limit = Math.min(Math.max(requestedLimit, 1), ORDERS_MAX_LIMIT);
+
+  try {
+    const [licenseRows, siteRows, refundRows] = await Promise.all([
+      env.DB.prepare(
+        // Volume-tier purchases queue a dynamic price - the created license knows its billing period
+        `SELECT q.queue_id, q.payment_intent_id, q.price_id, q.license_key, q.status, q.subscription_id, q.error_message,
+                q.created_at, q.updated_at, l.billing_period
+         FROM subscription_queue q LEFT JOIN licenses l ON l.license_key = q.license_key
+         WHERE q.user_email = ?`
+      ).bind(email).all(),
+      env.DB.prepare(
+        `SELECT queueid, paymentintentid, subscriptionid, sites_json, billingperiod, status, errormessage, createdat, updatedat
+         FROM sitesqueue WHERE useremail = ?`
+      ).bind(email).all(),
+      env.DB.prepare(
+        `SELECT refund_id, payment_intent_id, queue_id, amount, currency, status, created_at
+         FROM refunds WHERE user_email = ?`
+      ).bind(email).all()
+    ]);
+
+    const refunds = (refundRows.results || []).map(row => ({
+      refund_id: row.refund_id,
+      payment_intent_id: row.payment_intent_id,
+      queue_id: row.queue_id,
+      amount: row.amount,
+      currency: row.currency,
+      status: row.status,
+      created_at: row.created_at
+    }));
+
+    const orders = new Map();
+    const getOrder = (orderId, type, createdAt, billingPeriod) => {
+      if (!orders.has(orderId)) {
+        orders.set(orderId, {
+          order_id: orderId,
+          type,
+          billing_period: billingPeriod || null,
+          created_at: createdAt,
+          items: [],
+          refunds: refunds.filter(refund => refund.payment_intent_id === orderId)
+        });
+      }
+      const order = orders.get(orderId);
+      order.created_at = Math.min(order.created_at, createdAt);
+      order.billing_period = order.billing_period || billingPeriod || null;
+      return order;
+    };
+
+    for (const row of licenseRows.results || []) {
+      const order = getOrder(
+        row.payment_intent_id || row.queue_id,
+        'licenses',
+        row.created_at,
+        row.billing_period || getLicenseBillingPeriod(env, row.price_id)
+      );
+      order.items.push({
+        queue_id: row.queue_id,
+        status: row.status,
+        // Temporary keys are replaced when the item is processed - they never reach the user
+        license_key: row.license_key && !isTemporaryLicenseKey(row.license_key) ? row.license_key : null,
+        site: null,
+        subscription_id: row.subscription_id || null,
+        error_message: row.error_message || null,
+        refund: refunds.find(refund => refund.queue_id === row.queue_id) || null,
+        updated_at: row.updated_at
+      });
+    }
+
+    for (const row of siteRows.results || []) {
+      let sites = [];
+      try {
+        sites = JSON.parse(row.sites_json || '[]');
+      } catch (e) {
+        console.warn(`[ORDERS] Could not parse sites_json for ${row.queueid}:`, e);
+      }
+      const order = getOrder(row.paymentintentid || row.queueid, 'sites', row.createdat, row.billingperiod);
+      // A sitesqueue row creates its sites together - they share its status (checkouts now enqueue one row per site)
+      for (const site of sites) {
+        order.items.push({
+          queue_id: row.queueid,
+          status: row.status,
+          license_key: null,
+          site: site.site || site.site_domain || site,
+          subscription_id: row.subscriptionid || null,
+          error_message: row.errormessage || null,
+          refund: refunds.find(refund => refund.queue_id === row.queueid) || null,
+          updated_at: row.updatedat
+        });
+      }
+    }
+
+    // Site items get their license keys when the queue creates them (licenses rows are per subscription + site)
+    const siteSubscriptionIds = [...new Set(
+      [...orders.values()]
+        .flatMap(order => order.items)
+        .filter(item => item.site && item.subscription_id)
+        .map(item => item.subscription_id)
+    )];
+    if (siteSubscriptionIds.length > 0) {
+      const placeholders = siteSubscriptionIds.map(() => '?').join(', ');
+      const licenseRes = await env.DB.prepare(
+        `SELECT license_key, site_domain, subscription_id FROM licenses WHERE subscription_id IN (${placeholders})`
+      ).bind(...siteSubscriptionIds).all();
+      const keysBySite = new Map(
+        (licenseRes.results || []).map(row => [`${row.subscription_id}:${(row.site_domain || '').toLowerCase()}`, row.license_key])
+      );
+      for (const order of orders.values()) {
+        for (const item of order.items) {
+          if (!item.site) continue;
+          const key = `${item.subscription_id}:${String(item.site).toLowerCase()}`;
+          if (keysBySite.has(key)) item.license_key = keysBySite.get(key);
+        }
+      }
+    }
+
+    const sorted = [...orders.values()].sort((a, b) => b.created_at - a.created_at);
+    return jsonResponse(200, { orders: sorted.slice(0, limit), total: sorted.length }, true, request);
+  } catch (e) {
+    console.error('[ORDERS] Error loading orders:', e);
+    return jsonResponse(500, { error: 'orders_failed', message: 'Failed to load orders' }, true, request);
+  }
+}
+
 // Fetch customer email from Stripe customer object
 /**
  * Get price ID by billing period (monthly or yearly)
@@ -1763,6 +2290,1073 @@ async function getPriceConfigByBillingPeriod(env, billingPeriod) {
   }
 }
 
+// Pricing catalog for GET /api/pricing - the purchase modals render prices, discounts and limits from here
+// Prices come from price_config; when a row has no unit_amount the amount is read from the Stripe price,
+// so the total shown in the dashboard is always what Stripe charges
+// The only place quantity limits and volume tiers are defined - the dashboard reads both from /api/pricing
+const PRICING_LIMITS = {
+  licenses: { min: 1, max: 50 }, // per /purchase-quantity checkout
+  sites: { min: 1, max: 5 }, // per /add-sites-batch checkout
+  bulk_sites: { min: 1, max: 100 } // per /add-sites-batch checkout with bulk_import (pasted list / CSV)
+};
+// Volume discounts on the unit price, by quantity bought in one checkout (ascending)
+const VOLUME_TIERS = [
+  { min_quantity: 10, discount_percent: 10 },
+  { min_quantity: 25, discount_percent: 20 }
+];
+const PRICING_CACHE_SECONDS = 300;
+
+function getVolumeTier(quantity) {
+  return VOLUME_TIERS.filter((tier) => quantity >= tier.min_quantity).pop() || null;
+}
+
+// Unit price after the volume discount - Stripe charges this amount × quantity
+function getTieredUnitAmount(unitAmount, quantity) {
+  const tier = getVolumeTier(quantity);
+  return tier ? Math.round(unitAmount * (100 - tier.discount_percent) / 100) : unitAmount;
+}
+
+// Tier a price was bought with - the deepest tier whose discounted amount the price is at or below
+function getVolumeTierOfPrice(unitAmount, listUnitAmount) {
+  if (!unitAmount || !listUnitAmount || unitAmount >= listUnitAmount) return null;
+  return VOLUME_TIERS.filter((tier) => unitAmount <= getTieredUnitAmount(listUnitAmount, tier.min_quantity)).pop() || null;
+}
+
+async function getPricingPlan(env, billingPeriod) {
+  const config = await getPriceConfigByBillingPeriod(env, billingPeriod);
+  if (!config || !config.price_id) return null;
+
+  let unitAmount = config.unit_amount;
+  let currency = config.currency || 'usd';
+  if (unitAmount === null || unitAmount === undefined) {
+    const priceRes = await stripeFetch(env, `/prices/${config.price_id}`);
+    if (priceRes.status !== 200 || !priceRes.body) {
+      console.warn(`[PRICING] Could not fetch Stripe price ${config.price_id}:`, priceRes.status);
+      return null;
+    }
+    unitAmount = priceRes.body.unit_amount;
+    currency = priceRes.body.currency || currency;
+  }
+
+  return {
+    billing_period: billingPeriod,
+    price_id: config.price_id,
+    unit_amount: Number(unitAmount) || 0, // cents
+    currency: String(currency).toLowerCase(),
+    discount: config.discount_allowance
+      ? { type: config.discount_type || 'percentage', amount: Number(config.discount_allowance) }
+      : null
+  };
+}
+
+async function handlePricing(request, env) {
+  const [monthly, yearly] = await Promise.all([
+    getPricingPlan(env, 'monthly'),
+    getPricingPlan(env, 'yearly')
+  ]);
+  if (!monthly && !yearly) {
+    return jsonResponse(503, { error: 'pricing_unavailable', message: 'Pricing is not configured' }, true, request);
+  }
+
+  // Without an explicit discount in price_config, yearly shows its saving over twelve monthly payments
+  if (monthly && yearly && !yearly.discount && monthly.unit_amount > 0) {
+    const savings = Math.round((1 - yearly.unit_amount / (monthly.unit_amount * 12)) * 100);
+    if (savings > 0) yearly.discount = { type: 'percentage', amount: savings };
+  }
+
+  const response = jsonResponse(200, {
+    currency: (monthly || yearly).currency,
+    plans: [monthly, yearly].filter(Boolean),
+    limits: PRICING_LIMITS,
+    tiers: VOLUME_TIERS
+  }, true, request);
+  response.headers.set('Cache-Control', `public, max-age=${PRICING_CACHE_SECONDS}`);
+  return response;
+}
+
+// Promo codes are Stripe promotion codes (customer-facing codes on top of a coupon), so campaigns
+// are set up in the Stripe dashboard only. The dashboard validates a code with
+// GET /api/promo-codes/validate while the user types; the checkout endpoints take the same code as
+// promo_code and look it up again before attaching it to the Checkout Session.
+async function findPromotionCode(env, code) {
+  const normalizedCode = String(code || '').trim();
+  if (!normalizedCode) {
+    return { valid: false, message: 'Enter a promo code' };
+  }
+
+  const res = await stripeFetch(
+    env,
+    `/promotion_codes?code=${encodeURIComponent(normalizedCode)}&active=true&limit=1&expand[]=data.coupon`
+  );
+  if (res.status !== 200) {
+    throw new Error(`Stripe promotion code lookup failed (${res.status})`);
+  }
+
+  const promotionCode = res.body?.data?.[0];
+  const coupon = promotionCode?.coupon;
+  const now = Math.floor(Date.now() / 1000);
+  if (!promotionCode || !coupon?.valid) {
+    return { valid: false, message: 'This promo code is not valid' };
+  }
+  if (promotionCode.expires_at && promotionCode.expires_at < now) {
+    return { valid: false, message: 'This promo code has expired' };
+  }
+  if (promotionCode.max_redemptions && promotionCode.times_redeemed >= promotionCode.max_redemptions) {
+    return { valid: false, message: 'This promo code has already been used' };
+  }
+
+  return {
+    valid: true,
+    code: promotionCode.code,
+    promotion_code_id: promotionCode.id,
+    discount: coupon.percent_off
+      ? { type: 'percentage', amount: coupon.percent_off }
+      : { type: 'fixed', amount: coupon.amount_off, currency: (coupon.currency || 'usd').toLowerCase() },
+    duration: coupon.duration // once | repeating | forever
+  };
+}
+
+// Attach a promo code to a Checkout Session form. Without one, Stripe still shows its own code field.
+// Returns null when the code is valid (or absent), otherwise the lookup result with the reason.
+async function applyPromotionCode(env, form, promoCode) {
+  if (!promoCode) {
+    form['allow_promotion_codes'] = 'true';
+    return null;
+  }
+  const promotion = await findPromotionCode(env, promoCode);
+  if (!promotion.valid) return promotion;
+  // Stripe rejects allow_promotion_codes together with discounts
+  delete form['allow_promotion_codes'];
+  form['discounts[0][promotion_code]'] = promotion.promotion_code_id;
+  form['payment_intent_data[metadata][promo_code]'] = promotion.code;
+  return null;
+}
+
+// Embedded sessions are mounted in the dashboard by Stripe.js. They take a return_url instead of
+// success_url/cancel_url and only navigate there when the payment method needs a redirect (3DS, bank
+// redirects) - otherwise the dashboard's onComplete handles the payment in place.
+function applyCheckoutUiMode(form, uiMode) {
+  if (uiMode !== 'embedded') return;
+  form['ui_mode'] = 'embedded';
+  form['redirect_on_completion'] = 'if_required';
+  form['return_url'] = form['success_url'];
+  delete form['success_url'];
+  delete form['cancel_url'];
+}
+
+async function handleValidatePromoCode(request, env) {
+  const url = new URL(request.url);
+  try {
+    const promotion = await findPromotionCode(env, url.searchParams.get('code'));
+    // An unknown code is an answer, not an error - the dashboard shows the message next to the field
+    return jsonResponse(200, promotion, true, request);
+  } catch (error) {
+    console.error('[PROMO-CODE] ❌ Validation failed:', error);
+    return jsonResponse(502, { error: 'promo_code_lookup_failed', message: 'Promo code could not be checked' }, true, request);
+  }
+}
+
+// Billing period switch for POST /api/subscriptions/billing-period(/preview)
+// The subscription item's price is swapped in place, so the subscription ID, the license key and the
+// ACTIVE_SITES_CONSENTBIT entry (keyed by domain, holding the subscription ID) all stay the same.
+// Stripe restarts the billing cycle when the interval changes: the prorated difference is invoiced
+// right away (always_invoice); a yearly -> monthly switch leaves a credit on the customer balance.
+async function getOwnedSubscription(env, email, subscriptionId) {
+  const row = await env.DB.prepare(
+    'SELECT subscription_id, customer_id, billing_period FROM subscriptions WHERE subscription_id = ? AND user_email = ?'
+  ).bind(subscriptionId, email).first();
+  if (!row) return null;
+
+  const subRes = await stripeFetch(env, `/subscriptions/${subscriptionId}`);
+  if (subRes.status !== 200) {
+    throw new Error(`Stripe subscription lookup failed (${subRes.status})`);
+  }
+  return { row, subscription: subRes.body };
+}
+
+// Validate the request and resolve the subscription item and target price
+async function prepareBillingPeriodChange(request, env) {
+  const email = await getAuthenticatedEmail(request, env);
+  if (!email) {
+    return { error: jsonResponse(401, { error: 'unauthorized', message: 'Valid Memberstack token required' }, true, request) };
+  }
+  if (!env.DB) {
+    return { error: jsonResponse(501, { error: 'not_configured', message: 'Database not configured' }, true, request) };
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (err) {
+    return { error: jsonResponse(400, { error: 'invalid_request', message: 'Invalid JSON in request body' }, true, request) };
+  }
+
+  const subscriptionId = body.subscription_id;
+  const billingPeriod = (body.billing_period || '').toLowerCase().trim();
+  if (!subscriptionId || (billingPeriod !== 'monthly' && billingPeriod !== 'yearly')) {
+    return {
+      error: jsonResponse(400, {
+        error: 'invalid_request',
+        message: 'subscription_id and billing_period (monthly or yearly) are required'
+      }, true, request)
+    };
+  }
+
+  const owned = await getOwnedSubscription(env, email, subscriptionId);
+  if (!owned) {
+    return { error: jsonResponse(404, { error: 'subscription_not_found', message: 'Subscription not found' }, true, request) };
+  }
+
+  const { subscription } = owned;
+  const item = subscription.items?.data?.[0];
+  const currentPeriod = item?.price?.recurring?.interval === 'year' ? 'yearly' : 'monthly';
+  if (!['active', 'trialing'].includes(subscription.status) || subscription.cancel_at_period_end) {
+    return {
+      error: jsonResponse(409, {
+        error: 'subscription_not_active',
+        message: 'Only active subscriptions that are not being cancelled can change billing period'
+      }, true, request)
+    };
+  }
+  if (currentPeriod === billingPeriod) {
+    return {
+      error: jsonResponse(409, { error: 'same_billing_period', message: `Subscription is already billed ${billingPeriod}` }, true, request)
+    };
+  }
+
+  const [plan, currentPlan] = await Promise.all([
+    getPricingPlan(env, billingPeriod),
+    getPricingPlan(env, currentPeriod)
+  ]);
+  const targetPrice = item && plan && await getBillingPeriodTargetPrice(env, plan, billingPeriod, {
+    // Every key and site has its own quantity-1 subscription - the tier is in the price itself
+    tier: currentPlan ? getVolumeTierOfPrice(item.price?.unit_amount, currentPlan.unit_amount) : null,
+    quantity: item.quantity || 1
+  });
+  if (!targetPrice) {
+    return { error: jsonResponse(503, { error: 'pricing_unavailable', message: 'Pricing is not configured' }, true, request) };
+  }
+
+  return { email, body, subscription, item, plan, targetPrice, currentPeriod, billingPeriod };
+}
+
+// The new price is created like the purchase's (getOrCreateDynamicPrice), so a subscription bought
+// in a 10+ / 25+ checkout keeps its volume tier in the other period instead of falling back to the list price
+async function getBillingPeriodTargetPrice(env, plan, billingPeriod, { tier, quantity }) {
+  if (!tier) {
+    return { price_id: plan.price_id, unit_amount: plan.unit_amount, quantity };
+  }
+  const listPriceRes = await stripeFetch(env, `/prices/${plan.price_id}`);
+  if (listPriceRes.status !== 200 || !listPriceRes.body?.product) {
+    console.error(`[BILLING-PERIOD] ❌ Could not load list price ${plan.price_id}:`, listPriceRes.status);
+    return null;
+  }
+  const priceId = await getOrCreateDynamicPrice(env, {
+    productId: listPriceRes.body.product,
+    billingPeriod,
+    currency: plan.currency,
+    unitAmount: plan.unit_amount,
+    quantity: tier.min_quantity // Any quantity of the tier gives its unit amount
+  });
+  if (!priceId) return null;
+  return { price_id: priceId, unit_amount: getTieredUnitAmount(plan.unit_amount, tier.min_quantity), quantity };
+}
+
+async function handleBillingPeriodPreview(request, env) {
+  try {
+    const change = await prepareBillingPeriodChange(request, env);
+    if (change.error) return change.error;
+
+    const { subscription, item, plan, targetPrice, currentPeriod, billingPeriod } = change;
+    const prorationDate = Math.floor(Date.now() / 1000);
+    const previewRes = await stripeFetch(env, '/invoices/create_preview', 'POST', {
+      customer: subscription.customer,
+      subscription: subscription.id,
+      'subscription_details[items][0][id]': item.id,
+      'subscription_details[items][0][price]': targetPrice.price_id,
+      'subscription_details[proration_behavior]': 'always_invoice',
+      'subscription_details[proration_date]': prorationDate
+    }, true);
+    if (previewRes.status !== 200) {
+      return jsonResponse(502, { error: 'preview_failed', message: 'Proration preview could not be created' }, true, request);
+    }
+
+    const invoice = previewRes.body;
+    const newPeriodEnd = (invoice.lines?.data || [])
+      .filter((line) => !line.proration)
+      .map((line) => line.period?.end)
+      .filter(Boolean)
+      .pop() || null;
+
+    return jsonResponse(200, {
+      subscription_id: subscription.id,
+      current_billing_period: currentPeriod,
+      billing_period: billingPeriod,
+      price_id: targetPrice.price_id,
+      unit_amount: targetPrice.unit_amount, // per key, after the volume tier
+      quantity: targetPrice.quantity,
+      currency: invoice.currency || plan.currency,
+      amount_due: invoice.amount_due, // charged now
+      credit: invoice.total < 0 ? -invoice.total : 0, // left on the customer balance
+      proration_date: prorationDate, // send back with the change so the charge matches this preview
+      current_period_end: newPeriodEnd,
+      lines: (invoice.lines?.data || []).map((line) => ({
+        description: line.description,
+        amount: line.amount,
+        proration: !!line.proration
+      }))
+    }, true, request);
+  } catch (error) {
+    console.error('[BILLING-PERIOD] ❌ Preview failed:', error);
+    return jsonResponse(500, { error: 'internal_error', message: 'Proration preview failed' }, true, request);
+  }
+}
+
+async function handleChangeBillingPeriod(request, env) {
+  try {
+    const change = await prepareBillingPeriodChange(request, env);
+    if (change.error) return change.error;
+
+    const { body, subscription, item, targetPrice, billingPeriod } = change;
+    const form = {
+      'items[0][id]': item.id,
+      'items[0][price]': targetPrice.price_id,
+      proration_behavior: 'always_invoice',
+      // Nothing changes when the prorated invoice cannot be paid
+      payment_behavior: 'error_if_incomplete',
+      'metadata[billing_period]': billingPeriod
+    };
+    const prorationDate = parseInt(body.proration_date, 10);
+    if (prorationDate) form.proration_date = prorationDate;
+
+    const updateRes = await stripeFetch(env, `/subscriptions/${subscription.id}`, 'POST', form, true);
+    if (updateRes.status !== 200) {
+      const declined = updateRes.body?.error?.type === 'card_error';
+      return jsonResponse(declined ? 402 : 502, {
+        error: declined ? 'payment_failed' : 'update_failed',
+        message: updateRes.body?.error?.message || 'Billing period could not be changed'
+      }, true, request);
+    }
+
+    const updated = updateRes.body;
+    const periodEnd = updated.current_period_end || updated.items?.data?.[0]?.current_period_end || null;
+    const timestamp = Math.floor(Date.now() / 1000);
+    await env.DB.batch([
+      env.DB.prepare(
+        'UPDATE subscriptions SET billing_period = ?, current_period_end = ?, updated_at = ? WHERE subscription_id = ?'
+      ).bind(billingPeriod, periodEnd, timestamp, subscription.id),
+      env.DB.prepare(
+        'UPDATE subscription_items SET price_id = ?, billing_period = ?, renewal_date = ?, updated_at = ? WHERE subscription_id = ? AND item_id = ?'
+      ).bind(targetPrice.price_id, billingPeriod, periodEnd, timestamp, subscription.id, item.id),
+      // Same license key - only its billing period changes
+      env.DB.prepare(
+        'UPDATE licenses SET billing_period = ?, updated_at = ? WHERE subscription_id = ?'
+      ).bind(billingPeriod, timestamp, subscription.id)
+    ]);
+
+    console.log('[BILLING-PERIOD] ✅ Subscription switched', { subscription_id: subscription.id, billing_period: billingPeriod });
+    return jsonResponse(200, {
+      success: true,
+      subscription_id: subscription.id,
+      billing_period: billingPeriod,
+      current_period_end: periodEnd,
+      message: `Subscription is now billed ${billingPeriod}`
+    }, true, request);
+  } catch (error) {
+    console.error('[BILLING-PERIOD] ❌ Change failed:', error);
+    return jsonResponse(500, { error: 'internal_error', message: 'Billing period could not be changed' }, true, request);
+  }
+}
+
+// Resume a subscription that is pending cancellation (cancel_at_period_end) before its period ends.
+// The platform KV entries of its licenses are rewritten so the widget sees cancelAtPeriodEnd: false.
+async function handleResumeSubscription(request, env) {
+  try {
+    const email = await getAuthenticatedEmail(request, env);
+    if (!email) {
+      return jsonResponse(401, { error: 'unauthorized', message: 'Valid Memberstack token required' }, true, request);
+    }
+    if (!env.DB) {
+      return jsonResponse(501, { error: 'not_configured', message: 'Database not configured' }, true, request);
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (err) {
+      return jsonResponse(400, { error: 'invalid_request', message: 'Invalid JSON in request body' }, true, request);
+    }
+    if (!body.subscription_id) {
+      return jsonResponse(400, { error: 'invalid_request', message: 'subscription_id is required' }, true, request);
+    }
+
+    const owned = await getOwnedSubscription(env, email, body.subscription_id);
+    if (!owned) {
+      return jsonResponse(404, { error: 'subscription_not_found', message: 'Subscription not found' }, true, request);
+    }
+
+    const { row, subscription } = owned;
+    // Once the period has ended Stripe cancels the subscription for good - it needs a new purchase
+    if (!['active', 'trialing', 'past_due'].includes(subscription.status)) {
+      return jsonResponse(409, {
+        error: 'subscription_not_resumable',
+        message: 'This subscription has already ended and cannot be resumed'
+      }, true, request);
+    }
+    if (!subscription.cancel_at_period_end) {
+      return jsonResponse(409, { error: 'not_cancelling', message: 'Subscription is not pending cancellation' }, true, request);
+    }
+
+    const updateRes = await stripeFetch(env, `/subscriptions/${subscription.id}`, 'POST', {
+      cancel_at_period_end: false
+    }, true);
+    if (updateRes.status !== 200) {
+      return jsonResponse(502, {
+        error: 'resume_failed',
+        message: updateRes.body?.error?.message || 'Subscription could not be resumed'
+      }, true, request);
+    }
+
+    const updated = updateRes.body;
+    const timestamp = Math.floor(Date.now() / 1000);
+    await env.DB.batch([
+      env.DB.prepare(
+        'UPDATE subscriptions SET status = ?, cancel_at_period_end = 0, cancel_at = NULL, updated_at = ? WHERE subscription_id = ?'
+      ).bind(updated.status, timestamp, subscription.id),
+      env.DB.prepare(
+        'UPDATE sites SET cancel_at_period_end = 0, canceled_at = NULL, updated_at = ? WHERE subscription_id = ?'
+      ).bind(timestamp, subscription.id)
+    ]);
+
+    const licenses = await env.DB.prepare(
+      'SELECT license_key, COALESCE(used_site_domain, site_domain) AS site_domain FROM licenses WHERE subscription_id = ? AND status = ?'
+    ).bind(subscription.id, 'active').all();
+    for (const license of licenses.results || []) {
+      if (!license.site_domain) continue; // Unassigned keys have no KV entry yet
+      try {
+        const platform = await detectPlatform(license.site_domain);
+        const { activeSitesKv } = getKvNamespaces(env, platform);
+        await saveLicenseKeyToKVPlatform(
+          activeSitesKv,
+          license.license_key,
+          row.customer_id,
+          subscription.id,
+          email,
+          updated.status === 'active' ? 'complete' : updated.status,
+          false,
+          license.site_domain,
+          platform
+        );
+      } catch (kvError) {
+        // Stripe and D1 are already updated - the next subscription webhook rewrites KV as well
+        console.error(`[RESUME] ⚠️ KV update failed for ${license.site_domain}:`, kvError);
+      }
+    }
+
+    console.log('[RESUME] ✅ Subscription resumed', { subscription_id: subscription.id });
+    return jsonResponse(200, {
+      success: true,
+      subscription_id: subscription.id,
+      status: updated.status,
+      cancel_at_period_end: false,
+      current_period_end: updated.current_period_end || updated.items?.data?.[0]?.current_period_end || null,
+      message: 'Subscription resumed. It will renew at the end of the current billing period.'
+    }, true, request);
+  } catch (error) {
+    console.error('[RESUME] ❌ Resume failed:', error);
+    return jsonResponse(500, { error: 'internal_error', message: 'Subscription could not be resumed' }, true, request);
+  }
+}
+
+// One email can own several Stripe customers (see the customers table) - each has its own cards and address
+async function getOwnedCustomerIds(env, email) {
+  const res = await env.DB.prepare(
+    'SELECT customer_id FROM customers WHERE user_email = ? ORDER BY created_at ASC'
+  ).bind(email).all();
+  return (res.results || []).map(row => row.customer_id);
+}
+
+function formatBillingAddress(address) {
+  if (!address || !Object.values(address).some(Boolean)) return null;
+  return {
+    line1: address.line1 || null,
+    line2: address.line2 || null,
+    city: address.city || null,
+    state: address.state || null,
+    postal_code: address.postal_code || null,
+    country: address.country || null
+  };
+}
+
+async function handleBilling(request, env) {
+  try {
+    const email = await getAuthenticatedEmail(request, env);
+    if (!email) {
+      return jsonResponse(401, { error: 'unauthorized', message: 'Valid Memberstack token required' }, true, request);
+    }
+    if (!env.DB) {
+      return jsonResponse(501, { error: 'not_configured', message: 'Database not configured' }, true, request);
+    }
+
+    const customerIds = await getOwnedCustomerIds(env, email);
+    const activeRes = await env.DB.prepare(
+      `SELECT customer_id, COUNT(*) AS count FROM subscriptions
+       WHERE user_email = ? AND status IN ('active', 'trialing', 'past_due') GROUP BY customer_id`
+    ).bind(email).all();
+    const activeCounts = new Map((activeRes.results || []).map(row => [row.customer_id, row.count]));
+
+    const customers = await Promise.all(customerIds.map(async (customerId) => {
+      const [customerRes, methodsRes] = await Promise.all([
+        stripeFetch(env, `/customers/${customerId}`),
+        stripeFetch(env, `/customers/${customerId}/payment_methods?type=card&limit=20`)
+      ]);
+      if (customerRes.status === 404 || customerRes.body?.deleted) return null;
+      if (customerRes.status !== 200 || methodsRes.status !== 200) {
+        throw new Error(`Stripe customer lookup failed for ${customerId} (${customerRes.status}/${methodsRes.status})`);
+      }
+
+      const customer = customerRes.body;
+      const defaultPaymentMethodId = customer.invoice_settings?.default_payment_method || null;
+      return {
+        customer_id: customer.id,
+        name: customer.name || null,
+        email: customer.email || null,
+        phone: customer.phone || null,
+        address: formatBillingAddress(customer.address),
+        created: customer.created,
+        active_subscriptions: activeCounts.get(customer.id) || 0,
+        default_payment_method_id: defaultPaymentMethodId,
+        payment_methods: (methodsRes.body.data || []).map(method => ({
+          id: method.id,
+          brand: method.card?.brand || null,
+          last4: method.card?.last4 || null,
+          exp_month: method.card?.exp_month || null,
+          exp_year: method.card?.exp_year || null,
+          is_default: method.id === defaultPaymentMethodId
+        }))
+      };
+    }));
+
+    return jsonResponse(200, { customers: customers.filter(Boolean) }, true, request);
+  } catch (error) {
+    console.error('[BILLING] ❌ Billing details failed:', error);
+    return jsonResponse(502, { error: 'billing_lookup_failed', message: 'Billing details could not be loaded' }, true, request);
+  }
+}
+
+async function handleBillingPortal(request, env) {
+  try {
+    const email = await getAuthenticatedEmail(request, env);
+    if (!email) {
+      return jsonResponse(401, { error: 'unauthorized', message: 'Valid Memberstack token required' }, true, request);
+    }
+    if (!env.DB) {
+      return jsonResponse(501, { error: 'not_configured', message: 'Database not configured' }, true, request);
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (err) {
+      return jsonResponse(400, { error: 'invalid_request', message: 'Invalid JSON in request body' }, true, request);
+    }
+
+    // Without a customer_id the first customer is used - the common case of one customer per email
+    const customerIds = await getOwnedCustomerIds(env, email);
+    const customerId = body.customer_id || customerIds[0];
+    if (!customerId || !customerIds.includes(customerId)) {
+      return jsonResponse(404, { error: 'customer_not_found', message: 'No billing account found for this user' }, true, request);
+    }
+    if (body.flow && body.flow !== 'payment_method_update') {
+      return jsonResponse(400, { error: 'invalid_request', message: 'flow must be payment_method_update' }, true, request);
+    }
+
+    const dashboardUrl = env.MEMBERSTACK_REDIRECT_URL || 'https://dashboard.consentbit.com/dashboard';
+    const form = {
+      customer: customerId,
+      return_url: `${dashboardUrl}?billing=updated`
+    };
+    if (body.flow) {
+      // Opens straight on "Add payment method" instead of the portal's overview
+      form['flow_data[type]'] = body.flow;
+    }
+
+    const session = await stripeFetch(env, '/billing_portal/sessions', 'POST', form, true);
+    if (session.status !== 200) {
+      return jsonResponse(502, {
+        error: 'portal_failed',
+        message: session.body?.error?.message || 'Billing portal could not be opened'
+      }, true, request);
+    }
+
+    return jsonResponse(200, { url: session.body.url, customer_id: customerId }, true, request);
+  } catch (error) {
+    console.error('[BILLING-PORTAL] ❌ Portal session failed:', error);
+    return jsonResponse(500, { error: 'internal_error', message: 'Billing portal could not be opened' }, true, request);
+  }
+}
+
+// Every row costs a few D1 queries, a fetch of the site (platform detection) and two KV writes -
+// rows are worked off in chunks so at most LICENSE_ACTIVATION_CHUNK_SIZE sites are fetched at once
+const LICENSE_ACTIVATION_BATCH_MAX = 50;
+const LICENSE_ACTIVATION_CHUNK_SIZE = 10;
+const ACTIVATION_DOMAIN_PATTERN = /^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/;
+
+// Active license on a domain, whoever owns it - the KV entries are keyed by domain alone, so a
+// customer-scoped check would let one customer overwrite another's entry
+async function findActiveLicenseForDomain(env, domain) {
+  return env.DB.prepare(
+    `SELECT license_key, customer_id FROM licenses
+     WHERE status = 'active' AND LOWER(COALESCE(used_site_domain, site_domain)) = ? LIMIT 1`
+  ).bind(domain).first();
+}
+
+// Check one activation row - returns the license row to assign, or { error, message }
+async function checkLicenseActivation(env, customerIds, activation, seenKeys, seenDomains) {
+  const licenseKey = String(activation.license_key || '').trim();
+  const siteDomain = String(activation.site_domain || '').toLowerCase().trim();
+
+  if (!licenseKey) return { error: 'invalid_request', message: 'license_key is required' };
+  if (!ACTIVATION_DOMAIN_PATTERN.test(siteDomain)) return { error: 'invalid_domain', message: 'Invalid domain format' };
+  if (seenKeys.has(licenseKey)) return { error: 'duplicate_license_key', message: 'License key is used twice in this batch' };
+  if (seenDomains.has(siteDomain)) return { error: 'duplicate_domain', message: 'Domain is used twice in this batch' };
+  seenKeys.add(licenseKey);
+  seenDomains.add(siteDomain);
+
+  const placeholders = customerIds.map(() => '?').join(', ');
+  const license = await env.DB.prepare(
+    `SELECT license_key, customer_id, subscription_id, status, used_site_domain, billing_period
+     FROM licenses WHERE license_key = ? AND customer_id IN (${placeholders}) LIMIT 1`
+  ).bind(licenseKey, ...customerIds).first();
+  if (!license) return { error: 'license_not_found', message: 'License key not found' };
+  if (license.status !== 'active') return { error: 'license_not_active', message: 'License key is not active' };
+  if (license.used_site_domain) {
+    return { error: 'license_already_assigned', message: `License key is already assigned to ${license.used_site_domain}` };
+  }
+
+  if (await findActiveLicenseForDomain(env, siteDomain)) {
+    return { error: 'domain_already_active', message: `${siteDomain} already has an active license` };
+  }
+
+  return { license, siteDomain };
+}
+
+async function handleActivateLicensesBatch(request, env) {
+  try {
+    const email = await getAuthenticatedEmail(request, env);
+    if (!email) {
+      return jsonResponse(401, { error: 'unauthorized', message: 'Valid Memberstack token required' }, true, request);
+    }
+    if (!env.DB) {
+      return jsonResponse(501, { error: 'not_configured', message: 'Database not configured' }, true, request);
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (err) {
+      return jsonResponse(400, { error: 'invalid_request', message: 'Invalid JSON in request body' }, true, request);
+    }
+
+    const activations = Array.isArray(body.activations) ? body.activations : [];
+    if (activations.length === 0 || activations.length > LICENSE_ACTIVATION_BATCH_MAX) {
+      return jsonResponse(400, {
+        error: 'invalid_request',
+        message: `activations must contain between 1 and ${LICENSE_ACTIVATION_BATCH_MAX} rows`
+      }, true, request);
+    }
+
+    const customerIds = await getOwnedCustomerIds(env, email);
+    if (customerIds.length === 0) {
+      return jsonResponse(404, { error: 'customer_not_found', message: 'No licenses found for this user' }, true, request);
+    }
+
+    // Rows are checked and assigned one after another, so two rows can never take the same key or domain
+    const seenKeys = new Set();
+    const seenDomains = new Set();
+    const results = [];
+    const assigned = [];
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    for (let start = 0; start < activations.length; start += LICENSE_ACTIVATION_CHUNK_SIZE) {
+      const chunkAssigned = [];
+
+      for (const activation of activations.slice(start, start + LICENSE_ACTIVATION_CHUNK_SIZE)) {
+        const row = {
+          license_key: activation.license_key || null,
+          site_domain: String(activation.site_domain || '').toLowerCase().trim()
+        };
+        try {
+          const check = await checkLicenseActivation(env, customerIds, activation, seenKeys, seenDomains);
+          if (check.error) {
+            results.push({ ...row, success: false, error: check.error, message: check.message });
+            continue;
+          }
+
+          // used_site_domain IS NULL guards against a single activation that ran in the meantime
+          const update = await env.DB.prepare(
+            'UPDATE licenses SET used_site_domain = ?, updated_at = ? WHERE license_key = ? AND used_site_domain IS NULL'
+          ).bind(check.siteDomain, timestamp, check.license.license_key).run();
+          if (!update.meta?.changes) {
+            results.push({ ...row, success: false, error: 'license_already_assigned', message: 'License key is already assigned' });
+            continue;
+          }
+
+          const result = { ...row, success: true, license: { ...check.license, used_site_domain: check.siteDomain } };
+          results.push(result);
+          chunkAssigned.push(result);
+        } catch (rowError) {
+          console.error(`[ACTIVATE-BATCH] ❌ Row failed for ${row.site_domain}:`, rowError);
+          results.push({ ...row, success: false, error: 'internal_error', message: 'License could not be activated' });
+        }
+      }
+
+      // The platform app only reads KV - a row whose KV write fails is taken back out of D1 and reported
+      await Promise.all(chunkAssigned.map(async (result) => {
+        const { license } = result;
+        let activeSitesKv = null;
+        try {
+          const platform = await detectPlatform(result.site_domain);
+          activeSitesKv = getKvNamespaces(env, platform).activeSitesKv;
+          if (!activeSitesKv) throw new Error(`No KV namespace bound for platform ${platform}`);
+          await saveLicenseKeyToKVPlatform(
+            activeSitesKv,
+            license.license_key,
+            license.customer_id,
+            license.subscription_id,
+            email,
+            'complete',
+            false,
+            result.site_domain,
+            platform
+          );
+          result.license.platform = platform;
+          assigned.push(result);
+        } catch (kvError) {
+          console.error(`[ACTIVATE-BATCH] ❌ KV update failed for ${result.site_domain}:`, kvError);
+          try {
+            await env.DB.prepare(
+              'UPDATE licenses SET used_site_domain = NULL, updated_at = ? WHERE license_key = ? AND used_site_domain = ?'
+            ).bind(timestamp, license.license_key, result.site_domain).run();
+            // One of the two keys may have been written before the failure
+            if (activeSitesKv) {
+              await Promise.all([activeSitesKv.delete(license.license_key), activeSitesKv.delete(formatSiteName(result.site_domain))]);
+            }
+          } catch (revertError) {
+            console.error(`[ACTIVATE-BATCH] ❌ Could not revert ${license.license_key}:`, revertError);
+          }
+          delete result.license;
+          Object.assign(result, {
+            success: false,
+            error: 'kv_update_failed',
+            message: 'License could not be activated right now - please try again'
+          });
+        }
+      }));
+    }
+
+    const activated = assigned.length;
+    console.log('[ACTIVATE-BATCH] ✅ Batch processed', { activated, failed: results.length - activated });
+    return jsonResponse(200, {
+      success: activated > 0,
+      activated,
+      failed: results.length - activated,
+      results
+    }, true, request);
+  } catch (error) {
+    console.error('[ACTIVATE-BATCH] ❌ Batch activation failed:', error);
+    return jsonResponse(500, { error: 'internal_error', message: 'Licenses could not be activated' }, true, request);
+  }
+}
+
+const DEFAULT_LICENSE_TRANSFER_COOLDOWN_HOURS = 24;
+
+function getLicenseTransferCooldownSeconds(env) {
+  const raw = env.LICENSE_TRANSFER_COOLDOWN_HOURS;
+  const hours = raw === undefined || raw === '' ? NaN : Number(raw);
+  return (Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_LICENSE_TRANSFER_COOLDOWN_HOURS) * 3600;
+}
+
+/*
+license_transfers - one row per move, also used for the cooldown:
+  CREATE TABLE IF NOT EXISTS license_transfers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    license_key TEXT NOT NULL,
+    user_email TEXT NOT NULL,
+    from_domain TEXT NOT NULL,
+    to_domain TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_license_transfers_key ON license_transfers (license_key, created_at);
+*/
+async function handleTransferLicense(request, env) {
+  try {
+    const email = await getAuthenticatedEmail(request, env);
+    if (!email) {
+      return jsonResponse(401, { error: 'unauthorized', message: 'Valid Memberstack token required' }, true, request);
+    }
+    if (!env.DB) {
+      return jsonResponse(501, { error: 'not_configured', message: 'Database not configured' }, true, request);
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (err) {
+      return jsonResponse(400, { error: 'invalid_request', message: 'Invalid JSON in request body' }, true, request);
+    }
+
+    const licenseKey = String(body.license_key || '').trim();
+    const newDomain = String(body.new_domain || '').toLowerCase().trim();
+    if (!licenseKey) {
+      return jsonResponse(400, { error: 'invalid_request', message: 'license_key is required' }, true, request);
+    }
+    if (!ACTIVATION_DOMAIN_PATTERN.test(newDomain)) {
+      return jsonResponse(400, { error: 'invalid_domain', message: 'Please enter a valid domain (e.g., www.example.com)' }, true, request);
+    }
+
+    const customerIds = await getOwnedCustomerIds(env, email);
+    const placeholders = customerIds.map(() => '?').join(', ');
+    const license = customerIds.length > 0 && await env.DB.prepare(
+      `SELECT license_key, customer_id, subscription_id, status, purchase_type,
+              COALESCE(used_site_domain, site_domain) AS site_domain
+       FROM licenses WHERE license_key = ? AND customer_id IN (${placeholders}) LIMIT 1`
+    ).bind(licenseKey, ...customerIds).first();
+    if (!license) {
+      return jsonResponse(404, { error: 'license_not_found', message: 'License key not found' }, true, request);
+    }
+    if (license.status !== 'active') {
+      return jsonResponse(409, { error: 'license_not_active', message: 'Only active license keys can be transferred' }, true, request);
+    }
+    const oldDomain = (license.site_domain || '').toLowerCase();
+    if (!oldDomain) {
+      return jsonResponse(409, { error: 'license_not_assigned', message: 'This license key is not activated for a domain yet' }, true, request);
+    }
+    if (oldDomain === newDomain) {
+      return jsonResponse(400, { error: 'same_domain', message: `The license key is already activated for ${newDomain}` }, true, request);
+    }
+
+    if (await findActiveLicenseForDomain(env, newDomain)) {
+      return jsonResponse(409, { error: 'domain_already_active', message: `${newDomain} already has an active license` }, true, request);
+    }
+
+    const cooldownSeconds = getLicenseTransferCooldownSeconds(env);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const lastTransfer = await env.DB.prepare(
+      'SELECT created_at FROM license_transfers WHERE license_key = ? ORDER BY created_at DESC LIMIT 1'
+    ).bind(licenseKey).first();
+    if (lastTransfer && cooldownSeconds > 0 && timestamp - lastTransfer.created_at < cooldownSeconds) {
+      const nextTransferAt = lastTransfer.created_at + cooldownSeconds;
+      return jsonResponse(429, {
+        error: 'transfer_cooldown',
+        message: `This license key was moved recently. It can be transferred again after ${new Date(nextTransferAt * 1000).toUTCString()}.`,
+        next_transfer_at: nextTransferAt
+      }, true, request);
+    }
+
+    // KV first: the new domain is written and the old one (and the key's entry on its old platform) dropped
+    // from every namespace before D1 and the cooldown change. The entries are read beforehand, so when
+    // KV or D1 fails the old state is put back and the user can simply try again
+    const oldDomainKey = formatSiteName(oldDomain);
+    const newDomainKey = formatSiteName(newDomain);
+    const platform = await detectPlatform(newDomain);
+    const { activeSitesKv } = getKvNamespaces(env, platform);
+    const namespaces = [env.ACTIVE_SITES_CONSENTBIT, env.ACTIVE_SITES_CONSENTBIT_FRAMER, env.Pending_Active_site].filter(Boolean);
+    const previousEntries = await Promise.all(namespaces.map(async kv => ({
+      kv,
+      domainEntry: oldDomainKey ? await kv.get(oldDomainKey) : null,
+      keyEntry: await kv.get(licenseKey)
+    })));
+    // Resolves with whether the old entries are back
+    const restoreKv = async () => {
+      try {
+        if (activeSitesKv && newDomainKey && newDomainKey !== oldDomainKey) {
+          await activeSitesKv.delete(newDomainKey);
+        }
+        await Promise.all(previousEntries.flatMap(({ kv, domainEntry, keyEntry }) => [
+          domainEntry !== null ? kv.put(oldDomainKey, domainEntry) : null,
+          keyEntry !== null ? kv.put(licenseKey, keyEntry) : kv.delete(licenseKey)
+        ].filter(Boolean)));
+        return true;
+      } catch (restoreError) {
+        console.error(`[TRANSFER] ❌ Could not restore the KV entries of ${licenseKey}:`, restoreError);
+        return false;
+      }
+    };
+    // Nothing changed when the old entries are back - otherwise the key may already answer for the new domain
+    const failedTransferMessage = (restored) => restored
+      ? 'The license key could not be moved right now. Nothing was changed - please try again.'
+      : `The license key could not be moved completely. It may already be active on ${newDomain} - please try again to finish the transfer.`;
+
+    try {
+      if (!activeSitesKv) {
+        throw new Error(`No KV namespace bound for platform ${platform}`);
+      }
+      await saveLicenseKeyToKVPlatform(
+        activeSitesKv,
+        licenseKey,
+        license.customer_id,
+        license.subscription_id,
+        email,
+        'complete',
+        false,
+        newDomain,
+        platform
+      );
+      await Promise.all(namespaces.flatMap(kv => [
+        oldDomainKey && oldDomainKey !== newDomainKey ? kv.delete(oldDomainKey) : null,
+        // The key's own entry now lives in the new platform's namespace only
+        kv !== activeSitesKv ? kv.delete(licenseKey) : null
+      ].filter(Boolean)));
+    } catch (kvError) {
+      console.error(`[TRANSFER] ❌ KV update failed for ${licenseKey}:`, kvError);
+      return jsonResponse(502, {
+        error: 'kv_update_failed',
+        message: failedTransferMessage(await restoreKv())
+      }, true, request);
+    }
+
+    try {
+      await env.DB.batch([
+        env.DB.prepare(
+          'UPDATE licenses SET used_site_domain = ?, updated_at = ? WHERE license_key = ?'
+        ).bind(newDomain, timestamp, licenseKey),
+        env.DB.prepare(
+          'UPDATE sites SET site_domain = ?, updated_at = ? WHERE subscription_id = ? AND LOWER(site_domain) = ?'
+        ).bind(newDomain, timestamp, license.subscription_id, oldDomain),
+        env.DB.prepare(
+          'UPDATE subscription_items SET site_domain = ? WHERE subscription_id = ? AND LOWER(site_domain) = ?'
+        ).bind(newDomain, license.subscription_id, oldDomain),
+        env.DB.prepare(
+          'INSERT INTO license_transfers (license_key, user_email, from_domain, to_domain, created_at) VALUES (?, ?, ?, ?, ?)'
+        ).bind(licenseKey, email, oldDomain, newDomain, timestamp)
+      ]);
+    } catch (dbError) {
+      console.error(`[TRANSFER] ❌ D1 update failed for ${licenseKey}:`, dbError);
+      return jsonResponse(500, {
+        error: 'internal_error',
+        message: failedTransferMessage(await restoreKv())
+      }, true, request);
+    }
+
+    // Site purchases carry their domain in the subscription metadata - the webhooks read it from there
+    if (license.purchase_type === 'site' && license.subscription_id) {
+      const metadataRes = await stripeFetch(env, `/subscriptions/${license.subscription_id}`, 'POST', {
+        'metadata[site]': newDomain
+      }, true);
+      if (metadataRes.status !== 200) {
+        console.error(`[TRANSFER] ⚠️ Subscription metadata not updated for ${license.subscription_id}`);
+      }
+    }
+
+    console.log('[TRANSFER] ✅ License transferred', { license_key: licenseKey, from: oldDomain, to: newDomain });
+    return jsonResponse(200, {
+      success: true,
+      license_key: licenseKey,
+      previous_domain: oldDomain,
+      site_domain: newDomain,
+      platform,
+      next_transfer_at: cooldownSeconds > 0 ? timestamp + cooldownSeconds : null,
+      message: `License moved from ${oldDomain} to ${newDomain}`
+    }, true, request);
+  } catch (error) {
+    console.error('[TRANSFER] ❌ Transfer failed:', error);
+    return jsonResponse(500, { error: 'internal_error', message: 'License could not be transferred' }, true, request);
+  }
+}
+
+// Unlike /remove-site this leaves the subscription alone - the key goes back to "Not Assigned" and can be
+// activated again. Keys bought for one site (purchase_type 'site') are the site's subscription and stay assigned.
+async function handleUnassignLicense(request, env) {
+  try {
+    const email = await getAuthenticatedEmail(request, env);
+    if (!email) {
+      return jsonResponse(401, { error: 'unauthorized', message: 'Valid Memberstack token required' }, true, request);
+    }
+    if (!env.DB) {
+      return jsonResponse(501, { error: 'not_configured', message: 'Database not configured' }, true, request);
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (err) {
+      return jsonResponse(400, { error: 'invalid_request', message: 'Invalid JSON in request body' }, true, request);
+    }
+
+    const licenseKey = String(body.license_key || '').trim();
+    if (!licenseKey) {
+      return jsonResponse(400, { error: 'invalid_request', message: 'license_key is required' }, true, request);
+    }
+
+    const customerIds = await getOwnedCustomerIds(env, email);
+    const placeholders = customerIds.map(() => '?').join(', ');
+    const license = customerIds.length > 0 && await env.DB.prepare(
+      `SELECT license_key, status, purchase_type, subscription_id, COALESCE(used_site_domain, site_domain) AS site_domain
+       FROM licenses WHERE license_key = ? AND customer_id IN (${placeholders}) LIMIT 1`
+    ).bind(licenseKey, ...customerIds).first();
+    if (!license) {
+      return jsonResponse(404, { error: 'license_not_found', message: 'License key not found' }, true, request);
+    }
+    if (license.status !== 'active') {
+      return jsonResponse(409, { error: 'license_not_active', message: 'Only active license keys can be unassigned' }, true, request);
+    }
+    const domain = (license.site_domain || '').toLowerCase();
+    if (!domain) {
+      return jsonResponse(409, { error: 'license_not_assigned', message: 'This license key is not activated for a domain' }, true, request);
+    }
+    if (license.purchase_type === 'site') {
+      return jsonResponse(409, {
+        error: 'site_subscription',
+        message: `This key belongs to the subscription of ${domain} - transfer it or cancel the subscription instead`
+      }, true, request);
+    }
+
+    // KV first, as in transfer: the domain and the key are dropped from every namespace (the platform is
+    // not stored in D1) - when KV fails D1 still shows the key as assigned and the user can try again
+    const domainKey = formatSiteName(domain);
+    const namespaces = [env.ACTIVE_SITES_CONSENTBIT, env.ACTIVE_SITES_CONSENTBIT_FRAMER, env.Pending_Active_site].filter(Boolean);
+    try {
+      await Promise.all(namespaces.flatMap(kv => [
+        domainKey ? kv.delete(domainKey) : null,
+        kv.delete(licenseKey)
+      ].filter(Boolean)));
+    } catch (kvError) {
+      console.error(`[UNASSIGN] ❌ KV cleanup failed for ${domain}:`, kvError);
+      return jsonResponse(502, {
+        error: 'kv_cleanup_failed',
+        message: `The license key could not be removed from ${domain} right now. Nothing was changed - please try again.`
+      }, true, request);
+    }
+
+    // The subscription item keeps billing the key, only its domain is cleared; the site row goes away
+    // so the domain no longer shows as active
+    const timestamp = Math.floor(Date.now() / 1000);
+    await env.DB.batch([
+      env.DB.prepare(
+        'UPDATE licenses SET used_site_domain = NULL, site_domain = NULL, updated_at = ? WHERE license_key = ?'
+      ).bind(timestamp, licenseKey),
+      env.DB.prepare(
+        'DELETE FROM sites WHERE subscription_id = ? AND LOWER(site_domain) = ?'
+      ).bind(license.subscription_id, domain),
+      env.DB.prepare(
+        'UPDATE subscription_items SET site_domain = NULL, updated_at = ? WHERE subscription_id = ? AND LOWER(site_domain) = ?'
+      ).bind(timestamp, license.subscription_id, domain)
+    ]);
+
+    console.log('[UNASSIGN] ✅ License unassigned', { license_key: licenseKey, domain });
+    return jsonResponse(200, {
+      success: true,
+      license_key: licenseKey,
+      previous_domain: domain,
+      message: `License key removed from ${domain}. It is available in "Not Assigned" again.`
+    }, true, request);
+  } catch (error) {
+    console.error('[UNASSIGN] ❌ Unassign failed:', error);
+    return jsonResponse(500, { error: 'internal_error', message: 'License could not be unassigned' }, true, request);
+  }
+}
+
 // Legacy function for backward compatibility
 async function getPriceIdByBillingPeriod(env, billingPeriod) {
   const config = await getPriceConfigByBillingPeriod(env, billingPeriod);
@@ -3029,7 +4623,7 @@ if (request.method === 'POST' && pathname === '/webhook') {
         // Parse sites
         let siteNames = [];
         try {
-          const rawSites = metadata.sites_json || metadata.sites;
+          const rawSites = getChunkedMetadata(metadata, 'sites_json') || metadata.sites;
           if (rawSites) {
             siteNames = JSON.parse(rawSites);
           }
@@ -3065,10 +4659,13 @@ if (request.method === 'POST' && pathname === '/webhook') {
         const billingPeriod = rawPeriod.toLowerCase().trim(); // "monthly" / "yearly"
         const currency = metadata.currency || 'usd';
 
-        // Derive per-site unit amount
-        let unitAmount = null;
+        // Per-site list price from the checkout metadata - the volume tier is applied when the price is created
+        const listUnitAmount = parseInt(metadata.unit_amount, 10) || null;
+        let unitAmount = listUnitAmount;
+
+        // Older checkouts: derive the (already discounted) per-site amount from the total
         try {
-          if (siteNames.length > 0 && typeof session.amount_total === 'number') {
+          if (!unitAmount && siteNames.length > 0 && typeof session.amount_total === 'number') {
             unitAmount = Math.round(session.amount_total / siteNames.length);
           }
         } catch (_) {}
@@ -3084,6 +4681,7 @@ if (request.method === 'POST' && pathname === '/webhook') {
           billingPeriod,
           currency,
           unitAmount,
+          quantity: listUnitAmount ? siteNames.length : 1,
         });
 
         if (!priceId || siteNames.length === 0) {
@@ -3110,18 +4708,24 @@ if (request.method === 'POST' && pathname === '/webhook') {
           });
         }
 
-        const queueId = await enqueueSiteQueueItem(env, {
-          customerId: useCase2CustomerId,
-          userEmail,
-          subscriptionId: null,
-          sites: sitesForQueue,
-          billingPeriod,
-          priceId,
-          paymentIntentId: paymentIntentId || null,
-        });
+        // One row per site - the queue events report progress per domain, and processSitesQueue
+        // works a bulk import off in chunks. The payment intent groups the rows into one order.
+        const queueIds = [];
+        for (const siteForQueue of sitesForQueue) {
+          const queueId = await enqueueSiteQueueItem(env, {
+            customerId: useCase2CustomerId,
+            userEmail,
+            subscriptionId: null,
+            sites: [siteForQueue],
+            billingPeriod,
+            priceId,
+            paymentIntentId: paymentIntentId || null,
+          });
+          if (queueId) queueIds.push(queueId);
+        }
 
         console.log('[USE CASE 2] ✅ Enqueued sites job (checkout.session.completed)', {
-          queueId,
+          queueIds,
           sites: siteNames.length,
           siteNames: siteNames,
           paymentIntentId: paymentIntentId,
@@ -3547,6 +5151,28 @@ if (request.method === 'POST' && pathname === '/webhook') {
                     const minimumTrialEnd = billingInterval === 'day' ? now + 7 * 24 * 60 * 60 : now + 3600;
                     const trialEnd = Math.max(trialEndTime, minimumTrialEnd);
 
+                    // Every key gets its own subscription, so the volume tier of the purchased quantity is
+                    // built into the recurring price - otherwise the keys would renew at the list price
+                    let queuePriceId = priceId;
+                    if (getVolumeTier(quantity)) {
+                      const listPriceRes = await stripeFetch(env, `/prices/${priceId}`);
+                      const listPrice = listPriceRes.status === 200 ? listPriceRes.body : null;
+                      const tieredPriceId = listPrice && await getOrCreateDynamicPrice(env, {
+                        productId: listPrice.product,
+                        billingPeriod: listPrice.recurring?.interval === 'year' ? 'yearly' : 'monthly',
+                        currency: listPrice.currency,
+                        unitAmount: listPrice.unit_amount,
+                        quantity,
+                      });
+                      if (tieredPriceId) {
+                        queuePriceId = tieredPriceId;
+                      } else {
+                        console.error(
+                          `[USE CASE 3] ❌ Could not create the tiered price for ${quantity} keys - queuing list price ${priceId}`
+                        );
+                      }
+                    }
+
                     // LICENSE KEYS: if for some reason metadata had count but not actual array,
                     // generate temporary keys so queue has one per subscription.
                     if (!licenseKeys || licenseKeys.length === 0) {
@@ -3576,7 +5202,7 @@ if (request.method === 'POST' && pathname === '/webhook') {
                         customerId: customerIdForSubscriptions,
                         userEmail,
                         paymentIntentId: paymentIntent.id,
-                        priceId,
+                        priceId: queuePriceId,
                         licenseKey: licenseKeys[i],
                         quantity: 1,
                         trialEnd,
@@ -1,71 +1,263 @@
-// Mock data for dashboard design - temporarily disable API calls
+// Mock data for dashboard design and offline demos
+// Served by the in-browser mock backend (services/mockApi.js) when VITE_USE_MOCK_API=true
+// Shapes match the worker responses - timestamps are Unix seconds like Stripe
+
+const now = Math.floor(Date.now() / 1000);
+const DAY = 86400;
 
 export const mockDashboardData = {
   sites: {
-    'example.com': {
+    'www.example.com': {
       status: 'active',
-      price: 'price_1234567890',
-      created_at: Math.floor(Date.now() / 1000) - 86400, // 1 day ago
+      platform: 'webflow',
+      price: 'price_monthly_mock',
+      subscription_id: 'sub_123',
+      created_at: now - DAY, // 1 day ago
+      current_period_start: now - DAY,
+      current_period_end: now + 29 * DAY,
+      renewal_date: now + 29 * DAY,
     },
-    'test-site.com': {
+    'www.test-site.com': {
       status: 'active',
-      price: 'price_0987654321',
-      created_at: Math.floor(Date.now() / 1000) - 172800, // 2 days ago
-    },
-    'demo-site.com': {
-      status: 'pending',
-      price: 'price_1122334455',
-      created_at: Math.floor(Date.now() / 1000) - 3600, // 1 hour ago
+      platform: 'framer',
+      price: 'price_yearly_mock',
+      subscription_id: 'sub_456',
+      created_at: now - 2 * DAY, // 2 days ago
+      current_period_start: now - 2 * DAY,
+      current_period_end: now + 363 * DAY,
+      renewal_date: now + 363 * DAY,
     },
   },
-  subscriptions: [
-    {
-      id: 'sub_123',
+  subscriptions: {
+    sub_123: {
+      subscriptionId: 'sub_123',
       status: 'active',
-      price_id: 'price_1234567890',
-      site: 'example.com',
-      interval: 'month',
-      current_period_end: Math.floor(Date.now() / 1000) + 2592000, // 30 days from now
-      created: Math.floor(Date.now() / 1000) - 86400,
+      cancel_at_period_end: false,
+      current_period_end: now + 29 * DAY,
+      billing_period: 'monthly',
+      items: [
+        {
+          item_id: 'si_123',
+          site: 'www.example.com',
+          price: 'price_monthly_mock',
+          quantity: 1,
+          status: 'active',
+          purchase_type: 'site',
+          license_key: 'KEY-ABCD-EFGH-JKLM-NPQR',
+          created_at: now - DAY,
+        },
+      ],
+      created_at: now - DAY,
     },
-    {
-      id: 'sub_456',
+    sub_456: {
+      subscriptionId: 'sub_456',
       status: 'active',
-      price_id: 'price_0987654321',
-      site: 'test-site.com',
-      interval: 'year',
-      current_period_end: Math.floor(Date.now() / 1000) + 31536000, // 1 year from now
-      created: Math.floor(Date.now() / 1000) - 172800,
+      cancel_at_period_end: false,
+      current_period_end: now + 363 * DAY,
+      billing_period: 'yearly',
+      items: [
+        {
+          item_id: 'si_456',
+          site: 'www.test-site.com',
+          price: 'price_yearly_mock',
+          quantity: 1,
+          status: 'active',
+          purchase_type: 'quantity',
+          isActivated: true,
+          license_key: 'KEY-STUV-WXYZ-2345-6789',
+          created_at: now - 2 * DAY,
+        },
+      ],
+      created_at: now - 2 * DAY,
     },
-  ],
-  pending_sites: ['demo-site.com', 'new-site.com'],
+  },
+  pendingSites: [],
 };
 
 export const mockLicensesData = {
   licenses: [
     {
       id: 'lic_001',
-      key: 'CB-LICENSE-ABC123XYZ789',
-      site: 'example.com',
+      license_key: 'KEY-ABCD-EFGH-JKLM-NPQR',
       status: 'active',
-      created_at: Math.floor(Date.now() / 1000) - 86400,
-      expires_at: null, // Never expires
+      used_site_domain: 'www.example.com',
+      platform: 'webflow',
+      billing_period: 'monthly',
+      subscription_id: 'sub_123',
+      purchase_type: 'site',
+      created_at: now - DAY,
+      renewal_date: now + 29 * DAY,
     },
     {
       id: 'lic_002',
-      key: 'CB-LICENSE-DEF456UVW012',
-      site: 'test-site.com',
+      license_key: 'KEY-STUV-WXYZ-2345-6789',
       status: 'active',
-      created_at: Math.floor(Date.now() / 1000) - 172800,
-      expires_at: null,
+      used_site_domain: 'www.test-site.com',
+      platform: 'framer',
+      billing_period: 'yearly',
+      subscription_id: 'sub_456',
+      purchase_type: 'quantity',
+      created_at: now - 2 * DAY,
+      renewal_date: now + 363 * DAY,
     },
     {
       id: 'lic_003',
-      key: 'CB-LICENSE-GHI789RST345',
-      site: 'demo-site.com',
-      status: 'pending',
-      created_at: Math.floor(Date.now() / 1000) - 3600,
-      expires_at: null,
+      license_key: 'KEY-QWER-TYUP-ASDF-GHJK',
+      status: 'active',
+      used_site_domain: null,
+      platform: null,
+      billing_period: 'monthly',
+      subscription_id: 'sub_789',
+      purchase_type: 'quantity',
+      created_at: now - 3600, // 1 hour ago
+      renewal_date: now + 30 * DAY,
+    },
+  ],
+};
+
+export const mockInvoicesData = {
+  invoices: [
+    {
+      id: 'in_mock_003',
+      number: 'MOCK-0003',
+      amount_paid: 800,
+      currency: 'usd',
+      created: now - 3600,
+      description: '1 × ConsentBit license (monthly)',
+      invoice_pdf: null,
+    },
+    {
+      id: 'in_mock_002',
+      number: 'MOCK-0002',
+      amount_paid: 7200,
+      currency: 'usd',
+      created: now - 2 * DAY,
+      description: '1 × ConsentBit site (yearly)',
+      invoice_pdf: null,
+    },
+    {
+      id: 'in_mock_001',
+      number: 'MOCK-0001',
+      amount_paid: 800,
+      currency: 'usd',
+      created: now - DAY,
+      description: '1 × ConsentBit site (monthly)',
+      invoice_pdf: null,
+    },
+  ],
+};
+
+// Past checkouts for /api/orders - purchases made in the mock session are added from its queues
+// The license order shows a queue item that failed and was refunded
+export const mockOrdersData = {
+  orders: [
+    {
+      order_id: 'pi_mock_003',
+      type: 'licenses',
+      billing_period: 'monthly',
+      created_at: now - 3600,
+      items: [
+        {
+          queue_id: 'queue_mock_003a',
+          status: 'completed',
+          license_key: 'KEY-QWER-TYUP-ASDF-GHJK',
+          site: null,
+          subscription_id: 'sub_789',
+          error_message: null,
+          refund: null,
+        },
+        {
+          queue_id: 'queue_mock_003b',
+          status: 'failed',
+          license_key: null,
+          site: null,
+          subscription_id: null,
+          error_message: 'Subscription creation failed after 3 attempts | REFUNDED: re_mock_001 (800 usd)',
+          refund: {
+            refund_id: 're_mock_001',
+            amount: 800,
+            currency: 'usd',
+            status: 'succeeded',
+            created_at: now - 1800,
+          },
+        },
+      ],
+      refunds: [],
+    },
+    {
+      order_id: 'pi_mock_002',
+      type: 'sites',
+      billing_period: 'yearly',
+      created_at: now - 2 * DAY,
+      items: [
+        {
+          queue_id: 'sitequeue_mock_002',
+          status: 'completed',
+          license_key: 'KEY-STUV-WXYZ-2345-6789',
+          site: 'www.test-site.com',
+          subscription_id: 'sub_456',
+          error_message: null,
+          refund: null,
+        },
+      ],
+      refunds: [],
+    },
+    {
+      order_id: 'pi_mock_001',
+      type: 'sites',
+      billing_period: 'monthly',
+      created_at: now - DAY,
+      items: [
+        {
+          queue_id: 'sitequeue_mock_001',
+          status: 'completed',
+          license_key: 'KEY-ABCD-EFGH-JKLM-NPQR',
+          site: 'www.example.com',
+          subscription_id: 'sub_123',
+          error_message: null,
+          refund: null,
+        },
+      ],
+      refunds: [],
+    },
+  ],
+};
+
+// Stripe customers for /api/billing - the older customer is left over from a checkout made before
+// the email had a customer, so the billing panel shows both
+export const mockBillingData = {
+  customers: [
+    {
+      customer_id: 'cus_mock_001',
+      name: 'Jane Doe',
+      email: 'jane@example.com',
+      phone: null,
+      address: {
+        line1: '1 Market Street',
+        line2: 'Suite 200',
+        city: 'San Francisco',
+        state: 'CA',
+        postal_code: '94105',
+        country: 'US',
+      },
+      created: now - 30 * DAY,
+      active_subscriptions: 3,
+      default_payment_method_id: 'pm_mock_visa',
+      payment_methods: [
+        { id: 'pm_mock_visa', brand: 'visa', last4: '4242', exp_month: 12, exp_year: 2030, is_default: true },
+        { id: 'pm_mock_mastercard', brand: 'mastercard', last4: '4444', exp_month: 1, exp_year: 2024, is_default: false },
+      ],
+    },
+    {
+      customer_id: 'cus_mock_002',
+      name: null,
+      email: 'jane@example.com',
+      phone: null,
+      address: null,
+      created: now - 400 * DAY,
+      active_subscriptions: 0,
+      default_payment_method_id: null,
+      payment_methods: [],
     },
   ],
 };
@@ -74,4 +266,3 @@ export const mockLicensesData = {
 export const mockApiDelay = (ms = 500) => {
   return new Promise(resolve => setTimeout(resolve, ms));
 };
-
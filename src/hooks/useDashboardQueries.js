@@ -1,5 +1,7 @@
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { getDashboard, getLicenses, addSite, removeSite, getInvoices } from '../services/api';
+import { useEffect, useState } from 'react';
+import { useQuery, useInfiniteQuery, useMutation, useMutationState, useQueryClient } from '@tanstack/react-query';
+import { getDashboard, getLicenses, addSite, removeSite, cancelSubscription, activateLicense, getInvoices, getOrders, getPricing, validatePromoCode, previewBillingPeriodChange, changeBillingPeriod, resumeSubscription, activateLicensesBatch, transferLicense, unassignLicense, getBilling, createBillingPortalSession, ApiError } from '../services/api';
+import { normalizeDashboard, normalizeLicenses, normalizeInvoices, normalizeOrders, normalizePricing, normalizePromoCode, normalizeBillingPeriodPreview, normalizeBilling, normalizeLicense, normalizeSite } from '../lib/normalize';
 // import { getUserProfile } from '../services/api'; // COMMENTED OUT: Profile API endpoint doesn't exist yet
 
 // Query keys
@@ -7,32 +9,134 @@ export const queryKeys = {
   dashboard: (email) => ['dashboard', email],
   licenses: (email) => ['licenses', email],
   profile: (email) => ['profile', email],
-  invoices: (email, limit, offset) => ['invoices', email, limit, offset],
+  invoices: (email) => ['invoices', email], // Infinite query - all pages live under one key
+  orders: (email) => ['orders', email],
+  billing: (email) => ['billing', email],
+  pricing: () => ['pricing'], // Same catalog for every user
+  promoCode: (code) => ['promoCode', code], // Uppercase code - validity does not depend on the user
+  billingPeriodPreview: (email, subscriptionId, billingPeriod) => ['billingPeriodPreview', email, subscriptionId, billingPeriod],
+  // Queue progress ({ status, progress }) - batchId is the payment intent for the sites queue
+  queueStatus: (email, queue, batchId = null) => ['queue', email, queue, batchId],
+  queueStream: (email) => ['queue', email, 'stream'],
 };
 
+// Freshness policy per resource - how long data counts as fresh and when it is revalidated
+// in the background. Stale data keeps being shown while the refetch runs.
+// Override per call through the hook options (e.g. useLicenses(email, { refetchInterval: false }))
+const FIVE_MINUTES = 5 * 60 * 1000;
+const ONE_HOUR = 60 * 60 * 1000;
+
+export const freshnessPolicies = {
+  // Sites and subscriptions change from Stripe (cancellations, renewals) and from the worker queues
+  dashboard: {
+    staleTime: FIVE_MINUTES,
+    refetchOnMount: true, // Only refetches when stale
+    refetchOnWindowFocus: true,
+    refetchOnReconnect: true,
+    refetchInterval: FIVE_MINUTES,
+  },
+  // Licenses are also activated from the Webflow/Framer app - revalidate when the user comes back
+  licenses: {
+    staleTime: FIVE_MINUTES,
+    refetchOnMount: true,
+    refetchOnWindowFocus: true,
+    refetchOnReconnect: true,
+    refetchInterval: FIVE_MINUTES,
+  },
+  // Invoices only change after a payment
+  invoices: {
+    staleTime: ONE_HOUR,
+    refetchOnMount: true,
+    refetchOnWindowFocus: false,
+    refetchOnReconnect: true,
+    refetchInterval: ONE_HOUR,
+  },
+  // Orders change while the queues run - the queue events invalidate them, the interval is a fallback
+  orders: {
+    staleTime: FIVE_MINUTES,
+    refetchOnMount: true,
+    refetchOnWindowFocus: true,
+    refetchOnReconnect: true,
+    refetchInterval: FIVE_MINUTES,
+  },
+  // Cards and addresses are edited in the Stripe Billing Portal, usually in another tab
+  billing: {
+    staleTime: FIVE_MINUTES,
+    refetchOnMount: true,
+    refetchOnWindowFocus: true,
+    refetchOnReconnect: true,
+    refetchInterval: false,
+  },
+  // Prices change rarely - refreshed every hour and whenever a purchase modal mounts with stale data
+  pricing: {
+    staleTime: ONE_HOUR,
+    refetchOnMount: true,
+    refetchOnWindowFocus: false,
+    refetchOnReconnect: true,
+    refetchInterval: ONE_HOUR,
+  },
+  // Promo codes are checked while the user types - the checkout endpoints check them again,
+  // so a result is reused for a few minutes and never revalidated in the background
+  promoCode: {
+    staleTime: FIVE_MINUTES,
+    refetchOnMount: false,
+    refetchOnWindowFocus: false,
+    refetchOnReconnect: false,
+    refetchInterval: false,
+  },
+};
+
+// Wait for the user to stop typing before checking a promo code
+const PROMO_CODE_DEBOUNCE = 400;
+
+// Query functions - shared with prefetchQuery/fetchQuery callers so the cache only ever holds
+// normalized data (see lib/normalize.js)
+// signal lets TanStack Query abort the request when the query is cancelled
+export async function fetchDashboardData(userEmail, { signal } = {}) {
+  return normalizeDashboard(await getDashboard(userEmail, { signal }));
+}
+
+export async function fetchLicensesData(userEmail, { signal } = {}) {
+  return normalizeLicenses(await getLicenses(userEmail, { signal }));
+}
+
+export async function fetchInvoicesData(userEmail, limit, offset, { startingAfter, signal } = {}) {
+  return normalizeInvoices(await getInvoices(userEmail, limit, offset, { startingAfter, signal }));
+}
+
+export async function fetchOrdersData({ signal } = {}) {
+  return normalizeOrders(await getOrders({ signal }));
+}
+
+export async function fetchBillingData({ signal } = {}) {
+  return normalizeBilling(await getBilling({ signal }));
+}
+
+export async function fetchPricingData({ signal } = {}) {
+  return normalizePricing(await getPricing({ signal }));
+}
+
+export async function fetchPromoCodeData(code, { signal } = {}) {
+  return normalizePromoCode(code, await validatePromoCode(code, { signal }));
+}
+
+export async function fetchBillingPeriodPreview(subscriptionId, billingPeriod, { signal } = {}) {
+  return normalizeBillingPeriodPreview(
+    await previewBillingPeriodChange(subscriptionId, billingPeriod.toLowerCase(), { signal })
+  );
+}
+
 /**
  * Hook to fetch dashboard data (sites, subscriptions, etc.)
  */
 export function useDashboardData(userEmail, options = {}) {
   return useQuery({
     queryKey: queryKeys.dashboard(userEmail),
-    queryFn: async () => {
-      // This function is ONLY called when data doesn't exist in cache
-      // With staleTime: Infinity, cached data will be used automatically
-      const data = await getDashboard(userEmail);
-      return data;
-    },
+    queryFn: ({ signal }) => fetchDashboardData(userEmail, { signal }),
     enabled: !!userEmail && !options.disabled,
-    // Data is considered fresh forever - will use cache and NOT refetch from server
-    staleTime: Infinity, // Never consider data stale - use cached data forever
     gcTime: 24 * 60 * 60 * 1000, // Keep in cache for 24 hours
     retry: 2, // Retry on failure
-    // Never refetch - always use cached data if available
-    refetchOnMount: false, // Use cached data, don't refetch
-    refetchOnWindowFocus: false, // Use cached data, don't refetch
-    refetchOnReconnect: false, // Use cached data, don't refetch
-    refetchInterval: false, // Disable automatic refetching
-    // Only fetch if data doesn't exist in cache
+    ...freshnessPolicies.dashboard,
     ...options,
   });
 }
@@ -43,54 +147,147 @@ export function useDashboardData(userEmail, options = {}) {
 export function useLicenses(userEmail, options = {}) {
   return useQuery({
     queryKey: queryKeys.licenses(userEmail),
-    queryFn: async () => {
-      // This function is ONLY called when data doesn't exist in cache
-      // With staleTime: Infinity, cached data will be used automatically
-      const data = await getLicenses(userEmail);
-      return data;
-    },
+    queryFn: ({ signal }) => fetchLicensesData(userEmail, { signal }),
     enabled: !!userEmail && !options.disabled,
-    // Data is considered fresh forever - will use cache and NOT refetch from server
-    staleTime: Infinity, // Never consider data stale - use cached data forever
     gcTime: 24 * 60 * 60 * 1000, // Keep in cache for 24 hours
     retry: 2, // Retry on failure
-    // Never refetch - always use cached data if available
-    refetchOnMount: false, // Use cached data, don't refetch
-    refetchOnWindowFocus: false, // Use cached data, don't refetch
-    refetchOnReconnect: false, // Use cached data, don't refetch
-    refetchInterval: false, // Disable automatic refetching
-    // Only fetch if data doesn't exist in cache
+    ...freshnessPolicies.licenses,
+    ...options,
+  });
+}
+
+export const INVOICES_PER_PAGE = 10;
+
+// Next page: the worker's cursor when it sends one, otherwise the number of invoices loaded so far
+function getNextInvoicesPageParam(lastPage, allPages) {
+  if (!lastPage.hasMore) return undefined;
+  return {
+    offset: allPages.reduce((count, page) => count + page.invoices.length, 0),
+    cursor: lastPage.nextCursor,
+  };
+}
+
+// Flatten the pages into one list - a refetch after a purchase can shift invoices between pages,
+// so duplicates are dropped by ID and the list is kept newest first
+function selectInvoices(data) {
+  const seen = new Set();
+  const invoices = data.pages
+    .flatMap((page) => page.invoices)
+    .filter((invoice) => {
+      if (seen.has(invoice.id)) return false;
+      seen.add(invoice.id);
+      return true;
+    })
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  const lastPage = data.pages[data.pages.length - 1];
+
+  return {
+    invoices,
+    hasMore: Boolean(lastPage?.hasMore),
+    total: data.pages[0]?.total || invoices.length,
+  };
+}
+
+/**
+ * Hook to fetch user invoices, one page at a time (infinite query)
+ * data: { invoices, hasMore, total } - use fetchNextPage() / isFetchingNextPage to load more
+ */
+export function useInvoices(userEmail, options = {}) {
+  return useInfiniteQuery({
+    queryKey: queryKeys.invoices(userEmail),
+    queryFn: ({ pageParam, signal }) =>
+      fetchInvoicesData(userEmail, INVOICES_PER_PAGE, pageParam.offset, { startingAfter: pageParam.cursor, signal }),
+    initialPageParam: { offset: 0, cursor: null },
+    getNextPageParam: getNextInvoicesPageParam,
+    select: selectInvoices,
+    enabled: !!userEmail && !options.disabled,
+    gcTime: 24 * 60 * 60 * 1000, // Keep in cache for 24 hours
+    retry: 2, // Retry on failure
+    ...freshnessPolicies.invoices,
     ...options,
   });
 }
 
 /**
- * Hook to fetch user invoices
+ * Hook to fetch the user's orders (one per checkout, newest first)
+ * Returns { orders, total } - see Order in lib/normalize.js
  */
-export function useInvoices(userEmail, limit = 10, offset = 0, options = {}) {
+export function useOrders(userEmail, options = {}) {
   return useQuery({
-    queryKey: queryKeys.invoices(userEmail, limit, offset),
-    queryFn: async () => {
-      // This function is ONLY called when data doesn't exist in cache
-      // With staleTime: Infinity, cached data will be used automatically
-      const data = await getInvoices(userEmail, limit, offset);
-      return data;
-    },
+    queryKey: queryKeys.orders(userEmail),
+    queryFn: ({ signal }) => fetchOrdersData({ signal }),
     enabled: !!userEmail && !options.disabled,
-    // Data is considered fresh forever - will use cache and NOT refetch from server
-    staleTime: Infinity, // Never consider data stale - use cached data forever
     gcTime: 24 * 60 * 60 * 1000, // Keep in cache for 24 hours
     retry: 2, // Retry on failure
-    // Never refetch - always use cached data if available
-    refetchOnMount: false, // Use cached data, don't refetch
-    refetchOnWindowFocus: false, // Use cached data, don't refetch
-    refetchOnReconnect: false, // Use cached data, don't refetch
-    refetchInterval: false, // Disable automatic refetching
-    // Only fetch if data doesn't exist in cache
+    ...freshnessPolicies.orders,
     ...options,
   });
 }
 
+/**
+ * Hook to fetch the user's payment methods and billing details
+ * Returns { customers } - one BillingCustomer per Stripe customer (see lib/normalize.js)
+ */
+export function useBilling(userEmail, options = {}) {
+  return useQuery({
+    queryKey: queryKeys.billing(userEmail),
+    queryFn: ({ signal }) => fetchBillingData({ signal }),
+    enabled: !!userEmail && !options.disabled,
+    gcTime: 24 * 60 * 60 * 1000, // Keep in cache for 24 hours
+    retry: 2, // Retry on failure
+    ...freshnessPolicies.billing,
+    ...options,
+  });
+}
+
+/**
+ * Hook to fetch the price catalog the purchase modals render (prices, currency, discounts, quantity limits)
+ * Returns a Pricing object - see lib/normalize.js
+ */
+export function usePricing(options = {}) {
+  return useQuery({
+    queryKey: queryKeys.pricing(),
+    queryFn: ({ signal }) => fetchPricingData({ signal }),
+    gcTime: 24 * 60 * 60 * 1000, // Keep in cache for 24 hours
+    retry: 2, // Retry on failure
+    ...freshnessPolicies.pricing,
+    ...options,
+  });
+}
+
+/**
+ * Hook to validate a promo code as it is typed (debounced, case-insensitive)
+ * Returns { promoCode, isChecking, error } - promoCode is a PromoCode (see lib/normalize.js) for the
+ * current input, null while there is no code or it is still being checked
+ */
+export function usePromoCode(code, options = {}) {
+  const normalizedCode = (code || '').trim().toUpperCase();
+  const [debouncedCode, setDebouncedCode] = useState(normalizedCode);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedCode(normalizedCode), PROMO_CODE_DEBOUNCE);
+    return () => clearTimeout(timeout);
+  }, [normalizedCode]);
+
+  const query = useQuery({
+    queryKey: queryKeys.promoCode(debouncedCode),
+    queryFn: ({ signal }) => fetchPromoCodeData(debouncedCode, { signal }),
+    enabled: !!debouncedCode,
+    gcTime: FIVE_MINUTES,
+    retry: 1,
+    ...freshnessPolicies.promoCode,
+    ...options,
+  });
+
+  // Results for an earlier input are not shown while the latest one is pending
+  const isCurrent = !!normalizedCode && debouncedCode === normalizedCode;
+  return {
+    promoCode: isCurrent ? query.data ?? null : null,
+    isChecking: !!normalizedCode && (!isCurrent || query.isPending),
+    error: isCurrent ? query.error : null,
+  };
+}
+
 /**
  * Hook to add a new site
  */
@@ -109,15 +306,16 @@ export function useAddSite(userEmail) {
       // Optimistically update
       queryClient.setQueryData(queryKeys.dashboard(userEmail), (old) => {
         if (!old) return old;
+        const pendingSite = normalizeSite(site, {
+          status: 'pending',
+          price: price,
+          created_at: Date.now(),
+        });
         return {
           ...old,
           sites: {
             ...old.sites,
-            [site]: {
-              status: 'pending',
-              price: price,
-              created_at: Math.floor(Date.now() / 1000),
-            },
+            [pendingSite.domain]: pendingSite,
           },
         };
       });
@@ -152,14 +350,15 @@ export function useRemoveSite(userEmail) {
       // Snapshot previous value
       const previousData = queryClient.getQueryData(queryKeys.dashboard(userEmail));
 
-      // Optimistically update - mark as inactive
+      // Optimistically update - mark as cancelled
       queryClient.setQueryData(queryKeys.dashboard(userEmail), (old) => {
         if (!old) return old;
+        const domain = site.toLowerCase().trim();
         const updatedSites = { ...old.sites };
-        if (updatedSites[site]) {
-          updatedSites[site] = {
-            ...updatedSites[site],
-            status: 'inactive',
+        if (updatedSites[domain]) {
+          updatedSites[domain] = {
+            ...updatedSites[domain],
+            status: 'Cancelled',
           };
         }
         return {
@@ -183,6 +382,720 @@ export function useRemoveSite(userEmail) {
   });
 }
 
+/**
+ * Hook to cancel a subscription (it stays active until the end of the billing period)
+ * Optimistically marks the subscription, its items, the site and its licenses "Cancelling",
+ * rolls back on failure and refetches licenses/dashboard to reconcile with the server.
+ * isCancelling(subscriptionId) is per subscription, so cancelling one row does not disable every row.
+ */
+export function useCancelSubscription(userEmail) {
+  const queryClient = useQueryClient();
+  const mutationKey = ['cancelSubscription', userEmail];
+
+  const mutation = useMutation({
+    mutationKey,
+    mutationFn: async ({ subscriptionId, siteDomain }) => {
+      const response = await cancelSubscription(userEmail, siteDomain, subscriptionId);
+      if (!response?.success) {
+        throw new ApiError(response?.message || 'Subscription could not be cancelled', {
+          endpoint: '/remove-site',
+          data: response,
+        });
+      }
+      return response;
+    },
+    onMutate: async ({ subscriptionId, siteDomain }) => {
+      // Cancel outgoing refetches
+      await Promise.all([
+        queryClient.cancelQueries({ queryKey: queryKeys.licenses(userEmail) }),
+        queryClient.cancelQueries({ queryKey: queryKeys.dashboard(userEmail) }),
+      ]);
+
+      // Snapshot previous values
+      const previousLicenses = queryClient.getQueryData(queryKeys.licenses(userEmail));
+      const previousDashboard = queryClient.getQueryData(queryKeys.dashboard(userEmail));
+
+      const domain = siteDomain.toLowerCase().trim();
+      const markCancelling = (record) =>
+        record.status === 'Cancelled' || record.status === 'Expired'
+          ? record
+          : { ...record, status: 'Cancelling' };
+
+      // Optimistically update licenses - match by subscription ID or site domain
+      queryClient.setQueryData(queryKeys.licenses(userEmail), (old) => {
+        if (!old) return old;
+        return {
+          ...old,
+          licenses: old.licenses.map((lic) =>
+            lic.subscriptionId === subscriptionId || lic.siteDomain === domain
+              ? {
+                  ...markCancelling(lic),
+                  cancelAtPeriodEnd: true,
+                  subscriptionId: lic.subscriptionId || subscriptionId,
+                }
+              : lic
+          ),
+        };
+      });
+
+      // Optimistically update dashboard - site, subscription and its items
+      queryClient.setQueryData(queryKeys.dashboard(userEmail), (old) => {
+        if (!old) return old;
+        const updatedSites = { ...old.sites };
+        if (updatedSites[domain]) {
+          updatedSites[domain] = markCancelling(updatedSites[domain]);
+        }
+        return {
+          ...old,
+          sites: updatedSites,
+          subscriptions: old.subscriptions.map((sub) =>
+            sub.id === subscriptionId
+              ? {
+                  ...markCancelling(sub),
+                  cancelAtPeriodEnd: true,
+                  items: sub.items.map(markCancelling),
+                }
+              : sub
+          ),
+        };
+      });
+
+      return { previousLicenses, previousDashboard };
+    },
+    onError: (err, variables, context) => {
+      // Rollback on error
+      if (context?.previousLicenses) {
+        queryClient.setQueryData(queryKeys.licenses(userEmail), context.previousLicenses);
+      }
+      if (context?.previousDashboard) {
+        queryClient.setQueryData(queryKeys.dashboard(userEmail), context.previousDashboard);
+      }
+    },
+    onSettled: () => {
+      // Reconcile with the server
+      queryClient.invalidateQueries({ queryKey: queryKeys.licenses(userEmail) });
+      queryClient.invalidateQueries({ queryKey: queryKeys.dashboard(userEmail) });
+    },
+  });
+
+  // Subscription IDs with a cancellation in flight (any component using this hook)
+  const pendingSubscriptionIds = useMutationState({
+    filters: { mutationKey, status: 'pending' },
+    select: (pendingMutation) => pendingMutation.state.variables?.subscriptionId,
+  });
+
+  return {
+    ...mutation,
+    isCancelling: (subscriptionId) => !!subscriptionId && pendingSubscriptionIds.includes(subscriptionId),
+  };
+}
+
+/**
+ * Hook to resume a subscription that is pending cancellation
+ * Optimistically clears cancelAtPeriodEnd and puts "Cancelling" rows back to "Active",
+ * rolls back on failure and refetches licenses/dashboard to reconcile with the server.
+ * isResuming(subscriptionId) is per subscription, like isCancelling.
+ */
+export function useResumeSubscription(userEmail) {
+  const queryClient = useQueryClient();
+  const mutationKey = ['resumeSubscription', userEmail];
+
+  const mutation = useMutation({
+    mutationKey,
+    mutationFn: ({ subscriptionId }) => resumeSubscription(subscriptionId),
+    onMutate: async ({ subscriptionId }) => {
+      await Promise.all([
+        queryClient.cancelQueries({ queryKey: queryKeys.licenses(userEmail) }),
+        queryClient.cancelQueries({ queryKey: queryKeys.dashboard(userEmail) }),
+      ]);
+
+      const previousLicenses = queryClient.getQueryData(queryKeys.licenses(userEmail));
+      const previousDashboard = queryClient.getQueryData(queryKeys.dashboard(userEmail));
+
+      // Only "Cancelling" records come back - anything already ended stays as it is
+      const markActive = (record) =>
+        record.status === 'Cancelling' ? { ...record, status: 'Active', cancelAtPeriodEnd: false } : record;
+
+      queryClient.setQueryData(queryKeys.licenses(userEmail), (old) => {
+        if (!old) return old;
+        return {
+          ...old,
+          licenses: old.licenses.map((lic) => (lic.subscriptionId === subscriptionId ? markActive(lic) : lic)),
+        };
+      });
+
+      queryClient.setQueryData(queryKeys.dashboard(userEmail), (old) => {
+        if (!old) return old;
+        const updatedSites = { ...old.sites };
+        Object.entries(updatedSites).forEach(([domain, site]) => {
+          if (site.subscriptionId === subscriptionId) {
+            updatedSites[domain] = markActive(site);
+          }
+        });
+        return {
+          ...old,
+          sites: updatedSites,
+          subscriptions: old.subscriptions.map((sub) =>
+            sub.id === subscriptionId ? { ...markActive(sub), items: sub.items.map(markActive) } : sub
+          ),
+        };
+      });
+
+      return { previousLicenses, previousDashboard };
+    },
+    onError: (err, variables, context) => {
+      if (context?.previousLicenses) {
+        queryClient.setQueryData(queryKeys.licenses(userEmail), context.previousLicenses);
+      }
+      if (context?.previousDashboard) {
+        queryClient.setQueryData(queryKeys.dashboard(userEmail), context.previousDashboard);
+      }
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.licenses(userEmail) });
+      queryClient.invalidateQueries({ queryKey: queryKeys.dashboard(userEmail) });
+    },
+  });
+
+  // Subscription IDs with a resume in flight (any component using this hook)
+  const pendingSubscriptionIds = useMutationState({
+    filters: { mutationKey, status: 'pending' },
+    select: (pendingMutation) => pendingMutation.state.variables?.subscriptionId,
+  });
+
+  return {
+    ...mutation,
+    isResuming: (subscriptionId) => !!subscriptionId && pendingSubscriptionIds.includes(subscriptionId),
+  };
+}
+
+/**
+ * Hook to create a Stripe Billing Portal session for one of the user's customers
+ * Resolves with { url } - the caller navigates there. Nothing is cached: the portal sends the user
+ * back with ?billing=updated and the billing query refetches then.
+ * isOpening(customerId) is per customer.
+ */
+export function useBillingPortal(userEmail) {
+  const mutationKey = ['billingPortal', userEmail];
+
+  const mutation = useMutation({
+    mutationKey,
+    mutationFn: ({ customerId, flow }) => createBillingPortalSession(customerId, { flow }),
+  });
+
+  const pendingCustomerIds = useMutationState({
+    filters: { mutationKey, status: 'pending' },
+    select: (pendingMutation) => pendingMutation.state.variables?.customerId,
+  });
+
+  return {
+    ...mutation,
+    isOpening: (customerId) => !!customerId && pendingCustomerIds.includes(customerId),
+  };
+}
+
+// Hostname like example.com or www.example.co.uk
+const DOMAIN_PATTERN = /^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/;
+
+/**
+ * Map a failed activation (ApiError or { success: false } body) to a typed result.
+ * Returns null for errors that are not about the key or the domain (network, auth, ...).
+ */
+function activationFailure({ status, code, message }) {
+  const value = (code || '').toLowerCase();
+  if (status === 409 || value.includes('already')) {
+    return { type: 'already-active', message: message || 'This domain already has an active license.' };
+  }
+  if (status === 404 || value.includes('not_found')) {
+    return { type: 'key-not-found', message: message || 'License key not found.' };
+  }
+  if (value.includes('domain')) {
+    return { type: 'invalid-domain', message: message || 'Please enter a valid domain.' };
+  }
+  return null;
+}
+
+/**
+ * @typedef {Object} ActivationResult
+ * @property {'success'|'already-active'|'invalid-domain'|'key-not-found'} type
+ * @property {string} [message] - for failures
+ * @property {import('../lib/normalize').License|null} [license] - on success, when the worker returns it
+ * @property {import('../lib/normalize').Site|null} [site] - on success, when the worker returns it
+ */
+
+/**
+ * Hook to activate a license key for a site domain
+ * The worker detects domains that already have an active license (409), so no cache scanning is needed.
+ * Optimistically assigns the license (and adds the site) in both caches, rolls back unless the
+ * activation succeeds, then refetches to reconcile with the server.
+ * - mutate({ licenseKey, siteDomain }) resolves with an ActivationResult for expected failures;
+ *   other errors (network, auth) reject as usual
+ * - isActivating(licenseKey) is per license, so one activation does not block the others
+ */
+export function useActivateLicense(userEmail) {
+  const queryClient = useQueryClient();
+  const mutationKey = ['activateLicense', userEmail];
+
+  const mutation = useMutation({
+    mutationKey,
+    mutationFn: async ({ licenseKey, siteDomain }) => {
+      const domain = (siteDomain || '').toLowerCase().trim();
+      if (!DOMAIN_PATTERN.test(domain)) {
+        return { type: 'invalid-domain', message: 'Please enter a valid domain (e.g., www.example.com).' };
+      }
+
+      let response;
+      try {
+        response = await activateLicense(licenseKey, domain, userEmail);
+      } catch (error) {
+        const failure = error instanceof ApiError ? activationFailure(error) : null;
+        if (failure) return failure;
+        throw error;
+      }
+
+      if (response.success === false || response.error) {
+        const failure = activationFailure({ code: response.error, message: response.message });
+        if (failure) return failure;
+        throw new ApiError(response.message || response.error || 'Failed to activate license', {
+          endpoint: '/activate-license',
+          data: response,
+        });
+      }
+
+      return {
+        type: 'success',
+        license: response.license ? normalizeLicense(response.license) : null,
+        site: response.site ? normalizeSite(domain, { ...response.site, status: 'active' }) : null,
+      };
+    },
+    onMutate: async ({ licenseKey, siteDomain }) => {
+      const domain = (siteDomain || '').toLowerCase().trim();
+      if (!DOMAIN_PATTERN.test(domain)) return {};
+
+      // Cancel outgoing refetches
+      await Promise.all([
+        queryClient.cancelQueries({ queryKey: queryKeys.licenses(userEmail) }),
+        queryClient.cancelQueries({ queryKey: queryKeys.dashboard(userEmail) }),
+      ]);
+
+      // Snapshot previous values
+      const previousLicenses = queryClient.getQueryData(queryKeys.licenses(userEmail));
+      const previousDashboard = queryClient.getQueryData(queryKeys.dashboard(userEmail));
+
+      const license = previousLicenses?.licenses?.find(
+        (lic) => lic.id === licenseKey || lic.licenseKey === licenseKey
+      );
+
+      // Optimistically assign the license
+      queryClient.setQueryData(queryKeys.licenses(userEmail), (old) => {
+        if (!old) return old;
+        return {
+          ...old,
+          licenses: old.licenses.map((lic) =>
+            lic.id === licenseKey || lic.licenseKey === licenseKey
+              ? { ...lic, siteDomain: domain, status: 'Active' }
+              : lic
+          ),
+        };
+      });
+
+      // Optimistically add the site
+      queryClient.setQueryData(queryKeys.dashboard(userEmail), (old) => {
+        if (!old || old.sites?.[domain]) return old;
+        return {
+          ...old,
+          sites: {
+            ...old.sites,
+            [domain]: normalizeSite(domain, {
+              status: 'active',
+              license_key: license?.licenseKey,
+              platform: license?.platform,
+              billing_period: license?.billingPeriod,
+              subscription_id: license?.subscriptionId,
+              created_at: Date.now(),
+            }),
+          },
+        };
+      });
+
+      return { previousLicenses, previousDashboard };
+    },
+    onSettled: (result, error, { licenseKey, siteDomain }, context) => {
+      if (error || result?.type !== 'success') {
+        // Rollback
+        if (context?.previousLicenses) {
+          queryClient.setQueryData(queryKeys.licenses(userEmail), context.previousLicenses);
+        }
+        if (context?.previousDashboard) {
+          queryClient.setQueryData(queryKeys.dashboard(userEmail), context.previousDashboard);
+        }
+        return;
+      }
+
+      // Apply what the worker returned, then refetch to pick up the new subscription item
+      const domain = siteDomain.toLowerCase().trim();
+      if (result.license) {
+        queryClient.setQueryData(queryKeys.licenses(userEmail), (old) => {
+          if (!old) return old;
+          return {
+            ...old,
+            licenses: old.licenses.map((lic) =>
+              lic.id === licenseKey ||
+              lic.licenseKey === licenseKey ||
+              lic.id === result.license.id ||
+              lic.licenseKey === result.license.licenseKey
+                ? { ...result.license, siteDomain: result.license.siteDomain || domain }
+                : lic
+            ),
+          };
+        });
+      }
+      if (result.site) {
+        queryClient.setQueryData(queryKeys.dashboard(userEmail), (old) => {
+          if (!old) return old;
+          return {
+            ...old,
+            sites: {
+              ...old.sites,
+              [result.site.domain]: { ...old.sites?.[result.site.domain], ...result.site },
+            },
+          };
+        });
+      }
+      queryClient.invalidateQueries({ queryKey: queryKeys.licenses(userEmail) });
+      queryClient.invalidateQueries({ queryKey: queryKeys.dashboard(userEmail) });
+    },
+  });
+
+  // License keys with an activation in flight (any component using this hook)
+  const pendingLicenseKeys = useMutationState({
+    filters: { mutationKey, status: 'pending' },
+    select: (pendingMutation) => pendingMutation.state.variables?.licenseKey,
+  });
+
+  return {
+    ...mutation,
+    isActivating: (licenseKey) => licenseKey != null && pendingLicenseKeys.includes(licenseKey),
+  };
+}
+
+/**
+ * Hook to move an activated license key to another domain ("Transfer to another domain")
+ * Optimistically renames the domain on the license, its site and subscription item, rolls back on
+ * failure (e.g. 429 transfer_cooldown) and refetches licenses/dashboard to reconcile with the server.
+ * isTransferring(licenseKey) is per license.
+ */
+export function useTransferLicense(userEmail) {
+  const queryClient = useQueryClient();
+  const mutationKey = ['transferLicense', userEmail];
+
+  const mutation = useMutation({
+    mutationKey,
+    mutationFn: ({ licenseKey, newDomain }) => transferLicense(licenseKey, newDomain.toLowerCase().trim()),
+    onMutate: async ({ licenseKey, fromDomain, newDomain }) => {
+      const domain = newDomain.toLowerCase().trim();
+      await Promise.all([
+        queryClient.cancelQueries({ queryKey: queryKeys.licenses(userEmail) }),
+        queryClient.cancelQueries({ queryKey: queryKeys.dashboard(userEmail) }),
+      ]);
+
+      const previousLicenses = queryClient.getQueryData(queryKeys.licenses(userEmail));
+      const previousDashboard = queryClient.getQueryData(queryKeys.dashboard(userEmail));
+
+      queryClient.setQueryData(queryKeys.licenses(userEmail), (old) => {
+        if (!old) return old;
+        return {
+          ...old,
+          licenses: old.licenses.map((lic) =>
+            lic.licenseKey === licenseKey ? { ...lic, siteDomain: domain } : lic
+          ),
+        };
+      });
+
+      queryClient.setQueryData(queryKeys.dashboard(userEmail), (old) => {
+        if (!old || !fromDomain) return old;
+        const sites = { ...old.sites };
+        if (sites[fromDomain]) {
+          sites[domain] = { ...sites[fromDomain], domain, name: domain };
+          delete sites[fromDomain];
+        }
+        return {
+          ...old,
+          sites,
+          subscriptions: old.subscriptions.map((sub) => ({
+            ...sub,
+            items: sub.items.map((item) =>
+              item.siteDomain === fromDomain ? { ...item, siteDomain: domain } : item
+            ),
+          })),
+        };
+      });
+
+      return { previousLicenses, previousDashboard };
+    },
+    onError: (error, variables, context) => {
+      if (context?.previousLicenses) {
+        queryClient.setQueryData(queryKeys.licenses(userEmail), context.previousLicenses);
+      }
+      if (context?.previousDashboard) {
+        queryClient.setQueryData(queryKeys.dashboard(userEmail), context.previousDashboard);
+      }
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.licenses(userEmail) });
+      queryClient.invalidateQueries({ queryKey: queryKeys.dashboard(userEmail) });
+    },
+  });
+
+  const pendingLicenseKeys = useMutationState({
+    filters: { mutationKey, status: 'pending' },
+    select: (pendingMutation) => pendingMutation.state.variables?.licenseKey,
+  });
+
+  return {
+    ...mutation,
+    isTransferring: (licenseKey) => !!licenseKey && pendingLicenseKeys.includes(licenseKey),
+  };
+}
+
+/**
+ * Hook to unassign an activated license key - the domain is freed, the subscription keeps billing
+ * Optimistically moves the key back to "Not Assigned" and drops its site row from the dashboard,
+ * rolls back on failure and refetches licenses/dashboard. isUnassigning(licenseKey) is per license.
+ */
+export function useUnassignLicense(userEmail) {
+  const queryClient = useQueryClient();
+  const mutationKey = ['unassignLicense', userEmail];
+
+  const mutation = useMutation({
+    mutationKey,
+    mutationFn: ({ licenseKey }) => unassignLicense(licenseKey),
+    onMutate: async ({ licenseKey, siteDomain }) => {
+      await Promise.all([
+        queryClient.cancelQueries({ queryKey: queryKeys.licenses(userEmail) }),
+        queryClient.cancelQueries({ queryKey: queryKeys.dashboard(userEmail) }),
+      ]);
+
+      const previousLicenses = queryClient.getQueryData(queryKeys.licenses(userEmail));
+      const previousDashboard = queryClient.getQueryData(queryKeys.dashboard(userEmail));
+
+      queryClient.setQueryData(queryKeys.licenses(userEmail), (old) => {
+        if (!old) return old;
+        return {
+          ...old,
+          licenses: old.licenses.map((lic) =>
+            lic.licenseKey === licenseKey ? { ...lic, siteDomain: null } : lic
+          ),
+        };
+      });
+
+      queryClient.setQueryData(queryKeys.dashboard(userEmail), (old) => {
+        if (!old) return old;
+        const sites = { ...old.sites };
+        if (siteDomain) delete sites[siteDomain];
+        return {
+          ...old,
+          sites,
+          subscriptions: old.subscriptions.map((sub) => ({
+            ...sub,
+            items: sub.items.filter((item) => item.licenseKey !== licenseKey),
+          })),
+        };
+      });
+
+      return { previousLicenses, previousDashboard };
+    },
+    onError: (error, variables, context) => {
+      if (context?.previousLicenses) {
+        queryClient.setQueryData(queryKeys.licenses(userEmail), context.previousLicenses);
+      }
+      if (context?.previousDashboard) {
+        queryClient.setQueryData(queryKeys.dashboard(userEmail), context.previousDashboard);
+      }
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.licenses(userEmail) });
+      queryClient.invalidateQueries({ queryKey: queryKeys.dashboard(userEmail) });
+    },
+  });
+
+  const pendingLicenseKeys = useMutationState({
+    filters: { mutationKey, status: 'pending' },
+    select: (pendingMutation) => pendingMutation.state.variables?.licenseKey,
+  });
+
+  return {
+    ...mutation,
+    isUnassigning: (licenseKey) => !!licenseKey && pendingLicenseKeys.includes(licenseKey),
+  };
+}
+
+/**
+ * @typedef {Object} BatchActivationResult
+ * @property {string} licenseKey
+ * @property {string} siteDomain
+ * @property {boolean} success
+ * @property {string|null} error - worker error code for failed rows
+ * @property {string|null} message
+ * @property {import('../lib/normalize').License|null} license - the assigned license, for activated rows
+ */
+
+/**
+ * Hook to activate many license keys at once (BulkActivateModal)
+ * The worker answers every row on its own. Nothing is optimistic - the table updates once the whole
+ * batch is back: activated keys are written into the licenses cache, then licenses/dashboard refetch.
+ * mutate({ activations: [{ licenseKey, siteDomain }] }) resolves with
+ * { activated, failed, results: BatchActivationResult[] }
+ */
+export function useBulkActivateLicenses(userEmail) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationKey: ['bulkActivateLicenses', userEmail],
+    mutationFn: async ({ activations }) => {
+      const response = await activateLicensesBatch(activations);
+      const results = (response.results || []).map((row) => ({
+        licenseKey: row.license_key,
+        siteDomain: row.site_domain,
+        success: !!row.success,
+        error: row.success ? null : row.error || 'activation_failed',
+        message: row.message || null,
+        license: row.license ? normalizeLicense(row.license) : null,
+      }));
+      return {
+        activated: results.filter((row) => row.success).length,
+        failed: results.filter((row) => !row.success).length,
+        results,
+      };
+    },
+    onSuccess: ({ results }) => {
+      const activatedByKey = new Map(
+        results.filter((row) => row.success).map((row) => [row.licenseKey, row])
+      );
+      if (activatedByKey.size === 0) return;
+
+      queryClient.setQueryData(queryKeys.licenses(userEmail), (old) => {
+        if (!old) return old;
+        return {
+          ...old,
+          licenses: old.licenses.map((lic) => {
+            const row = activatedByKey.get(lic.licenseKey);
+            if (!row) return lic;
+            return {
+              ...lic,
+              siteDomain: row.siteDomain,
+              status: 'Active',
+              platform: row.license?.platform || lic.platform,
+            };
+          }),
+        };
+      });
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.licenses(userEmail) });
+      queryClient.invalidateQueries({ queryKey: queryKeys.dashboard(userEmail) });
+    },
+  });
+}
+
+/**
+ * Hook to preview switching a subscription to another billing period ('Monthly' | 'Yearly')
+ * Returns a BillingPeriodPreview (lib/normalize.js) - the proration depends on the time of the preview,
+ * so it is never reused from the cache and dropped as soon as the modal closes
+ */
+export function useBillingPeriodPreview(userEmail, subscriptionId, billingPeriod, options = {}) {
+  return useQuery({
+    queryKey: queryKeys.billingPeriodPreview(userEmail, subscriptionId, billingPeriod),
+    queryFn: ({ signal }) => fetchBillingPeriodPreview(subscriptionId, billingPeriod, { signal }),
+    enabled: !!userEmail && !!subscriptionId && !!billingPeriod,
+    staleTime: 0,
+    gcTime: 0,
+    retry: false, // 4xx answers (not active, same period) are final
+    refetchOnWindowFocus: false,
+    ...options,
+  });
+}
+
+/**
+ * Hook to switch a subscription between monthly and yearly billing
+ * Optimistically updates the billing period of the subscription, its site and its licenses,
+ * rolls back on failure and refetches afterwards (the switch also creates a proration invoice).
+ * isChanging(subscriptionId) is per subscription, like isCancelling.
+ */
+export function useChangeBillingPeriod(userEmail) {
+  const queryClient = useQueryClient();
+  const mutationKey = ['changeBillingPeriod', userEmail];
+
+  const mutation = useMutation({
+    mutationKey,
+    mutationFn: ({ subscriptionId, billingPeriod, prorationDate }) =>
+      changeBillingPeriod(subscriptionId, billingPeriod.toLowerCase(), prorationDate),
+    onMutate: async ({ subscriptionId, billingPeriod }) => {
+      await Promise.all([
+        queryClient.cancelQueries({ queryKey: queryKeys.licenses(userEmail) }),
+        queryClient.cancelQueries({ queryKey: queryKeys.dashboard(userEmail) }),
+      ]);
+
+      const previousLicenses = queryClient.getQueryData(queryKeys.licenses(userEmail));
+      const previousDashboard = queryClient.getQueryData(queryKeys.dashboard(userEmail));
+
+      queryClient.setQueryData(queryKeys.licenses(userEmail), (old) => {
+        if (!old) return old;
+        return {
+          ...old,
+          licenses: old.licenses.map((lic) =>
+            lic.subscriptionId === subscriptionId ? { ...lic, billingPeriod } : lic
+          ),
+        };
+      });
+
+      queryClient.setQueryData(queryKeys.dashboard(userEmail), (old) => {
+        if (!old) return old;
+        const updatedSites = { ...old.sites };
+        Object.entries(updatedSites).forEach(([domain, site]) => {
+          if (site.subscriptionId === subscriptionId) {
+            updatedSites[domain] = { ...site, billingPeriod };
+          }
+        });
+        return {
+          ...old,
+          sites: updatedSites,
+          subscriptions: old.subscriptions.map((sub) =>
+            sub.id === subscriptionId ? { ...sub, billingPeriod } : sub
+          ),
+        };
+      });
+
+      return { previousLicenses, previousDashboard };
+    },
+    onError: (err, variables, context) => {
+      if (context?.previousLicenses) {
+        queryClient.setQueryData(queryKeys.licenses(userEmail), context.previousLicenses);
+      }
+      if (context?.previousDashboard) {
+        queryClient.setQueryData(queryKeys.dashboard(userEmail), context.previousDashboard);
+      }
+    },
+    onSettled: () => {
+      // Renewal dates change with the new billing cycle, and the prorated charge is a new invoice
+      queryClient.invalidateQueries({ queryKey: queryKeys.licenses(userEmail) });
+      queryClient.invalidateQueries({ queryKey: queryKeys.dashboard(userEmail) });
+      queryClient.invalidateQueries({ queryKey: queryKeys.invoices(userEmail) });
+    },
+  });
+
+  // Subscription IDs with a billing period change in flight (any component using this hook)
+  const pendingSubscriptionIds = useMutationState({
+    filters: { mutationKey, status: 'pending' },
+    select: (pendingMutation) => pendingMutation.state.variables?.subscriptionId,
+  });
+
+  return {
+    ...mutation,
+    isChanging: (subscriptionId) => !!subscriptionId && pendingSubscriptionIds.includes(subscriptionId),
+  };
+}
+
 /**
  * Hook to fetch user profile data from database
  * COMMENTED OUT: Profile API endpoint doesn't exist yet
@@ -213,15 +1126,18 @@ export function useUserProfile(userEmail, options = {}) {
 
 /**
  * Hook to refresh all dashboard data
+ * The returned function resolves once the active queries have refetched
  */
 export function useRefreshDashboard(userEmail) {
   const queryClient = useQueryClient();
 
-  return () => {
-    queryClient.invalidateQueries({ queryKey: queryKeys.dashboard(userEmail) });
-    queryClient.invalidateQueries({ queryKey: queryKeys.licenses(userEmail) });
-    queryClient.invalidateQueries({ queryKey: ['invoices', userEmail] }); // Invalidate all invoice queries for this user
-    // queryClient.invalidateQueries({ queryKey: queryKeys.profile(userEmail) }); // COMMENTED OUT: Profile API doesn't exist yet
-  };
+  return () =>
+    Promise.all([
+      queryClient.invalidateQueries({ queryKey: queryKeys.dashboard(userEmail) }),
+      queryClient.invalidateQueries({ queryKey: queryKeys.licenses(userEmail) }),
+      queryClient.invalidateQueries({ queryKey: queryKeys.invoices(userEmail) }),
+      queryClient.invalidateQueries({ queryKey: queryKeys.orders(userEmail) }),
+      // queryClient.invalidateQueries({ queryKey: queryKeys.profile(userEmail) }), // COMMENTED OUT: Profile API doesn't exist yet
+    ]);
 }
 
@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { restoreUserCache, subscribeUserCache } from '../lib/queryPersister';
+
+/**
+ * Custom hook that restores the user's persisted query cache from IndexedDB
+ * and keeps saving it while the user is logged in
+ * Returns isRestoring - keep queries disabled until it is false, so restored data is used
+ * instead of a cold fetch
+ */
+export function usePersistedCache(userEmail) {
+  const queryClient = useQueryClient();
+  const [restoredEmail, setRestoredEmail] = useState(null);
+
+  useEffect(() => {
+    if (!userEmail) return;
+
+    let cancelled = false;
+    let unsubscribe = () => {};
+
+    restoreUserCache(queryClient, userEmail).finally(() => {
+      if (cancelled) return;
+      unsubscribe = subscribeUserCache(queryClient, userEmail);
+      setRestoredEmail(userEmail);
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [queryClient, userEmail]);
+
+  return { isRestoring: !!userEmail && restoredEmail !== userEmail };
+}
@@ -0,0 +1,116 @@
+import { useEffect, useMemo, useRef, useSyncExternalStore } from 'react';
+import { useQueueProgress } from './useQueueEvents';
+import {
+  getPurchases,
+  subscribePurchases,
+  transitionPurchase,
+  updatePurchaseProgress,
+  expirePurchases,
+  isProvisioning,
+  PURCHASE_STATUS,
+} from '../lib/purchaseTracker';
+
+// How often abandoned checkouts and stuck provisioning are closed
+const EXPIRY_CHECK_INTERVAL = 60 * 1000;
+
+/**
+ * The logged-in user's tracked purchases (reactive, shared by every tab)
+ * @returns {import('../lib/purchaseTracker').Purchase[]}
+ */
+export function usePurchases(userEmail) {
+  const purchases = useSyncExternalStore(subscribePurchases, getPurchases);
+  const email = (userEmail || '').toLowerCase().trim();
+  return useMemo(() => purchases.filter((purchase) => purchase.email === email), [purchases, email]);
+}
+
+// Queue progress once known, otherwise nothing created yet out of what was bought
+function purchaseProgress(purchase) {
+  if (purchase.progress) return purchase.progress;
+  return {
+    total: purchase.kind === 'sites' ? purchase.sites.length : purchase.quantity || 0,
+    completed: 0,
+  };
+}
+
+/**
+ * Creation progress of the paid purchases of one kind - the same view in every component
+ * - kind: 'licenses' | 'sites'
+ * Returns { isProcessing, progress: { total, completed, processing, failed } | null, purchases }
+ */
+export function usePurchaseProgress(userEmail, kind) {
+  const purchases = usePurchases(userEmail);
+
+  return useMemo(() => {
+    const active = purchases.filter((purchase) => purchase.kind === kind && isProvisioning(purchase));
+    if (active.length === 0) {
+      return { isProcessing: false, progress: null, purchases: active };
+    }
+
+    const progress = active.reduce(
+      (sum, purchase) => {
+        const { total = 0, completed = 0, processing = 0, failed = 0 } = purchaseProgress(purchase);
+        return {
+          total: sum.total + total,
+          completed: sum.completed + completed,
+          processing: sum.processing + processing,
+          failed: sum.failed + failed,
+        };
+      },
+      { total: 0, completed: 0, processing: 0, failed: 0 }
+    );
+    return { isProcessing: true, progress, purchases: active };
+  }, [purchases, kind]);
+}
+
+// Follow the oldest paid purchase of one kind through its queue
+function useProvisioning(userEmail, kind, purchases, onFinishedRef) {
+  const purchase = purchases.find((item) => item.kind === kind && isProvisioning(item)) || null;
+
+  const { progress, updatedAt } = useQueueProgress(userEmail, kind, {
+    // /api/sites/status is per payment intent, /api/licenses/status reports the latest batch
+    batchId: kind === 'sites' ? purchase?.paymentIntentId || null : null,
+    trackingId: purchase?.id || null,
+    enabled: !!purchase,
+    onFinished: ({ status, progress: finalProgress, message }) => {
+      if (!purchase) return;
+      const failed = status === 'failed';
+      const finished = transitionPurchase(
+        purchase.id,
+        failed ? PURCHASE_STATUS.FAILED : PURCHASE_STATUS.COMPLETED,
+        { progress: finalProgress, message: failed ? message || null : null }
+      );
+      // null when another tab finished it first - that tab shows the notification
+      if (finished) onFinishedRef.current?.(finished);
+    },
+  });
+
+  // Status data from before the last update belongs to an earlier batch
+  const purchaseId = purchase?.id;
+  const purchaseUpdatedAt = purchase?.updatedAt || 0;
+  useEffect(() => {
+    if (purchaseId && progress && updatedAt > purchaseUpdatedAt) {
+      updatePurchaseProgress(purchaseId, progress);
+    }
+  }, [purchaseId, purchaseUpdatedAt, progress, updatedAt]);
+}
+
+/**
+ * Drives the tracked purchases from paid to completed/failed - mount once for the logged-in user (App.jsx)
+ * - onFinished(purchase) is called once per purchase, in the tab that finished it
+ * Components read the progress with usePurchaseProgress.
+ */
+export function usePurchaseTracker(userEmail, { onFinished } = {}) {
+  const purchases = usePurchases(userEmail);
+  const onFinishedRef = useRef(onFinished);
+  onFinishedRef.current = onFinished;
+
+  useProvisioning(userEmail, 'licenses', purchases, onFinishedRef);
+  useProvisioning(userEmail, 'sites', purchases, onFinishedRef);
+
+  useEffect(() => {
+    if (!userEmail) return;
+    expirePurchases();
+    const interval = setInterval(() => expirePurchases(), EXPIRY_CHECK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [userEmail]);
+}
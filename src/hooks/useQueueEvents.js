@@ -0,0 +1,183 @@
+import { useEffect, useRef } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { streamQueueEvents, getLicensesStatus, getSitesStatus, ApiError } from '../services/api';
+import { queryKeys } from './useDashboardQueries';
+
+// Polling interval used only while the event stream is not connected
+const FALLBACK_POLL_INTERVAL = 3000;
+// Reconnect delays after the stream drops (the worker closes long-lived streams periodically)
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000];
+
+function normalizeQueueStatus(status) {
+  return (status || '').toLowerCase().trim();
+}
+
+function isQueueFinished(status) {
+  const value = normalizeQueueStatus(status);
+  return value === 'completed' || value === 'failed';
+}
+
+// Refresh the tables a queue writes to
+function refreshQueueResults(queryClient, userEmail) {
+  queryClient.invalidateQueries({ queryKey: queryKeys.licenses(userEmail) });
+  queryClient.invalidateQueries({ queryKey: queryKeys.dashboard(userEmail) });
+  queryClient.invalidateQueries({ queryKey: queryKeys.orders(userEmail) });
+}
+
+// Feed one queue event into the query cache
+function applyQueueEvent(queryClient, userEmail, { type, data }) {
+  if (!data || (data.queue !== 'licenses' && data.queue !== 'sites')) return;
+
+  const queueData = { status: data.status, progress: data.progress || {} };
+  // /api/licenses/status reports the latest batch, /api/sites/status is per payment intent
+  queryClient.setQueryData(queryKeys.queueStatus(userEmail, data.queue), queueData);
+  if (data.queue === 'sites' && data.batchId) {
+    queryClient.setQueryData(queryKeys.queueStatus(userEmail, 'sites', data.batchId), queueData);
+  }
+
+  if (type === 'item.completed' || type === 'batch.finished') {
+    refreshQueueResults(queryClient, userEmail);
+  }
+  if (type === 'batch.finished') {
+    queryClient.invalidateQueries({ queryKey: queryKeys.invoices(userEmail) });
+  }
+}
+
+/**
+ * Single subscription to the queue event stream - mount once (App.jsx) and pass the user's email
+ * only while a purchase is provisioning; null closes the stream.
+ * Events update the queue status queries and refresh licenses/dashboard as items complete.
+ * Reconnects with backoff; while disconnected, useQueueProgress falls back to polling.
+ */
+export function useQueueEvents(userEmail) {
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    if (!userEmail) return;
+
+    const controller = new AbortController();
+    let reconnectTimer = null;
+    let attempt = 0;
+
+    const setConnected = (connected) => {
+      queryClient.setQueryData(queryKeys.queueStream(userEmail), { connected });
+    };
+
+    const connect = async () => {
+      try {
+        await streamQueueEvents({
+          signal: controller.signal,
+          onOpen: () => {
+            attempt = 0;
+            setConnected(true);
+          },
+          onEvent: (event) => applyQueueEvent(queryClient, userEmail, event),
+        });
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        // Worker without the stream endpoint - stay on polling for this session
+        if (error instanceof ApiError && (error.status === 404 || error.status === 501)) {
+          console.warn('[QueueEvents] Event stream not available, using polling');
+          setConnected(false);
+          return;
+        }
+        console.error('[QueueEvents] Event stream error:', error);
+      }
+
+      if (controller.signal.aborted) return;
+      setConnected(false);
+      const delay = RECONNECT_DELAYS[Math.min(attempt, RECONNECT_DELAYS.length - 1)];
+      attempt++;
+      reconnectTimer = setTimeout(connect, delay);
+    };
+
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(reconnectTimer);
+      setConnected(false);
+    };
+  }, [queryClient, userEmail]);
+}
+
+// Whether the event stream is currently connected (non-reactive, for timers and callbacks)
+export function isQueueStreamConnected(queryClient, userEmail) {
+  return !!queryClient.getQueryData(queryKeys.queueStream(userEmail))?.connected;
+}
+
+// Whether the event stream is currently connected (reactive)
+function useQueueStreamConnected(userEmail) {
+  const { data } = useQuery({
+    queryKey: queryKeys.queueStream(userEmail),
+    queryFn: () => ({ connected: false }),
+    enabled: false, // Written only by useQueueEvents
+    initialData: { connected: false },
+  });
+  return !!data?.connected;
+}
+
+/**
+ * Hook to follow a queue's progress
+ * - queue: 'licenses' | 'sites' (batchId = payment intent for sites)
+ * - trackingId: restarts tracking when it changes (e.g. the next purchase on the same queue)
+ * - onFinished({ status, progress, message }) is called once when the batch completes or fails
+ * Progress comes from the event stream; the status endpoint is fetched once when tracking starts
+ * and polled only while the stream is disconnected.
+ */
+export function useQueueProgress(userEmail, queue, { batchId = null, trackingId = null, enabled = true, onFinished } = {}) {
+  const queryClient = useQueryClient();
+  const streamConnected = useQueueStreamConnected(userEmail);
+  const isEnabled = !!userEmail && enabled;
+
+  const onFinishedRef = useRef(onFinished);
+  onFinishedRef.current = onFinished;
+  // Status data older than the start of tracking belongs to a previous purchase
+  const trackedSinceRef = useRef(0);
+  const finishedRef = useRef(false);
+
+  useEffect(() => {
+    if (isEnabled) {
+      trackedSinceRef.current = Date.now();
+      finishedRef.current = false;
+    }
+  }, [isEnabled, batchId, trackingId]);
+
+  const { data, dataUpdatedAt } = useQuery({
+    queryKey: queryKeys.queueStatus(userEmail, queue, batchId),
+    queryFn: ({ signal }) =>
+      queue === 'sites' ? getSitesStatus(userEmail, batchId, { signal }) : getLicensesStatus(userEmail, { signal }),
+    enabled: isEnabled,
+    staleTime: 0,
+    refetchOnMount: 'always',
+    // Polling is only the fallback for when the event stream is not connected
+    refetchInterval: (query) =>
+      !streamConnected && query.state.data && !isQueueFinished(query.state.data.status)
+        ? FALLBACK_POLL_INTERVAL
+        : false,
+  });
+
+  useEffect(() => {
+    if (!isEnabled || !data || dataUpdatedAt < trackedSinceRef.current || finishedRef.current) return;
+
+    if (isQueueFinished(data.status)) {
+      finishedRef.current = true;
+      // With the stream connected batch.finished already refreshed the tables
+      if (!streamConnected) refreshQueueResults(queryClient, userEmail);
+      onFinishedRef.current?.({
+        status: normalizeQueueStatus(data.status),
+        progress: data.progress || {},
+        message: data.message,
+      });
+    } else if (!streamConnected) {
+      // Without the stream nothing else refreshes the tables while the queue runs
+      refreshQueueResults(queryClient, userEmail);
+    }
+  }, [isEnabled, data, dataUpdatedAt, streamConnected, queryClient, userEmail]);
+
+  return {
+    status: normalizeQueueStatus(data?.status),
+    progress: data?.progress || null,
+    updatedAt: dataUpdatedAt,
+  };
+}
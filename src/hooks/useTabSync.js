@@ -0,0 +1,98 @@
+import { useEffect, useRef } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { publish, subscribe, SYNC_EVENTS } from '../lib/tabSync';
+import { queryKeys } from './useDashboardQueries';
+
+// Stripe creates the invoice from a webhook, shortly after checkout completes
+const INVOICE_REFRESH_DELAY = 5000;
+
+// Keys every tab should refetch when another tab changed server data
+function sharedQueryKeys(userEmail) {
+  return [
+    queryKeys.dashboard(userEmail),
+    queryKeys.licenses(userEmail),
+    queryKeys.invoices(userEmail),
+    queryKeys.orders(userEmail),
+  ];
+}
+
+/**
+ * Refresh everything a completed checkout changes.
+ * Licenses/sites/orders are refreshed right away (the queue keeps updating them), invoices after the webhook delay.
+ * @returns {Function} cancel the pending invoice refresh
+ */
+export function refreshAfterPurchase(queryClient, userEmail) {
+  queryClient.invalidateQueries({ queryKey: queryKeys.licenses(userEmail) });
+  queryClient.invalidateQueries({ queryKey: queryKeys.dashboard(userEmail) });
+  queryClient.invalidateQueries({ queryKey: queryKeys.orders(userEmail) });
+  const timeoutId = setTimeout(() => {
+    queryClient.invalidateQueries({ queryKey: queryKeys.invoices(userEmail) });
+  }, INVOICE_REFRESH_DELAY);
+  return () => clearTimeout(timeoutId);
+}
+
+/**
+ * Keeps all open dashboard tabs in sync - mount once for the logged-in user (App.jsx)
+ * - Successful mutations in this tab make the other tabs refetch dashboard, licenses, invoices and orders
+ * - A completed checkout refreshes every tab (the purchase itself is shared through lib/purchaseTracker)
+ * - Logging out in one tab logs out every tab
+ */
+export function useTabSync(userEmail) {
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    if (!userEmail) return;
+
+    const pendingRefreshes = new Set();
+
+    const unsubscribe = subscribe(({ type, payload = {} }) => {
+      switch (type) {
+        case SYNC_EVENTS.INVALIDATE:
+          if (payload.email !== userEmail) return;
+          (payload.queryKeys || []).forEach((queryKey) => {
+            queryClient.invalidateQueries({ queryKey });
+          });
+          break;
+        case SYNC_EVENTS.PURCHASE_COMPLETED:
+          pendingRefreshes.add(refreshAfterPurchase(queryClient, userEmail));
+          break;
+        case SYNC_EVENTS.LOGOUT:
+          // The other tab already cleared the session and the persisted cache
+          window.location.href = '/';
+          break;
+        default:
+          break;
+      }
+    });
+
+    // Every successful mutation changed server data the other tabs are showing
+    const unsubscribeMutations = queryClient.getMutationCache().subscribe((event) => {
+      if (event.type !== 'updated' || event.action?.type !== 'success') return;
+      publish(SYNC_EVENTS.INVALIDATE, { email: userEmail, queryKeys: sharedQueryKeys(userEmail) });
+    });
+
+    return () => {
+      unsubscribe();
+      unsubscribeMutations();
+      pendingRefreshes.forEach((cancel) => cancel());
+    };
+  }, [queryClient, userEmail]);
+}
+
+/**
+ * Listen for the end of a Stripe checkout started from this tab (or any other)
+ * Replaces the window.postMessage handshake with the checkout popup.
+ */
+export function usePurchaseEvents({ onCompleted, onCancelled } = {}) {
+  const handlersRef = useRef({ onCompleted, onCancelled });
+  handlersRef.current = { onCompleted, onCancelled };
+
+  useEffect(
+    () =>
+      subscribe(({ type, payload }) => {
+        if (type === SYNC_EVENTS.PURCHASE_COMPLETED) handlersRef.current.onCompleted?.(payload);
+        if (type === SYNC_EVENTS.PURCHASE_CANCELLED) handlersRef.current.onCancelled?.(payload);
+      }),
+    []
+  );
+}
@@ -0,0 +1,120 @@
+/**
+ * How the purchase modals show the Stripe checkout
+ * - embedded: Stripe's embedded checkout mounted inside the modal (ui_mode: 'embedded' session)
+ * - popup: hosted checkout in a popup window, with a full redirect when the popup is blocked
+ * - redirect: hosted checkout in this tab
+ *
+ * VITE_CHECKOUT_MODE picks the mode. Embedded needs VITE_STRIPE_PUBLISHABLE_KEY and falls back to
+ * popup without it, when Stripe.js cannot be loaded, or when the embedded checkout fails to mount
+ * (the modals then create a hosted session for the same purchase).
+ */
+import { createPurchase, findCheckoutPurchase, transitionPurchase, PURCHASE_STATUS } from './purchaseTracker';
+import { publish, SYNC_EVENTS } from './tabSync';
+
+export const CHECKOUT_MODES = {
+  EMBEDDED: 'embedded',
+  POPUP: 'popup',
+  REDIRECT: 'redirect',
+};
+
+const STRIPE_JS_URL = 'https://js.stripe.com/v3/';
+const STRIPE_PUBLISHABLE_KEY = import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY || '';
+const POPUP_FEATURES = 'width=600,height=700';
+// Give the purchase tracker time to persist before the page unloads
+const REDIRECT_DELAY = 500;
+
+/** @returns {'embedded'|'popup'|'redirect'} */
+export function getCheckoutMode() {
+  const mode = (import.meta.env.VITE_CHECKOUT_MODE || '').toLowerCase().trim();
+  if (mode === CHECKOUT_MODES.REDIRECT) return CHECKOUT_MODES.REDIRECT;
+  if (mode === CHECKOUT_MODES.POPUP || !STRIPE_PUBLISHABLE_KEY) return CHECKOUT_MODES.POPUP;
+  return CHECKOUT_MODES.EMBEDDED;
+}
+
+let stripePromise = null;
+
+/**
+ * Stripe.js, loaded from js.stripe.com once per page (Stripe requires it to be served from there)
+ * A failed load is not cached, so the next checkout tries again.
+ */
+export function loadStripe() {
+  if (stripePromise) return stripePromise;
+
+  stripePromise = new Promise((resolve, reject) => {
+    if (!STRIPE_PUBLISHABLE_KEY) {
+      reject(new Error('Stripe publishable key is not configured'));
+      return;
+    }
+    if (window.Stripe) {
+      resolve(window.Stripe(STRIPE_PUBLISHABLE_KEY));
+      return;
+    }
+    const script = document.createElement('script');
+    script.src = STRIPE_JS_URL;
+    script.async = true;
+    script.onload = () =>
+      window.Stripe ? resolve(window.Stripe(STRIPE_PUBLISHABLE_KEY)) : reject(new Error('Stripe.js did not load'));
+    script.onerror = () => {
+      script.remove();
+      reject(new Error('Stripe.js could not be loaded'));
+    };
+    document.head.appendChild(script);
+  }).catch((error) => {
+    stripePromise = null;
+    throw error;
+  });
+
+  return stripePromise;
+}
+
+/**
+ * Open a hosted checkout URL in this tab (redirect mode, or a blocked popup), otherwise in a popup -
+ * also when an embedded checkout was asked for and the worker returned a hosted session
+ * - onClosed: called when the user closes the popup
+ * @returns {boolean} true when the popup opened
+ */
+export function openHostedCheckout(url, mode, { onClosed } = {}) {
+  const checkoutWindow = mode !== CHECKOUT_MODES.REDIRECT ? window.open(url, '_blank', POPUP_FEATURES) : null;
+
+  if (!checkoutWindow || checkoutWindow.closed) {
+    setTimeout(() => {
+      window.location.href = url;
+    }, REDIRECT_DELAY);
+    return false;
+  }
+
+  if (onClosed) {
+    const checkClosed = setInterval(() => {
+      if (checkoutWindow.closed) {
+        clearInterval(checkClosed);
+        onClosed();
+      }
+    }, 1000);
+  }
+  return true;
+}
+
+/**
+ * A checkout came back paid (return URL with session_id, or the embedded checkout's onComplete)
+ * Moves the tracked purchase to paid - a direct payment link gets a purchase of its own - and
+ * tells every open tab.
+ * @returns {import('./purchaseTracker').Purchase|null}
+ */
+export function completeCheckout(email, sessionId) {
+  const purchase = findCheckoutPurchase(email, sessionId);
+  const paidPurchase = purchase
+    ? transitionPurchase(purchase.id, PURCHASE_STATUS.PAID, { sessionId })
+    : createPurchase({ kind: 'licenses', email, status: PURCHASE_STATUS.PAID, sessionId });
+  publish(SYNC_EVENTS.PURCHASE_COMPLETED, { sessionId });
+  return paidPurchase;
+}
+
+export function paymentSuccessMessage(purchase) {
+  if (purchase?.kind === 'sites') {
+    return `Payment successful! Processing ${purchase.sites.length} site(s)...`;
+  }
+  if (purchase?.quantity) {
+    return `Payment successful! Processing ${purchase.quantity} license key(s)...`;
+  }
+  return 'Payment successful! Processing your purchase...';
+}
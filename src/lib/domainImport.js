@@ -0,0 +1,94 @@
+/**
+ * Bulk domain import for AddDomainModal and BulkActivateModal - pasted lists and CSV files
+ * Every line becomes one row that is validated on its own, so the modals can show
+ * per-row errors and still buy / activate the valid domains in one request.
+ */
+
+/**
+ * @typedef {Object} DomainImportRow
+ * @property {number} line - 1-based line in the pasted text / file
+ * @property {string} input - cell as it was entered
+ * @property {string} domain - lowercase hostname (scheme, path and port removed)
+ * @property {string|null} error - null when the domain can be bought
+ */
+
+// Hostname like example.com or www.example.co.uk
+const DOMAIN_PATTERN = /^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/;
+
+// Column titles of a CSV header line (e.g. the Dashboard's domain export)
+const HEADER_CELL_PATTERN = /^(?:domains?|sites?|site[ _-]?(?:domains?|names?)|websites?|urls?|hosts?|hostnames?)$/;
+
+// https://www.example.com:8080/path?x=1 -> www.example.com
+export function normalizeImportedDomain(value) {
+  return value
+    .trim()
+    .replace(/^["']|["']$/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/:\d+$/, '')
+    .replace(/\.$/, '');
+}
+
+/**
+ * Split pasted text or a CSV file into rows - one domain per line; in CSV lines (comma, semicolon
+ * or tab separated) the first cell that is a domain is used, so exports with extra columns work.
+ * A first line without any domain is skipped only when it names a domain column (Domain, Site, URL...);
+ * anything else (e.g. a typo like "exampl") stays a row so validateDomainRows can flag it.
+ * @returns {Omit<DomainImportRow, 'error'>[]}
+ */
+export function parseDomainList(text) {
+  const rows = [];
+  (text || '').split(/\r?\n/).forEach((rawLine, index) => {
+    const cells = rawLine.split(/[,;\t]/).map((cell) => cell.trim()).filter(Boolean);
+    if (cells.length === 0) return;
+
+    const match = cells.find((cell) => DOMAIN_PATTERN.test(normalizeImportedDomain(cell)));
+    if (!match && index === 0 && cells.some((cell) => HEADER_CELL_PATTERN.test(normalizeImportedDomain(cell)))) {
+      return; // Header
+    }
+    const input = match || cells[0];
+    rows.push({ line: index + 1, input, domain: normalizeImportedDomain(input) });
+  });
+  return rows;
+}
+
+/**
+ * Validate parsed rows against each other and against the domains the user already has
+ * - existingDomains: lowercase domains with a live site or license
+ * - existingMessage: row error for those domains
+ * @returns {DomainImportRow[]}
+ */
+export function validateDomainRows(rows, existingDomains = new Set(), { existingMessage = 'Already has a subscription' } = {}) {
+  const firstLine = new Map();
+  return rows.map((row) => {
+    let error = null;
+    if (!DOMAIN_PATTERN.test(row.domain)) {
+      error = 'Invalid domain format';
+    } else if (firstLine.has(row.domain)) {
+      error = `Duplicate of line ${firstLine.get(row.domain)}`;
+    } else if (existingDomains.has(row.domain)) {
+      error = existingMessage;
+    }
+    if (!firstLine.has(row.domain)) firstLine.set(row.domain, row.line);
+    return { ...row, error };
+  });
+}
+
+/**
+ * Pair valid rows with unassigned license keys, oldest key first, in list order
+ * Rows that already have an error keep it; rows past the last key get 'No unassigned key left'.
+ * @param {DomainImportRow[]} rows - from validateDomainRows
+ * @param {import('./normalize').License[]} licenses - the keys that may be used
+ * @returns {(DomainImportRow & { license: import('./normalize').License|null })[]}
+ */
+export function pairDomainsWithLicenses(rows, licenses) {
+  const available = [...licenses].sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  let next = 0;
+  return rows.map((row) => {
+    if (row.error) return { ...row, license: null };
+    if (next >= available.length) return { ...row, error: 'No unassigned key left', license: null };
+    return { ...row, license: available[next++] };
+  });
+}
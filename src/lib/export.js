@@ -0,0 +1,127 @@
+/**
+ * Export of the rows currently shown in a table (Dashboard domains, Licenses tabs, Profile invoices)
+ * A column is { key, label, value(row) } - value returns a string, a number or null, so the same
+ * columns serialize to CSV, JSON (keyed by column key) and XLSX (lib/xlsx.js).
+ */
+
+import { buildXlsx } from './xlsx';
+
+/** @typedef {'csv'|'json'|'xlsx'} ExportFormat */
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  { id: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  {
+    id: 'xlsx',
+    label: 'Excel (XLSX)',
+    extension: 'xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  },
+];
+
+// YYYY-MM-DD in local time (same day as formatDate shows) - sorts and parses in spreadsheets
+export function toIsoDate(ms) {
+  if (!ms) return null;
+  const date = new Date(ms);
+  if (Number.isNaN(date.getTime())) return null;
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Display placeholders ('N/A', 'Pending') are exported as empty cells
+const orEmpty = (value, ...placeholders) =>
+  value === undefined || value === null || value === '' || ['N/A', ...placeholders].includes(value) ? null : value;
+
+// Rows of Dashboard's domains table
+export const domainExportColumns = [
+  { key: 'domain', label: 'Domain', value: (row) => row.domain },
+  { key: 'status', label: 'Status', value: (row) => row.status },
+  { key: 'source', label: 'Source', value: (row) => row.source },
+  { key: 'platform', label: 'Platform', value: (row) => orEmpty(row.platform, 'Pending') },
+  { key: 'billing_period', label: 'Billing period', value: (row) => orEmpty(row.billingPeriod) },
+  { key: 'license_key', label: 'License key', value: (row) => orEmpty(row.licenseKey) },
+  { key: 'created', label: 'Created', value: (row) => toIsoDate(row.createdTimestamp) },
+  { key: 'expires', label: 'Expires', value: (row) => toIsoDate(row.expiresAt) },
+  { key: 'subscription_id', label: 'Subscription ID', value: (row) => orEmpty(row.subscriptionId) },
+];
+
+// Rows of a Licenses tab
+export const licenseExportColumns = [
+  { key: 'license_key', label: 'License key', value: (row) => row.licenseKey },
+  { key: 'domain', label: 'Domain', value: (row) => orEmpty(row.siteDomain) },
+  { key: 'platform', label: 'Platform', value: (row) => orEmpty(row.platform) },
+  { key: 'billing_period', label: 'Billing period', value: (row) => orEmpty(row.billingPeriod) },
+  { key: 'status', label: 'Status', value: (row) => row.status },
+  { key: 'created', label: 'Created', value: (row) => toIsoDate(row.createdAt) },
+  { key: 'expires', label: 'Expires', value: (row) => toIsoDate(row.expiresAt) },
+  { key: 'subscription_id', label: 'Subscription ID', value: (row) => orEmpty(row.subscriptionId) },
+];
+
+// Normalized invoices (lib/normalize.js) - amount in major units so sums work in a spreadsheet
+export const invoiceExportColumns = [
+  { key: 'number', label: 'Invoice number', value: (invoice) => invoice.number },
+  { key: 'date', label: 'Date', value: (invoice) => toIsoDate(invoice.createdAt) },
+  { key: 'description', label: 'Description', value: (invoice) => invoice.description },
+  { key: 'amount', label: 'Amount', value: (invoice) => (invoice.amountPaid || 0) / 100 },
+  { key: 'currency', label: 'Currency', value: (invoice) => invoice.currency.toUpperCase() },
+  { key: 'invoice_id', label: 'Invoice ID', value: (invoice) => invoice.id },
+  { key: 'pdf_url', label: 'PDF', value: (invoice) => invoice.pdfUrl },
+];
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows with the given columns.
+ * @param {Array<Object>} rows
+ * @param {Array<{ key: string, label: string, value: Function }>} columns
+ * @param {ExportFormat} format
+ * @param {string} [sheetName] - XLSX only
+ * @returns {string|Uint8Array}
+ */
+export function serializeRows(rows, columns, format, sheetName = 'Export') {
+  const values = rows.map((row) => columns.map((column) => column.value(row) ?? null));
+
+  if (format === 'json') {
+    const records = values.map((rowValues) =>
+      Object.fromEntries(columns.map((column, index) => [column.key, rowValues[index]]))
+    );
+    return JSON.stringify(records, null, 2);
+  }
+  if (format === 'xlsx') {
+    return buildXlsx(sheetName, columns.map((column) => column.label), values);
+  }
+  // CSV with a BOM so Excel opens UTF-8 correctly
+  const lines = [columns.map((column) => csvField(column.label)), ...values.map((rowValues) => rowValues.map(csvField))];
+  return '\uFEFF' + lines.map((fields) => fields.join(',')).join('\r\n');
+}
+
+/**
+ * Serialize rows and download them as `<filename>-<YYYY-MM-DD>.<ext>`.
+ * @returns {string} the downloaded file name
+ */
+export function downloadRows({ rows, columns, format, filename, sheetName }) {
+  const exportFormat = EXPORT_FORMATS.find((f) => f.id === format) || EXPORT_FORMATS[0];
+  const content = serializeRows(rows, columns, exportFormat.id, sheetName);
+  const fileName = `${filename}-${toIsoDate(Date.now())}.${exportFormat.extension}`;
+
+  const url = URL.createObjectURL(new Blob([content], { type: exportFormat.mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoked on the next tick - some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  return fileName;
+}
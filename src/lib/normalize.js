@@ -0,0 +1,698 @@
+/**
+ * Canonical data model for dashboard data
+ * Turns raw /dashboard, /licenses, /api/invoices, /api/orders, /api/pricing, /api/promo-codes/validate,
+ * /api/subscriptions/billing-period/preview and /api/billing payloads into domain objects
+ * with one status-resolution algorithm, so every view shows the same status for the same key.
+ * Runs inside the query functions in hooks/useDashboardQueries.js - the query cache only holds
+ * normalized data.
+ *
+ * @typedef {'Active'|'Pending'|'Cancelling'|'Cancelled'|'Expired'} Status
+ * @typedef {'Monthly'|'Yearly'} BillingPeriod
+ *
+ * @typedef {Object} License
+ * @property {string} id
+ * @property {string} licenseKey
+ * @property {string|null} siteDomain - lowercase domain the key is activated for, null when not assigned
+ * @property {Status} status
+ * @property {BillingPeriod|null} billingPeriod
+ * @property {string|null} platform - lowercase ('webflow', 'framer', ...)
+ * @property {string|null} subscriptionId
+ * @property {string|null} purchaseType - 'site' (the key is its domain's subscription) | 'quantity'
+ * @property {boolean} cancelAtPeriodEnd
+ * @property {number|null} createdAt - ms
+ * @property {number|null} expiresAt - ms (renewal date)
+ *
+ * @typedef {Object} Site
+ * @property {string} domain
+ * @property {string} name
+ * @property {Status} status
+ * @property {BillingPeriod|null} billingPeriod
+ * @property {string|null} platform
+ * @property {string|null} source
+ * @property {string|null} subscriptionId
+ * @property {string|null} licenseKey
+ * @property {number|null} createdAt
+ * @property {number|null} expiresAt
+ *
+ * @typedef {Object} SubscriptionItem
+ * @property {string} id
+ * @property {string} siteDomain
+ * @property {string|null} licenseKey
+ * @property {string|null} purchaseType - 'site' | 'quantity'
+ * @property {boolean} isActivated
+ * @property {Status} status - resolved together with the parent subscription
+ * @property {number|null} createdAt
+ * @property {number|null} expiresAt
+ *
+ * @typedef {Object} Subscription
+ * @property {string} id
+ * @property {Status} status
+ * @property {boolean} cancelAtPeriodEnd
+ * @property {BillingPeriod|null} billingPeriod
+ * @property {number|null} currentPeriodEnd - ms
+ * @property {number|null} createdAt
+ * @property {SubscriptionItem[]} items
+ *
+ * @typedef {Object} Invoice
+ * @property {string} id
+ * @property {string|null} number
+ * @property {number} amountPaid - cents
+ * @property {string} currency
+ * @property {number|null} createdAt - ms
+ * @property {string|null} description
+ * @property {string|null} pdfUrl
+ *
+ * @typedef {'pending'|'processing'|'completed'|'failed'} QueueStatus
+ * @typedef {'Processing'|'Completed'|'Partially failed'|'Failed'} OrderStatus
+ *
+ * @typedef {Object} Refund
+ * @property {string} id
+ * @property {number} amount - cents
+ * @property {string} currency
+ * @property {string} status - Stripe refund status
+ * @property {number|null} createdAt - ms
+ *
+ * @typedef {Object} OrderItem
+ * @property {string} id - queue row ID (site purchases share one row per checkout)
+ * @property {QueueStatus} status
+ * @property {string|null} licenseKey - null until the queue created it
+ * @property {string|null} siteDomain - site purchases only
+ * @property {string|null} subscriptionId
+ * @property {string|null} error
+ * @property {Refund|null} refund
+ *
+ * @typedef {Object} Order
+ * @property {string} id - Stripe payment intent
+ * @property {'licenses'|'sites'} kind
+ * @property {OrderStatus} status
+ * @property {BillingPeriod|null} billingPeriod
+ * @property {number} quantity
+ * @property {number|null} createdAt - ms
+ * @property {OrderItem[]} items
+ * @property {{ total: number, completed: number, failed: number, pending: number }} progress
+ * @property {Refund[]} refunds - every refund of the order's payment
+ * @property {number} refundedAmount - cents
+ *
+ * @typedef {Object} PricingPlan
+ * @property {BillingPeriod} billingPeriod
+ * @property {string|null} priceId - Stripe price
+ * @property {number} unitAmount - cents per license/site
+ * @property {string} currency
+ * @property {{ type: 'percentage'|'fixed', amount: number }|null} discount - fixed amounts in cents
+ *
+ * @typedef {Object} Pricing
+ * @property {string} currency
+ * @property {Partial<Record<BillingPeriod, PricingPlan>>} plans
+ * @property {{ licenses: { min: number, max: number }, sites: { min: number, max: number }, bulkSites: { min: number, max: number } }} limits - per checkout (bulkSites: AddDomainModal bulk import)
+ * @property {VolumeTier[]} tiers - ascending by minQuantity
+ *
+ * @typedef {Object} VolumeTier
+ * @property {number} minQuantity - quantity per checkout from which the tier applies
+ * @property {number} discountPercent - off the unit price
+ *
+ * @typedef {Object} PriceQuote
+ * @property {number} quantity
+ * @property {number} unitAmount - list price, cents
+ * @property {number} tieredUnitAmount - unit price after the volume discount, cents
+ * @property {VolumeTier|null} tier
+ * @property {number} subtotal - list price × quantity, cents
+ * @property {number} total - tiered unit price × quantity, cents (before a promo code)
+ *
+ * @typedef {Object} PromoCode
+ * @property {string} code - as entered (uppercase)
+ * @property {boolean} valid
+ * @property {string|null} promotionCodeId - Stripe promotion code
+ * @property {{ type: 'percentage'|'fixed', amount: number }|null} discount - fixed amounts in cents
+ * @property {string} currency - currency of a fixed discount
+ * @property {string|null} message - why the code does not apply
+ *
+ * @typedef {Object} BillingPeriodPreview
+ * @property {string} subscriptionId
+ * @property {BillingPeriod|null} currentBillingPeriod
+ * @property {BillingPeriod|null} billingPeriod - after the switch
+ * @property {number} unitAmount - new price per key after the volume tier, cents
+ * @property {number} quantity - keys on the subscription
+ * @property {string} currency
+ * @property {number} amountDue - charged right away, cents
+ * @property {number} credit - left on the customer balance, cents
+ * @property {number|null} prorationDate - seconds, sent back with the change
+ * @property {number|null} currentPeriodEnd - ms, first renewal after the switch
+ * @property {{ description: string, amount: number, proration: boolean }[]} lines
+ *
+ * @typedef {Object} PaymentMethod
+ * @property {string} id
+ * @property {string} brand - lowercase card brand ('visa', 'mastercard', ...)
+ * @property {string|null} last4
+ * @property {number|null} expMonth
+ * @property {number|null} expYear
+ * @property {boolean} isDefault - used for the customer's subscription renewals
+ * @property {boolean} isExpired
+ *
+ * @typedef {Object} BillingCustomer - one Stripe customer under the user's email
+ * @property {string} id - Stripe customer ID
+ * @property {string|null} name
+ * @property {string|null} email
+ * @property {string|null} phone
+ * @property {{ line1, line2, city, state, postalCode, country }|null} address
+ * @property {number} activeSubscriptions
+ * @property {PaymentMethod[]} paymentMethods - default first
+ * @property {number|null} createdAt - ms
+ */
+
+const ONE_MONTH_SECONDS = 32 * 24 * 60 * 60;
+
+// Severity order used when several records describe the same item - the most severe wins
+const STATUS_SEVERITY = ['Active', 'Pending', 'Cancelling', 'Cancelled', 'Expired'];
+
+// Convert a timestamp in seconds, milliseconds or a numeric string to milliseconds
+export function toMillis(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const timestamp = typeof value === 'number' ? value : Number(value);
+  if (Number.isNaN(timestamp)) {
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+  return timestamp < 1e12 ? timestamp * 1000 : timestamp;
+}
+
+// Format a ms timestamp as MM/DD/YYYY ('N/A' when missing)
+export function formatDate(ms) {
+  if (!ms) return 'N/A';
+  const date = new Date(ms);
+  if (Number.isNaN(date.getTime())) return 'N/A';
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${month}/${day}/${date.getFullYear()}`;
+}
+
+// Format an amount in cents as currency ('$8.00')
+export function formatMoney(cents, currency = 'usd') {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency.toUpperCase(),
+    minimumFractionDigits: 2,
+  }).format((cents || 0) / 100);
+}
+
+// Capitalized platform for display ('webflow' -> 'Webflow')
+export function formatPlatform(platform, fallback = 'N/A') {
+  if (!platform) return fallback;
+  return platform.charAt(0).toUpperCase() + platform.slice(1);
+}
+
+// 'month' | 'monthly' | 'Monthly' -> 'Monthly', 'year' | 'yearly' -> 'Yearly'
+export function normalizeBillingPeriod(value) {
+  if (!value) return null;
+  const period = String(value).toLowerCase().trim();
+  if (period.startsWith('month')) return 'Monthly';
+  if (period.startsWith('year') || period === 'annual' || period === 'annually') return 'Yearly';
+  return null;
+}
+
+// Billing period from an explicit field, falling back to the length of the current period
+function deriveBillingPeriod(raw) {
+  const explicit = normalizeBillingPeriod(raw.billing_period || raw.billingPeriod || raw.interval);
+  if (explicit) return explicit;
+  const start = raw.current_period_start;
+  const end = raw.current_period_end;
+  if (start && end) {
+    return toMillis(end) - toMillis(start) <= ONE_MONTH_SECONDS * 1000 ? 'Monthly' : 'Yearly';
+  }
+  return null;
+}
+
+// Domains the worker uses as placeholders before a key is activated
+export function isPlaceholderDomain(domain) {
+  if (!domain) return true;
+  const value = String(domain).trim();
+  return (
+    value === '' ||
+    value === 'N/A' ||
+    /^site_\d+$/.test(value) ||
+    value.startsWith('license_') ||
+    value.startsWith('quantity_') ||
+    value.startsWith('KEY-')
+  );
+}
+
+export function normalizeDomain(domain) {
+  return isPlaceholderDomain(domain) ? null : String(domain).toLowerCase().trim();
+}
+
+/**
+ * Resolve the status of one raw record.
+ * @param {{ status?: string, cancelAtPeriodEnd?: boolean, periodEnd?: number|null }} record - periodEnd in ms
+ * @returns {Status}
+ */
+function resolveRecordStatus({ status, cancelAtPeriodEnd, periodEnd }, now) {
+  const value = (status || '').toLowerCase().trim();
+  if (value === 'expired') return 'Expired';
+  if (value === 'cancelled' || value === 'canceled' || value === 'inactive') return 'Cancelled';
+  if (value === 'cancelling' || value === 'canceling' || cancelAtPeriodEnd) {
+    return periodEnd && periodEnd < now ? 'Cancelled' : 'Cancelling';
+  }
+  if (value === 'pending' || value === 'processing') return 'Pending';
+  return 'Active';
+}
+
+/**
+ * Combine already-resolved statuses of records describing the same item - the most severe wins.
+ * Views use this to merge a site, its subscription item and its license into one status.
+ * @returns {Status}
+ */
+export function combineStatuses(...statuses) {
+  return statuses
+    .filter(Boolean)
+    .reduce(
+      (worst, status) => (STATUS_SEVERITY.indexOf(status) > STATUS_SEVERITY.indexOf(worst) ? status : worst),
+      'Active'
+    );
+}
+
+/**
+ * The single status-resolution algorithm.
+ * Each record (license, subscription item, subscription, site) is resolved on its own,
+ * then the most severe status wins.
+ * @returns {Status}
+ */
+export function resolveStatus(records, now = Date.now()) {
+  return combineStatuses(...records.filter(Boolean).map((record) => resolveRecordStatus(record, now)));
+}
+
+/** @returns {License} */
+export function normalizeLicense(raw) {
+  const siteDomain = normalizeDomain(
+    raw.activated_for_site || raw.activatedForSite || raw.used_site_domain || raw.site_domain
+  );
+  const expiresAt = toMillis(
+    raw.renewal_date || raw.expires_at || raw.expiry_date || raw.expiryDate || raw.expiration_date
+  );
+  const cancelAtPeriodEnd = Boolean(raw.cancel_at_period_end ?? raw.cancelAtPeriodEnd);
+  const licenseKey = raw.license_key || raw.licenseKey || raw.key || 'N/A';
+
+  return {
+    id: raw.id || licenseKey,
+    licenseKey,
+    siteDomain,
+    status: resolveStatus([{ status: raw.status, cancelAtPeriodEnd, periodEnd: expiresAt }]),
+    billingPeriod: normalizeBillingPeriod(raw.billing_period || raw.billingPeriod),
+    platform: (raw.platform || raw.source || '').toLowerCase().trim() || null,
+    subscriptionId: raw.subscription_id || raw.subscriptionId || null,
+    purchaseType: raw.purchase_type || raw.purchaseType || null,
+    cancelAtPeriodEnd,
+    createdAt: toMillis(raw.created_at || raw.created_date || raw.createdDate),
+    expiresAt,
+  };
+}
+
+/** @returns {Site} */
+export function normalizeSite(domain, raw = {}) {
+  const expiresAt = toMillis(raw.renewal_date || raw.expiration_date || raw.current_period_end);
+  const cancelAtPeriodEnd = Boolean(raw.cancel_at_period_end || raw.cancel_at || raw.canceled_at);
+  const normalizedDomain = String(domain).toLowerCase().trim();
+
+  return {
+    domain: normalizedDomain,
+    name: raw.name || raw.site_name || normalizedDomain,
+    status: resolveStatus([{ status: raw.status, cancelAtPeriodEnd, periodEnd: expiresAt }]),
+    billingPeriod: deriveBillingPeriod(raw),
+    platform: (raw.platform || '').toLowerCase().trim() || null,
+    source: raw.source || null,
+    subscriptionId: raw.subscription_id || raw.subscriptionId || null,
+    licenseKey: raw.license_key || null,
+    createdAt: toMillis(raw.created_at),
+    expiresAt,
+  };
+}
+
+/** @returns {Subscription} */
+export function normalizeSubscription(raw, fallbackId = null) {
+  const id = raw.subscriptionId || raw.subscription_id || raw.id || fallbackId;
+  const currentPeriodEnd = toMillis(raw.current_period_end);
+  const cancelAtPeriodEnd = Boolean(raw.cancel_at_period_end ?? raw.cancelAtPeriodEnd);
+  const subscriptionRecord = { status: raw.status, cancelAtPeriodEnd, periodEnd: currentPeriodEnd };
+
+  const items = (Array.isArray(raw.items) ? raw.items : [])
+    .map((item, index) => {
+      const siteDomain = item.site || item.site_domain;
+      // quantity_/license_ placeholders only count once the key was activated for a real site
+      if (!siteDomain || /^site_\d+$/.test(siteDomain.trim())) return null;
+      if ((siteDomain.startsWith('license_') || siteDomain.startsWith('quantity_')) && !item.isActivated) {
+        return null;
+      }
+      const expiresAt = toMillis(item.renewal_date) || currentPeriodEnd;
+      return {
+        id: item.item_id || `${id}_${index}`,
+        siteDomain: siteDomain.toLowerCase().trim(),
+        licenseKey: item.license_key || null,
+        purchaseType: item.purchase_type || null,
+        isActivated: Boolean(item.isActivated),
+        status: resolveStatus([{ status: item.status, periodEnd: expiresAt }, subscriptionRecord]),
+        createdAt: toMillis(item.created_at || raw.created_at),
+        expiresAt,
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    id,
+    status: resolveStatus([subscriptionRecord]),
+    cancelAtPeriodEnd,
+    billingPeriod: deriveBillingPeriod(raw),
+    currentPeriodEnd,
+    createdAt: toMillis(raw.created_at || raw.created),
+    items,
+  };
+}
+
+/** @returns {Invoice} */
+export function normalizeInvoice(raw) {
+  return {
+    id: raw.id,
+    number: raw.number || null,
+    amountPaid: raw.amount_paid ?? raw.amountPaid ?? 0,
+    currency: raw.currency || 'usd',
+    createdAt: toMillis(raw.created),
+    description: raw.description || null,
+    pdfUrl: raw.invoice_pdf || raw.pdfUrl || null,
+  };
+}
+
+/**
+ * Normalize a /dashboard payload.
+ * @returns {{ sites: Record<string, Site>, subscriptions: Subscription[], pendingSites: Array }}
+ */
+export function normalizeDashboard(payload = {}) {
+  const sites = {};
+  Object.entries(payload.sites || {}).forEach(([domain, raw]) => {
+    const site = normalizeSite(domain, raw || {});
+    sites[site.domain] = site;
+  });
+
+  const rawSubscriptions = Array.isArray(payload.subscriptions)
+    ? payload.subscriptions.map((sub) => [null, sub])
+    : Object.entries(payload.subscriptions || {});
+  const subscriptions = rawSubscriptions
+    .filter(([, sub]) => sub)
+    .map(([id, sub]) => normalizeSubscription(sub, id));
+
+  return {
+    sites,
+    subscriptions,
+    pendingSites: payload.pendingSites || payload.pending_sites || [],
+  };
+}
+
+/** @returns {{ licenses: License[] }} */
+export function normalizeLicenses(payload = {}) {
+  return {
+    licenses: (payload.licenses || []).map(normalizeLicense),
+  };
+}
+
+/**
+ * Normalize one page of /api/invoices.
+ * nextCursor is the invoice ID to pass as starting_after for the next page (null with offset paging)
+ * @returns {{ invoices: Invoice[], hasMore: boolean, total: number, nextCursor: string|null }}
+ */
+export function normalizeInvoices(payload = {}) {
+  return {
+    invoices: (payload.invoices || []).map(normalizeInvoice),
+    hasMore: Boolean(payload.hasMore ?? payload.has_more),
+    total: payload.total || 0,
+    nextCursor: payload.nextCursor || payload.next_cursor || null,
+  };
+}
+
+// Queue rows use lowercase statuses - anything unknown is still waiting
+function normalizeQueueStatus(value) {
+  const status = String(value || '').toLowerCase().trim();
+  return ['processing', 'completed', 'failed'].includes(status) ? status : 'pending';
+}
+
+/** @returns {Refund} */
+function normalizeRefund(raw) {
+  return {
+    id: raw.refund_id || raw.id,
+    amount: raw.amount || 0,
+    currency: raw.currency || 'usd',
+    status: raw.status || 'succeeded',
+    createdAt: toMillis(raw.created_at || raw.created),
+  };
+}
+
+/** @returns {OrderItem} */
+function normalizeOrderItem(raw) {
+  return {
+    id: raw.queue_id || raw.id,
+    status: normalizeQueueStatus(raw.status),
+    licenseKey: raw.license_key || null,
+    siteDomain: normalizeDomain(raw.site),
+    subscriptionId: raw.subscription_id || null,
+    // The worker appends "| REFUNDED: <refund id> (...)" to the error - the refund is shown separately
+    error: raw.error_message ? String(raw.error_message).split(' | REFUNDED:')[0] : null,
+    refund: raw.refund ? normalizeRefund(raw.refund) : null,
+  };
+}
+
+// Still processing while any item waits, otherwise by how many items failed
+function resolveOrderStatus(progress) {
+  if (progress.pending > 0) return 'Processing';
+  if (progress.failed === 0) return 'Completed';
+  return progress.failed === progress.total ? 'Failed' : 'Partially failed';
+}
+
+/** @returns {Order} */
+export function normalizeOrder(raw) {
+  const items = (raw.items || []).map(normalizeOrderItem);
+  const progress = {
+    total: items.length,
+    completed: items.filter((item) => item.status === 'completed').length,
+    failed: items.filter((item) => item.status === 'failed').length,
+    pending: items.filter((item) => item.status === 'pending' || item.status === 'processing').length,
+  };
+  const refunds = (raw.refunds || []).map(normalizeRefund);
+  // Item refunds are part of the order's refunds - count each refund once
+  items.forEach((item) => {
+    if (item.refund && !refunds.some((refund) => refund.id === item.refund.id)) refunds.push(item.refund);
+  });
+
+  return {
+    id: raw.order_id || raw.id,
+    kind: raw.type === 'sites' ? 'sites' : 'licenses',
+    status: resolveOrderStatus(progress),
+    billingPeriod: normalizeBillingPeriod(raw.billing_period),
+    quantity: items.length,
+    createdAt: toMillis(raw.created_at),
+    items,
+    progress,
+    refunds,
+    refundedAmount: refunds.reduce((sum, refund) => sum + refund.amount, 0),
+  };
+}
+
+/**
+ * Normalize /api/orders (newest first).
+ * @returns {{ orders: Order[], total: number }}
+ */
+export function normalizeOrders(payload = {}) {
+  const orders = (payload.orders || []).map(normalizeOrder);
+  orders.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  return {
+    orders,
+    total: payload.total ?? orders.length,
+  };
+}
+
+// Per-checkout limits until /api/pricing has answered - the worker's PRICING_LIMITS are authoritative
+export const DEFAULT_PRICING_LIMITS = {
+  licenses: { min: 1, max: 50 },
+  sites: { min: 1, max: 5 },
+  bulkSites: { min: 1, max: 100 },
+};
+
+/** @returns {PricingPlan|null} */
+function normalizePricingPlan(raw) {
+  const billingPeriod = normalizeBillingPeriod(raw.billing_period || raw.interval);
+  if (!billingPeriod) return null;
+  const discountAmount = Number(raw.discount?.amount);
+  return {
+    billingPeriod,
+    priceId: raw.price_id || null,
+    unitAmount: Number(raw.unit_amount) || 0,
+    currency: (raw.currency || 'usd').toLowerCase(),
+    discount: discountAmount > 0
+      ? { type: raw.discount.type === 'fixed' ? 'fixed' : 'percentage', amount: discountAmount }
+      : null,
+  };
+}
+
+/**
+ * Normalize /api/pricing.
+ * @returns {Pricing}
+ */
+export function normalizePricing(payload = {}) {
+  const plans = {};
+  (payload.plans || []).forEach((raw) => {
+    const plan = normalizePricingPlan(raw);
+    if (plan) plans[plan.billingPeriod] = plan;
+  });
+
+  const limit = (kind, key = kind) => ({
+    min: Number(payload.limits?.[key]?.min) || DEFAULT_PRICING_LIMITS[kind].min,
+    max: Number(payload.limits?.[key]?.max) || DEFAULT_PRICING_LIMITS[kind].max,
+  });
+
+  const tiers = (payload.tiers || [])
+    .map((raw) => ({
+      minQuantity: Number(raw.min_quantity) || 0,
+      discountPercent: Number(raw.discount_percent) || 0,
+    }))
+    .filter((tier) => tier.minQuantity > 1 && tier.discountPercent > 0)
+    .sort((a, b) => a.minQuantity - b.minQuantity);
+
+  return {
+    currency: (payload.currency || Object.values(plans)[0]?.currency || 'usd').toLowerCase(),
+    plans,
+    limits: { licenses: limit('licenses'), sites: limit('sites'), bulkSites: limit('bulkSites', 'bulk_sites') },
+    tiers,
+  };
+}
+
+// Highest volume tier reached by a quantity, null below the first one
+export function getVolumeTier(tiers = [], quantity) {
+  return tiers.filter((tier) => quantity >= tier.minQuantity).pop() || null;
+}
+
+/**
+ * Price of a quantity of a plan with the volume tier applied - same rounding as the worker
+ * (the discount is taken off the unit price, Stripe charges unit price × quantity)
+ * @returns {PriceQuote}
+ */
+export function getPriceQuote(plan, quantity, tiers = []) {
+  const tier = getVolumeTier(tiers, quantity);
+  const tieredUnitAmount = tier
+    ? Math.round((plan.unitAmount * (100 - tier.discountPercent)) / 100)
+    : plan.unitAmount;
+  return {
+    quantity,
+    unitAmount: plan.unitAmount,
+    tieredUnitAmount,
+    tier,
+    subtotal: plan.unitAmount * quantity,
+    total: tieredUnitAmount * quantity,
+  };
+}
+
+// Discount label for a plan ('25%', '$10.00'), null without a discount
+export function formatDiscount(plan) {
+  if (!plan?.discount) return null;
+  return plan.discount.type === 'fixed'
+    ? formatMoney(plan.discount.amount, plan.currency)
+    : `${plan.discount.amount}%`;
+}
+
+/**
+ * Normalize /api/promo-codes/validate for the code that was sent.
+ * @returns {PromoCode}
+ */
+export function normalizePromoCode(code, payload = {}) {
+  const discountAmount = Number(payload.discount?.amount);
+  const valid = !!payload.valid && discountAmount > 0;
+  return {
+    code: payload.code || code,
+    valid,
+    promotionCodeId: payload.promotion_code_id || null,
+    discount: valid
+      ? { type: payload.discount.type === 'fixed' ? 'fixed' : 'percentage', amount: discountAmount }
+      : null,
+    currency: (payload.discount?.currency || 'usd').toLowerCase(),
+    message: valid ? null : payload.message || 'This promo code is not valid',
+  };
+}
+
+// Total in cents after a discount - same rounding as Stripe, never below zero
+export function applyDiscount(cents, discount) {
+  if (!discount) return cents;
+  const discounted = discount.type === 'fixed'
+    ? cents - discount.amount
+    : cents - Math.round((cents * discount.amount) / 100);
+  return Math.max(0, discounted);
+}
+
+/**
+ * Normalize /api/subscriptions/billing-period/preview.
+ * @returns {BillingPeriodPreview}
+ */
+export function normalizeBillingPeriodPreview(payload = {}) {
+  return {
+    subscriptionId: payload.subscription_id,
+    currentBillingPeriod: normalizeBillingPeriod(payload.current_billing_period),
+    billingPeriod: normalizeBillingPeriod(payload.billing_period),
+    unitAmount: Number(payload.unit_amount) || 0,
+    quantity: Number(payload.quantity) || 1,
+    currency: (payload.currency || 'usd').toLowerCase(),
+    amountDue: Number(payload.amount_due) || 0,
+    credit: Number(payload.credit) || 0,
+    prorationDate: Number(payload.proration_date) || null,
+    currentPeriodEnd: toMillis(payload.current_period_end),
+    lines: (payload.lines || []).map((line) => ({
+      description: line.description || '',
+      amount: Number(line.amount) || 0,
+      proration: !!line.proration,
+    })),
+  };
+}
+
+/** @returns {PaymentMethod} */
+function normalizePaymentMethod(raw, now) {
+  const expMonth = Number(raw.exp_month) || null;
+  const expYear = Number(raw.exp_year) || null;
+  return {
+    id: raw.id,
+    brand: (raw.brand || 'card').toLowerCase(),
+    last4: raw.last4 || null,
+    expMonth,
+    expYear,
+    isDefault: !!raw.is_default,
+    // Cards work until the end of their expiry month
+    isExpired: !!expMonth && !!expYear && new Date(expYear, expMonth, 1).getTime() <= now,
+  };
+}
+
+/**
+ * Normalize /api/billing.
+ * Customers with active subscriptions come first, then the oldest.
+ * @returns {{ customers: BillingCustomer[] }}
+ */
+export function normalizeBilling(payload = {}, now = Date.now()) {
+  const customers = (payload.customers || []).map((raw) => {
+    const address = raw.address
+      ? {
+          line1: raw.address.line1 || null,
+          line2: raw.address.line2 || null,
+          city: raw.address.city || null,
+          state: raw.address.state || null,
+          postalCode: raw.address.postal_code || null,
+          country: raw.address.country || null,
+        }
+      : null;
+    return {
+      id: raw.customer_id || raw.id,
+      name: raw.name || null,
+      email: raw.email || null,
+      phone: raw.phone || null,
+      address,
+      activeSubscriptions: Number(raw.active_subscriptions) || 0,
+      paymentMethods: (raw.payment_methods || [])
+        .map((method) => normalizePaymentMethod(method, now))
+        .sort((a, b) => Number(b.isDefault) - Number(a.isDefault)),
+      createdAt: toMillis(raw.created),
+    };
+  });
+
+  customers.sort(
+    (a, b) => Number(b.activeSubscriptions > 0) - Number(a.activeSubscriptions > 0) || (a.createdAt || 0) - (b.createdAt || 0)
+  );
+  return { customers };
+}
@@ -0,0 +1,258 @@
+/**
+ * Purchase tracker - one place that follows a Stripe checkout until its licenses/sites exist
+ * Each checkout is a small state machine:
+ *
+ *   created -> redirected -> paid -> provisioning -> completed
+ *      |           |          |           |
+ *      +-----------+--> cancelled         +--> failed (also from created/redirected/paid)
+ *
+ * - created: checkout session created, nothing shown to Stripe yet
+ * - redirected: the user is on the Stripe checkout (popup, new tab or redirect)
+ * - paid: Stripe returned with a session_id - the worker queue is about to create the items
+ * - provisioning: the queue is creating licenses/sites (progress is stored on the purchase)
+ * - completed / failed / cancelled: final
+ *
+ * Purchases are persisted in localStorage, so they survive reloads and the Stripe redirect,
+ * and every tab (including the checkout popup) sees the same state.
+ *
+ * @typedef {'created'|'redirected'|'paid'|'provisioning'|'completed'|'failed'|'cancelled'} PurchaseStatus
+ *
+ * @typedef {Object} Purchase
+ * @property {string} id
+ * @property {'licenses'|'sites'} kind
+ * @property {string} email
+ * @property {PurchaseStatus} status
+ * @property {number|null} quantity - licenses bought (null when unknown, e.g. a payment link)
+ * @property {string[]} sites - domains bought
+ * @property {string|null} billingPeriod
+ * @property {string|null} paymentIntentId - sites queue batch
+ * @property {string|null} sessionId - Stripe checkout session
+ * @property {{ total: number, completed: number, processing?: number, failed?: number }|null} progress
+ * @property {string|null} message - failure or cancellation reason
+ * @property {number} createdAt - ms
+ * @property {number} updatedAt - ms
+ */
+
+const STORAGE_KEY = 'consentbit-purchases';
+
+export const PURCHASE_STATUS = {
+  CREATED: 'created',
+  REDIRECTED: 'redirected',
+  PAID: 'paid',
+  PROVISIONING: 'provisioning',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+// Allowed transitions - anything else is ignored (e.g. a late "cancelled" after the payment went through)
+const TRANSITIONS = {
+  created: ['redirected', 'paid', 'cancelled', 'failed'],
+  redirected: ['paid', 'cancelled', 'failed'],
+  paid: ['provisioning', 'completed', 'failed'],
+  provisioning: ['completed', 'failed'],
+  completed: [],
+  failed: [],
+  cancelled: [],
+};
+
+// A checkout nobody came back from within this time was abandoned
+const CHECKOUT_MAX_AGE = 30 * 60 * 1000;
+// Provisioning should finish within minutes - after this the purchase is reported as failed
+const PROVISIONING_MAX_AGE = 30 * 60 * 1000;
+// Finished purchases are kept for a while, then dropped from storage
+const FINISHED_RETENTION = 24 * 60 * 60 * 1000;
+
+export function isCheckoutOpen(purchase) {
+  return purchase.status === PURCHASE_STATUS.CREATED || purchase.status === PURCHASE_STATUS.REDIRECTED;
+}
+
+export function isProvisioning(purchase) {
+  return purchase.status === PURCHASE_STATUS.PAID || purchase.status === PURCHASE_STATUS.PROVISIONING;
+}
+
+let purchases = null;
+const listeners = new Set();
+
+function readStorage() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.warn('[PurchaseTracker] Ignoring unreadable purchases:', error);
+    return [];
+  }
+}
+
+function load() {
+  if (purchases === null) purchases = readStorage();
+  return purchases;
+}
+
+function notify() {
+  listeners.forEach((listener) => listener());
+}
+
+// Apply a change on top of the latest stored state (another tab or the popup may have written since)
+function update(change) {
+  const next = change(readStorage());
+  purchases = next;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch (error) {
+    console.warn('[PurchaseTracker] Failed to save purchases:', error);
+  }
+  notify();
+}
+
+function handleStorage(event) {
+  if (event.key !== STORAGE_KEY && event.key !== null) return;
+  purchases = readStorage();
+  notify();
+}
+
+/**
+ * All tracked purchases, oldest first. The array is replaced on every change (safe for useSyncExternalStore).
+ * @returns {Purchase[]}
+ */
+export function getPurchases() {
+  return load();
+}
+
+/**
+ * Listen for changes from this tab and the others.
+ * @returns {Function} unsubscribe
+ */
+export function subscribePurchases(listener) {
+  if (listeners.size === 0) window.addEventListener('storage', handleStorage);
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) window.removeEventListener('storage', handleStorage);
+  };
+}
+
+/**
+ * Start tracking a checkout.
+ * @returns {Purchase}
+ */
+export function createPurchase({
+  kind,
+  email,
+  status = PURCHASE_STATUS.CREATED,
+  quantity = null,
+  sites = [],
+  billingPeriod = null,
+  paymentIntentId = null,
+  sessionId = null,
+}) {
+  const now = Date.now();
+  const purchase = {
+    id: `purchase_${now}_${Math.random().toString(36).slice(2, 8)}`,
+    kind,
+    email: (email || '').toLowerCase().trim(),
+    status,
+    quantity,
+    sites,
+    billingPeriod,
+    paymentIntentId,
+    sessionId,
+    progress: null,
+    message: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  update((current) => [...current, purchase]);
+  return purchase;
+}
+
+/**
+ * Move a purchase to another state. Invalid transitions are ignored.
+ * @param {Object} [changes] - fields to store with the transition (progress, message, sessionId)
+ * @returns {Purchase|null} the updated purchase, or null when the transition was not allowed
+ */
+export function transitionPurchase(id, status, changes = {}) {
+  let updated = null;
+  update((current) =>
+    current.map((purchase) => {
+      if (purchase.id !== id) return purchase;
+      if (!TRANSITIONS[purchase.status]?.includes(status)) return purchase;
+      updated = { ...purchase, ...changes, status, updatedAt: Date.now() };
+      return updated;
+    })
+  );
+  return updated;
+}
+
+/**
+ * Store queue progress for a paid purchase (moves it to provisioning).
+ */
+export function updatePurchaseProgress(id, progress) {
+  update((current) =>
+    current.map((purchase) => {
+      if (purchase.id !== id || !isProvisioning(purchase)) return purchase;
+      return { ...purchase, progress, status: PURCHASE_STATUS.PROVISIONING, updatedAt: Date.now() };
+    })
+  );
+}
+
+/**
+ * The open checkout a Stripe return belongs to - matched by session ID, otherwise the latest open one.
+ * @returns {Purchase|null}
+ */
+export function findCheckoutPurchase(email, sessionId = null) {
+  const userEmail = (email || '').toLowerCase().trim();
+  const open = load().filter((purchase) => purchase.email === userEmail && isCheckoutOpen(purchase));
+  return (
+    (sessionId && open.find((purchase) => purchase.sessionId === sessionId)) ||
+    open[open.length - 1] ||
+    null
+  );
+}
+
+/**
+ * Close purchases that can no longer make progress and drop old finished ones.
+ * Called periodically by the purchase tracker hook.
+ */
+export function expirePurchases(now = Date.now()) {
+  const current = load();
+  const needsUpdate = current.some(
+    (purchase) =>
+      (isCheckoutOpen(purchase) && now - purchase.createdAt > CHECKOUT_MAX_AGE) ||
+      (isProvisioning(purchase) && now - purchase.updatedAt > PROVISIONING_MAX_AGE) ||
+      (!isCheckoutOpen(purchase) && !isProvisioning(purchase) && now - purchase.updatedAt > FINISHED_RETENTION)
+  );
+  if (!needsUpdate) return;
+
+  update((stored) =>
+    stored
+      .filter((purchase) => isCheckoutOpen(purchase) || isProvisioning(purchase) || now - purchase.updatedAt <= FINISHED_RETENTION)
+      .map((purchase) => {
+        if (isCheckoutOpen(purchase) && now - purchase.createdAt > CHECKOUT_MAX_AGE) {
+          return { ...purchase, status: PURCHASE_STATUS.CANCELLED, message: 'Checkout was not completed', updatedAt: now };
+        }
+        if (isProvisioning(purchase) && now - purchase.updatedAt > PROVISIONING_MAX_AGE) {
+          return {
+            ...purchase,
+            status: PURCHASE_STATUS.FAILED,
+            message: 'Your purchase is taking longer than expected. Please contact support if it does not appear shortly.',
+            updatedAt: now,
+          };
+        }
+        return purchase;
+      })
+  );
+}
+
+/**
+ * Forget every tracked purchase. Called on logout.
+ */
+export function clearPurchases() {
+  purchases = [];
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.warn('[PurchaseTracker] Failed to clear purchases:', error);
+  }
+  notify();
+}
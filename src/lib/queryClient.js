@@ -2,6 +2,8 @@ import { QueryClient } from '@tanstack/react-query';
 
 // Create a query client with optimized defaults for persistent caching
 // Data will be cached and reused - only refetch when explicitly invalidated
+// Dashboard, licenses and invoices override these with their own freshness policies
+// (see freshnessPolicies in hooks/useDashboardQueries.js)
 export const queryClient = new QueryClient({
   defaultOptions: {
     queries: {
@@ -0,0 +1,148 @@
+import {
+  persistQueryClientRestore,
+  persistQueryClientSubscribe,
+} from '@tanstack/react-query-persist-client';
+
+/**
+ * IndexedDB persistence for the TanStack Query cache
+ * One entry per logged-in email, so one user's cache is never restored for the next person
+ * on a shared machine. logout() in services/memberstack.js wipes the whole database.
+ */
+
+// Bump whenever the shape of cached data changes (e.g. lib/normalize.js) - older caches are discarded
+export const CACHE_SCHEMA_VERSION = '2';
+
+const DB_NAME = 'consentbit-query-cache';
+const STORE_NAME = 'clients';
+const MAX_AGE = 24 * 60 * 60 * 1000; // Same as gcTime in lib/queryClient.js
+const SAVE_THROTTLE_MS = 1000; // Cache events come in bursts - write at most once a second
+
+// Only these queries are written to disk
+const PERSISTED_QUERIES = ['dashboard', 'licenses', 'invoices', 'orders'];
+
+// Set by clearPersistedCache() so a pending save cannot recreate the database after logout
+let persistenceDisabled = false;
+let pendingSave = null;
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run one request against the store and close the connection, so deleteDatabase is never blocked
+async function runRequest(mode, createRequest) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = createRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+function cacheKey(email) {
+  return email.toLowerCase().trim();
+}
+
+// Persister (see @tanstack/react-query-persist-client) storing one user's cache
+function createPersister(email) {
+  const key = cacheKey(email);
+
+  return {
+    persistClient: (persistedClient) => {
+      if (persistenceDisabled) return;
+      clearTimeout(pendingSave);
+      pendingSave = setTimeout(() => {
+        pendingSave = null;
+        if (persistenceDisabled) return;
+        runRequest('readwrite', (store) => store.put(persistedClient, key)).catch((error) => {
+          console.warn('[QueryPersister] Failed to save cache:', error);
+        });
+      }, SAVE_THROTTLE_MS);
+    },
+    restoreClient: () => runRequest('readonly', (store) => store.get(key)),
+    removeClient: () => runRequest('readwrite', (store) => store.delete(key)),
+  };
+}
+
+// Only successful dashboard/licenses/invoices queries that belong to this user
+function isUserQuery(email) {
+  return (query) =>
+    PERSISTED_QUERIES.includes(query.queryKey[0]) && query.queryKey[1] === email;
+}
+
+/**
+ * Restore the persisted cache for a user into the query client.
+ * Restored queries are marked stale, so they are shown immediately and revalidated
+ * in the background as soon as their observers are enabled.
+ */
+export async function restoreUserCache(queryClient, email) {
+  if (typeof indexedDB === 'undefined') return;
+
+  const restoreStartedAt = Date.now();
+  try {
+    // Drops the entry if it is older than MAX_AGE or was written with another schema version
+    await persistQueryClientRestore({
+      queryClient,
+      persister: createPersister(email),
+      buster: CACHE_SCHEMA_VERSION,
+      maxAge: MAX_AGE,
+    });
+  } catch (error) {
+    console.warn('[QueryPersister] Failed to restore cache:', error);
+    return;
+  }
+
+  const isUserQueryFor = isUserQuery(email);
+  queryClient.invalidateQueries({
+    predicate: (query) => isUserQueryFor(query) && query.state.dataUpdatedAt < restoreStartedAt,
+    refetchType: 'none',
+  });
+}
+
+/**
+ * Save the user's queries to IndexedDB whenever the cache changes.
+ * @returns {Function} unsubscribe
+ */
+export function subscribeUserCache(queryClient, email) {
+  if (typeof indexedDB === 'undefined') return () => {};
+
+  persistenceDisabled = false;
+  const isUserQueryFor = isUserQuery(email);
+  return persistQueryClientSubscribe({
+    queryClient,
+    persister: createPersister(email),
+    buster: CACHE_SCHEMA_VERSION,
+    dehydrateOptions: {
+      shouldDehydrateQuery: (query) => query.state.status === 'success' && isUserQueryFor(query),
+    },
+  });
+}
+
+/**
+ * Delete every persisted cache (all users). Called on logout.
+ */
+export function clearPersistedCache() {
+  persistenceDisabled = true;
+  clearTimeout(pendingSave);
+  pendingSave = null;
+  if (typeof indexedDB === 'undefined') return Promise.resolve();
+
+  return new Promise((resolve) => {
+    const request = indexedDB.deleteDatabase(DB_NAME);
+    request.onsuccess = () => resolve();
+    request.onerror = () => {
+      console.warn('[QueryPersister] Failed to delete cache:', request.error);
+      resolve();
+    };
+    // Another tab still has the database open - the delete completes once it closes
+    request.onblocked = () => resolve();
+  });
+}
@@ -0,0 +1,104 @@
+/**
+ * Cross-tab sync for the dashboard
+ * Messages go to every other open dashboard tab (and the Stripe checkout popup) of this origin
+ * over BroadcastChannel. Browsers without BroadcastChannel get them through a localStorage
+ * write, which fires a `storage` event in the other tabs.
+ * A tab never receives its own messages.
+ */
+
+const CHANNEL_NAME = 'consentbit-dashboard-sync';
+const STORAGE_KEY = 'consentbit-dashboard-sync';
+
+// Message types
+export const SYNC_EVENTS = {
+  INVALIDATE: 'query.invalidate', // { email, queryKeys }
+  PURCHASE_COMPLETED: 'purchase.completed', // { sessionId }
+  PURCHASE_CANCELLED: 'purchase.cancelled', // {}
+  LOGOUT: 'logout', // {}
+};
+
+// Identifies this tab so storage-event messages written by it are ignored
+const tabId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+let channel = null;
+const listeners = new Set();
+
+function dispatch(message) {
+  if (!message || message.tabId === tabId || !message.type) return;
+  listeners.forEach((listener) => {
+    try {
+      listener(message);
+    } catch (error) {
+      console.error('[TabSync] Listener error:', error);
+    }
+  });
+}
+
+function handleStorage(event) {
+  if (event.key !== STORAGE_KEY || !event.newValue) return;
+  try {
+    dispatch(JSON.parse(event.newValue));
+  } catch (error) {
+    console.warn('[TabSync] Ignoring unreadable message:', error);
+  }
+}
+
+// Open the channel (or the storage fallback) when the first listener subscribes
+function connect() {
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => dispatch(event.data);
+  } else {
+    window.addEventListener('storage', handleStorage);
+  }
+}
+
+function disconnect() {
+  if (channel) {
+    channel.close();
+    channel = null;
+  } else {
+    window.removeEventListener('storage', handleStorage);
+  }
+}
+
+/**
+ * Send a message to the other tabs.
+ * @param {string} type - one of SYNC_EVENTS
+ * @param {Object} payload
+ */
+export function publish(type, payload = {}) {
+  if (typeof window === 'undefined') return;
+  const message = { type, payload, tabId, sentAt: Date.now() };
+
+  try {
+    if (typeof BroadcastChannel !== 'undefined') {
+      // A short-lived channel works before any listener subscribed (e.g. during logout)
+      const sender = channel || new BroadcastChannel(CHANNEL_NAME);
+      sender.postMessage(message);
+      if (sender !== channel) sender.close();
+    } else {
+      // storage only fires when the value changes - sentAt makes every message unique
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(message));
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('[TabSync] Failed to publish message:', error);
+  }
+}
+
+/**
+ * Listen for messages from the other tabs.
+ * @param {(message: { type: string, payload: Object }) => void} listener
+ * @returns {Function} unsubscribe
+ */
+export function subscribe(listener) {
+  if (typeof window === 'undefined') return () => {};
+  if (listeners.size === 0) connect();
+  listeners.add(listener);
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) disconnect();
+  };
+}
@@ -3,6 +3,9 @@
  * Handles all API communication with the backend
  */
 
+import { USE_MOCK_API, mockFetch } from './mockApi';
+import { getSessionToken } from './memberstack';
+
 // Using production server directly
 const API_BASE = import.meta.env.VITE_API_BASE || 'https://consentbit-dashboard-test.web-8fb.workers.dev';
 
@@ -11,273 +14,286 @@ const API_BASE = import.meta.env.VITE_API_BASE || 'https://consentbit-dashboard-
 // Dashboard API can take longer due to data processing
 const REQUEST_TIMEOUT = 30000; // 30 seconds
 const REQUEST_TIMEOUT_SHORT = 10000; // 10 seconds for faster endpoints
+const PURCHASE_TIMEOUT = 60000; // 60 seconds - Stripe checkout creation can take time
 
-// Helper to create timeout promise
-function createTimeoutPromise(timeout) {
-  return new Promise((_, reject) => {
-    setTimeout(() => reject(new Error('Request timeout')), timeout);
-  });
+/**
+ * Error thrown by every API function.
+ * - status: HTTP status code (0 when the request never got a response)
+ * - code: error code sent by the server, or a client code
+ *   ('timeout', 'network_error', 'invalid_response', 'invalid_email', 'invalid_request', 'not_authenticated')
+ * - endpoint: path that was requested, without query string
+ * - data: parsed response body, if any
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = null, endpoint = null, data = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.endpoint = endpoint;
+    this.data = data;
+  }
 }
 
-// Helper to make authenticated API requests with timeout
-async function apiRequest(endpoint, options = {}) {
-  const url = `${API_BASE}${endpoint}`;
-  const config = {
-    ...options,
-    headers: {
-      'Content-Type': 'application/json',
-      ...options.headers,
-    },
-    credentials: 'include',
-  };
+// Validate and normalize (lowercase and trim) an email before making an API call
+function normalizeEmail(userEmail, endpoint) {
+  if (!userEmail || !userEmail.includes('@')) {
+    console.error('[API] ❌ Invalid email for API call:', endpoint, userEmail);
+    throw new ApiError('Invalid email address. Please log out and log in again.', {
+      code: 'invalid_email',
+      endpoint,
+    });
+  }
+  return userEmail.toLowerCase().trim();
+}
 
+// Parse a response body - tolerates empty bodies and non-JSON error pages
+async function parseBody(response) {
+  const text = await response.text();
+  if (!text) return {};
   try {
-    // Race between fetch and timeout
-    const response = await Promise.race([
-      fetch(url, config),
-      createTimeoutPromise(REQUEST_TIMEOUT)
-    ]);
-    
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({ error: 'Unknown error' }));
-      throw new Error(error.error || error.message || `API request failed: ${response.status}`);
-    }
-
-    return response.json();
-  } catch (error) {
-    if (error.message === 'Request timeout') {
-      throw new Error('Request timeout - server took too long to respond');
-    }
-    throw error;
+    return JSON.parse(text);
+  } catch {
+    return { error: text };
   }
 }
 
-// Get dashboard data (sites and subscriptions)
-export async function getDashboard(userEmail) {
+/**
+ * Core request helper used by every endpoint.
+ * - Aborts with an AbortController after `timeout` ms
+ * - Honors a caller `signal` (e.g. from TanStack Query) - aborting it rejects with the original AbortError
+ * - Throws ApiError for timeouts, network failures and non-2xx responses
+ */
+async function apiRequest(endpoint, { method = 'GET', query, body, headers, timeout = REQUEST_TIMEOUT, signal } = {}) {
+  let url = `${API_BASE}${endpoint}`;
+  if (query) {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) params.append(key, String(value));
+    });
+    const queryString = params.toString();
+    if (queryString) url += `?${queryString}`;
+  }
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+
+  const abortFromCaller = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', abortFromCaller, { once: true });
+  }
+
+  // In mock mode requests are answered by the in-browser mock backend instead of the worker
+  const doFetch = USE_MOCK_API ? mockFetch : fetch;
+
+  let response;
   try {
-    // Validate email before making API call (matching reference dashboard)
-    if (!userEmail || !userEmail.includes('@')) {
-      console.error('[API] ❌ Invalid email for API call:', userEmail);
-      throw new Error('Invalid email address. Please log out and log in again.');
+    response = await doFetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      credentials: 'include',
+      signal: controller.signal,
+    });
+  } catch (error) {
+    if (timedOut) {
+      throw new ApiError('Request timeout - server took too long to respond', {
+        code: 'timeout',
+        endpoint,
+      });
     }
-    
-    // Normalize email (lowercase and trim) - matching reference
-    const normalizedEmail = userEmail.toLowerCase().trim();
-    
-    const url = `${API_BASE}/dashboard?email=${encodeURIComponent(normalizedEmail)}`;
-    
-    // Try email-based endpoint first (for Memberstack users) with timeout
-    let response;
-    try {
-      response = await Promise.race([
-        fetch(url, {
-          method: 'GET',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          credentials: 'include'
-        }),
-        createTimeoutPromise(REQUEST_TIMEOUT)
-      ]);
-    } catch (error) {
-      if (error.message === 'Request timeout') {
-        throw new Error('Request timeout - server took too long to respond');
-      }
+    if (signal?.aborted) {
       throw error;
     }
+    throw new ApiError(error.message || 'Network error', { code: 'network_error', endpoint });
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', abortFromCaller);
+  }
 
-    // If email endpoint doesn't work, try with session cookie
-    if (!response.ok && response.status === 401) {
-      try {
-        const fallbackResponse = await Promise.race([
-          fetch(`${API_BASE}/dashboard`, {
-            method: 'GET',
-            headers: {
-              'Content-Type': 'application/json'
-            },
-            credentials: 'include'
-          }),
-          createTimeoutPromise(REQUEST_TIMEOUT)
-        ]);
-
-        if (!fallbackResponse.ok) {
-          throw new Error('Failed to load dashboard');
-        }
-
-        return await fallbackResponse.json();
-      } catch (error) {
-        if (error.message === 'Request timeout') {
-          throw new Error('Request timeout - server took too long to respond');
-        }
-        throw error;
-      }
-    }
+  const data = await parseBody(response);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      
-      // Handle specific error cases (matching reference dashboard)
-      if (response.status === 401) {
-        throw new Error('Not authenticated');
-      } else if (response.status === 404) {
-        throw new Error('User data not found for this email');
+  if (!response.ok) {
+    throw new ApiError(
+      data.message || data.error || `API request failed: ${response.status} ${response.statusText}`,
+      {
+        status: response.status,
+        code: data.code || data.error || null,
+        endpoint,
+        data,
       }
-      
-      throw new Error(`Failed to load dashboard: ${response.status} ${response.statusText}`);
-    }
+    );
+  }
 
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    throw error;
+  return data;
+}
+
+// Authorization header carrying the Memberstack session token
+// The worker verifies the token and derives the user's email from it
+async function authHeaders(endpoint) {
+  // The mock backend is single-user and does not check tokens
+  if (USE_MOCK_API) return {};
+
+  const token = await getSessionToken();
+  if (!token) {
+    throw new ApiError('Not authenticated. Please log in again.', {
+      status: 401,
+      code: 'not_authenticated',
+      endpoint,
+    });
   }
+  return { Authorization: `Bearer ${token}` };
 }
 
-// Get user licenses
-export async function getLicenses(userEmail) {
+// GET a user-scoped endpoint - the user is identified by the bearer token only
+async function authenticatedGet(endpoint, { query, timeout, signal } = {}) {
+  const headers = await authHeaders(endpoint);
+  return apiRequest(endpoint, { query, headers, timeout, signal });
+}
+
+// GET one of the email-scoped reads (/dashboard, /licenses, queue status, invoices)
+// The deployed worker still resolves these by ?email=, so the email goes along with the bearer token
+// until those handlers verify the token; on 401 retry once with the session cookie only
+async function getWithSessionFallback(endpoint, userEmail, { query, timeout, signal } = {}) {
+  const email = normalizeEmail(userEmail, endpoint);
+  const token = USE_MOCK_API ? null : await getSessionToken();
+  const headers = token ? { Authorization: `Bearer ${token}` } : undefined;
   try {
-    // Validate email before making API call (matching reference dashboard)
-    if (!userEmail || !userEmail.includes('@')) {
-      console.error('[API] ❌ Invalid email for licenses API call:', userEmail);
-      throw new Error('Invalid email address. Please log out and log in again.');
-    }
-    
-    // Normalize email (lowercase and trim) - matching reference
-    const normalizedEmail = userEmail.toLowerCase().trim();
-    
-    const url = `${API_BASE}/licenses?email=${encodeURIComponent(normalizedEmail)}`;
-    
-    // Try email-based endpoint first with timeout
-    let response;
-    try {
-      response = await Promise.race([
-        fetch(url, {
-          method: 'GET',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          credentials: 'include'
-        }),
-        createTimeoutPromise(REQUEST_TIMEOUT)
-      ]);
-    } catch (error) {
-      if (error.message === 'Request timeout') {
-        throw new Error('Request timeout - server took too long to respond');
-      }
-      throw error;
+    return await apiRequest(endpoint, { query: { email, ...query }, headers, timeout, signal });
+  } catch (error) {
+    if (error instanceof ApiError && error.status === 401) {
+      return apiRequest(endpoint, { query, timeout, signal });
     }
+    throw error;
+  }
+}
 
-    // If email endpoint doesn't work, try with session cookie
-    if (!response.ok && response.status === 401) {
-      try {
-        response = await Promise.race([
-          fetch(`${API_BASE}/licenses`, {
-            method: 'GET',
-            headers: {
-              'Content-Type': 'application/json'
-            },
-            credentials: 'include'
-          }),
-          createTimeoutPromise(REQUEST_TIMEOUT)
-        ]);
-      } catch (error) {
-        if (error.message === 'Request timeout') {
-          throw new Error('Request timeout - server took too long to respond');
-        }
-        throw error;
-      }
-    }
+// POST to a user-scoped endpoint - same bearer auth, no email in the body
+async function authenticatedPost(endpoint, body, { timeout, signal } = {}) {
+  const headers = await authHeaders(endpoint);
+  return apiRequest(endpoint, { method: 'POST', body, headers, timeout, signal });
+}
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Failed to load licenses: ${response.status} ${response.statusText}`);
-    }
+// Parse one Server-Sent Events block ("event: ...", "data: ...", "id: ...") into { type, id, data }
+function parseEventBlock(block) {
+  let type = 'message';
+  let id = null;
+  const dataLines = [];
+
+  block.split(/\r?\n/).forEach((line) => {
+    if (!line || line.startsWith(':')) return; // Comment / keep-alive
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+    if (field === 'event') type = value;
+    else if (field === 'data') dataLines.push(value);
+    else if (field === 'id') id = value;
+  });
 
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    throw error;
+  if (dataLines.length === 0) return null;
+  const raw = dataLines.join('\n');
+  try {
+    return { type, id, data: JSON.parse(raw) };
+  } catch {
+    return { type, id, data: raw };
   }
 }
-// Get user licenses
-export async function getLicensesStatus(userEmail) {
+
+/**
+ * Open a Server-Sent Events stream on a user-scoped endpoint.
+ * fetch is used instead of EventSource so the bearer token can be sent in a header.
+ * - onOpen() is called once the server accepted the stream
+ * - onEvent({ type, id, data }) is called for every event
+ * Resolves when the server closes the stream, throws ApiError if it cannot be opened.
+ * No timeout - the stream stays open until the server closes it or `signal` aborts.
+ */
+async function openEventStream(endpoint, { onOpen, onEvent, signal } = {}) {
+  const headers = await authHeaders(endpoint);
+  const doFetch = USE_MOCK_API ? mockFetch : fetch;
+
+  let response;
   try {
-    // Validate email before making API call (matching reference dashboard)
-    if (!userEmail || !userEmail.includes('@')) {
-      console.error('[API] ❌ Invalid email for licenses API call:', userEmail);
-      throw new Error('Invalid email address. Please log out and log in again.');
-    }
-    
-    // Normalize email (lowercase and trim) - matching reference
-    const normalizedEmail = userEmail.toLowerCase().trim();
-    
-    const url = `${API_BASE}/api/licenses/status?email=${encodeURIComponent(normalizedEmail)}`;
-    
-    // Try email-based endpoint first with timeout
-    let response;
-    try {
-      response = await Promise.race([
-        fetch(url, {
-          method: 'GET',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          credentials: 'include'
-        }),
-        createTimeoutPromise(REQUEST_TIMEOUT)
-      ]);
-    } catch (error) {
-      if (error.message === 'Request timeout') {
-        throw new Error('Request timeout - server took too long to respond');
-      }
+    response = await doFetch(`${API_BASE}${endpoint}`, {
+      method: 'GET',
+      headers: { Accept: 'text/event-stream', ...headers },
+      credentials: 'include',
+      signal,
+    });
+  } catch (error) {
+    if (signal?.aborted) {
       throw error;
     }
+    throw new ApiError(error.message || 'Network error', { code: 'network_error', endpoint });
+  }
 
-    // If email endpoint doesn't work, try with session cookie
-    if (!response.ok && response.status === 401) {
-      try {
-        response = await Promise.race([
-          fetch(`${API_BASE}/licenses`, {
-            method: 'GET',
-            headers: {
-              'Content-Type': 'application/json'
-            },
-            credentials: 'include'
-          }),
-          createTimeoutPromise(REQUEST_TIMEOUT)
-        ]);
-      } catch (error) {
-        if (error.message === 'Request timeout') {
-          throw new Error('Request timeout - server took too long to respond');
-        }
-        throw error;
+  if (!response.ok || !response.body) {
+    const data = await parseBody(response);
+    throw new ApiError(
+      data.message || data.error || `Event stream failed: ${response.status} ${response.statusText}`,
+      {
+        status: response.status,
+        code: data.code || data.error || null,
+        endpoint,
+        data,
       }
-    }
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Failed to load licenses: ${response.status} ${response.statusText}`);
-    }
+    );
+  }
 
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    throw error;
+  onOpen?.();
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    // Events are separated by a blank line - keep the trailing partial block for the next chunk
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach((block) => {
+      const event = parseEventBlock(block);
+      if (event) onEvent?.(event);
+    });
   }
 }
 
+// Get dashboard data (sites and subscriptions)
+export async function getDashboard(userEmail, { signal } = {}) {
+  return getWithSessionFallback('/dashboard', userEmail, { signal });
+}
+
+// Get user licenses
+export async function getLicenses(userEmail, { signal } = {}) {
+  return getWithSessionFallback('/licenses', userEmail, { signal });
+}
+
+// Get license queue status (license generation progress after a purchase)
+export async function getLicensesStatus(userEmail, { signal } = {}) {
+  return getWithSessionFallback('/api/licenses/status', userEmail, { signal });
+}
+
 
 // Add a new site
 export async function addSite(userEmail, site, price) {
   return apiRequest('/add-site', {
     method: 'POST',
-    body: JSON.stringify({ 
-      site, 
+    body: {
+      site,
       price,
-      email: userEmail 
-    }),
+      email: userEmail
+    },
   });
 }
+
+// Activate a license key for a site domain
 export async function activateLicense(licenseKey, siteDomain, email = null) {
   const body = {
     license_key: licenseKey,
@@ -287,72 +303,46 @@ export async function activateLicense(licenseKey, siteDomain, email = null) {
   if (email) {
     body.email = email;
   }
- const url = `${API_BASE}/activate-license`;
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body),
-      credentials: 'include'
-    });
-
-    let data;
 
-    // Try parsing JSON safely
-    const text = await response.text();
-    try {
-      data = text ? JSON.parse(text) : {};
-    } catch (jsonErr) {
-      console.error('Failed to parse JSON response:', text);
-      data = { error: 'invalid_response', message: 'Server returned invalid JSON' };
-    }
+  return apiRequest('/activate-license', {
+    method: 'POST',
+    body,
+  });
+}
 
-    if (!response.ok) {
-      console.error('License activation failed:', data);
-      return data;
-    }
+// Activate several license keys at once - activations: [{ licenseKey, siteDomain }]
+// Resolves with { activated, failed, results } - one result per row, failed rows do not fail the request
+export async function activateLicensesBatch(activations) {
+  return authenticatedPost('/api/licenses/activate-batch', {
+    activations: activations.map(({ licenseKey, siteDomain }) => ({ license_key: licenseKey, site_domain: siteDomain })),
+  }, { timeout: PURCHASE_TIMEOUT }); // Detects the platform of every site
+}
 
-    return data;
+// Move an activated license key to another domain - the worker enforces a cooldown between moves
+// (429 transfer_cooldown with next_transfer_at)
+export async function transferLicense(licenseKey, newDomain) {
+  return authenticatedPost('/api/licenses/transfer', { license_key: licenseKey, new_domain: newDomain });
+}
 
-  } catch (err) {
-    console.error('Error activating license:', err);
-    return { error: 'network_error', message: err.message };
-  }
+// Free an activated license key without touching its subscription (unlike cancelSubscription)
+export async function unassignLicense(licenseKey) {
+  return authenticatedPost('/api/licenses/unassign', { license_key: licenseKey });
 }
 
+// Cancel subscription (uses /remove-site endpoint)
 export async function cancelSubscription(email = null, site = null, subscriptionId = null) {
-  try {
-    const body = { site };
-    site = site.toLowerCase().trim()
-
-
-    if (subscriptionId) body.subscription_id = subscriptionId;
-    if (email) body.email = email;
- const url = `${API_BASE}/remove-site`;
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        // Include auth headers if needed, e.g., JWT token
-        // 'Authorization': 'Bearer <token>'
-      },
-      body: JSON.stringify(body),
-      credentials: 'include' // Include cookies if using session cookie auth
-    });
-
-    const data = await response.json();
-
-    if (!response.ok) {
-      console.error('Failed to remove site:', data);
-      return data;
-    }
+  if (!site) {
+    throw new ApiError('Site domain is required', { code: 'invalid_request', endpoint: '/remove-site' });
+  }
 
-    return data;
+  const body = { site: site.toLowerCase().trim() };
+  if (subscriptionId) body.subscription_id = subscriptionId;
+  if (email) body.email = email;
 
-  } catch (error) {
-    console.error('Error calling remove-site:', error);
-    return { error: 'network_error', message: error.message };
-  }
+  return apiRequest('/remove-site', {
+    method: 'POST',
+    body,
+  });
 }
 
 
@@ -361,150 +351,110 @@ export async function cancelSubscription(email = null, site = null, subscription
 export async function removeSite(userEmail, site) {
   return apiRequest('/remove-site', {
     method: 'POST',
-    body: JSON.stringify({ 
+    body: {
       site,
-      email: userEmail 
-    }),
+      email: userEmail
+    },
   });
 }
 
-// // Add sites in batch (for pending sites)
-// export async function createSiteCheckout(email, sites, billingPeriod) {
-//   console.log('Creating site checkout with:', { email, sites, billingPeriod });
-//   return apiRequest('/create-site-checkout', {
-//     method: 'POST',
-//     body: JSON.stringify({
-//       email,
-//       sites,               // ['a.com', 'b.com']
-//       billing_period: billingPeriod, // 'monthly' | 'yearly'
-//     }),
-//   });
-// }
-
-
 // Create checkout from pending sites
-export async function createSiteCheckout(email, sites, billingPeriod) {
-  const res = await fetch(`${API_BASE}/create-site-checkout`, {
-    method: 'POST',
-    credentials: 'include',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ email, sites, billing_period: billingPeriod }),
-  });
+// promoCode (optional) is applied to the Stripe checkout - the worker rejects codes that do not apply
+export async function createSiteCheckout(email, sites, billingPeriod, { promoCode } = {}) {
+  const body = { email, sites, billing_period: billingPeriod };
+  if (promoCode) body.promo_code = promoCode;
 
-  const data = await res.json();
+  return apiRequest('/create-site-checkout', {
+    method: 'POST',
+    body,
+    timeout: PURCHASE_TIMEOUT,
+  }); // { checkout_url, session_id, ... }
+}
 
-  if (!res.ok) {
-    throw new Error(data?.message || data?.error || 'Checkout failed');
+// Ensure a checkout endpoint actually returned somewhere to send the user
+// (an embedded session has a client_secret to mount instead of a URL)
+function requireCheckoutUrl(data, endpoint) {
+  if (!data.checkout_url && !data.client_secret) {
+    console.error('[API] Missing checkout_url in response:', data);
+    throw new ApiError('Checkout session was created but no checkout URL was returned. Please try again.', {
+      status: 200,
+      code: 'invalid_response',
+      endpoint,
+      data,
+    });
   }
-
-  return data; // { checkout_url, session_id, ... }
+  return data;
 }
 
-// Add sites batch - creates checkout for batch site purchases (max 5 sites)
-export async function addSitesBatch(userEmail, sites, billingPeriod) {
-  try {
-    if (!userEmail || !userEmail.includes('@')) {
-      throw new Error('Invalid email address. Please log in again.');
-    }
-
-    const normalizedEmail = userEmail.toLowerCase().trim();
-    
-    // Validate sites array
-    if (!Array.isArray(sites) || sites.length === 0) {
-      throw new Error('At least one site is required');
-    }
+// Preview switching a subscription to another billing period ('monthly' | 'yearly')
+// Returns the prorated amount charged now (or the credit left), and a proration_date to send with the change
+export async function previewBillingPeriodChange(subscriptionId, billingPeriod, { signal } = {}) {
+  return authenticatedPost(
+    '/api/subscriptions/billing-period/preview',
+    { subscription_id: subscriptionId, billing_period: billingPeriod },
+    { signal }
+  );
+}
 
-    if (sites.length > 5) {
-      throw new Error('Maximum 5 sites allowed per purchase');
-    }
+// Switch a subscription to another billing period - same subscription and license key
+// Uses the purchase timeout since Stripe invoices and charges the prorated amount right away
+export async function changeBillingPeriod(subscriptionId, billingPeriod, prorationDate = null) {
+  const body = { subscription_id: subscriptionId, billing_period: billingPeriod };
+  if (prorationDate) body.proration_date = prorationDate;
 
-    const url = `${API_BASE}/add-sites-batch`;
-    const PURCHASE_TIMEOUT = 60000; // 60 seconds
-
-    const response = await Promise.race([
-      fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        credentials: 'include',
-        body: JSON.stringify({
-          email: normalizedEmail,
-          sites: sites.map(s => typeof s === 'string' ? s : (s.site || s.site_domain || '')),
-          billing_period: billingPeriod.toLowerCase()
-        })
-      }),
-      createTimeoutPromise(PURCHASE_TIMEOUT)
-    ]);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorData;
-      try {
-        errorData = JSON.parse(errorText);
-      } catch {
-        errorData = { error: errorText || 'Unknown error' };
-      }
-      
-      throw new Error(
-        errorData.message || 
-        errorData.error || 
-        `Failed to create checkout session: ${response.status} ${response.statusText}`
-      );
-    }
+  return authenticatedPost('/api/subscriptions/billing-period', body, { timeout: PURCHASE_TIMEOUT });
+}
 
-    const data = await response.json();
-    
-    if (!data.checkout_url) {
-      throw new Error('Checkout session was created but no checkout URL was returned. Please try again.');
-    }
+// Resume a subscription that is pending cancellation (clears cancel_at_period_end in Stripe)
+export async function resumeSubscription(subscriptionId) {
+  return authenticatedPost('/api/subscriptions/resume', { subscription_id: subscriptionId });
+}
 
-    return data;
-  } catch (error) {
-    console.error('[API] addSitesBatch error:', error);
-    
-    if (error.message === 'Request timeout') {
-      throw new Error('Request timeout - The server is taking longer than expected. Please try again.');
-    }
-    
-    throw error;
+// Add sites batch - creates checkout for batch site purchases
+// The per-checkout site limit is enforced by the worker (see /api/pricing limits)
+// bulkImport (pasted list / CSV) uses the higher bulk_sites limit
+// uiMode 'embedded' returns a client_secret for the in-app checkout instead of a checkout_url
+export async function addSitesBatch(userEmail, sites, billingPeriod, { promoCode, bulkImport = false, uiMode } = {}) {
+  const endpoint = '/add-sites-batch';
+  const normalizedEmail = normalizeEmail(userEmail, endpoint);
+
+  // Validate sites array
+  if (!Array.isArray(sites) || sites.length === 0) {
+    throw new ApiError('At least one site is required', { code: 'invalid_request', endpoint });
   }
-}
 
-// Get sites queue status for polling
-export async function getSitesStatus(userEmail, paymentIntentId = null) {
-  try {
-    if (!userEmail || !userEmail.includes('@')) {
-      throw new Error('Invalid email address');
-    }
+  const body = {
+    email: normalizedEmail,
+    sites: sites.map(s => typeof s === 'string' ? s : (s.site || s.site_domain || '')),
+    billing_period: billingPeriod.toLowerCase()
+  };
+  if (promoCode) body.promo_code = promoCode;
+  if (bulkImport) body.bulk_import = true;
+  if (uiMode) body.ui_mode = uiMode;
 
-    const normalizedEmail = userEmail.toLowerCase().trim();
-    let url = `${API_BASE}/api/sites/status?email=${encodeURIComponent(normalizedEmail)}`;
-    
-    if (paymentIntentId) {
-      url += `&payment_intent_id=${encodeURIComponent(paymentIntentId)}`;
-    }
+  const data = await apiRequest(endpoint, {
+    method: 'POST',
+    body,
+    timeout: PURCHASE_TIMEOUT,
+  });
 
-    const response = await Promise.race([
-      fetch(url, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        credentials: 'include'
-      }),
-      createTimeoutPromise(REQUEST_TIMEOUT_SHORT)
-    ]);
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch sites status: ${response.status}`);
-    }
+  return requireCheckoutUrl(data, endpoint);
+}
 
-    return await response.json();
-  } catch (error) {
-    console.error('[API] getSitesStatus error:', error);
-    throw error;
-  }
+// Subscribe to queue events for the logged-in user (license and site queues)
+// Event types: item.created, item.completed, item.failed, batch.finished
+// Each event's data: { queue: 'licenses' | 'sites', batchId, itemId, status, progress }
+export async function streamQueueEvents({ onOpen, onEvent, signal } = {}) {
+  return openEventStream('/api/queue/events', { onOpen, onEvent, signal });
+}
+
+// Get sites queue status for polling
+export async function getSitesStatus(userEmail, paymentIntentId = null, { signal } = {}) {
+  return getWithSessionFallback('/api/sites/status', userEmail, {
+    query: { payment_intent_id: paymentIntentId },
+    timeout: REQUEST_TIMEOUT_SHORT,
+    signal,
+  });
 }
 
 
@@ -512,144 +462,51 @@ export async function getSitesStatus(userEmail, paymentIntentId = null) {
 export async function removePendingSite(userEmail, site) {
   return apiRequest('/remove-pending-site', {
     method: 'POST',
-    body: JSON.stringify({ 
+    body: {
       email: userEmail,
       site: typeof site === 'string' ? site : site.site || site.site_domain
-    }),
+    },
   });
 }
 
-// // Cancel subscription (uses /remove-site endpoint)
-// export async function cancelSubscription(userEmail, site, subscriptionId) {
-//   return apiRequest('/remove-site', {
-//     method: 'POST',
-//     body: JSON.stringify({ 
-//       email: userEmail,
-//       site: site,
-//       subscription_id: subscriptionId
-//     }),
-//   });
-// }
-
 // Purchase quantity of license keys
 // Uses longer timeout (60 seconds) since Stripe checkout creation can take time
-export async function purchaseQuantity(userEmail, quantity, billingPeriod) {
-  const url = `${API_BASE}/purchase-quantity`;
-  const PURCHASE_TIMEOUT = 60000; // 60 seconds for checkout creation
-  
-  try {
-    // Validate email before making API call
-    if (!userEmail || !userEmail.includes('@')) {
-      console.error('[API] ❌ Invalid email for purchase:', userEmail);
-      throw new Error('Invalid email address. Please log in again.');
-    }
-    
-    const normalizedEmail = userEmail.toLowerCase().trim();
-    
-    // Use custom timeout for purchase endpoint
-    const response = await Promise.race([
-      fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        credentials: 'include',
-        body: JSON.stringify({
-          email: normalizedEmail,
-          quantity: parseInt(quantity),
-          billing_period: billingPeriod.toLowerCase()
-        })
-      }),
-      createTimeoutPromise(PURCHASE_TIMEOUT)
-    ]);
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorData;
-      try {
-        errorData = JSON.parse(errorText);
-      } catch {
-        errorData = { error: errorText || 'Unknown error' };
-      }
-      
-      console.error('[API] Purchase failed:', {
-        status: response.status,
-        statusText: response.statusText,
-        error: errorData
-      });
-      
-      throw new Error(
-        errorData.message || 
-        errorData.error || 
-        `Failed to create checkout session: ${response.status} ${response.statusText}`
-      );
-    }
-    
-    const data = await response.json();
-    
-    // Ensure checkout_url exists
-    if (!data.checkout_url) {
-      console.error('[API] Missing checkout_url in response:', data);
-      throw new Error('Checkout session was created but no checkout URL was returned. Please try again.');
-    }
-    
-    return data;
-  } catch (error) {
-    console.error('[API] purchaseQuantity error:', error);
-    
-    // Provide user-friendly error messages
-    if (error.message === 'Request timeout') {
-      throw new Error('Request timeout - The server is taking longer than expected. Please try again.');
-    }
-    
-    throw error;
-  }
+// uiMode 'embedded' returns a client_secret for the in-app checkout instead of a checkout_url
+export async function purchaseQuantity(userEmail, quantity, billingPeriod, { promoCode, uiMode } = {}) {
+  const endpoint = '/purchase-quantity';
+  const normalizedEmail = normalizeEmail(userEmail, endpoint);
+
+  const body = {
+    email: normalizedEmail,
+    quantity: parseInt(quantity),
+    billing_period: billingPeriod.toLowerCase()
+  };
+  if (promoCode) body.promo_code = promoCode;
+  if (uiMode) body.ui_mode = uiMode;
+
+  const data = await apiRequest(endpoint, {
+    method: 'POST',
+    body,
+    timeout: PURCHASE_TIMEOUT,
+  });
+
+  return requireCheckoutUrl(data, endpoint);
 }
 
 // Get user profile data from database
 // COMMENTED OUT: Profile API endpoint doesn't exist yet
 /*
-export async function getUserProfile(userEmail) {
+export async function getUserProfile(userEmail, { signal } = {}) {
   try {
-    // Validate email before making API call
-    if (!userEmail || !userEmail.includes('@')) {
-      console.error('[API] ❌ Invalid email for profile API call:', userEmail);
-      throw new Error('Invalid email address. Please log out and log in again.');
-    }
-    
-    // Normalize email (lowercase and trim)
-    const normalizedEmail = userEmail.toLowerCase().trim();
-    
-    const url = `${API_BASE}/profile?email=${encodeURIComponent(normalizedEmail)}`;
-    
-    // Try profile endpoint first
-    let response;
-    try {
-      response = await Promise.race([
-        fetch(url, {
-          method: 'GET',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          credentials: 'include'
-        }),
-        createTimeoutPromise(REQUEST_TIMEOUT_SHORT)
-      ]);
-    } catch (error) {
-      if (error.message === 'Request timeout') {
-        throw new Error('Request timeout - server took too long to respond');
-      }
-      throw error;
-    }
-
-    // If profile endpoint doesn't exist (404), try getting user data from dashboard endpoint
-    if (!response.ok && response.status === 404) {
-      const dashboardData = await getDashboard(userEmail);
-      // Extract user info from dashboard response if available
+    return await getWithSessionFallback('/profile', userEmail, { timeout: REQUEST_TIMEOUT_SHORT, signal });
+  } catch (error) {
+    // If profile endpoint doesn't exist (404), derive user info from the dashboard endpoint
+    if (error instanceof ApiError && error.status === 404) {
+      const dashboardData = await getDashboard(userEmail, { signal });
       if (dashboardData.user) {
         return dashboardData.user;
       }
-      // Fallback: return basic info from email
+      const normalizedEmail = userEmail.toLowerCase().trim();
       return {
         email: normalizedEmail,
         name: normalizedEmail.split('@')[0],
@@ -657,67 +514,52 @@ export async function getUserProfile(userEmail) {
         created_at: dashboardData.created_at || null,
       };
     }
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('[API] Profile response not OK:', {
-        status: response.status,
-        statusText: response.statusText,
-        errorText
-      });
-      throw new Error(`Failed to load profile: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('[API] Error loading profile:', error);
     throw error;
   }
 }
 */
 
 // Get invoices for a user (paid invoices only, excludes $0 invoices)
-// Supports pagination with limit and offset
-export async function getInvoices(userEmail, limit = 10, offset = 0) {
-  try {
-    // Validate email before making API call
-    if (!userEmail || !userEmail.includes('@')) {
-      console.error('[API] ❌ Invalid email for invoices API call:', userEmail);
-      throw new Error('Invalid email address. Please log out and log in again.');
-    }
-    
-    // Normalize email (lowercase and trim)
-    const normalizedEmail = userEmail.toLowerCase().trim();
-    
-    const url = `${API_BASE}/api/invoices?email=${encodeURIComponent(normalizedEmail)}&limit=${limit}&offset=${offset}`;
-    
-    // Use longer timeout (30s) since invoices endpoint needs to fetch from Stripe for multiple customers
-    const response = await Promise.race([
-      fetch(url, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        credentials: 'include'
-      }),
-      createTimeoutPromise(REQUEST_TIMEOUT)
-    ]);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('[API] Invoices response not OK:', {
-        status: response.status,
-        statusText: response.statusText,
-        errorText
-      });
-      throw new Error(`Failed to load invoices: ${response.status} ${response.statusText}`);
-    }
+// Supports pagination with limit and offset, or with a starting_after cursor (an invoice ID, as in Stripe)
+// which takes precedence over offset when the worker supports it
+// Uses the longer timeout (30s) since invoices endpoint needs to fetch from Stripe for multiple customers
+export async function getInvoices(userEmail, limit = 10, offset = 0, { startingAfter, signal } = {}) {
+  return getWithSessionFallback('/api/invoices', userEmail, {
+    query: { limit, offset, starting_after: startingAfter },
+    signal,
+  });
+}
 
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('[API] Error loading invoices:', error);
-    throw error;
-  }
+// Get the price catalog (per-period prices, discounts and quantity limits) - public, no auth needed
+export async function getPricing({ signal } = {}) {
+  return apiRequest('/api/pricing', { signal, timeout: REQUEST_TIMEOUT_SHORT });
+}
+
+// Check a promo code against the worker (active Stripe promotion code) - public, no auth needed
+// Resolves with { valid: false, message } for codes that do not apply
+export async function validatePromoCode(code, { signal } = {}) {
+  return apiRequest('/api/promo-codes/validate', {
+    query: { code },
+    signal,
+    timeout: REQUEST_TIMEOUT_SHORT,
+  });
+}
+
+// Get the user's orders - one per checkout, with its queue items, produced licenses/sites and refunds
+export async function getOrders({ limit, signal } = {}) {
+  return authenticatedGet('/api/orders', {
+    query: { limit },
+    signal,
+  });
+}
+
+// Get cards and billing details - one entry per Stripe customer under the user's email
+export async function getBilling({ signal } = {}) {
+  return authenticatedGet('/api/billing', { signal });
+}
+
+// Create a Stripe Billing Portal session for one of the user's customers - resolves with { url }
+// flow 'payment_method_update' opens the portal on the add-card form
+export async function createBillingPortalSession(customerId, { flow } = {}) {
+  return authenticatedPost('/api/billing/portal', { customer_id: customerId, flow }, { timeout: REQUEST_TIMEOUT_SHORT });
 }
@@ -3,6 +3,10 @@
  * Handles Memberstack authentication and session management
  */
 
+import { clearPersistedCache } from '../lib/queryPersister';
+import { publish, SYNC_EVENTS } from '../lib/tabSync';
+import { clearPurchases } from '../lib/purchaseTracker';
+
 // Dynamic import Memberstack DOM to prevent blocking page load
 import('@memberstack/dom').then(m => {
   window.__memberstackDOM = m.default || m;
@@ -754,6 +758,14 @@ export async function logout() {
     if (window.memberstackSessionCache) {
       delete window.memberstackSessionCache;
     }
+
+    // Step 6b: Wipe the persisted query cache so the next user on this machine never sees this user's data
+    await clearPersistedCache();
+    // Tracked checkouts belong to this user too
+    clearPurchases();
+
+    // Step 6c: Log out the other open dashboard tabs
+    publish(SYNC_EVENTS.LOGOUT);
     
     // Step 7: Redirect to login page (home page)
     // Small delay to ensure all cleanup completes
@@ -775,6 +787,10 @@ export async function logout() {
         document.cookie = `${name}=;expires=Thu, 01 Jan 1970 00:00:00 UTC;path=/;`;
       });
       
+      // Wipe the persisted query cache
+      await clearPersistedCache();
+      publish(SYNC_EVENTS.LOGOUT);
+
       // Dispatch logout event
       window.dispatchEvent(new CustomEvent('memberstack:logout'));
     } catch (cleanupError) {
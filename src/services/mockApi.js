@@ -0,0 +1,867 @@
+/**
+ * In-browser mock backend
+ * Serves every endpoint used by services/api.js from stateful in-memory fixtures,
+ * so the dashboard can be demoed and designed without the Cloudflare worker.
+ * Enabled with VITE_USE_MOCK_API=true - state resets on page reload.
+ */
+
+import { mockDashboardData, mockLicensesData, mockInvoicesData, mockOrdersData, mockBillingData, mockApiDelay } from '../data/mockData';
+
+export const USE_MOCK_API = import.meta.env.VITE_USE_MOCK_API === 'true';
+
+// Queue timing - each item waits QUEUE_PENDING_MS, then items are processed one after another
+const QUEUE_PENDING_MS = 2000;
+const QUEUE_ITEM_MS = 1500;
+const QUEUE_EVENTS_TICK_MS = 500; // How often the mock event stream checks the queues
+
+const MONTHLY_PRICE_CENTS = 800;
+const YEARLY_PRICE_CENTS = 7200;
+// Same limits and volume tiers as the worker's /api/pricing
+const PRICING_LIMITS = {
+  licenses: { min: 1, max: 50 },
+  sites: { min: 1, max: 5 },
+  bulk_sites: { min: 1, max: 100 },
+};
+const VOLUME_TIERS = [
+  { min_quantity: 10, discount_percent: 10 },
+  { min_quantity: 25, discount_percent: 20 },
+];
+// Stripe promotion codes for trying the promo field (fixed amounts in cents)
+const PROMO_CODES = {
+  BLACKFRIDAY: { type: 'percentage', amount: 30 },
+  AGENCY: { type: 'fixed', amount: 1000 },
+};
+const DAY = 86400;
+const TRANSFER_COOLDOWN_SECONDS = DAY; // Worker default of LICENSE_TRANSFER_COOLDOWN_HOURS
+
+let state = null;
+
+// Lazily clone fixtures so every reload starts from the same data
+function getState() {
+  if (!state) {
+    state = {
+      dashboard: structuredClone(mockDashboardData),
+      licenses: structuredClone(mockLicensesData.licenses),
+      invoices: structuredClone(mockInvoicesData.invoices),
+      orders: structuredClone(mockOrdersData.orders),
+      billing: structuredClone(mockBillingData.customers),
+      licenseQueue: [], // { id, batchId, createdAt, startsAt, completesAt, billingPeriod, subscriptionId, done, licenseKey }
+      sitesQueue: [],   // same as licenseQueue plus site and paymentIntentId
+      transfers: [],    // { licenseKey, from, to, transferredAt } like the worker's license_transfers table
+    };
+  }
+  return state;
+}
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+const randomId = (prefix) => `${prefix}_mock_${Math.random().toString(36).slice(2, 10)}`;
+
+// Same format as the worker's generateLicenseKey: KEY-XXXX-XXXX-XXXX-XXXX
+function generateLicenseKey() {
+  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const segment = () => Array.from({ length: 4 }, () => chars.charAt(Math.floor(Math.random() * chars.length))).join('');
+  return `KEY-${[segment(), segment(), segment(), segment()].join('-')}`;
+}
+
+function periodEnd(billingPeriod, from) {
+  return from + (billingPeriod === 'yearly' ? 365 : 30) * DAY;
+}
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+function errorResponse(status, error, message) {
+  return jsonResponse(status, { success: false, error, message });
+}
+
+// Queue items as they would look at `now` - pending, then processing, then completed
+function itemStatus(item, now) {
+  if (now >= item.completesAt) return 'completed';
+  if (now >= item.startsAt) return 'processing';
+  return 'pending';
+}
+
+// Add queue items for a batch, processed sequentially after the pending delay
+function enqueue(queue, entries) {
+  const batchId = randomId('batch');
+  const createdAt = Date.now();
+  entries.forEach((entry, index) => {
+    const startsAt = createdAt + QUEUE_PENDING_MS + index * QUEUE_ITEM_MS;
+    queue.push({
+      id: randomId('queue'),
+      batchId,
+      createdAt,
+      startsAt,
+      completesAt: startsAt + QUEUE_ITEM_MS,
+      done: false,
+      ...entry,
+    });
+  });
+  return batchId;
+}
+
+// Materialize licenses/sites for queue items that completed since the last request
+function advanceQueues() {
+  const s = getState();
+  const now = Date.now();
+
+  s.licenseQueue.forEach((item) => {
+    if (item.done || itemStatus(item, now) !== 'completed') return;
+    item.done = true;
+    item.licenseKey = generateLicenseKey();
+    const created = Math.floor(item.completesAt / 1000);
+    s.licenses.push({
+      id: randomId('lic'),
+      license_key: item.licenseKey,
+      status: 'active',
+      used_site_domain: null,
+      platform: null,
+      billing_period: item.billingPeriod,
+      subscription_id: item.subscriptionId,
+      purchase_type: 'quantity',
+      created_at: created,
+      renewal_date: periodEnd(item.billingPeriod, created),
+    });
+  });
+
+  s.sitesQueue.forEach((item) => {
+    if (item.done || itemStatus(item, now) !== 'completed') return;
+    item.done = true;
+    item.licenseKey = generateLicenseKey();
+    const created = Math.floor(item.completesAt / 1000);
+    const licenseKey = item.licenseKey;
+    const renewal = periodEnd(item.billingPeriod, created);
+    s.dashboard.sites[item.site] = {
+      status: 'active',
+      platform: null,
+      subscription_id: item.subscriptionId,
+      created_at: created,
+      current_period_start: created,
+      current_period_end: renewal,
+      renewal_date: renewal,
+    };
+    const subscription = s.dashboard.subscriptions[item.subscriptionId];
+    if (subscription) {
+      subscription.items.push({
+        item_id: randomId('si'),
+        site: item.site,
+        quantity: 1,
+        status: 'active',
+        purchase_type: 'site',
+        license_key: licenseKey,
+        created_at: created,
+      });
+    }
+    s.licenses.push({
+      id: randomId('lic'),
+      license_key: licenseKey,
+      status: 'active',
+      used_site_domain: item.site,
+      platform: null,
+      billing_period: item.billingPeriod,
+      subscription_id: item.subscriptionId,
+      purchase_type: 'site',
+      created_at: created,
+      renewal_date: renewal,
+    });
+  });
+}
+
+// Aggregate status of the most recent batch in a queue (matches worker status endpoints)
+function queueStatus(items) {
+  if (items.length === 0) {
+    return { status: 'completed', progress: { total: 0, pending: 0, processing: 0, completed: 0, failed: 0 } };
+  }
+  const latestBatch = items[items.length - 1].batchId;
+  const now = Date.now();
+  const progress = { total: 0, pending: 0, processing: 0, completed: 0, failed: 0 };
+  items
+    .filter((item) => item.batchId === latestBatch)
+    .forEach((item) => {
+      progress.total++;
+      progress[itemStatus(item, now)]++;
+    });
+
+  let status = 'completed';
+  if (progress.processing > 0) status = 'processing';
+  else if (progress.pending > 0) status = 'pending';
+  return { status, progress };
+}
+
+// Orders for the purchases made in this session, in the /api/orders format
+// Site batches are identified by payment intent, license batches by their batch ID
+function queueOrders() {
+  const s = getState();
+  const now = Date.now();
+  const orders = new Map();
+  [['licenses', s.licenseQueue], ['sites', s.sitesQueue]].forEach(([type, items]) => {
+    items.forEach((item) => {
+      const orderId = item.paymentIntentId || item.batchId;
+      if (!orders.has(orderId)) {
+        orders.set(orderId, {
+          order_id: orderId,
+          type,
+          billing_period: item.billingPeriod,
+          created_at: Math.floor(item.createdAt / 1000),
+          items: [],
+          refunds: [],
+        });
+      }
+      orders.get(orderId).items.push({
+        queue_id: item.id,
+        status: itemStatus(item, now),
+        license_key: item.licenseKey || null,
+        site: item.site || null,
+        subscription_id: item.subscriptionId,
+        error_message: null,
+        refund: null,
+      });
+    });
+  });
+  return [...orders.values()];
+}
+
+// Event data for a queue item - the item's batch status plus ids (matches the worker's queue events)
+// Site batches are identified by payment intent, like /api/sites/status
+function queueEventData(queueName, items, item) {
+  const batchItems = items.filter((other) => other.batchId === item.batchId);
+  return {
+    queue: queueName,
+    batchId: item.paymentIntentId || item.batchId,
+    itemId: item.id,
+    ...queueStatus(batchItems),
+  };
+}
+
+// Server-Sent Events stream of queue changes (GET /api/queue/events)
+// Items that already exist when the stream opens are not reported as created
+function queueEventsResponse(signal) {
+  const encoder = new TextEncoder();
+  const reported = new Map(); // queue item id -> last reported status
+  let timer = null;
+
+  const queues = () => {
+    const s = getState();
+    return [['licenses', s.licenseQueue], ['sites', s.sitesQueue]];
+  };
+
+  queues().forEach(([, items]) => {
+    items.forEach((item) => reported.set(item.id, itemStatus(item, Date.now())));
+  });
+
+  const stream = new ReadableStream({
+    start(controller) {
+      const send = (type, data) => {
+        controller.enqueue(encoder.encode(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`));
+      };
+
+      const tick = () => {
+        advanceQueues();
+        const now = Date.now();
+        queues().forEach(([queueName, items]) => {
+          const completedBatches = new Set();
+          items.forEach((item) => {
+            const status = itemStatus(item, now);
+            const previous = reported.get(item.id);
+            if (previous === status) return;
+            reported.set(item.id, status);
+            if (previous === undefined) {
+              send('item.created', queueEventData(queueName, items, item));
+            }
+            if (status === 'completed') {
+              send('item.completed', queueEventData(queueName, items, item));
+              completedBatches.add(item.batchId);
+            }
+          });
+          completedBatches.forEach((batchId) => {
+            const batchItems = items.filter((item) => item.batchId === batchId);
+            if (batchItems.every((item) => itemStatus(item, now) === 'completed')) {
+              send('batch.finished', queueEventData(queueName, items, batchItems[0]));
+            }
+          });
+        });
+      };
+
+      timer = setInterval(tick, QUEUE_EVENTS_TICK_MS);
+      signal?.addEventListener('abort', () => {
+        clearInterval(timer);
+        try {
+          controller.close();
+        } catch {
+          // Already closed by the reader
+        }
+      }, { once: true });
+    },
+    cancel() {
+      clearInterval(timer);
+    },
+  });
+
+  return new Response(stream, {
+    status: 200,
+    headers: { 'Content-Type': 'text/event-stream' },
+  });
+}
+
+// Same answer as the worker's promotion code lookup
+function findPromoCode(code) {
+  const normalizedCode = String(code || '').trim().toUpperCase();
+  const discount = PROMO_CODES[normalizedCode];
+  if (!discount) {
+    return { valid: false, message: 'This promo code is not valid' };
+  }
+  return {
+    valid: true,
+    code: normalizedCode,
+    promotion_code_id: `promo_mock_${normalizedCode.toLowerCase()}`,
+    discount: { ...discount, currency: 'usd' },
+    duration: 'once',
+  };
+}
+
+// Record a paid invoice for a purchase so the Profile invoice list changes too
+function addInvoice(quantity, billingPeriod, label, promotion = null) {
+  const s = getState();
+  const listUnit = billingPeriod === 'yearly' ? YEARLY_PRICE_CENTS : MONTHLY_PRICE_CENTS;
+  const tier = VOLUME_TIERS.filter((t) => quantity >= t.min_quantity).pop();
+  const unit = tier ? Math.round((listUnit * (100 - tier.discount_percent)) / 100) : listUnit;
+  let amount = unit * quantity;
+  if (promotion) {
+    amount -= promotion.discount.type === 'fixed'
+      ? promotion.discount.amount
+      : Math.round((amount * promotion.discount.amount) / 100);
+  }
+  s.invoices.push({
+    id: randomId('in'),
+    number: `MOCK-${String(s.invoices.length + 1).padStart(4, '0')}`,
+    amount_paid: Math.max(0, amount),
+    currency: 'usd',
+    created: nowSeconds(),
+    description: `${quantity} × ConsentBit ${label} (${billingPeriod})${promotion ? ` - ${promotion.code}` : ''}`,
+    invoice_pdf: null,
+  });
+}
+
+// Create a subscription for a purchase and return a checkout URL that lands back on the dashboard
+function createCheckout(billingPeriod) {
+  const s = getState();
+  const subscriptionId = randomId('sub');
+  const created = nowSeconds();
+  s.dashboard.subscriptions[subscriptionId] = {
+    subscriptionId,
+    status: 'active',
+    cancel_at_period_end: false,
+    current_period_end: periodEnd(billingPeriod, created),
+    billing_period: billingPeriod,
+    items: [],
+    created_at: created,
+  };
+  const sessionId = randomId('cs');
+  return {
+    subscriptionId,
+    sessionId,
+    checkoutUrl: `${window.location.origin}/dashboard?session_id=${sessionId}`,
+  };
+}
+
+function normalizeBillingPeriod(value) {
+  return (value || '').toLowerCase().trim() === 'yearly' ? 'yearly' : 'monthly';
+}
+
+// Quantity purchases only exist on their licenses, site purchases also in dashboard.subscriptions
+function findSubscription(subscriptionId) {
+  const { dashboard, licenses } = getState();
+  const subscription = dashboard.subscriptions[subscriptionId] || null;
+  const subscriptionLicenses = licenses.filter((lic) => lic.subscription_id === subscriptionId);
+  const record = subscription || subscriptionLicenses[0];
+  if (!record) return null;
+  return {
+    subscription,
+    licenses: subscriptionLicenses,
+    billingPeriod: normalizeBillingPeriod(record.billing_period),
+    periodEnd: subscription ? subscription.current_period_end : record.renewal_date,
+    active: record.status === 'active' && !record.cancel_at_period_end,
+  };
+}
+
+// Proration like Stripe: credit for the unused part of the current period, the new period is charged in full
+function billingPeriodChange(body) {
+  const found = findSubscription(body.subscription_id);
+  if (!found) {
+    return { error: errorResponse(404, 'subscription_not_found', 'Subscription not found') };
+  }
+  const billingPeriod = (body.billing_period || '').toLowerCase().trim();
+  if (billingPeriod !== 'monthly' && billingPeriod !== 'yearly') {
+    return { error: errorResponse(400, 'invalid_request', 'billing_period must be monthly or yearly') };
+  }
+  if (!found.active) {
+    return {
+      error: errorResponse(409, 'subscription_not_active', 'Only active subscriptions that are not being cancelled can change billing period'),
+    };
+  }
+  if (found.billingPeriod === billingPeriod) {
+    return { error: errorResponse(409, 'same_billing_period', `Subscription is already billed ${billingPeriod}`) };
+  }
+
+  const now = nowSeconds();
+  const unitPrice = (period) => (period === 'yearly' ? YEARLY_PRICE_CENTS : MONTHLY_PRICE_CENTS);
+  const periodLength = periodEnd(found.billingPeriod, 0);
+  const credit = Math.round((unitPrice(found.billingPeriod) * Math.max(0, found.periodEnd - now)) / periodLength);
+  const newUnit = unitPrice(billingPeriod);
+  return { ...found, billingPeriod, previousBillingPeriod: found.billingPeriod, now, credit, newUnit, total: newUnit - credit };
+}
+
+function findLicenseByDomain(licenses, domain) {
+  return licenses.find((lic) => (lic.used_site_domain || '').toLowerCase().trim() === domain);
+}
+
+const handlers = {
+  'GET /dashboard': () => {
+    const { dashboard } = getState();
+    return jsonResponse(200, dashboard);
+  },
+
+  'GET /licenses': () => jsonResponse(200, { licenses: getState().licenses }),
+
+  'GET /api/licenses/status': () => jsonResponse(200, queueStatus(getState().licenseQueue)),
+
+  'GET /api/sites/status': ({ query }) => {
+    const paymentIntentId = query.get('payment_intent_id');
+    const items = getState().sitesQueue.filter(
+      (item) => !paymentIntentId || item.paymentIntentId === paymentIntentId
+    );
+    return jsonResponse(200, queueStatus(items));
+  },
+
+  'GET /api/queue/events': ({ signal }) => queueEventsResponse(signal),
+
+  'GET /api/invoices': ({ query }) => {
+    const limit = parseInt(query.get('limit') || '10', 10);
+    const sorted = [...getState().invoices].sort((a, b) => b.created - a.created);
+    // Cursor paging (starting_after = last invoice ID of the previous page), falling back to offset
+    const startingAfter = query.get('starting_after');
+    const cursorIndex = startingAfter ? sorted.findIndex((inv) => inv.id === startingAfter) : -1;
+    const offset = cursorIndex >= 0 ? cursorIndex + 1 : parseInt(query.get('offset') || '0', 10);
+    const page = sorted.slice(offset, offset + limit);
+    const hasMore = offset + limit < sorted.length;
+    return jsonResponse(200, {
+      invoices: page,
+      hasMore,
+      total: sorted.length,
+      nextCursor: hasMore && page.length > 0 ? page[page.length - 1].id : null,
+    });
+  },
+
+  'GET /api/pricing': () =>
+    jsonResponse(200, {
+      currency: 'usd',
+      plans: [
+        { billing_period: 'monthly', price_id: 'price_monthly_mock', unit_amount: MONTHLY_PRICE_CENTS, currency: 'usd', discount: null },
+        {
+          billing_period: 'yearly',
+          price_id: 'price_yearly_mock',
+          unit_amount: YEARLY_PRICE_CENTS,
+          currency: 'usd',
+          discount: { type: 'percentage', amount: Math.round((1 - YEARLY_PRICE_CENTS / (MONTHLY_PRICE_CENTS * 12)) * 100) },
+        },
+      ],
+      limits: PRICING_LIMITS,
+      tiers: VOLUME_TIERS,
+    }),
+
+  'GET /api/promo-codes/validate': ({ query }) => jsonResponse(200, findPromoCode(query.get('code'))),
+
+  'GET /api/billing': () => jsonResponse(200, { customers: getState().billing }),
+
+  // No Stripe here - the "portal" sends the user straight back the way the real one does when closed
+  'POST /api/billing/portal': ({ body }) => {
+    const customers = getState().billing;
+    const customerId = body.customer_id || customers[0]?.customer_id;
+    if (!customers.some((customer) => customer.customer_id === customerId)) {
+      return errorResponse(404, 'customer_not_found', 'No billing account found for this user');
+    }
+    return jsonResponse(200, {
+      url: `${window.location.origin}${window.location.pathname}?billing=updated`,
+      customer_id: customerId,
+    });
+  },
+
+  'GET /api/orders': ({ query }) => {
+    const limit = parseInt(query.get('limit') || '50', 10);
+    const orders = [...queueOrders(), ...getState().orders].sort((a, b) => b.created_at - a.created_at);
+    return jsonResponse(200, { orders: orders.slice(0, limit), total: orders.length });
+  },
+
+  'POST /activate-license': ({ body }) => {
+    const { licenses } = getState();
+    const domain = (body.site_domain || '').toLowerCase().trim();
+    if (!domain) {
+      return errorResponse(400, 'invalid_domain', 'Site domain is required');
+    }
+    const license = licenses.find((lic) => lic.license_key === body.license_key || lic.id === body.license_key);
+    if (!license) {
+      return errorResponse(404, 'license_not_found', 'License key not found');
+    }
+    if (findLicenseByDomain(licenses, domain)) {
+      return errorResponse(409, 'domain_already_active', `${domain} already has an active license`);
+    }
+    license.used_site_domain = domain;
+    license.status = 'active';
+    return jsonResponse(200, { success: true, license });
+  },
+
+  // Same checks as /activate-license, answered per row
+  'POST /api/licenses/activate-batch': ({ body }) => {
+    const { licenses } = getState();
+    const activations = body.activations || [];
+    if (activations.length === 0 || activations.length > 50) {
+      return errorResponse(400, 'invalid_request', 'activations must contain between 1 and 50 rows');
+    }
+    const results = activations.map(({ license_key: licenseKey, site_domain: siteDomain }) => {
+      const domain = (siteDomain || '').toLowerCase().trim();
+      const row = { license_key: licenseKey, site_domain: domain };
+      const license = licenses.find((lic) => lic.license_key === licenseKey || lic.id === licenseKey);
+      if (!license) {
+        return { ...row, success: false, error: 'license_not_found', message: 'License key not found' };
+      }
+      if (license.used_site_domain) {
+        return {
+          ...row,
+          success: false,
+          error: 'license_already_assigned',
+          message: `License key is already assigned to ${license.used_site_domain}`,
+        };
+      }
+      if (findLicenseByDomain(licenses, domain)) {
+        return { ...row, success: false, error: 'domain_already_active', message: `${domain} already has an active license` };
+      }
+      license.used_site_domain = domain;
+      license.status = 'active';
+      return { ...row, success: true, license };
+    });
+    const activated = results.filter((row) => row.success).length;
+    return jsonResponse(200, { success: activated > 0, activated, failed: results.length - activated, results });
+  },
+
+  'POST /api/licenses/transfer': ({ body }) => {
+    const { licenses, dashboard, transfers } = getState();
+    const domain = (body.new_domain || '').toLowerCase().trim();
+    if (!domain) {
+      return errorResponse(400, 'invalid_domain', 'New domain is required');
+    }
+    const license = licenses.find((lic) => lic.license_key === body.license_key);
+    if (!license) {
+      return errorResponse(404, 'license_not_found', 'License key not found');
+    }
+    if (license.status !== 'active' || license.cancel_at_period_end) {
+      return errorResponse(409, 'license_not_active', 'Only active licenses can be transferred');
+    }
+    const previousDomain = (license.used_site_domain || '').toLowerCase().trim();
+    if (!previousDomain) {
+      return errorResponse(409, 'license_not_assigned', 'License key is not assigned to a domain yet');
+    }
+    if (previousDomain === domain) {
+      return errorResponse(400, 'same_domain', `License key is already assigned to ${domain}`);
+    }
+    if (findLicenseByDomain(licenses, domain)) {
+      return errorResponse(409, 'domain_already_active', `${domain} already has an active license`);
+    }
+    const now = nowSeconds();
+    const lastTransfer = transfers.filter((t) => t.licenseKey === license.license_key).at(-1);
+    if (lastTransfer && lastTransfer.transferredAt + TRANSFER_COOLDOWN_SECONDS > now) {
+      const nextTransferAt = lastTransfer.transferredAt + TRANSFER_COOLDOWN_SECONDS;
+      return jsonResponse(429, {
+        success: false,
+        error: 'transfer_cooldown',
+        message: `This license was transferred recently - it can be moved again after ${new Date(nextTransferAt * 1000).toLocaleString()}`,
+        next_transfer_at: nextTransferAt,
+      });
+    }
+
+    license.used_site_domain = domain;
+    transfers.push({ licenseKey: license.license_key, from: previousDomain, to: domain, transferredAt: now });
+    if (dashboard.sites[previousDomain]) {
+      dashboard.sites[domain] = dashboard.sites[previousDomain];
+      delete dashboard.sites[previousDomain];
+    }
+    Object.values(dashboard.subscriptions).forEach((subscription) => {
+      subscription.items.forEach((item) => {
+        if (item.license_key === license.license_key) item.site = domain;
+      });
+    });
+    return jsonResponse(200, {
+      success: true,
+      license_key: license.license_key,
+      previous_domain: previousDomain,
+      site_domain: domain,
+      platform: license.platform,
+      next_transfer_at: now + TRANSFER_COOLDOWN_SECONDS,
+      message: `License moved from ${previousDomain} to ${domain}`,
+    });
+  },
+
+  // Frees the key but keeps its subscription, unlike /remove-site
+  'POST /api/licenses/unassign': ({ body }) => {
+    const { licenses, dashboard } = getState();
+    const license = licenses.find((lic) => lic.license_key === body.license_key);
+    if (!license) {
+      return errorResponse(404, 'license_not_found', 'License key not found');
+    }
+    const domain = (license.used_site_domain || '').toLowerCase().trim();
+    if (!domain) {
+      return errorResponse(409, 'license_not_assigned', 'This license key is not activated for a domain');
+    }
+    if (license.purchase_type === 'site') {
+      return errorResponse(409, 'site_subscription', `This key belongs to the subscription of ${domain} - transfer it or cancel the subscription instead`);
+    }
+    license.used_site_domain = null;
+    delete dashboard.sites[domain];
+    // The item keeps billing - like the worker only its domain is cleared
+    Object.values(dashboard.subscriptions).forEach((subscription) => {
+      subscription.items
+        .filter((item) => item.license_key === license.license_key)
+        .forEach((item) => {
+          item.site = null;
+          item.isActivated = false;
+        });
+    });
+    return jsonResponse(200, {
+      success: true,
+      license_key: license.license_key,
+      previous_domain: domain,
+      message: `License key removed from ${domain}. It is available in "Not Assigned" again.`,
+    });
+  },
+
+  'POST /remove-site': ({ body }) => {
+    const { licenses, dashboard } = getState();
+    const domain = (body.site || '').toLowerCase().trim();
+    const subscriptionId = body.subscription_id;
+    const subscription = subscriptionId && dashboard.subscriptions[subscriptionId];
+    if (subscriptionId && !subscription) {
+      return errorResponse(404, 'subscription_not_found', 'Subscription not found');
+    }
+    // Like Stripe, the subscription stays active until the end of the period
+    if (subscription) {
+      subscription.cancel_at_period_end = true;
+    }
+    licenses.forEach((lic) => {
+      if (lic.subscription_id === subscriptionId || (lic.used_site_domain || '').toLowerCase() === domain) {
+        lic.cancel_at_period_end = true;
+      }
+    });
+    if (dashboard.sites[domain]) {
+      dashboard.sites[domain].cancel_at_period_end = true;
+    }
+    return jsonResponse(200, {
+      success: true,
+      message: `Subscription for "${domain}" has been cancelled. It will remain active until the end of the current billing period.`,
+    });
+  },
+
+  'POST /purchase-quantity': ({ body }) => {
+    const quantity = parseInt(body.quantity, 10);
+    if (!quantity || quantity < PRICING_LIMITS.licenses.min || quantity > PRICING_LIMITS.licenses.max) {
+      return errorResponse(
+        400,
+        'invalid_quantity',
+        `Quantity must be between ${PRICING_LIMITS.licenses.min} and ${PRICING_LIMITS.licenses.max}`
+      );
+    }
+    const promotion = body.promo_code ? findPromoCode(body.promo_code) : null;
+    if (promotion && !promotion.valid) {
+      return errorResponse(400, 'invalid_promo_code', promotion.message);
+    }
+    const billingPeriod = normalizeBillingPeriod(body.billing_period);
+    const { subscriptionId, sessionId, checkoutUrl } = createCheckout(billingPeriod);
+    enqueue(
+      getState().licenseQueue,
+      Array.from({ length: quantity }, () => ({ billingPeriod, subscriptionId }))
+    );
+    addInvoice(quantity, billingPeriod, 'license', promotion);
+    return jsonResponse(200, { checkout_url: checkoutUrl, session_id: sessionId });
+  },
+
+  'POST /add-sites-batch': ({ body }) => {
+    const sites = [...new Set((body.sites || []).map((site) => String(site).toLowerCase().trim()).filter(Boolean))];
+    if (sites.length === 0) {
+      return errorResponse(400, 'invalid_request', 'At least one site is required');
+    }
+    const siteLimit = body.bulk_import ? PRICING_LIMITS.bulk_sites : PRICING_LIMITS.sites;
+    if (sites.length > siteLimit.max) {
+      return errorResponse(400, 'too_many_sites', `Maximum ${siteLimit.max} sites allowed per purchase`);
+    }
+    const { dashboard, licenses } = getState();
+    const existing = sites.filter((site) => dashboard.sites[site] || findLicenseByDomain(licenses, site));
+    if (existing.length > 0) {
+      return jsonResponse(409, {
+        success: false,
+        error: 'site_exists',
+        message: existing.length === 1
+          ? `${existing[0]} already has a subscription`
+          : `${existing.length} sites already have a subscription`,
+        sites: existing,
+      });
+    }
+    const promotion = body.promo_code ? findPromoCode(body.promo_code) : null;
+    if (promotion && !promotion.valid) {
+      return errorResponse(400, 'invalid_promo_code', promotion.message);
+    }
+    const billingPeriod = normalizeBillingPeriod(body.billing_period);
+    const { subscriptionId, sessionId, checkoutUrl } = createCheckout(billingPeriod);
+    const paymentIntentId = randomId('pi');
+    enqueue(
+      getState().sitesQueue,
+      sites.map((site) => ({ site, billingPeriod, subscriptionId, paymentIntentId }))
+    );
+    addInvoice(sites.length, billingPeriod, 'site', promotion);
+    return jsonResponse(200, { checkout_url: checkoutUrl, session_id: sessionId, payment_intent_id: paymentIntentId });
+  },
+
+  'POST /create-site-checkout': (request) => handlers['POST /add-sites-batch'](request),
+
+  'POST /api/subscriptions/billing-period/preview': ({ body }) => {
+    const change = billingPeriodChange(body);
+    if (change.error) return change.error;
+    return jsonResponse(200, {
+      subscription_id: body.subscription_id,
+      current_billing_period: change.previousBillingPeriod,
+      billing_period: change.billingPeriod,
+      price_id: `price_${change.billingPeriod}_mock`,
+      unit_amount: change.newUnit,
+      quantity: 1,
+      currency: 'usd',
+      amount_due: Math.max(0, change.total),
+      credit: change.total < 0 ? -change.total : 0,
+      proration_date: change.now,
+      current_period_end: periodEnd(change.billingPeriod, change.now),
+      lines: [
+        { description: `Unused time on ConsentBit (${change.previousBillingPeriod})`, amount: -change.credit, proration: true },
+        { description: `ConsentBit (${change.billingPeriod})`, amount: change.newUnit, proration: false },
+      ],
+    });
+  },
+
+  'POST /api/subscriptions/billing-period': ({ body }) => {
+    const change = billingPeriodChange(body);
+    if (change.error) return change.error;
+    const { dashboard, invoices } = getState();
+    const priceId = `price_${change.billingPeriod}_mock`;
+    const newPeriodEnd = periodEnd(change.billingPeriod, change.now);
+
+    if (change.subscription) {
+      change.subscription.billing_period = change.billingPeriod;
+      change.subscription.current_period_end = newPeriodEnd;
+      change.subscription.items.forEach((item) => {
+        item.price = priceId;
+      });
+    }
+    Object.values(dashboard.sites).forEach((site) => {
+      if (site.subscription_id !== body.subscription_id) return;
+      Object.assign(site, {
+        price: priceId,
+        current_period_start: change.now,
+        current_period_end: newPeriodEnd,
+        renewal_date: newPeriodEnd,
+      });
+    });
+    // Same license keys - only the billing period and renewal date change
+    change.licenses.forEach((lic) => {
+      lic.billing_period = change.billingPeriod;
+      lic.renewal_date = newPeriodEnd;
+    });
+    if (change.total > 0) {
+      invoices.push({
+        id: randomId('in'),
+        number: `MOCK-${String(invoices.length + 1).padStart(4, '0')}`,
+        amount_paid: change.total,
+        currency: 'usd',
+        created: change.now,
+        description: `Switch to ${change.billingPeriod} billing (prorated)`,
+        invoice_pdf: null,
+      });
+    }
+
+    return jsonResponse(200, {
+      success: true,
+      subscription_id: body.subscription_id,
+      billing_period: change.billingPeriod,
+      current_period_end: newPeriodEnd,
+      message: `Subscription is now billed ${change.billingPeriod}`,
+    });
+  },
+
+  'POST /api/subscriptions/resume': ({ body }) => {
+    const found = findSubscription(body.subscription_id);
+    if (!found) {
+      return errorResponse(404, 'subscription_not_found', 'Subscription not found');
+    }
+    const record = found.subscription || found.licenses[0];
+    if (record.status !== 'active') {
+      return errorResponse(409, 'subscription_not_resumable', 'This subscription has already ended and cannot be resumed');
+    }
+    if (!record.cancel_at_period_end) {
+      return errorResponse(409, 'not_cancelling', 'Subscription is not pending cancellation');
+    }
+
+    const { dashboard } = getState();
+    record.cancel_at_period_end = false;
+    found.licenses.forEach((lic) => {
+      lic.cancel_at_period_end = false;
+    });
+    Object.values(dashboard.sites).forEach((site) => {
+      if (site.subscription_id === body.subscription_id) site.cancel_at_period_end = false;
+    });
+    return jsonResponse(200, {
+      success: true,
+      subscription_id: body.subscription_id,
+      status: 'active',
+      cancel_at_period_end: false,
+      current_period_end: found.periodEnd,
+      message: 'Subscription resumed. It will renew at the end of the current billing period.',
+    });
+  },
+
+  'POST /add-site': ({ body }) => {
+    const { dashboard } = getState();
+    dashboard.sites[body.site] = { status: 'pending', price: body.price, created_at: nowSeconds() };
+    return jsonResponse(200, { success: true });
+  },
+
+  'POST /remove-pending-site': ({ body }) => {
+    const { dashboard } = getState();
+    dashboard.pendingSites = (dashboard.pendingSites || []).filter(
+      (pending) => (typeof pending === 'string' ? pending : pending.site) !== body.site
+    );
+    return jsonResponse(200, { success: true });
+  },
+};
+
+/**
+ * fetch-compatible entry point used by apiRequest in mock mode.
+ * Resolves with a real Response so the normal response handling applies.
+ */
+export async function mockFetch(url, { method = 'GET', body, signal } = {}) {
+  const { pathname, searchParams } = new URL(url);
+  await mockApiDelay(300);
+  if (signal?.aborted) {
+    throw new DOMException('The operation was aborted.', 'AbortError');
+  }
+
+  advanceQueues();
+
+  const handler = handlers[`${method.toUpperCase()} ${pathname}`];
+  if (!handler) {
+    return errorResponse(404, 'not_found', `Mock API has no handler for ${method} ${pathname}`);
+  }
+
+  return handler({
+    query: searchParams,
+    body: body ? JSON.parse(body) : {},
+    signal,
+  });
+}